@@ -8,6 +8,18 @@ task(TASK_COMPILE_GET_COMPILER_INPUT).setAction(async (_, __, runSuper) => {
 
 require('dotenv').config();
 
+require('./tasks/errors');
+require('./tasks/indexer');
+require('./tasks/fees');
+require('./tasks/deployment');
+require('./tasks/admin');
+require('./tasks/upgrade');
+require('./tasks/fork');
+require('./tasks/gas');
+require('./tasks/metadata');
+require('./tasks/bulk-mint');
+require('./tasks/seed');
+
 usePlugin('@nomiclabs/buidler-waffle');
 usePlugin('@nomiclabs/buidler-etherscan');
 usePlugin('buidler-gas-reporter');
@@ -56,6 +68,20 @@ module.exports = {
             url: 'http://127.0.0.1:8545',
             blockGasLimit: 200000000
         },
+        mainnetFork: {
+            // Local fork of Mainnet, served by the "fork:test" task (see js-utils/mainnet-fork.js);
+            //  the Mainnet state is recorded from an archive node (MAINNET_FORK_URL) into the fork cache
+            url: 'http://127.0.0.1:8546',
+            blockGasLimit: 200000000,
+            timeout: 300000,
+            live: false,
+            saveDeployments: false,
+            fork: {
+                url: process.env.MAINNET_FORK_URL,
+                blockNumber: parseInt(process.env.MAINNET_FORK_BLOCK || '9500000', 10),
+                cacheDir: './fork-cache',
+            }
+        },
         kovan: {
             url: `https://kovan.infura.io/v3/${process.env.INFURA_API_KEY}`,
             gasPrice: 10e9,
@@ -84,17 +110,36 @@ module.exports = {
         deployer: {
             default: 0,
         },
+        // Test accounts of the local chains, seeded with sample Tokens by the "cp:seed" task
+        creator: {
+            31337: 1,
+        },
+        collector: {
+            31337: 2,
+        },
+        operator: {
+            31337: 3,
+        },
+        receiver: {
+            31337: 4,
+        },
+        relayer: {
+            31337: 5,
+        },
+        proxyAdmin: {
+            // Admin of the upgradeable contracts; a dedicated account, as calls from the Proxy Admin
+            //  are not forwarded to the contracts (see contracts/lib/AdminUpgradeabilityProxy.sol)
+            31337: 9, // BuidlerEVM
+            mainnetFork: 9,
+            1: process.env.MAINNET_PROXY_ADDRESS,
+            3: process.env.ROPSTEN_PROXY_ADDRESS,
+            42: process.env.KOVAN_PROXY_ADDRESS,
+        },
         trustedForwarder: {
-            default: 7, // Account 8
+            // BuidlerEVM: MockTrustedForwarder (see deploy/TrustedForwarder.js)
             1: '0x1337c0d31337c0D31337C0d31337c0d31337C0d3', // mainnet
             3: '0x1337c0d31337c0D31337C0d31337c0d31337C0d3', // ropsten
             42: '0x1337c0d31337c0D31337C0d31337c0d31337C0d3', // kovan
         },
-        dai: {
-            default: 0, // local; to be deployed by deployer
-            1: '0x6B175474E89094C44Da98b954EedeAC495271d0F', // mainnet
-            3: '0x31F42841c2db5173425b5223809CF3A38FEde360', // ropsten
-            42: '0x4F96Fe3b7A6Cf9725f59d353F723c1bDb64CA6Aa', // kovan
-        }
     }
 };
@@ -218,6 +218,16 @@ contract ChargedParticles is Initializable, IParticleManager, BaseRelayRecipient
         return typeTokenBridge[_typeId];
     }
 
+    /**
+     * @notice Gets the Asset-Pair of a Particle Type
+     * @param _typeId     The Token ID or the Type ID of the Token
+     * @return  The ID of the Asset-Pair (empty for Plasma)
+     */
+    function getTypeAssetPairId(uint256 _typeId) external view returns (string memory) {
+        _typeId = tokenMgr.getNonFungibleBaseType(_typeId);
+        return typeAssetPairId[_typeId];
+    }
+
     /**
      * @notice Checks if a user is allowed to mint a Token by Type ID
      * @param _typeId   The Type ID of the Token
@@ -322,7 +332,7 @@ contract ChargedParticles is Initializable, IParticleManager, BaseRelayRecipient
     function baseParticleMass(uint256 _tokenId) external view returns (uint256) {
         uint256 _typeId = tokenMgr.getNonFungibleBaseType(_tokenId);
         string memory _assetPairId = typeAssetPairId[_typeId];
-        return escrowMgr.baseParticleMass(address(tokenMgr), _tokenId, _assetPairId);
+        return escrowMgr.baseParticleMass(address(this), _tokenId, _assetPairId);
     }
 
     /**
@@ -336,7 +346,7 @@ contract ChargedParticles is Initializable, IParticleManager, BaseRelayRecipient
         require(tokenMgr.isNonFungible(_tokenId), "CP: FUNGIBLE_TYPE");
 
         string memory _assetPairId = typeAssetPairId[_typeId];
-        return escrowMgr.currentParticleCharge(address(tokenMgr), _tokenId, _assetPairId);
+        return escrowMgr.currentParticleCharge(address(this), _tokenId, _assetPairId);
     }
 
     /***********************************|
@@ -582,12 +592,12 @@ contract ChargedParticles is Initializable, IParticleManager, BaseRelayRecipient
      * @param _tokenId  The ID of the token to burn
      */
     function burnParticle(uint256 _tokenId) external {
-        address _tokenContract = address(tokenMgr);
+        address _tokenContract = address(this);
         address _tokenOwner;
         string memory _assetPairId;
 
         // Verify Token
-        require(tokenMgr.isNonFungibleBaseType(_tokenId), "CP: FUNGIBLE_TYPE");
+        require(tokenMgr.isNonFungible(_tokenId), "CP: FUNGIBLE_TYPE");
         uint256 _typeId = tokenMgr.getNonFungibleBaseType(_tokenId);
         require(registeredTypes[_typeId] > 0, "CP: INVALID_TYPE");
 
@@ -599,8 +609,10 @@ contract ChargedParticles is Initializable, IParticleManager, BaseRelayRecipient
         // Burn Token
         tokenMgr.burn(_msgSender(), _tokenId, 1);
 
-        // Release Particle (Payout Asset + Interest)
-        escrowMgr.finalizeRelease(_tokenOwner, _tokenContract, _tokenId, _assetPairId);
+        // Release Particle (Payout Asset + Interest) when the Release requires the Burn first
+        if (escrowMgr.isReleaseBurnRequired(_tokenContract)) {
+            escrowMgr.finalizeRelease(_tokenOwner, _tokenContract, _tokenId, _assetPairId);
+        }
 
         emit ParticleBurned(_msgSender(), _tokenId);
     }
@@ -660,6 +672,7 @@ contract ChargedParticles is Initializable, IParticleManager, BaseRelayRecipient
      * @return  Two values; 1: Amount of Asset Token Received, 2: Remaining Charge of the Token
      */
     function dischargeParticle(address _receiver, uint256 _tokenId) external returns (uint256, uint256) {
+        require(_isDischargeOperator(_msgSender(), _tokenId), "CP: NOT_OPERATOR");
         uint256 _typeId = tokenMgr.getNonFungibleBaseType(_tokenId);
         string memory _assetPairId = typeAssetPairId[_typeId];
         return escrowMgr.dischargeParticle(_receiver, address(this), _tokenId, _assetPairId);
@@ -674,6 +687,7 @@ contract ChargedParticles is Initializable, IParticleManager, BaseRelayRecipient
      * @return  Two values; 1: Amount of Asset Token Received, 2: Remaining Charge of the Token
      */
     function dischargeParticleAmount(address _receiver, uint256 _tokenId, uint256 _assetAmount) external returns (uint256, uint256) {
+        require(_isDischargeOperator(_msgSender(), _tokenId), "CP: NOT_OPERATOR");
         uint256 _typeId = tokenMgr.getNonFungibleBaseType(_tokenId);
         string memory _assetPairId = typeAssetPairId[_typeId];
         return escrowMgr.dischargeParticleAmount(_receiver, address(this), _tokenId, _assetPairId, _assetAmount);
@@ -918,6 +932,17 @@ contract ChargedParticles is Initializable, IParticleManager, BaseRelayRecipient
         return IERC20(_assetTokenAddress);
     }
 
+    /**
+     * @dev Checks if an Account can Discharge a Particle; the Owner, an Operator of the Owner or the Discharge-Operator of the Particle
+     * @param _account  The Account to check
+     * @param _tokenId  The ID of the Token
+     */
+    function _isDischargeOperator(address _account, uint256 _tokenId) internal view returns (bool) {
+        address _tokenOwner = tokenMgr.ownerOf(_tokenId);
+        if (_account == _tokenOwner || tokenMgr.isApprovedForAll(_tokenOwner, _account)) { return true; }
+        return escrowMgr.isApprovedForDischarge(address(this), _tokenId, _account);
+    }
+
     function _msgSender() internal override(BaseRelayRecipient, ContextUpgradeSafe) virtual view returns (address payable) {
         return BaseRelayRecipient._msgSender();
     }
@@ -253,6 +253,16 @@ contract ChargedParticlesEscrowManager is IChargedParticlesEscrowManager, Initia
         return tokenDischargeApprovals[_tokenUuid] == _operator;
     }
 
+    /**
+     * @notice Gets the Approved Discharge-Operator of a specific Token
+     * @param _contractAddress  The Address to the Contract of the Token
+     * @param _tokenId          The ID of the Token
+     * @return  The Address of the Approved Discharge-Operator, or the zero-address if none
+     */
+    function getDischargeApproval(address _contractAddress, uint256 _tokenId) external override view returns (address) {
+        return tokenDischargeApprovals[_getUUID(_contractAddress, _tokenId)];
+    }
+
     /**
      * @notice Calculates the amount of Fees to be paid for a specific deposit amount
      *   Fees are calculated in Interest-Token as they are the type collected for Fees
@@ -334,6 +344,24 @@ contract ChargedParticlesEscrowManager is IChargedParticlesEscrowManager, Initia
         return _isContractOwner(_account, _contract);
     }
 
+    /**
+     * @notice Checks if an External Contract has been registered for Custom Rules
+     * @param _contractAddress  The Address to the External Contract
+     * @return True if the Contract is registered
+     */
+    function isContractRegistered(address _contractAddress) external view returns (bool) {
+        return customRegisteredContract[_contractAddress];
+    }
+
+    /**
+     * @notice Checks if the Tokens of an External Contract must be Burned before their Release
+     * @param _contractAddress  The Address to the External Contract
+     * @return True if the Release requires the Token to be Burned first (see "finalizeRelease")
+     */
+    function isReleaseBurnRequired(address _contractAddress) external override view returns (bool) {
+        return _isReleaseBurnRequired(_contractAddress);
+    }
+
     /**
      * @notice Registers a external ERC-721 Contract in order to define Custom Rules for Tokens
      * @param _contractAddress  The Address to the External Contract of the Token
@@ -551,8 +579,13 @@ contract ChargedParticlesEscrowManager is IChargedParticlesEscrowManager, Initia
         nonReentrant
         returns (uint256, uint256)
     {
+        require(_isDischargeOperator(msg.sender, _contractAddress, _tokenId), "CPEM: NOT_OPERATOR");
+
         uint256 _tokenUuid = _getUUID(_contractAddress, _tokenId);
-        return assetPairEscrow[_assetPairId].dischargeParticle(_receiver, _tokenUuid);
+        (uint256 _receivedAmount, uint256 _interestBalance) = assetPairEscrow[_assetPairId].dischargeParticle(_receiver, _tokenUuid);
+
+        emit DischargedParticle(_contractAddress, _tokenId, _receiver, _assetPairId, _receivedAmount, _interestBalance);
+        return (_receivedAmount, _interestBalance);
     }
 
     /**
@@ -577,8 +610,13 @@ contract ChargedParticlesEscrowManager is IChargedParticlesEscrowManager, Initia
         nonReentrant
         returns (uint256, uint256)
     {
+        require(_isDischargeOperator(msg.sender, _contractAddress, _tokenId), "CPEM: NOT_OPERATOR");
+
         uint256 _tokenUuid = _getUUID(_contractAddress, _tokenId);
-        return assetPairEscrow[_assetPairId].dischargeParticleAmount(_receiver, _tokenUuid, _assetAmount);
+        (uint256 _receivedAmount, uint256 _interestBalance) = assetPairEscrow[_assetPairId].dischargeParticleAmount(_receiver, _tokenUuid, _assetAmount);
+
+        emit DischargedParticle(_contractAddress, _tokenId, _receiver, _assetPairId, _receivedAmount, _interestBalance);
+        return (_receivedAmount, _interestBalance);
     }
 
     /***********************************|
@@ -615,27 +653,22 @@ contract ChargedParticlesEscrowManager is IChargedParticlesEscrowManager, Initia
         require(_baseParticleMass(_contractAddress, _tokenId, _assetPairId) > 0, "CPEM: INSUFF_MASS");
         IParticleManager _tokenInterface = IParticleManager(_contractAddress);
 
-        // Validate Token Owner/Operator
+        // Validate Token Owner/Operator (the Token Contract itself may release on behalf of the Owner)
         address _tokenOwner = _tokenInterface.ownerOf(_tokenId);
-        require((_tokenOwner == msg.sender) || _tokenInterface.isApprovedForAll(_tokenOwner, msg.sender), "CPEM: NOT_OPERATOR");
+        require(
+            (_tokenOwner == msg.sender) || (_contractAddress == msg.sender) || _tokenInterface.isApprovedForAll(_tokenOwner, msg.sender),
+            "CPEM: NOT_OPERATOR"
+        );
 
         // Validate Token Burn before Release
-        bool requiresBurn;
-        if (customRegisteredContract[_contractAddress]) {
-            // Does Release Require Token Burn first?
-            if (customReleaseRequiresBurn[_contractAddress]) {
-                requiresBurn = true;
-            }
-        }
-
         uint256 _tokenUuid = _getUUID(_contractAddress, _tokenId);
-        if (requiresBurn) {
+        if (_isReleaseBurnRequired(_contractAddress)) {
             assetToBeReleasedBy[_tokenUuid] = msg.sender;
             return 0; // Need to call "finalizeRelease" next, in order to prove token-burn
         }
 
         // Release Particle to Receiver
-        return assetPairEscrow[_assetPairId].releaseParticle(_receiver, _tokenUuid);
+        return _releaseParticle(_receiver, _contractAddress, _tokenId, _assetPairId, _tokenUuid);
     }
 
     /**
@@ -669,7 +702,7 @@ contract ChargedParticlesEscrowManager is IChargedParticlesEscrowManager, Initia
 
         // Release Particle to Receiver
         assetToBeReleasedBy[_tokenUuid] = address(0x0);
-        return assetPairEscrow[_assetPairId].releaseParticle(_receiver, _tokenUuid);
+        return _releaseParticle(_receiver, _contractAddress, _tokenId, _assetPairId, _tokenUuid);
     }
 
 
@@ -692,8 +725,10 @@ contract ChargedParticlesEscrowManager is IChargedParticlesEscrowManager, Initia
         IEscrow _newEscrow = IEscrow(_escrow);
         require(_newEscrow.isPaused() != true, "CPEM: INVALID_ESCROW");
 
-        // Register Pair
-        assetPairs.push(_assetPairId);
+        // Register Pair (re-registering a known Pair only replaces its Escrow)
+        if (!_isAssetPairRegistered(_assetPairId)) {
+            assetPairs.push(_assetPairId);
+        }
         assetPairEscrow[_assetPairId] = _newEscrow;
 
         // Infinite approve the Escrow
@@ -728,6 +763,37 @@ contract ChargedParticlesEscrowManager is IChargedParticlesEscrowManager, Initia
     function _isAssetPairEnabled(string calldata _assetPairId) internal view returns (bool) {
         return (address(assetPairEscrow[_assetPairId]) != address(0x0));
     }
+
+    /**
+     * @dev Checks if an Account can Discharge a Token; the Owner, an Operator of the Owner,
+     *    the Discharge-Operator of the Token, or the Token Contract itself (which validates its own operators)
+     */
+    function _isDischargeOperator(address _account, address _contractAddress, uint256 _tokenId) internal view returns (bool) {
+        if (_account == _contractAddress) { return true; }
+
+        IParticleManager _tokenInterface = IParticleManager(_contractAddress);
+        address _tokenOwner = _tokenInterface.ownerOf(_tokenId);
+        if (_account == _tokenOwner || _tokenInterface.isApprovedForAll(_tokenOwner, _account)) { return true; }
+        return tokenDischargeApprovals[_getUUID(_contractAddress, _tokenId)] == _account;
+    }
+
+    /**
+     * @dev Checks if the Release-Burn Custom Rule is set on a Registered External Contract
+     */
+    function _isReleaseBurnRequired(address _contractAddress) internal view returns (bool) {
+        return customRegisteredContract[_contractAddress] && customReleaseRequiresBurn[_contractAddress];
+    }
+
+    function _isAssetPairRegistered(string calldata _assetPairId) internal view returns (bool) {
+        bytes32 _assetPairHash = keccak256(abi.encodePacked(_assetPairId));
+        for (uint256 i = 0; i < assetPairs.length; i++) {
+            if (keccak256(abi.encodePacked(assetPairs[i])) == _assetPairHash) {
+                return true;
+            }
+        }
+        return false;
+    }
+
     function _getAssetTokenAddress(string calldata _assetPairId) internal view returns (address) {
         require(_isAssetPairEnabled(_assetPairId), "CPEM: INVALID_ASSET_PAIR");
         return assetPairEscrow[_assetPairId].getAssetTokenAddress();
@@ -806,6 +872,30 @@ contract ChargedParticlesEscrowManager is IChargedParticlesEscrowManager, Initia
         require(_assetToken.transferFrom(_from, address(this), _assetAmount), "CPEM: TRANSFER_FAILED");
     }
 
+    /**
+     * @dev Releases the Full amount of Asset + Interest held within the Particle to the Receiver
+     * @param _receiver         The Address to Receive the Released Asset Tokens
+     * @param _contractAddress  The Address to the Contract of the Token to Release
+     * @param _tokenId          The ID of the Token to Release
+     * @param _assetPairId      The Asset-Pair to Release from the Token
+     * @param _tokenUuid        The UUID of the Token to Release
+     * @return  The Total Amount of Asset Token Released including all converted Interest
+     */
+    function _releaseParticle(
+        address _receiver,
+        address _contractAddress,
+        uint256 _tokenId,
+        string calldata _assetPairId,
+        uint256 _tokenUuid
+    )
+        internal
+        returns (uint256)
+    {
+        uint256 _receivedAmount = assetPairEscrow[_assetPairId].releaseParticle(_receiver, _tokenUuid);
+        emit ReleasedParticle(_contractAddress, _tokenId, _receiver, _assetPairId, _receivedAmount);
+        return _receivedAmount;
+    }
+
     /**
      * @dev Gets the Amount of Asset Tokens that have been Deposited into the Particle
      *    representing the Mass of the Particle.
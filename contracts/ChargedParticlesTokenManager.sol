@@ -97,6 +97,15 @@ contract ChargedParticlesTokenManager is Initializable, OwnableUpgradeSafe, Brid
         return fusedParticleTypes[_typeId];
     }
 
+    /**
+     * @notice Checks if a Contract is a Fused-Particle contract (allowed to create, mint & burn Types)
+     * @param _contract   The Address of the Contract
+     * @return  True if the Contract is a Fused-Particle contract
+     */
+    function isFusedParticle(address _contract) external view returns (bool) {
+        return fusedParticles[_contract];
+    }
+
 
     /***********************************|
     |      Only Charged Particles       |
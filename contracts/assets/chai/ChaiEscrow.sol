@@ -269,7 +269,7 @@ contract ChaiEscrow is EscrowBase {
         // Validate Discharge Amount
         uint256 _currentCharge = _currentParticleCharge(_tokenUuid);
         require(_currentCharge > 0, "CHE: INSUFF_CHARGE");
-        require(_currentCharge <= _assetAmount, "CHE: INSUFF_BALANCE");
+        require(_assetAmount <= _currentCharge, "CHE: INSUFF_BALANCE");
 
         // Precalculate Amount to Discharge to Receiver
         (uint256 _interestAmount, uint256 _receivedAmount) = _siphonAsset(_assetAmount);
@@ -282,6 +282,10 @@ contract ChaiEscrow is EscrowBase {
         _payoutAssets(_receiver, _receivedAmount);
 
         // AmountReceived, Remaining charge
+        //  (the Interest Token rounds in favour of the receiver, which may exceed the charge by a few wei)
+        if (_receivedAmount >= _currentCharge) {
+            return (_receivedAmount, 0);
+        }
         return (_receivedAmount, _currentCharge.sub(_receivedAmount));
     }
 
@@ -332,9 +336,10 @@ contract ChaiEscrow is EscrowBase {
      * @dev Pays out the full amount of the Asset Token + Interest Token
      */
     function _payoutFull(uint256 _tokenUuid, address _receiver) internal returns (uint256) {
-        // Get Interest-bearing Token Balance & Reset
+        // Get Interest-bearing Token Balance & Reset (along with the Mass)
         uint256 _interestAmount = interestTokenBalance[_tokenUuid];
         interestTokenBalance[_tokenUuid] = 0;
+        assetTokenBalance[_tokenUuid] = 0;
 
         // Determine Amount of Assets to Transfer to Receiver
         (, uint256 _receivedAmount) = _siphonInterest(_interestAmount);
@@ -44,6 +44,7 @@ interface IChargedParticlesEscrowManager {
 
     function setDischargeApproval(address _contractAddress, uint256 _tokenId, address _operator) external;
     function isApprovedForDischarge(address _contractAddress, uint256 _tokenId, address _operator) external view returns (bool);
+    function getDischargeApproval(address _contractAddress, uint256 _tokenId) external view returns (address);
 
     function baseParticleMass(address _contractAddress, uint256 _tokenId, string calldata _assetPairId) external view returns (uint256);
     function currentParticleCharge(address _contractAddress, uint256 _tokenId, string calldata _assetPairId) external returns (uint256);
@@ -54,6 +55,7 @@ interface IChargedParticlesEscrowManager {
     |__________________________________*/
 
     function isContractOwner(address _account, address _contract) external view returns (bool);
+    function isReleaseBurnRequired(address _contractAddress) external view returns (bool);
     function registerContractType(address _contractAddress) external;
     function registerContractSettingReleaseBurn(address _contractAddress, bool _releaseRequiresBurn) external;
     function registerContractSettingAssetPair(address _contractAddress, string calldata _assetPairId) external;
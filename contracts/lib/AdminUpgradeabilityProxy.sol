@@ -0,0 +1,173 @@
+// SPDX-License-Identifier: MIT
+
+// AdminUpgradeabilityProxy.sol -- Charged Particles
+//
+// Proxy of the upgradeable Charged Particles contracts; upgraded by the Proxy Admin with "buidler upgrade".
+//
+// Follows the AdminUpgradeabilityProxy of OpenZeppelin Upgrades v2.8.0 (Solidity 0.5, Copyright (c) 2018 zOS Global Limited);
+//   same EIP-1967 storage slots for the Implementation and Admin, so the proxies can be managed with the OpenZeppelin tooling.
+
+pragma solidity 0.6.10;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/utils/Address.sol";
+
+/**
+ * @notice Transparent, Admin-controlled Upgradeability Proxy
+ * @dev Calls from the Admin are never forwarded to the Implementation; all other calls are.
+ *      The Admin must therefore be an account that does not interact with the proxied contract.
+ */
+contract AdminUpgradeabilityProxy {
+
+    /**
+     * @dev Storage slot of the Implementation address;
+     *      bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1)
+     */
+    bytes32 internal constant IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+
+    /**
+     * @dev Storage slot of the Admin address;
+     *      bytes32(uint256(keccak256('eip1967.proxy.admin')) - 1)
+     */
+    bytes32 internal constant ADMIN_SLOT = 0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103;
+
+    /***********************************|
+    |             Events                |
+    |__________________________________*/
+
+    event Upgraded(address indexed implementation);
+    event AdminChanged(address previousAdmin, address newAdmin);
+
+    /***********************************|
+    |          Initialization           |
+    |__________________________________*/
+
+    /**
+     * @param _logic  The address of the initial Implementation
+     * @param _admin  The address of the Proxy Admin
+     * @param _data   Calldata of the initialization call to the Implementation (ex: "initialize()"); may be empty
+     */
+    constructor(address _logic, address _admin, bytes memory _data) public payable {
+        assert(IMPLEMENTATION_SLOT == bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1));
+        assert(ADMIN_SLOT == bytes32(uint256(keccak256("eip1967.proxy.admin")) - 1));
+
+        _setImplementation(_logic);
+        _setAdmin(_admin);
+        if (_data.length > 0) {
+            (bool success,) = _logic.delegatecall(_data);
+            require(success, "UP: INIT_FAILED");
+        }
+    }
+
+    /***********************************|
+    |          Only Proxy Admin         |
+    |__________________________________*/
+
+    /**
+     * @dev Only the Admin sees the Admin functions; calls from any other account are forwarded
+     */
+    modifier ifAdmin() {
+        if (msg.sender == _admin()) {
+            _;
+        } else {
+            _fallback();
+        }
+    }
+
+    function admin() external ifAdmin returns (address) {
+        return _admin();
+    }
+
+    function implementation() external ifAdmin returns (address) {
+        return _implementation();
+    }
+
+    function changeAdmin(address _newAdmin) external ifAdmin {
+        require(_newAdmin != address(0x0), "UP: INVALID_ADMIN");
+        emit AdminChanged(_admin(), _newAdmin);
+        _setAdmin(_newAdmin);
+    }
+
+    function upgradeTo(address _newImplementation) external ifAdmin {
+        _upgradeTo(_newImplementation);
+    }
+
+    function upgradeToAndCall(address _newImplementation, bytes calldata _data) external payable ifAdmin {
+        _upgradeTo(_newImplementation);
+        (bool success,) = _newImplementation.delegatecall(_data);
+        require(success, "UP: INIT_FAILED");
+    }
+
+    /***********************************|
+    |            Forwarding             |
+    |__________________________________*/
+
+    fallback() external payable {
+        _fallback();
+    }
+
+    receive() external payable {
+        _fallback();
+    }
+
+    /***********************************|
+    |         Private Functions         |
+    |__________________________________*/
+
+    function _admin() internal view returns (address adm) {
+        bytes32 slot = ADMIN_SLOT;
+        assembly {
+            adm := sload(slot)
+        }
+    }
+
+    function _setAdmin(address _newAdmin) internal {
+        bytes32 slot = ADMIN_SLOT;
+        assembly {
+            sstore(slot, _newAdmin)
+        }
+    }
+
+    function _implementation() internal view returns (address impl) {
+        bytes32 slot = IMPLEMENTATION_SLOT;
+        assembly {
+            impl := sload(slot)
+        }
+    }
+
+    function _setImplementation(address _newImplementation) internal {
+        require(Address.isContract(_newImplementation), "UP: INVALID_IMPL");
+
+        bytes32 slot = IMPLEMENTATION_SLOT;
+        assembly {
+            sstore(slot, _newImplementation)
+        }
+    }
+
+    function _upgradeTo(address _newImplementation) internal {
+        _setImplementation(_newImplementation);
+        emit Upgraded(_newImplementation);
+    }
+
+    function _fallback() internal {
+        require(msg.sender != _admin(), "UP: ADMIN_FALLBACK");
+        _delegate(_implementation());
+    }
+
+    function _delegate(address _impl) internal {
+        assembly {
+            // Copy msg.data; this takes full control of memory, as control is never returned to Solidity
+            calldatacopy(0, 0, calldatasize())
+
+            // Call the Implementation; "out" and "outsize" are 0 as the size is not known yet
+            let result := delegatecall(gas(), _impl, 0, calldatasize(), 0, 0)
+
+            // Copy the returned data
+            returndatacopy(0, 0, returndatasize())
+
+            switch result
+            // delegatecall returns 0 on error
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+}
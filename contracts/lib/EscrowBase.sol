@@ -99,6 +99,10 @@ abstract contract EscrowBase is Initializable, OwnableUpgradeSafe, IEscrow, Comm
         return address(interestToken);
     }
 
+    function getEscrowManager() external view returns (address) {
+        return address(escrowMgr);
+    }
+
 
     /***********************************|
     |          Only Admin/DAO           |
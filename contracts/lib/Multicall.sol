@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+
+// Multicall.sol -- Charged Particles
+//
+// Aggregates many calls into a single "eth_call", so the reads of a Particle Portfolio (js-utils/portfolio.js)
+//   are made in a few requests, all from the same block.
+//
+// Similar to the Multicall of MakerDAO (https://github.com/makerdao/multicall), but a failed call does not
+//   revert the whole batch; its revert data is returned instead. "aggregate" is not a view function, so that
+//   non-view reads (ex: "currentParticleCharge") can be batched too; it is meant to be called with "callStatic".
+
+pragma solidity 0.6.10;
+pragma experimental ABIEncoderV2;
+
+contract Multicall {
+
+    struct Call {
+        address target;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    /**
+     * @notice Makes a list of calls
+     * @param _calls  The Calls to make, in order
+     * @return blockNumber  The Block Number the calls were made in
+     * @return results      The Result of each Call; the return data of a failed Call is its revert data
+     */
+    function aggregate(Call[] memory _calls) public returns (uint256 blockNumber, Result[] memory results) {
+        blockNumber = block.number;
+        results = new Result[](_calls.length);
+        for (uint256 i = 0; i < _calls.length; i++) {
+            (bool success, bytes memory returnData) = _calls[i].target.call(_calls[i].callData);
+            results[i] = Result(success, returnData);
+        }
+    }
+
+    function getBlockNumber() public view returns (uint256) {
+        return block.number;
+    }
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+
+// ChaiNucleusMock.sol -- Charged Particles
+//
+// ChaiNucleus connected to the local stand-ins for the MakerDAO contracts (see MockDsr.sol);
+//   deployed as "ChaiNucleus" on BuidlerEVM only.
+
+pragma solidity 0.6.10;
+
+import "../assets/chai/ChaiNucleus.sol";
+
+contract ChaiNucleusMock is ChaiNucleus {
+    /**
+     * @dev Initialize with custom MakerDAO contracts; can only be called once
+     */
+    function initCustom(address _vat, address _pot, address _daiJoin, address _daiToken) public {
+        require(address(vat) == address(0x0), "pchai/already-initialized");
+
+        vat = VatLike(_vat);
+        pot = PotLike(_pot);
+        daiJoin = JoinLike(_daiJoin);
+        daiToken = GemLike(_daiToken);
+
+        initialize();
+    }
+}
@@ -0,0 +1,145 @@
+// SPDX-License-Identifier: MIT
+
+// MockDsr.sol -- Charged Particles
+//
+// Local stand-ins for the MakerDAO Vat, Pot and DaiJoin contracts used by ChaiNucleus,
+// so that the Dai Savings Rate can be exercised on BuidlerEVM.
+//
+// Simplified from https://github.com/makerdao/dss (vat.sol, pot.sol, join.sol);
+//   no auth, no debt accounting, and "chi" can be set directly by the tests.
+
+pragma solidity 0.6.10;
+
+interface MockDaiLike {
+    function mint(address, uint) external;
+    function burn(address, uint) external;
+}
+
+contract MockDsrMath {
+    uint constant ONE = 10 ** 27;
+
+    function add(uint x, uint y) internal pure returns (uint z) {
+        require((z = x + y) >= x);
+    }
+    function sub(uint x, uint y) internal pure returns (uint z) {
+        require((z = x - y) <= x);
+    }
+    function mul(uint x, uint y) internal pure returns (uint z) {
+        require(y == 0 || (z = x * y) / y == x);
+    }
+    function rmul(uint x, uint y) internal pure returns (uint z) {
+        z = mul(x, y) / ONE;
+    }
+    function rpow(uint x, uint n) internal pure returns (uint z) {
+        z = (n % 2 != 0) ? x : ONE;
+        for (n /= 2; n != 0; n /= 2) {
+            x = rmul(x, x);
+            if (n % 2 != 0) { z = rmul(z, x); }
+        }
+    }
+}
+
+contract MockVat is MockDsrMath {
+    mapping (address => mapping (address => uint)) public can;
+    mapping (address => uint) public dai;  // [rad]
+    mapping (address => uint) public sin;  // [rad]
+    uint256 public debt;                   // [rad]
+    uint256 public vice;                   // [rad]
+
+    function hope(address usr) external { can[msg.sender][usr] = 1; }
+    function nope(address usr) external { can[msg.sender][usr] = 0; }
+
+    function move(address src, address dst, uint256 rad) external {
+        require(src == msg.sender || can[src][msg.sender] == 1, "Vat/not-allowed");
+        dai[src] = sub(dai[src], rad);
+        dai[dst] = add(dai[dst], rad);
+    }
+
+    // Creates Dai out of thin air (unbacked); used by the Pot to pay interest and by the Join for minted Dai
+    function suck(address u, address v, uint rad) external {
+        sin[u] = add(sin[u], rad);
+        dai[v] = add(dai[v], rad);
+        vice   = add(vice,   rad);
+        debt   = add(debt,   rad);
+    }
+}
+
+contract MockPot is MockDsrMath {
+    mapping (address => uint256) public pie;  // user Savings Dai
+
+    uint256 public Pie;  // total Savings Dai
+    uint256 public dsr;  // the Dai Savings Rate [ray, per second]
+    uint256 public chi;  // the Rate Accumulator [ray]
+    uint256 public rho;  // time of last drip
+
+    MockVat public vat;
+
+    constructor(address vat_) public {
+        vat = MockVat(vat_);
+        dsr = ONE;
+        chi = ONE;
+        rho = now;
+    }
+
+    // Accrues at the previous rate before changing it (the real Pot requires a drip in the same block)
+    function file(bytes32 what, uint256 data) external {
+        _drip();
+        if (what == "dsr") dsr = data;
+        else revert("Pot/file-unrecognized-param");
+    }
+
+    // Sets the Rate Accumulator directly; only increases are backed with Dai
+    function setChi(uint256 chi_) external {
+        if (chi_ > chi) {
+            vat.suck(address(0x0), address(this), mul(Pie, chi_ - chi));
+        }
+        chi = chi_;
+        rho = now;
+    }
+
+    function drip() external returns (uint tmp) {
+        tmp = _drip();
+    }
+
+    function _drip() internal returns (uint tmp) {
+        require(now >= rho, "Pot/invalid-now");
+        tmp = rmul(rpow(dsr, now - rho), chi);
+        uint chi_ = sub(tmp, chi);
+        chi = tmp;
+        rho = now;
+        vat.suck(address(0x0), address(this), mul(Pie, chi_));
+    }
+
+    function join(uint wad) external {
+        require(now == rho, "Pot/rho-not-updated");
+        pie[msg.sender] = add(pie[msg.sender], wad);
+        Pie             = add(Pie,             wad);
+        vat.move(msg.sender, address(this), mul(chi, wad));
+    }
+
+    function exit(uint wad) external {
+        pie[msg.sender] = sub(pie[msg.sender], wad);
+        Pie             = sub(Pie,             wad);
+        vat.move(address(this), msg.sender, mul(chi, wad));
+    }
+}
+
+contract MockDaiJoin is MockDsrMath {
+    MockVat public vat;
+    MockDaiLike public dai;
+
+    constructor(address vat_, address dai_) public {
+        vat = MockVat(vat_);
+        dai = MockDaiLike(dai_);
+    }
+
+    function join(address usr, uint wad) external {
+        vat.suck(address(0x0), usr, mul(ONE, wad));
+        dai.burn(msg.sender, wad);
+    }
+
+    function exit(address usr, uint wad) external {
+        vat.move(msg.sender, address(this), mul(ONE, wad));
+        dai.mint(usr, wad);
+    }
+}
@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: MIT
+
+// MockTrustedForwarder.sol -- Charged Particles
+//
+// Local Trusted Forwarder for BuidlerEVM, so that meta-transactions can be relayed in tests.
+//
+// Follows the GSN v0.9 TrustedForwarder (https://github.com/opengsn/gsn, TrustedForwarder.sol + EIP712Sig.sol);
+//   same EIP712 Relay Request & domain, so requests signed for it are valid for the GSN forwarder too.
+//   The relayed call receives the verified sender as the last 20 bytes of its calldata (see BaseRelayRecipient).
+
+pragma solidity 0.6.10;
+pragma experimental ABIEncoderV2;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/cryptography/ECDSA.sol";
+import "@opengsn/gsn/contracts/interfaces/ITrustedForwarder.sol";
+import "@opengsn/gsn/contracts/utils/GSNTypes.sol";
+
+contract MockTrustedForwarder is ITrustedForwarder {
+    using ECDSA for bytes32;
+
+    bytes32 public constant EIP712DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,address verifyingContract)"
+    );
+
+    // solhint-disable-next-line max-line-length
+    bytes32 public constant RELAY_REQUEST_TYPEHASH = keccak256("RelayRequest(address target,bytes encodedFunction,GasData gasData,RelayData relayData)GasData(uint256 gasLimit,uint256 gasPrice,uint256 pctRelayFee,uint256 baseRelayFee)RelayData(address senderAddress,uint256 senderNonce,address relayWorker,address paymaster)");
+
+    // solhint-disable-next-line max-line-length
+    bytes32 public constant GASDATA_TYPEHASH = keccak256("GasData(uint256 gasLimit,uint256 gasPrice,uint256 pctRelayFee,uint256 baseRelayFee)");
+
+    // solhint-disable-next-line max-line-length
+    bytes32 public constant RELAYDATA_TYPEHASH = keccak256("RelayData(address senderAddress,uint256 senderNonce,address relayWorker,address paymaster)");
+
+    // solhint-disable-next-line var-name-mixedcase
+    bytes32 public DOMAIN_SEPARATOR;
+
+    // Nonces of senders, used to prevent replay attacks
+    mapping(address => uint256) private nonces;
+
+    constructor() public {
+        DOMAIN_SEPARATOR = keccak256(abi.encode(
+            EIP712DOMAIN_TYPEHASH,
+            keccak256(bytes("GSN Relayed Transaction")),
+            keccak256(bytes("1")),
+            address(this)
+        ));
+    }
+
+    function getNonce(address from) external override view returns (uint256) {
+        return nonces[from];
+    }
+
+    /**
+     * @dev The EIP712 digest signed by the sender of a Relay Request
+     */
+    function getDigest(GSNTypes.RelayRequest memory req) public view returns (bytes32) {
+        return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, _hash(req)));
+    }
+
+    function verify(GSNTypes.RelayRequest memory req, bytes memory sig) public override view {
+        _verify(req, sig);
+    }
+
+    function verifyAndCall(GSNTypes.RelayRequest memory req, bytes memory sig)
+        public
+        override
+        returns (bool success, bytes memory ret)
+    {
+        _verify(req, sig);
+        nonces[req.relayData.senderAddress]++;
+
+        // solhint-disable-next-line avoid-low-level-calls
+        return req.target.call{gas: req.gasData.gasLimit}(abi.encodePacked(req.encodedFunction, req.relayData.senderAddress));
+    }
+
+    function _verify(GSNTypes.RelayRequest memory req, bytes memory sig) internal view {
+        require(nonces[req.relayData.senderAddress] == req.relayData.senderNonce, "nonce mismatch");
+        require(getDigest(req).recover(sig) == req.relayData.senderAddress, "signature mismatch");
+    }
+
+    function _hash(GSNTypes.RelayRequest memory req) internal pure returns (bytes32) {
+        return keccak256(abi.encode(
+            RELAY_REQUEST_TYPEHASH,
+            req.target,
+            keccak256(req.encodedFunction),
+            keccak256(abi.encode(
+                GASDATA_TYPEHASH,
+                req.gasData.gasLimit,
+                req.gasData.gasPrice,
+                req.gasData.pctRelayFee,
+                req.gasData.baseRelayFee
+            )),
+            keccak256(abi.encode(
+                RELAYDATA_TYPEHASH,
+                req.relayData.senderAddress,
+                req.relayData.senderNonce,
+                req.relayData.relayWorker,
+                req.relayData.paymaster
+            ))
+        ));
+    }
+}
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+
+// SampleERC721.sol -- Charged Particles
+//
+// An external ERC721 contract implementing IParticleManager, for the tests of the onboarding of external contracts
+// (tasks "cp:contract:*").
+
+pragma solidity 0.6.10;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC721/ERC721.sol";
+
+contract SampleERC721 is ERC721UpgradeSafe {
+    // IParticleManager; the Contract Owner can register the Custom Settings of the Tokens with the Escrow Manager
+    address public contractOwner;
+
+    constructor(string memory _name, string memory _symbol) public {
+        __ERC721_init(_name, _symbol);
+        contractOwner = msg.sender;
+    }
+
+    // Anyone can mint a Sample Token
+    function mint(address _to, uint256 _tokenId) external {
+        _mint(_to, _tokenId);
+    }
+}
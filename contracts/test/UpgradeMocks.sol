@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+
+// UpgradeMocks.sol -- Charged Particles
+//
+// New Implementations of the Escrow Manager for the tests of the "upgrade" task.
+
+pragma solidity 0.6.10;
+
+import "../ChargedParticlesEscrowManager.sol";
+
+/**
+ * @notice Compatible upgrade; appends a variable to the storage
+ */
+contract ChargedParticlesEscrowManagerV2Mock is ChargedParticlesEscrowManager {
+    uint256 public upgradeCounter;
+
+    function incrementUpgradeCounter() external {
+        upgradeCounter = upgradeCounter + 1;
+    }
+}
+
+contract StorageShiftMock {
+    uint256 internal shiftedValue;
+}
+
+/**
+ * @notice Incompatible upgrade; the base contract shifts all variables of the Escrow Manager by one slot
+ */
+contract ChargedParticlesEscrowManagerShiftedMock is StorageShiftMock, ChargedParticlesEscrowManager {
+}
@@ -0,0 +1,34 @@
+
+const {
+    contractDeployer,
+    proxyDeployer,
+    isLocalChain,
+    presets,
+} = require('../js-utils/deploy-helpers')
+
+// Deploys the (upgradeable) Escrow and the Nucleus of every Asset Pair in the presets (and the mock contracts on BuidlerEVM)
+module.exports = async (bre) => {
+    const { deployments } = bre
+    const { chainId } = await bre.ethers.provider.getNetwork()
+
+    for (let i = 0; i < presets.assetPairs.length; i++) {
+        const { escrow, nucleus, assetToken, nucleusInit } = presets.assetPairs[i]
+        let nucleusContract = nucleus
+        if (isLocalChain(chainId)) {
+            if (!assetToken.addresses[chainId] && assetToken.mock) {
+                await contractDeployer(assetToken.mock)(bre)
+            }
+            if (!nucleusInit.methods[chainId] && nucleusInit.mock) {
+                const mocks = nucleusInit.mock.contracts
+                for (let j = 0; j < mocks.length; j++) {
+                    const args = await Promise.all(mocks[j].args.map(async (name) => (await deployments.get(name)).address))
+                    await contractDeployer(mocks[j].name, args)(bre)
+                }
+                nucleusContract = nucleusInit.mock.nucleus
+            }
+        }
+        await proxyDeployer(escrow)(bre)
+        await contractDeployer(nucleusContract, [], nucleus)(bre)
+    }
+}
+module.exports.tags = ['AssetPairs'].concat(...presets.assetPairs.map(({ escrow, nucleus }) => [escrow, nucleus]));
@@ -1,6 +0,0 @@
-
-const { contractDeployer } = require('../js-utils/deploy-helpers')
-const contractName = 'ChaiNucleus';
-
-module.exports = contractDeployer(contractName);
-module.exports.tags = [contractName];
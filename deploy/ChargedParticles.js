@@ -1,6 +1,6 @@
 
-const { contractDeployer } = require('../js-utils/deploy-helpers')
+const { proxyDeployer } = require('../js-utils/deploy-helpers')
 const contractName = 'ChargedParticles';
 
-module.exports = contractDeployer(contractName);
+module.exports = proxyDeployer(contractName);
 module.exports.tags = [contractName];
@@ -1,6 +1,6 @@
-
 const { contractDeployer } = require('../js-utils/deploy-helpers')
-const contractName = 'ChaiEscrow';
+const contractName = 'Multicall';
 
+// Batches the reads of Particle Portfolios (js-utils/portfolio.js)
 module.exports = contractDeployer(contractName);
 module.exports.tags = [contractName];
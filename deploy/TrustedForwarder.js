@@ -0,0 +1,17 @@
+const {
+    contractDeployer,
+    isLocalChain,
+    presets,
+} = require('../js-utils/deploy-helpers')
+
+// Deploys a local Trusted Forwarder for meta-transactions on BuidlerEVM (public networks use the GSN forwarder)
+module.exports = async (bre) => {
+    const { chainId } = await bre.ethers.provider.getNetwork()
+    const { trustedForwarder } = await bre.getNamedAccounts()
+    const { mock } = presets.ChargedParticles.trustedForwarder
+
+    if (isLocalChain(chainId) && !trustedForwarder && mock) {
+        await contractDeployer(mock)(bre)
+    }
+}
+module.exports.tags = ['TrustedForwarder'];
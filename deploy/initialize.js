@@ -1,100 +1,250 @@
 // using plugin: buidler-deploy
 // reference: https://buidler.dev/plugins/buidler-deploy.html
+//
+// Initialization is idempotent: each step checks the on-chain state first and only sends the
+// transactions still needed, so an interrupted run can be resumed by running it again.
+//
+// Environment options:
+//   DRY_RUN=true      Print the plan (current => expected) without sending any transactions
+//   CONFIRMATIONS=n   Confirmations to wait for on each transaction (default: 1 on BuidlerEVM and forks, 2 otherwise)
+
+const { constants } = require('ethers')
 
 const {
     contractManager,
     chainName,
+    isLocalChain,
     presets,
-    toWei,
+    resolveAssetToken,
+    resolveTrustedForwarder,
+    toStr,
 } = require('../js-utils/deploy-helpers')
 
+const { runSteps } = require('../js-utils/deploy-steps')
+
+const _isInitialized = async (contract) => toStr(await contract.version()) !== ''
+
+// Addresses of the contracts a Nucleus is connected to, by getter
+const _readConnections = async (Nucleus, getters) => {
+    const connections = {}
+    for (let i = 0; i < getters.length; i++) {
+        connections[getters[i]] = await Nucleus[getters[i]]()
+    }
+    return connections
+}
+
 module.exports = async (bre) => {
     const { ethers, getNamedAccounts, deployments } = bre
     const { log } = deployments
     const network = await ethers.provider.getNetwork()
     const _getDeployedContract = contractManager(bre)
 
+    const dryRun = (process.env.DRY_RUN === 'true')
+    const confirmations = parseInt(process.env.CONFIRMATIONS || ((isLocalChain(network.chainId) || !bre.network.live) ? '1' : '2'), 10)
+
     // Named accounts, defined in buidler.config.js:
-    const { deployer, trustedForwarder, dai } = await getNamedAccounts()
+    const { deployer } = await getNamedAccounts()
+    const trustedForwarder = await resolveTrustedForwarder(bre)
   
     log("\n~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~");
     log("Charged Particles - Contract Initialization");
     log("~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~\n");
   
-    // const signers = await ethers.getSigners()
-    // log({signers})
-  
     log("  Using Network: ", chainName(network.chainId))
     log("  Using Accounts:")
     log("  - Deployer:  ", deployer)
+    log("  Using Trusted Forwarder: ", trustedForwarder)
     log(" ")
   
-    const ChaiEscrow                    = await _getDeployedContract('ChaiEscrow')
-    const ChaiNucleus                   = await _getDeployedContract('ChaiNucleus')
     const ChargedParticles              = await _getDeployedContract('ChargedParticles')
     const ChargedParticlesEscrowManager = await _getDeployedContract('ChargedParticlesEscrowManager')
     const ChargedParticlesTokenManager  = await _getDeployedContract('ChargedParticlesTokenManager')
-  
-    let Dai = {address: dai}
-    if (dai === deployer) {
-        Dai = await _getDeployedContract('Dai')
-    } else {
-        log("\n  Using Dai at: ", dai)
+
+    const assetPairs = []
+    for (let i = 0; i < presets.assetPairs.length; i++) {
+        const assetPair = presets.assetPairs[i]
+        assetPairs.push({
+            ...assetPair,
+            Escrow: await _getDeployedContract(assetPair.escrow),
+            Nucleus: await _getDeployedContract(assetPair.nucleus),
+            assetTokenAddress: await resolveAssetToken(bre, assetPair),
+        })
+        log(`  Asset Pair "${assetPair.id}" using Asset Token at: `, assetPairs[i].assetTokenAddress)
     }
 
-    log("\n  Initializing ChaiNucleus...")
-    if (network.chainId === 1) {
-        await ChaiNucleus.initMainnet()
-    } else if (network.chainId === 3) {
-        await ChaiNucleus.initRopsten()
-    } else if (network.chainId === 42) {
-        await ChaiNucleus.initKovan()
+    const steps = []
+
+    for (let i = 0; i < assetPairs.length; i++) {
+        const { escrow, nucleus, nucleusInit, Escrow, Nucleus } = assetPairs[i]
+        const getters = Object.keys(nucleusInit.connections)
+        let initMethod = nucleusInit.methods[network.chainId]
+        let initArgs = []
+        const connections = {}
+        getters.forEach(getter => { connections[getter] = nucleusInit.connections[getter][network.chainId] })
+        if (!initMethod && isLocalChain(network.chainId) && nucleusInit.mock) {
+            initMethod = nucleusInit.mock.method
+            initArgs = await Promise.all(nucleusInit.mock.args.map(async (name) => (await deployments.get(name)).address))
+            for (let j = 0; j < getters.length; j++) {
+                connections[getters[j]] = (await deployments.get(nucleusInit.mock.connections[getters[j]])).address
+            }
+        }
+        if (initMethod) {
+            steps.push({
+                name: `${nucleus}: ${initMethod}`,
+                read: () => _readConnections(Nucleus, getters),
+                expected: connections,
+                execute: async () => {
+                    // Can only be initialized once; connected elsewhere means the wrong Nucleus for this chain
+                    const current = await _readConnections(Nucleus, getters)
+                    if (getters.some(getter => current[getter] !== constants.AddressZero)) {
+                        throw new Error(`${nucleus} at ${Nucleus.address} is connected to other contracts than expected on ${chainName(network.chainId)}: ${JSON.stringify(current)} (expected: ${JSON.stringify(connections)}); deploy a new ${nucleus}`)
+                    }
+                    return Nucleus[initMethod](...initArgs)
+                },
+            })
+        }
+        steps.push({
+            name: `${escrow}: initialize`,
+            read: async () => (await Escrow.owner()) !== constants.AddressZero,
+            expected: true,
+            execute: () => Escrow.initialize(),
+        })
     }
 
-    log("\n  Initializing ChaiEscrow...")
-    await ChaiEscrow.initialize()
-    log("  Initializing ChargedParticlesEscrowManager...")
-    await ChargedParticlesEscrowManager.initialize()
-    log("  Initializing ChargedParticlesTokenManager...")
-    await ChargedParticlesTokenManager.initialize()
-    log("  Initializing ChargedParticles...")
-    await ChargedParticles.initialize()
-  
-    log("\n  Preparing ChaiEscrow...")
-    await ChaiEscrow.setEscrowManager(ChargedParticlesEscrowManager.address)
-    await ChaiEscrow.registerAssetPair(Dai.address, ChaiNucleus.address)
-    await ChaiEscrow.setPausedState(false)
-  
-    log("  Preparing ChargedParticlesEscrowManager...")
-    await ChargedParticlesEscrowManager.setDepositFee(presets.EscrowManager.fees.deposit)
-    await ChargedParticlesEscrowManager.registerAssetPair("chai", ChaiEscrow.address)
-  
-    log("  Preparing ChargedParticlesTokenManager...")
-    await ChargedParticlesTokenManager.registerContractType(ChargedParticles.address, true)
+    steps.push(
+        {
+            name: 'ChargedParticlesEscrowManager: initialize',
+            read: () => _isInitialized(ChargedParticlesEscrowManager),
+            expected: true,
+            execute: () => ChargedParticlesEscrowManager.initialize(),
+        },
+        {
+            name: 'ChargedParticlesTokenManager: initialize',
+            read: () => _isInitialized(ChargedParticlesTokenManager),
+            expected: true,
+            execute: () => ChargedParticlesTokenManager.initialize(),
+        },
+        {
+            name: 'ChargedParticles: initialize',
+            read: () => _isInitialized(ChargedParticles),
+            expected: true,
+            execute: () => ChargedParticles.initialize(),
+        },
+    )
+
+    // Prepare the Escrows
+    assetPairs.forEach(({ escrow, Escrow, Nucleus, assetTokenAddress }) => {
+        steps.push(
+            {
+                name: `${escrow}: set Escrow Manager`,
+                read: () => Escrow.getEscrowManager(),
+                expected: ChargedParticlesEscrowManager.address,
+                execute: () => Escrow.setEscrowManager(ChargedParticlesEscrowManager.address),
+            },
+            {
+                name: `${escrow}: register Asset Pair`,
+                read: async () => [await Escrow.getAssetTokenAddress(), await Escrow.getInterestTokenAddress()],
+                expected: [assetTokenAddress, Nucleus.address],
+                execute: () => Escrow.registerAssetPair(assetTokenAddress, Nucleus.address),
+            },
+            {
+                name: `${escrow}: unpause`,
+                read: () => Escrow.isPaused(),
+                expected: false,
+                execute: () => Escrow.setPausedState(false),
+            },
+        )
+    })
 
-    log("  Preparing ChargedParticles...")
-    await ChargedParticles.setTrustedForwarder(trustedForwarder)
-    await ChargedParticles.registerTokenManager(ChargedParticlesTokenManager.address)
-    await ChargedParticles.registerEscrowManager(ChargedParticlesEscrowManager.address)
-    await ChargedParticles.setupFees(presets.ChargedParticles.fees.eth, presets.ChargedParticles.fees.ion)
+    steps.push(
+        // Prepare ChargedParticlesEscrowManager
+        {
+            name: 'ChargedParticlesEscrowManager: set Deposit Fee',
+            read: async () => (await ChargedParticlesEscrowManager.depositFee()).toString(),
+            expected: String(presets.EscrowManager.fees.deposit),
+            execute: () => ChargedParticlesEscrowManager.setDepositFee(presets.EscrowManager.fees.deposit),
+        },
+        ...assetPairs.map(({ id, Escrow }) => ({
+            name: `ChargedParticlesEscrowManager: register Asset Pair "${id}"`,
+            read: async () => {
+                if (!await ChargedParticlesEscrowManager.isAssetPairEnabled(id)) { return constants.AddressZero }
+                return ChargedParticlesEscrowManager.getAssetTokenEscrow(id)
+            },
+            expected: Escrow.address,
+            execute: () => ChargedParticlesEscrowManager.registerAssetPair(id, Escrow.address),
+        })),
 
-    log("  Register ChargedParticles with Escrow...")
-    await ChargedParticlesEscrowManager.registerContractType(ChargedParticles.address)
+        // Prepare ChargedParticlesTokenManager
+        {
+            name: 'ChargedParticlesTokenManager: register ChargedParticles',
+            read: () => ChargedParticlesTokenManager.isFusedParticle(ChargedParticles.address),
+            expected: true,
+            execute: () => ChargedParticlesTokenManager.registerContractType(ChargedParticles.address, true),
+        },
 
-    log("\n  Enabling Contracts...")
-    await ChargedParticles.setPausedState(false)
+        // Prepare ChargedParticles
+        {
+            name: 'ChargedParticles: set Trusted Forwarder',
+            read: () => ChargedParticles.getTrustedForwarder(),
+            expected: trustedForwarder,
+            execute: () => ChargedParticles.setTrustedForwarder(trustedForwarder),
+        },
+        {
+            name: 'ChargedParticles: register Token Manager',
+            read: () => ChargedParticles.tokenMgr(),
+            expected: ChargedParticlesTokenManager.address,
+            execute: () => ChargedParticles.registerTokenManager(ChargedParticlesTokenManager.address),
+        },
+        {
+            name: 'ChargedParticles: register Escrow Manager',
+            read: () => ChargedParticles.escrowMgr(),
+            expected: ChargedParticlesEscrowManager.address,
+            execute: () => ChargedParticles.registerEscrowManager(ChargedParticlesEscrowManager.address),
+        },
+        {
+            name: 'ChargedParticles: setup Fees',
+            read: async () => {
+                const { _eth, _ion } = await ChargedParticles.getCreationPrice(false)
+                return { eth: _eth.toString(), ion: _ion.toString() }
+            },
+            expected: { eth: presets.ChargedParticles.fees.eth.toString(), ion: presets.ChargedParticles.fees.ion.toString() },
+            execute: () => ChargedParticles.setupFees(presets.ChargedParticles.fees.eth, presets.ChargedParticles.fees.ion),
+        },
+
+        // Register ChargedParticles with Escrow
+        {
+            name: 'ChargedParticlesEscrowManager: register ChargedParticles',
+            read: () => ChargedParticlesEscrowManager.isContractRegistered(ChargedParticles.address),
+            expected: true,
+            execute: () => ChargedParticlesEscrowManager.registerContractType(ChargedParticles.address),
+        },
+
+        // Enable Contracts
+        {
+            name: 'ChargedParticles: unpause',
+            read: () => ChargedParticles.isPaused(),
+            expected: false,
+            execute: () => ChargedParticles.setPausedState(false),
+        },
+    )
+
+    log(`\n  ${dryRun ? 'Planning' : 'Applying'} Initialization Steps...`)
+    const { executed } = await runSteps(steps, { dryRun, confirmations, log })
+    if (!dryRun) {
+        log(`  ${executed.length} steps executed`)
+    }
 
-    // log("\n  Minting ION Tokens...")
-    // const ionToken = presets.ChargedParticles.ionToken
-    // await ChargedParticles.mintIons(ionToken.URI, ionToken.maxSupply, ionToken.mintFee)
+    // The IONs are minted by the Owner; on local chains, "yarn seed" mints them along with sample Types & Tokens (see tasks/seed.js)
 
     // Display Contract Addresses
     log("\n  Contract Deployments Complete!\n\n  Contracts:")
-    log("  - ChaiEscrow:                    ", ChaiEscrow.address)
-    log("  - ChaiNucleus:                   ", ChaiNucleus.address)
     log("  - ChargedParticles:              ", ChargedParticles.address)
     log("  - ChargedParticlesEscrowManager: ", ChargedParticlesEscrowManager.address)
     log("  - ChargedParticlesTokenManager:  ", ChargedParticlesTokenManager.address)
+    assetPairs.forEach(({ escrow, nucleus, Escrow, Nucleus }) => {
+        log(`  - ${escrow}:`.padEnd(36), Escrow.address)
+        log(`  - ${nucleus}:`.padEnd(36), Nucleus.address)
+    })
   
     log("\n~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~\n")
 }
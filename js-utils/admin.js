@@ -0,0 +1,243 @@
+// Owner/DAO/Maintainer actions on the Charged Particles contracts, used by the "cp:*" admin tasks (tasks/admin.js)
+
+const { ethers } = require('ethers')
+
+const { readDeploymentSettings } = require('./deployment-manifest')
+const { getProxyAdmin } = require('./upgrades')
+
+// Deposit Fees are in basis points (1/10000ths; 50 = 0.5%)
+const MAX_BASIS_POINTS = 10000
+
+// Roles required by the admin functions:
+//   owner          - "onlyOwner" (ChargedParticles, ChargedParticlesTokenManager, Escrows)
+//   dao            - "onlyDao", ROLE_DAO_GOV (ChargedParticlesEscrowManager)
+//   maintainer     - "onlyMaintainer", ROLE_MAINTAINER (ChargedParticlesEscrowManager)
+//   proxyAdmin     - "ifAdmin", the Admin of the proxy (upgradeable contracts)
+//   contractOwner  - "contractOwner()" of an external token contract (Custom Settings of the Escrow Manager)
+const ROLES = {
+    owner: 'Owner',
+    dao: 'DAO (ROLE_DAO_GOV)',
+    maintainer: 'Maintainer (ROLE_MAINTAINER)',
+    proxyAdmin: 'Proxy Admin',
+    contractOwner: 'Contract Owner',
+}
+
+/**
+ * Parses an amount of ETH (or IONs, also 18 decimals) given in ether units (ex: "0.001")
+ *
+ * @param value  The amount as a string
+ * @param name   The name of the argument (for error messages)
+ * @return  The amount in wei
+ */
+const parseEtherAmount = (value, name = 'amount') => {
+    let amount
+    try {
+        amount = ethers.utils.parseEther(String(value).trim())
+    } catch (err) {
+        throw new Error(`Invalid ether amount for "${name}": ${value}`)
+    }
+    if (amount.isNegative()) {
+        throw new Error(`Invalid ether amount for "${name}": ${value} (must not be negative)`)
+    }
+    return amount
+}
+
+/**
+ * Parses a fee in basis points, given as basis points ("50") or as a percentage ("0.5%")
+ *
+ * @param value  The fee as a string
+ * @param name   The name of the argument (for error messages)
+ * @return  The fee in basis points (0 - 10000)
+ */
+const parseBasisPoints = (value, name = 'fee') => {
+    const str = String(value).trim()
+    const isPercentage = str.endsWith('%')
+    const number = Number(isPercentage ? str.slice(0, -1) : str)
+    const basisPoints = isPercentage ? Math.round(number * 100 * 1e6) / 1e6 : number
+
+    if (str === '' || !Number.isInteger(basisPoints) || basisPoints < 0 || basisPoints > MAX_BASIS_POINTS) {
+        throw new Error(`Invalid basis points for "${name}": ${value} (expected 0 - ${MAX_BASIS_POINTS}, or a percentage like "0.5%")`)
+    }
+    return basisPoints
+}
+
+/**
+ * Parses an address, rejecting the zero-address
+ *
+ * @param value  The address as a string
+ * @param name   The name of the argument (for error messages)
+ * @return  The checksummed address
+ */
+const parseAddress = (value, name = 'address') => {
+    let address
+    try {
+        address = ethers.utils.getAddress(String(value).trim())
+    } catch (err) {
+        throw new Error(`Invalid address for "${name}": ${value}`)
+    }
+    if (address === ethers.constants.AddressZero) {
+        throw new Error(`Invalid address for "${name}": the zero-address is not allowed`)
+    }
+    return address
+}
+
+/**
+ * Checks if an account holds a role on a contract
+ *
+ * @param contract  The Ethers Contract
+ * @param role      One of the keys of ROLES
+ * @param account   The address of the account
+ * @param target    The external token contract ("contractOwner" only; checked by the Escrow Manager)
+ */
+const hasRole = async (contract, role, account, target) => {
+    switch (role) {
+        case 'owner':
+            return (await contract.owner()).toLowerCase() === account.toLowerCase()
+        case 'dao':
+            return contract.hasRole(await contract.ROLE_DAO_GOV(), account)
+        case 'maintainer':
+            return contract.hasRole(await contract.ROLE_MAINTAINER(), account)
+        case 'proxyAdmin':
+            return (await getProxyAdmin(contract.provider, contract.address)).toLowerCase() === account.toLowerCase()
+        case 'contractOwner':
+            return contract.isContractOwner(account, target)
+        default:
+            throw new Error(`Unknown role "${role}"`)
+    }
+}
+
+/**
+ * Throws if the account does not hold the role required on the contract
+ */
+const checkRole = async ({ contract, contractName, role, account, target }) => {
+    if (!await hasRole(contract, role, account, target)) {
+        throw new Error(`${account} is not the ${ROLES[role]} of ${role === 'contractOwner' ? target : contractName}`)
+    }
+}
+
+const _formatArg = (arg) => {
+    if (ethers.BigNumber.isBigNumber(arg)) { return arg.toString() }
+    return JSON.stringify(arg)
+}
+
+/**
+ * Sends an admin transaction from the Signer of the contract, after checking its role
+ *   The call is always simulated first; in a dry-run nothing is sent.
+ *
+ * @param contract       The Ethers Contract (with the Signer)
+ * @param contractName   The name of the contract
+ * @param method         The method to call
+ * @param args           The arguments of the call
+ * @param role           The role required to call the method (a key of ROLES)
+ * @param target         The external token contract of the "contractOwner" role
+ * @param dryRun         Only check and simulate the call
+ * @param confirmations  Number of confirmations to wait for
+ * @param log            Logging function
+ * @return  The description of the call, and its receipt when sent
+ */
+const sendAdminTx = async ({ contract, contractName, method, args = [], role, target, dryRun = false, confirmations = 1, log = console.log }) => {
+    const account = await contract.signer.getAddress()
+    const call = `${contractName}.${method}(${args.map(_formatArg).join(', ')})`
+
+    await checkRole({ contract, contractName, role, account, target })
+    await contract.callStatic[method](...args)
+
+    if (dryRun) {
+        log(`  ~ ${call} (dry-run, not sent)`)
+        return { call }
+    }
+
+    log(`  → ${call}`)
+    const tx = await contract[method](...args)
+    const receipt = await tx.wait(confirmations)
+    log(`    mined in block ${receipt.blockNumber} (tx ${receipt.transactionHash})`)
+    return { call, receipt }
+}
+
+/**
+ * Reads the admin state of the Charged Particles contracts, and the roles held by an account
+ *
+ * @param contracts  Map of Ethers Contracts by name (ChargedParticles, ChargedParticlesEscrowManager, ChargedParticlesTokenManager)
+ * @param account    The account to list the roles of
+ */
+const readStatus = async ({ contracts, account }) => {
+    const {
+        ChargedParticles,
+        ChargedParticlesEscrowManager,
+        ChargedParticlesTokenManager,
+    } = contracts
+
+    const settings = await readDeploymentSettings({ contracts })
+    const roles = {
+        ChargedParticles: { owner: await hasRole(ChargedParticles, 'owner', account) },
+        ChargedParticlesEscrowManager: {
+            dao: await hasRole(ChargedParticlesEscrowManager, 'dao', account),
+            maintainer: await hasRole(ChargedParticlesEscrowManager, 'maintainer', account),
+        },
+        ChargedParticlesTokenManager: { owner: await hasRole(ChargedParticlesTokenManager, 'owner', account) },
+    }
+
+    return {
+        account,
+        roles,
+        settings,
+        ethBalance: (await ChargedParticles.provider.getBalance(ChargedParticles.address)).toString(),
+    }
+}
+
+/**
+ * Formats the result of "readStatus" as readable lines
+ */
+const formatStatus = ({ account, roles, settings, ethBalance }) => {
+    const { ChargedParticles: cp, ChargedParticlesEscrowManager: em, ChargedParticlesTokenManager: tm } = settings
+    const toEth = (wei) => ethers.utils.formatEther(wei)
+    const yesNo = (value) => (value ? 'yes' : 'no')
+    const heldRoles = []
+    Object.keys(roles).forEach((contractName) => {
+        Object.keys(roles[contractName]).forEach((role) => {
+            if (roles[contractName][role]) { heldRoles.push(`${ROLES[role]} of ${contractName}`) }
+        })
+    })
+
+    const lines = [
+        'ChargedParticles',
+        `  Owner:                 ${cp.owner}`,
+        `  Paused:                ${yesNo(cp.isPaused)}`,
+        `  Creation Fees:         ${toEth(cp.creationFees.eth)} ETH or ${toEth(cp.creationFees.ion)} ION (x2 for Particles)`,
+        `  Trusted Forwarder:     ${cp.trustedForwarder}`,
+        `  Token Manager:         ${cp.tokenManager}`,
+        `  Escrow Manager:        ${cp.escrowManager}`,
+        `  ETH Balance:           ${toEth(ethBalance)} ETH (contract + creator fees)`,
+        'ChargedParticlesEscrowManager',
+        `  Deposit Fee:           ${em.depositFee} bps (${Number(em.depositFee) / 100}%)`,
+        '  Asset Pairs:',
+    ]
+    Object.keys(em.assetPairs).forEach((assetPairId) => {
+        const assetPair = em.assetPairs[assetPairId]
+        lines.push(assetPair.enabled
+            ? `    ${assetPairId}: escrow ${assetPair.escrow}${assetPair.escrowPaused ? ' (paused)' : ''}, asset ${assetPair.assetToken}, interest ${assetPair.interestToken}`
+            : `    ${assetPairId}: disabled`)
+    })
+    lines.push(
+        `  Registered Contracts:  ${em.registeredContracts.join(', ') || 'none'}`,
+        'ChargedParticlesTokenManager',
+        `  Owner:                 ${tm.owner}`,
+        `  Fused Particles:       ${tm.fusedParticles.join(', ') || 'none'}`,
+        `Signer ${account}`,
+        `  Roles:                 ${heldRoles.join(', ') || 'none'}`,
+    )
+    return lines
+}
+
+module.exports = {
+    MAX_BASIS_POINTS,
+    ROLES,
+    parseEtherAmount,
+    parseBasisPoints,
+    parseAddress,
+    hasRole,
+    checkRole,
+    sendAdminTx,
+    readStatus,
+    formatStatus,
+}
@@ -0,0 +1,548 @@
+const fs = require('fs')
+const path = require('path')
+const { ethers } = require('ethers')
+
+const { parseAddress, parseEtherAmount } = require('./admin')
+const { erc20Abi, EMPTY_DATA } = require('./client')
+const { getRevertReason } = require('./errors')
+const { jsonFileStore } = require('./indexer')
+const { isFungible, isNonFungibleBaseType, isNonFungibleItem } = require('./token-ids')
+
+const PROGRESS_VERSION = 1
+
+const MANIFEST_COLUMNS = ['recipient', 'typeId', 'tokenId', 'amount', 'assetAmount', 'uri', 'data']
+
+const RESULT_COLUMNS = ['row', 'action', 'recipient', 'typeId', 'tokenId', 'amount', 'assetAmount', 'status', 'transactionHash', 'error']
+
+// Manifest action => ChargedParticles method
+const ACTIONS = {
+    mint: 'mintParticle',
+    plasma: 'mintPlasma',
+    energize: 'energizeParticle',
+}
+
+//
+// Manifest
+//
+
+// Splits CSV text into rows of cells; cells may be quoted ("a, b"), with quotes escaped as ""
+const _parseCsvLines = (text) => {
+    const rows = []
+    let row = []
+    let cell = ''
+    let quoted = false
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i]
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"'
+                i++
+            } else if (char === '"') {
+                quoted = false
+            } else {
+                cell += char
+            }
+        } else if (char === '"') {
+            quoted = true
+        } else if (char === ',') {
+            row.push(cell)
+            cell = ''
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') { i++ }
+            row.push(cell)
+            rows.push(row)
+            row = []
+            cell = ''
+        } else {
+            cell += char
+        }
+    }
+    if (cell !== '' || row.length) {
+        row.push(cell)
+        rows.push(row)
+    }
+    return rows.filter(cells => cells.some(value => value.trim() !== ''))
+}
+
+const _toCsv = (columns, rows) => {
+    const _quote = (value) => {
+        const str = (value === undefined || value === null) ? '' : String(value)
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+    }
+    return [columns.join(',')].concat(rows.map(row => columns.map(column => _quote(row[column])).join(','))).join('\n') + '\n'
+}
+
+const _isEmpty = (value) => (value === undefined || value === null || String(value).trim() === '')
+
+const _parseId = (value, name) => {
+    try {
+        const id = ethers.BigNumber.from(String(value).trim())
+        if (!id.isNegative()) { return id }
+    } catch (err) {
+        // Reported below
+    }
+    throw new Error(`Invalid "${name}": ${value}`)
+}
+
+/**
+ * Parses a row of a Bulk-Mint Manifest; the action follows from the IDs of the row:
+ *   - mint:      a Particle Type "typeId", with a "recipient", an "assetAmount" (ex: "100" Dai), and an optional "uri" & "data"
+ *   - plasma:    a Plasma Type "typeId", with a "recipient", an "amount" of tokens and an optional "data"
+ *   - energize:  an existing Particle "tokenId", with an "assetAmount"
+ *
+ * @param raw    The row ({column: value})
+ * @param index  The index of the row in the manifest
+ */
+const parseManifestRow = (raw, index) => {
+    const unknown = Object.keys(raw).filter(column => !MANIFEST_COLUMNS.includes(column))
+    if (unknown.length) {
+        throw new Error(`Unknown columns: ${unknown.join(', ')}`)
+    }
+    const given = MANIFEST_COLUMNS.filter(column => !_isEmpty(raw[column]))
+    const _expectColumns = (action, required, optional = []) => {
+        const missing = required.filter(column => !given.includes(column))
+        const extra = given.filter(column => !required.includes(column) && !optional.includes(column))
+        if (missing.length) { throw new Error(`Missing ${missing.map(c => `"${c}"`).join(', ')} to ${action}`) }
+        if (extra.length) { throw new Error(`Unexpected ${extra.map(c => `"${c}"`).join(', ')} to ${action}`) }
+    }
+    const row = { index, row: index + 1 }
+
+    if (given.includes('tokenId')) {
+        _expectColumns('energize a Particle', ['tokenId', 'assetAmount'])
+        row.action = 'energize'
+        row.tokenId = _parseId(raw.tokenId, 'tokenId')
+        if (!isNonFungibleItem(row.tokenId)) { throw new Error(`Invalid "tokenId": ${raw.tokenId} is not a Particle`) }
+    } else {
+        if (!given.includes('typeId')) { throw new Error('Missing "typeId" or "tokenId"') }
+        row.typeId = _parseId(raw.typeId, 'typeId')
+        if (isNonFungibleBaseType(row.typeId)) {
+            _expectColumns('mint a Particle', ['recipient', 'typeId', 'assetAmount'], ['uri', 'data'])
+            row.action = 'mint'
+            row.uri = given.includes('uri') ? String(raw.uri).trim() : ''
+        } else if (isFungible(row.typeId)) {
+            _expectColumns('mint Plasma', ['recipient', 'typeId', 'amount'], ['data'])
+            row.action = 'plasma'
+            row.amount = _parseId(raw.amount, 'amount')
+            if (row.amount.isZero()) { throw new Error('Invalid "amount": 0') }
+        } else {
+            throw new Error(`Invalid "typeId": ${raw.typeId} is not a Type`)
+        }
+        row.recipient = parseAddress(raw.recipient, 'recipient')
+        row.data = given.includes('data') ? String(raw.data).trim() : EMPTY_DATA
+        if (!ethers.utils.isHexString(row.data)) { throw new Error(`Invalid "data": ${raw.data} (expected hex bytes)`) }
+    }
+
+    if (row.action !== 'plasma') {
+        row.assetAmount = parseEtherAmount(raw.assetAmount, 'assetAmount')
+        if (row.assetAmount.isZero()) { throw new Error('Invalid "assetAmount": 0') }
+    }
+    return row
+}
+
+/**
+ * Parses the rows of a Bulk-Mint Manifest (see parseManifestRow), reporting the errors of all rows at once
+ */
+const parseManifest = (rawRows) => {
+    const errors = []
+    const rows = rawRows.map((raw, index) => {
+        try {
+            return parseManifestRow(raw, index)
+        } catch (err) {
+            errors.push(`  row ${index + 1}: ${err.message}`)
+            return undefined
+        }
+    })
+    if (!rows.length) {
+        throw new Error('The manifest has no rows')
+    }
+    if (errors.length) {
+        throw new Error(`Invalid manifest (${errors.length} rows):\n${errors.join('\n')}`)
+    }
+    return rows
+}
+
+/**
+ * Loads a Bulk-Mint Manifest from a CSV file (with a header of the columns) or a JSON file (an array of rows)
+ */
+const loadManifest = (filePath) => {
+    const text = fs.readFileSync(filePath, 'utf8')
+    let rawRows
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+        const [header, ...lines] = _parseCsvLines(text)
+        const columns = (header || []).map(column => column.trim())
+        rawRows = lines.map(cells => columns.reduce((raw, column, i) => (_isEmpty(cells[i]) ? raw : { ...raw, [column]: cells[i] }), {}))
+    } else {
+        try {
+            rawRows = JSON.parse(text)
+        } catch (err) {
+            throw new Error(`Invalid manifest file ${filePath}: ${err.message}`)
+        }
+        if (!Array.isArray(rawRows)) {
+            throw new Error(`Invalid manifest file ${filePath}: expected an array of rows`)
+        }
+    }
+    return parseManifest(rawRows)
+}
+
+// Identifies a manifest in its progress file, so progress is never resumed on a modified manifest
+const manifestHash = (rows) => ethers.utils.id(JSON.stringify(rows.map(row => (
+    MANIFEST_COLUMNS.concat('action').map(column => (row[column] === undefined ? '' : row[column].toString()))
+))))
+
+//
+// Checks
+//
+
+/**
+ * Checks the rows of a manifest against the chain before sending anything: the Types can be minted by the Signer
+ *   (private Types, Max-Supply), the Particles to energize exist, and the Signer holds the ETH for the minting fees and
+ *   the Asset Tokens for the deposits
+ *
+ * @param chargedParticles  The ChargedParticles contract, connected to the Signer
+ * @param escrowManager     The ChargedParticlesEscrowManager contract
+ * @param rows              The rows to send
+ * @return  {problems: [{row, message}], values: {rowIndex: ETH value}, assets: [{assetPairId, assetToken, required, balance, allowance}], eth: {required, balance}}
+ */
+const checkManifest = async ({ chargedParticles, escrowManager, rows }) => {
+    const signer = chargedParticles.signer
+    const account = await signer.getAddress()
+    const problems = []
+    const values = {}
+    const assetAmounts = {}
+    let ethRequired = ethers.constants.Zero
+
+    const _addAssets = (assetPairId, amount) => {
+        assetAmounts[assetPairId] = (assetAmounts[assetPairId] || ethers.constants.Zero).add(amount)
+    }
+
+    // Mints, grouped by Type
+    const types = {}
+    rows.filter(row => row.action !== 'energize').forEach((row) => {
+        const key = row.typeId.toString()
+        types[key] = types[key] || { typeId: row.typeId, rows: [], amount: ethers.constants.Zero }
+        types[key].rows.push(row)
+        types[key].amount = types[key].amount.add(row.action === 'plasma' ? row.amount : 1)
+    })
+    const typeKeys = Object.keys(types)
+    for (let i = 0; i < typeKeys.length; i++) {
+        const { typeId, rows: typeRows, amount } = types[typeKeys[i]]
+        const creator = await chargedParticles.getTypeCreator(typeId)
+        if (creator === ethers.constants.AddressZero) {
+            typeRows.forEach(row => problems.push({ row: row.row, message: `Unknown Type ${typeId}` }))
+            continue
+        }
+        if (!await chargedParticles.canMint(typeId, amount)) {
+            const maxSupply = await chargedParticles.getMaxSupply(typeId)
+            const minted = await chargedParticles.getTotalMinted(typeId)
+            const message = (maxSupply.gt(0) && minted.add(amount).gt(maxSupply))
+                ? `Type ${typeId} has ${maxSupply.sub(minted)} of its Max-Supply of ${maxSupply} left; the manifest mints ${amount}`
+                : `Type ${typeId} is private; only its Creator (${creator}) can mint it`
+            typeRows.forEach(row => problems.push({ row: row.row, message }))
+            continue
+        }
+
+        // Creators mint their own Types for free
+        const mintFee = (creator === account) ? ethers.constants.Zero : await chargedParticles.getMintingFee(typeId)
+        const assetPairId = isNonFungibleBaseType(typeId) ? await chargedParticles.getTypeAssetPairId(typeId) : undefined
+        typeRows.forEach((row) => {
+            values[row.index] = mintFee.mul(row.action === 'plasma' ? row.amount : 1)
+            ethRequired = ethRequired.add(values[row.index])
+            if (assetPairId) { _addAssets(assetPairId, row.assetAmount) }
+        })
+    }
+
+    // Energized Particles
+    const energized = rows.filter(row => row.action === 'energize')
+    for (let i = 0; i < energized.length; i++) {
+        const row = energized[i]
+        if (await chargedParticles.ownerOf(row.tokenId) === ethers.constants.AddressZero) {
+            problems.push({ row: row.row, message: `Particle ${row.tokenId} does not exist` })
+            continue
+        }
+        values[row.index] = ethers.constants.Zero
+        _addAssets(await chargedParticles.getTypeAssetPairId(row.tokenId), row.assetAmount)
+    }
+
+    // Asset Tokens are collected by ChargedParticles from the Signer
+    const assets = []
+    const assetPairIds = Object.keys(assetAmounts)
+    for (let i = 0; i < assetPairIds.length; i++) {
+        const assetPairId = assetPairIds[i]
+        const assetToken = new ethers.Contract(await escrowManager.getAssetTokenAddress(assetPairId), erc20Abi, signer)
+        const asset = {
+            assetPairId,
+            assetToken,
+            required: assetAmounts[assetPairId],
+            balance: await assetToken.balanceOf(account),
+            allowance: await assetToken.allowance(account, chargedParticles.address),
+        }
+        if (asset.balance.lt(asset.required)) {
+            problems.push({ message: `Insufficient Asset Token balance for "${assetPairId}": ${ethers.utils.formatEther(asset.required)} required, ${ethers.utils.formatEther(asset.balance)} held` })
+        }
+        assets.push(asset)
+    }
+
+    const eth = { required: ethRequired, balance: await signer.getBalance() }
+    if (eth.balance.lt(eth.required)) {
+        problems.push({ message: `Insufficient ETH for the minting fees: ${ethers.utils.formatEther(eth.required)} required (plus gas), ${ethers.utils.formatEther(eth.balance)} held` })
+    }
+    return { problems, values, assets, eth }
+}
+
+//
+// Sending
+//
+
+const _sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Nonce errors mean the nonce was already used, possibly by a transaction of this run that was broadcast before failing
+const _isNonceError = (err) => /nonce (too low|has already been used)|already known|replacement transaction underpriced/i
+    .test(`${err.message} ${err.body || ''} ${(err.error && err.error.message) || ''}`)
+
+// Retries an action on transient errors (network, timeouts); reverts and nonce errors are not retried
+const _withRetries = async (action, { retries, retryDelay, log }) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await action()
+        } catch (err) {
+            if (attempt >= retries || getRevertReason(err) || _isNonceError(err)) { throw err }
+            const delay = retryDelay * (2 ** attempt)
+            log(`    retrying in ${delay} ms: ${err.message}`)
+            await _sleep(delay)
+        }
+    }
+}
+
+const _rowArgs = (row) => {
+    if (row.action === 'mint') { return [row.recipient, row.typeId, row.assetAmount, row.uri, row.data] }
+    if (row.action === 'plasma') { return [row.recipient, row.typeId, row.amount, row.data] }
+    return [row.tokenId, row.assetAmount]
+}
+
+// Finds a transaction of an account by its nonce, in the blocks mined since "fromBlock"
+const _findTransactionByNonce = async (provider, from, nonce, fromBlock) => {
+    const latestBlock = (await provider.getBlock('latest')).number
+    for (let blockNumber = latestBlock; blockNumber >= fromBlock; blockNumber--) {
+        const { transactions } = await provider.getBlockWithTransactions(blockNumber)
+        const tx = transactions.find(t => t.nonce === nonce && t.from.toLowerCase() === from.toLowerCase())
+        if (tx) { return tx }
+    }
+}
+
+/**
+ * Sends the rows of a Bulk-Mint Manifest from a Signer, recording each transaction in a progress file so that an
+ *   interrupted run resumes where it stopped, without sending any row twice.  Transactions are sent with explicit nonces,
+ *   "batchSize" at a time; rows that would revert are marked as failed without using a nonce, and are retried on resume.
+ *
+ * @param signer         The Signer minting the tokens (and paying the fees and deposits)
+ * @param deployment     Map of deployed contracts ({name: {address, abi}})
+ * @param rows           The parsed rows of the manifest (see loadManifest)
+ * @param progressPath   Path to the progress file
+ * @param batchSize      Number of transactions sent before waiting for their receipts
+ * @param retries        Number of retries of a transaction on transient errors
+ * @param retryDelay     Delay before the first retry, in ms (doubled on each retry)
+ * @param gasMargin      Percentage of gas added to the estimates
+ * @param confirmations  Number of confirmations to wait for
+ * @param timeout        Max time to wait for a transaction, in ms
+ * @param dryRun         Only checks the rows
+ * @param log            Function logging the progress
+ * @return  {results, checks}; results per row (see RESULT_COLUMNS)
+ */
+const bulkMint = async ({
+    signer,
+    deployment,
+    rows,
+    progressPath,
+    batchSize = 10,
+    retries = 3,
+    retryDelay = 1000,
+    gasMargin = 20,
+    confirmations = 1,
+    timeout = 300000,
+    dryRun = false,
+    log = () => {},
+}) => {
+    const provider = signer.provider
+    const account = await signer.getAddress()
+    const { chainId } = await provider.getNetwork()
+    const chargedParticles = new ethers.Contract(deployment.ChargedParticles.address, deployment.ChargedParticles.abi, signer)
+    const escrowManager = new ethers.Contract(deployment.ChargedParticlesEscrowManager.address, deployment.ChargedParticlesEscrowManager.abi, provider)
+
+    const store = jsonFileStore(progressPath)
+    const hash = manifestHash(rows)
+    const progress = store.load() || { version: PROGRESS_VERSION, chainId, account, manifestHash: hash, rows: {} }
+    if (progress.manifestHash !== hash || progress.chainId !== chainId || progress.account !== account) {
+        throw new Error(`${progressPath} records the progress of another manifest, chain or Signer; remove it to start over`)
+    }
+    const _save = () => { if (!dryRun) { store.save(progress) } }
+
+    const _finalize = (row, receipt) => {
+        const entry = progress.rows[row.index]
+        if (receipt.status === 0) {
+            progress.rows[row.index] = { ...entry, status: 'failed', error: 'Transaction reverted' }
+            return
+        }
+        const result = { ...entry, status: 'done', blockNumber: receipt.blockNumber }
+        if (row.action === 'mint') {
+            const minted = receipt.logs
+                .filter(l => l.address.toLowerCase() === chargedParticles.address.toLowerCase())
+                .map(l => chargedParticles.interface.parseLog(l))
+                .find(event => event.name === 'ParticleMinted')
+            result.tokenId = minted.args._tokenId.toString()
+        }
+        progress.rows[row.index] = result
+    }
+
+    const _wait = async (row) => {
+        const { transactionHash } = progress.rows[row.index]
+        const receipt = await provider.waitForTransaction(transactionHash, confirmations, timeout)
+        if (!receipt) {
+            throw new Error(`Transaction ${transactionHash} of row ${row.row} is not mined after ${timeout} ms; resume later`)
+        }
+        _finalize(row, receipt)
+    }
+
+    // Resumes the rows sent by a previous run
+    const latestNonce = await provider.getTransactionCount(account, 'latest')
+    const pendingNonce = await provider.getTransactionCount(account, 'pending')
+    const unfinished = rows.filter(row => progress.rows[row.index] && ['sending', 'sent'].includes(progress.rows[row.index].status))
+    for (let i = 0; i < unfinished.length; i++) {
+        const row = unfinished[i]
+        const entry = progress.rows[row.index]
+        if (entry.status === 'sending') {
+            // Interrupted while sending: the row was sent only if its nonce was used
+            if (entry.nonce >= pendingNonce) {
+                delete progress.rows[row.index]
+                continue
+            }
+            if (entry.nonce >= latestNonce) {
+                throw new Error(`Row ${row.row} may be pending with nonce ${entry.nonce}; resume once the pending transactions of ${account} are mined`)
+            }
+            const tx = await _findTransactionByNonce(provider, account, entry.nonce, entry.blockNumber)
+            if (!tx || tx.to.toLowerCase() !== chargedParticles.address.toLowerCase()) {
+                throw new Error(`Nonce ${entry.nonce} of row ${row.row} was used by another transaction; check the transactions of ${account}`)
+            }
+            progress.rows[row.index] = { ...entry, status: 'sent', transactionHash: tx.hash }
+        }
+        if (!dryRun) {
+            log(`  Resuming row ${row.row} (${progress.rows[row.index].transactionHash})`)
+            await _wait(row)
+        }
+    }
+    _save()
+
+    // Checks the rows left to send
+    const pending = rows.filter(row => !progress.rows[row.index] || progress.rows[row.index].status === 'failed')
+    const checks = await checkManifest({ chargedParticles, escrowManager, rows: pending })
+    if (checks.problems.length) {
+        const problems = checks.problems.map(({ row, message }) => `  ${row ? `row ${row}: ` : ''}${message}`)
+        throw new Error(`The manifest can not be sent (${problems.length} problems):\n${problems.join('\n')}`)
+    }
+    log(`  ${rows.length - pending.length} of ${rows.length} rows already sent; ${pending.length} to send`)
+    log(`  ETH for the minting fees: ${ethers.utils.formatEther(checks.eth.required)}`)
+    checks.assets.forEach(({ assetPairId, required, allowance }) => {
+        log(`  Asset Token of "${assetPairId}": ${ethers.utils.formatEther(required)}${allowance.lt(required) ? ' (to approve)' : ''}`)
+    })
+
+    if (!dryRun && pending.length) {
+        // Asset Tokens are approved once for the whole manifest
+        for (let i = 0; i < checks.assets.length; i++) {
+            const { assetPairId, assetToken, required, allowance } = checks.assets[i]
+            if (allowance.gte(required)) { continue }
+            log(`  → Approving ChargedParticles for ${ethers.utils.formatEther(required)} of the Asset Token of "${assetPairId}"`)
+            const tx = await _withRetries(() => assetToken.approve(chargedParticles.address, required), { retries, retryDelay, log })
+            await tx.wait(confirmations)
+        }
+
+        let nonce = await provider.getTransactionCount(account, 'pending')
+        for (let start = 0; start < pending.length; start += batchSize) {
+            const batch = pending.slice(start, start + batchSize)
+            const sent = []
+            const blockNumber = (await provider.getBlock('latest')).number
+
+            for (let i = 0; i < batch.length; i++) {
+                const row = batch[i]
+                const method = ACTIONS[row.action]
+                const args = _rowArgs(row)
+                // Energizing is not payable
+                const overrides = (row.action === 'energize') ? {} : { value: checks.values[row.index] }
+
+                // Rows that would revert fail here, without using a nonce
+                let gasLimit
+                try {
+                    gasLimit = await _withRetries(() => chargedParticles.estimateGas[method](...args, overrides), { retries, retryDelay, log })
+                } catch (err) {
+                    const reason = getRevertReason(err)
+                    if (!reason) { throw err }
+                    progress.rows[row.index] = { status: 'failed', error: reason }
+                    log(`  ✗ row ${row.row}: ${reason}`)
+                    continue
+                }
+
+                progress.rows[row.index] = { status: 'sending', nonce, blockNumber }
+                _save()
+                let tx
+                try {
+                    tx = await _withRetries(() => chargedParticles[method](...args, {
+                        ...overrides,
+                        nonce,
+                        gasLimit: gasLimit.mul(100 + gasMargin).div(100),
+                    }), { retries, retryDelay, log })
+                } catch (err) {
+                    if (_isNonceError(err)) {
+                        throw new Error(`Nonce ${nonce} of row ${row.row} was used meanwhile (${err.message}); resume to recover the row`)
+                    }
+                    throw err
+                }
+                progress.rows[row.index] = { status: 'sent', nonce, blockNumber, transactionHash: tx.hash }
+                log(`  → row ${row.row}: ${method} (nonce ${nonce}, tx ${tx.hash})`)
+                sent.push(row)
+                nonce++
+            }
+            _save()
+
+            for (let i = 0; i < sent.length; i++) {
+                await _wait(sent[i])
+            }
+            _save()
+        }
+    }
+
+    const results = rows.map((row) => {
+        const entry = progress.rows[row.index] || { status: 'pending' }
+        return {
+            row: row.row,
+            action: row.action,
+            recipient: row.recipient || '',
+            typeId: row.typeId ? row.typeId.toString() : '',
+            tokenId: (row.tokenId ? row.tokenId.toString() : entry.tokenId) || '',
+            amount: row.amount ? row.amount.toString() : '',
+            assetAmount: row.assetAmount ? row.assetAmount.toString() : '',
+            status: entry.status,
+            transactionHash: entry.transactionHash || '',
+            error: entry.error || '',
+        }
+    })
+    return { results, checks }
+}
+
+/**
+ * Writes the results of a Bulk Mint as CSV or JSON (by the extension of the file)
+ */
+const saveResults = (filePath, results) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    const isCsv = path.extname(filePath).toLowerCase() === '.csv'
+    fs.writeFileSync(filePath, isCsv ? _toCsv(RESULT_COLUMNS, results) : JSON.stringify(results, null, 2) + '\n')
+}
+
+module.exports = {
+    MANIFEST_COLUMNS,
+    RESULT_COLUMNS,
+    parseManifestRow,
+    parseManifest,
+    loadManifest,
+    manifestHash,
+    checkManifest,
+    bulkMint,
+    saveResults,
+}
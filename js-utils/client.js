@@ -0,0 +1,344 @@
+const fs = require('fs')
+const path = require('path')
+const { ethers } = require('ethers')
+
+const { chainName } = require('./deploy-helpers')
+const { wrapContract } = require('./errors')
+const { relayCall } = require('./meta-tx')
+const { getNonFungibleBaseType, getTypeId, isNonFungible } = require('./token-ids')
+
+// Deployment exports written by "yarn deploy-<network>" (see package.json)
+const deploymentExports = {
+    3: 'deployments-ropsten.json',
+    42: 'deployments-kovan.json',
+}
+
+const erc20Abi = [
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'event Approval(address indexed owner, address indexed spender, uint256 value)',
+    'function name() view returns (string)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function totalSupply() view returns (uint256)',
+    'function balanceOf(address _owner) view returns (uint256)',
+    'function transfer(address _to, uint256 _amount) returns (bool)',
+    'function transferFrom(address _from, address _to, uint256 _amount) returns (bool)',
+    'function allowance(address _owner, address _spender) view returns (uint256)',
+    'function approve(address _spender, uint256 _amount) returns (bool)',
+]
+
+// ERC721 with the Enumerable & Metadata extensions
+const erc721Abi = [
+    'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+    'event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)',
+    'event ApprovalForAll(address indexed owner, address indexed operator, bool approved)',
+    'function supportsInterface(bytes4 _interfaceId) view returns (bool)',
+    'function name() view returns (string)',
+    'function symbol() view returns (string)',
+    'function tokenURI(uint256 _tokenId) view returns (string)',
+    'function totalSupply() view returns (uint256)',
+    'function tokenByIndex(uint256 _index) view returns (uint256)',
+    'function tokenOfOwnerByIndex(address _owner, uint256 _index) view returns (uint256)',
+    'function balanceOf(address _owner) view returns (uint256)',
+    'function ownerOf(uint256 _tokenId) view returns (address)',
+    'function approve(address _to, uint256 _tokenId)',
+    'function getApproved(uint256 _tokenId) view returns (address)',
+    'function setApprovalForAll(address _operator, bool _approved)',
+    'function isApprovedForAll(address _owner, address _operator) view returns (bool)',
+    'function transferFrom(address _from, address _to, uint256 _tokenId)',
+    'function safeTransferFrom(address _from, address _to, uint256 _tokenId)',
+    'function safeTransferFrom(address _from, address _to, uint256 _tokenId, bytes _data)',
+]
+
+const EMPTY_DATA = ethers.utils.formatBytes32String('')
+
+// Percentage of gas added to the estimates of the transactions moving the Asset Token
+const DEFAULT_GAS_MARGIN = 20
+
+// Loads the exported contracts ({name: {address, abi}}) for a specific chain
+const loadDeployment = (chainId) => {
+    chainId = Number(chainId)
+    const exportFile = deploymentExports[chainId]
+    const exportPath = exportFile && path.join(__dirname, '..', exportFile)
+    if (!exportPath || !fs.existsSync(exportPath)) {
+        throw new Error(`No deployment export found for chain ${chainId} (${chainName(chainId)})`)
+    }
+    return JSON.parse(fs.readFileSync(exportPath, 'utf8')).contracts
+}
+
+const _findEventArgs = (contract, receipt, eventName) => {
+    for (let i = 0; i < receipt.logs.length; i++) {
+        const log = receipt.logs[i]
+        if (log.address.toLowerCase() !== contract.address.toLowerCase()) { continue }
+        const parsed = contract.interface.parseLog(log)
+        if (parsed.name !== eventName) { continue }
+
+        // Map positional args to their names
+        const args = {}
+        parsed.eventFragment.inputs.forEach((input, index) => { args[input.name] = parsed.args[index] })
+        return args
+    }
+    throw new Error(`Event "${eventName}" not found in transaction ${receipt.transactionHash}`)
+}
+
+/**
+ * Pads the Gas Limit of a transaction moving the Asset Token (mint, energize & discharge);
+ *   deposits & withdrawals "drip" the Pot of the Interest-token once a second has passed since its last drip,
+ *   so an estimate made in the same second misses the gas of the drip
+ *
+ * @param contract   The Ethers Contract to send the transaction to
+ * @param method     The method of the transaction
+ * @param args       The arguments of the method
+ * @param overrides  The transaction overrides; a "gasLimit" provided is kept as is
+ * @param gasMargin  Percentage of gas added to the estimate
+ * @return  The overrides with the padded "gasLimit"
+ */
+const withGasMargin = async (contract, method, args, overrides = {}, gasMargin = DEFAULT_GAS_MARGIN) => {
+    if (overrides.gasLimit) { return overrides }
+    const gasLimit = await contract.estimateGas[method](...args, overrides)
+    return { ...overrides, gasLimit: gasLimit.mul(100 + gasMargin).div(100) }
+}
+
+/**
+ * Creates a Client for the Charged Particles contracts
+ *   Failed Calls and Transactions throw a ChargedParticlesError (see errors.js)
+ *
+ * @param signer      An Ethers Signer (connected to a Provider) used to send Transactions
+ * @param deployment  Optional map of deployed contracts ({name: {address, abi}});
+ *                    defaults to the deployment export of the connected chain
+ * @param relayer     Optional Signer relaying the transactions to ChargedParticles as meta-transactions
+ *                    (see meta-tx.js); the Signer then only signs, and the Relayer pays for the gas
+ * @param gasMargin   Percentage of gas added to the estimates of the transactions moving the Asset Token
+ *                    (mint, energize & discharge); ignored when a "gasLimit" is provided
+ */
+const chargedParticlesClient = async ({ signer, deployment, relayer, gasMargin = DEFAULT_GAS_MARGIN }) => {
+    const { chainId } = await signer.provider.getNetwork()
+    const contracts = deployment || loadDeployment(chainId)
+
+    const _getContract = (contractName) => {
+        if (!contracts[contractName]) {
+            throw new Error(`Contract "${contractName}" is not deployed on chain ${chainId} (${chainName(chainId)})`)
+        }
+        const { address, abi } = contracts[contractName]
+        return wrapContract(new ethers.Contract(address, abi, signer))
+    }
+
+    const chargedParticles = _getContract('ChargedParticles')
+    const escrowManager = _getContract('ChargedParticlesEscrowManager')
+    const tokenManager = _getContract('ChargedParticlesTokenManager')
+
+    // TypeID => Asset-Pair ID
+    const _assetPairIds = {}
+
+    const getAssetPairId = async (typeOrTokenId) => {
+        const typeId = getNonFungibleBaseType(typeOrTokenId)
+        const key = typeId.toString()
+        if (!_assetPairIds[key]) {
+            const assetPairId = await chargedParticles.getTypeAssetPairId(typeId)
+            if (!assetPairId.length) {
+                throw new Error(`Unknown Particle Type: ${key}`)
+            }
+            _assetPairIds[key] = assetPairId
+        }
+        return _assetPairIds[key]
+    }
+
+    const getAssetToken = async (assetPairId) => {
+        const assetTokenAddress = await escrowManager.getAssetTokenAddress(assetPairId)
+        return wrapContract(new ethers.Contract(assetTokenAddress, erc20Abi, signer))
+    }
+
+    // Returns the ERC721 (Particles) or ERC20 (Plasma) Bridge of a Type, created along with the Type;
+    //  transfers and approvals through the Bridge are made on the ERC1155 Token Manager
+    const getTokenBridge = async (typeOrTokenId) => {
+        const typeId = getTypeId(typeOrTokenId)
+        const bridgeAddress = await chargedParticles.getTypeTokenBridge(typeId)
+        if (bridgeAddress === ethers.constants.AddressZero) {
+            throw new Error(`No Token Bridge for Type ${typeId.toString()}`)
+        }
+        const abi = isNonFungible(typeId) ? erc721Abi : erc20Abi
+        return wrapContract(new ethers.Contract(bridgeAddress, abi, signer))
+    }
+
+    // Approves ChargedParticles to collect the Asset Token (ex: DAI) from the Signer, if needed;
+    //  the approval is a regular transaction, so relayed calls require it to be in place already
+    const _approveAssetToken = async (assetPairId, assetAmount) => {
+        const assetToken = await getAssetToken(assetPairId)
+        const owner = await signer.getAddress()
+        const allowance = await assetToken.allowance(owner, chargedParticles.address)
+        if (allowance.lt(assetAmount)) {
+            if (relayer) {
+                throw new Error(`Insufficient Asset Token allowance for a relayed transaction; ${owner} must approve ChargedParticles first`)
+            }
+            const tx = await assetToken.approve(chargedParticles.address, assetAmount)
+            await tx.wait()
+        }
+    }
+
+    // Sends a transaction to ChargedParticles from the Signer, or relays it through the Trusted Forwarder
+    const _send = async (method, args, overrides = {}, { padGas = false } = {}) => {
+        if (!relayer) {
+            const tx = await chargedParticles[method](...args, padGas ? await withGasMargin(chargedParticles, method, args, overrides, gasMargin) : overrides)
+            return tx.wait()
+        }
+
+        const value = ethers.BigNumber.from(overrides.value || 0)
+        if (!value.isZero()) {
+            throw new Error(`"${method}" requires ${ethers.utils.formatEther(value)} ETH, which can not be sent with a relayed transaction (pay with IONs instead)`)
+        }
+        const forwarderAddress = await chargedParticles.getTrustedForwarder()
+        const { receipt } = await relayCall({ signer, relayer, forwarderAddress, contract: chargedParticles, method, args, gasLimit: overrides.gasLimit })
+        return receipt
+    }
+
+    //
+    // Read
+    //
+
+    const baseParticleMass = (tokenId) => chargedParticles.baseParticleMass(tokenId)
+
+    // "currentParticleCharge" is non-view as the Interest-token may need to update its rate
+    const currentParticleCharge = (tokenId) => chargedParticles.callStatic.currentParticleCharge(tokenId)
+
+    const getCreationPrice = async (isNF) => {
+        const { _eth: eth, _ion: ion } = await chargedParticles.getCreationPrice(isNF)
+        return { eth, ion }
+    }
+
+    // Private Types can only be minted by their Creator; the Signer is used as the caller
+    const canMint = (typeId, amount = 1) => chargedParticles.canMint(typeId, amount)
+
+    //
+    // Create / Mint
+    //
+
+    const createParticle = async ({ name, uri, symbol, accessType, assetPair, maxSupply = 0, mintFee = 0, payWithIons = false }, overrides = {}) => {
+        const { eth } = await getCreationPrice(true)
+        const value = payWithIons ? 0 : eth
+        const receipt = await _send('createParticle', [
+            name,
+            uri,
+            symbol,
+            accessType,
+            assetPair,
+            maxSupply,
+            mintFee,
+            payWithIons,
+        ], { value, ...overrides })
+        const { _particleTypeId: particleTypeId } = _findEventArgs(chargedParticles, receipt, 'ParticleTypeUpdated')
+        _assetPairIds[particleTypeId.toString()] = assetPair
+        return { particleTypeId, receipt }
+    }
+
+    const mintParticle = async ({ to, typeId, assetAmount, uri = '', data = EMPTY_DATA }, overrides = {}) => {
+        const sender = await signer.getAddress()
+        to = to || sender
+
+        // Creators mint their own Particles for free
+        let value = ethers.constants.Zero
+        const creator = await chargedParticles.getTypeCreator(typeId)
+        if (creator.toLowerCase() !== sender.toLowerCase()) {
+            value = await chargedParticles.getMintingFee(typeId)
+        }
+
+        const assetPairId = await getAssetPairId(typeId)
+        await _approveAssetToken(assetPairId, assetAmount)
+
+        const receipt = await _send('mintParticle', [to, typeId, assetAmount, uri, data], { value, ...overrides }, { padGas: true })
+        const { _tokenId: tokenId } = _findEventArgs(chargedParticles, receipt, 'ParticleMinted')
+        return { tokenId, receipt }
+    }
+
+    //
+    // Energize / Discharge / Release
+    //
+
+    const energizeParticle = async ({ tokenId, assetAmount }, overrides = {}) => {
+        const assetPairId = await getAssetPairId(tokenId)
+        await _approveAssetToken(assetPairId, assetAmount)
+
+        return { receipt: await _send('energizeParticle', [tokenId, assetAmount], overrides, { padGas: true }) }
+    }
+
+    // Discharges the full Charge, or a specific amount of it when "assetAmount" is provided
+    const dischargeParticle = async ({ receiver, tokenId, assetAmount }, overrides = {}) => {
+        receiver = receiver || await signer.getAddress()
+        const receipt = (assetAmount === undefined)
+            ? await _send('dischargeParticle', [receiver, tokenId], overrides, { padGas: true })
+            : await _send('dischargeParticleAmount', [receiver, tokenId, assetAmount], overrides, { padGas: true })
+        return { receipt }
+    }
+
+    // Approves an Operator to Discharge (only) a Particle of the Signer; the Mass can not be released by the Operator
+    const setDischargeApproval = async ({ tokenId, operator }, overrides = {}) => {
+        const tx = await escrowManager.setDischargeApproval(chargedParticles.address, tokenId, operator, overrides)
+        return { receipt: await tx.wait() }
+    }
+
+    // Contracts that require Burn before Release report "requiresBurn";
+    //  burn the token ("burnParticle" for Charged Particles) and call "finalizeRelease" to receive the assets
+    const releaseParticle = async ({ receiver, tokenId }, overrides = {}) => {
+        receiver = receiver || await signer.getAddress()
+        const assetPairId = await getAssetPairId(tokenId)
+        const args = [receiver, chargedParticles.address, tokenId, assetPairId]
+
+        const releasedAmount = await escrowManager.callStatic.releaseParticle(...args)
+        const tx = await escrowManager.releaseParticle(...args, overrides)
+        const receipt = await tx.wait()
+        return { releasedAmount, requiresBurn: releasedAmount.isZero(), receipt }
+    }
+
+    const finalizeRelease = async ({ receiver, tokenId }, overrides = {}) => {
+        receiver = receiver || await signer.getAddress()
+        const assetPairId = await getAssetPairId(tokenId)
+        const args = [receiver, chargedParticles.address, tokenId, assetPairId]
+
+        const releasedAmount = await escrowManager.callStatic.finalizeRelease(...args)
+        const tx = await escrowManager.finalizeRelease(...args, overrides)
+        return { releasedAmount, receipt: await tx.wait() }
+    }
+
+    // Burns the Particle, releasing its Mass + Charge to the Owner (with or without Burn-before-Release)
+    const burnParticle = async ({ tokenId }, overrides = {}) => {
+        const tx = await chargedParticles.burnParticle(tokenId, overrides)
+        return { receipt: await tx.wait() }
+    }
+
+    return {
+        chainId,
+        signer,
+        relayer,
+        contracts: {
+            chargedParticles,
+            escrowManager,
+            tokenManager,
+        },
+
+        getAssetPairId,
+        getAssetToken,
+        getTokenBridge,
+
+        baseParticleMass,
+        currentParticleCharge,
+        getCreationPrice,
+        canMint,
+
+        createParticle,
+        mintParticle,
+        energizeParticle,
+        dischargeParticle,
+        setDischargeApproval,
+        releaseParticle,
+        finalizeRelease,
+        burnParticle,
+    }
+}
+
+module.exports = {
+    EMPTY_DATA,
+    erc20Abi,
+    erc721Abi,
+    chargedParticlesClient,
+    loadDeployment,
+    withGasMargin,
+}
@@ -28,25 +28,97 @@ const presets = {
             mintFee: toWei('0.0001'),
             name: 'Charged Atoms',
             symbol: 'ION'
-        }
+        },
+        // Relayed (meta) transactions are accepted from the Trusted Forwarder ("trustedForwarder" in buidler.config.js);
+        //  on BuidlerEVM a local forwarder is deployed instead
+        trustedForwarder: {
+            mock: 'MockTrustedForwarder',
+        },
     },
     EscrowManager: {
         fees: {
             deposit: 50, // 0.5%
         }
-    }
+    },
+    // Upgradeable contracts are deployed behind an AdminUpgradeabilityProxy of the Proxy Admin ("proxyAdmin" in
+    //  buidler.config.js) and initialized by the proxy deployment; upgrades are made with the "upgrade" task
+    upgradeable: {
+        proxy: 'AdminUpgradeabilityProxy',
+        initializer: 'initialize',
+    },
+    // Each Asset Pair is deployed, initialized and registered with the Escrow Manager by the deploy scripts
+    assetPairs: [
+        {
+            id: 'chai',
+            escrow: 'ChaiEscrow',
+            nucleus: 'ChaiNucleus',
+            assetToken: {
+                mock: 'Dai', // deployed on BuidlerEVM
+                addresses: {
+                    1: '0x6B175474E89094C44Da98b954EedeAC495271d0F', // mainnet
+                    3: '0x31F42841c2db5173425b5223809CF3A38FEde360', // ropsten
+                    42: '0x4F96Fe3b7A6Cf9725f59d353F723c1bDb64CA6Aa', // kovan
+                },
+            },
+            nucleusInit: {
+                methods: {
+                    1: 'initMainnet',
+                    3: 'initRopsten',
+                    42: 'initKovan',
+                },
+                // Getters of the MakerDAO contracts the Nucleus is connected to (zero-addresses until initialized),
+                //  with the addresses expected per chain
+                connections: {
+                    vat: {
+                        1: '0x35D1b3F3D7966A1DFe207aa4514C12a259A0492B', // mainnet
+                        3: '0xFfCFcAA53b61cF5F332b4FBe14033c1Ff5A391eb', // ropsten
+                        42: '0xbA987bDB501d131f766fEe8180Da5d81b34b69d9', // kovan
+                    },
+                    pot: {
+                        1: '0x197E90f9FAD81970bA7976f33CbD77088E5D7cf7', // mainnet
+                        3: '0x9588a660241aeA569B3965e2f00631f2C5eDaE33', // ropsten
+                        42: '0xEA190DBDC7adF265260ec4dA6e9675Fd4f5A78bb', // kovan
+                    },
+                    daiJoin: {
+                        1: '0x9759A6Ac90977b93B58547b4A71c78317f391A28', // mainnet
+                        3: '0xA0b569e9E0816A20Ab548D692340cC28aC7Be986', // ropsten
+                        42: '0x5AA71a3ae1C0bd6ac27A1f28e1415fFFB6F15B8c', // kovan
+                    },
+                },
+                // On BuidlerEVM the Nucleus is connected to local stand-ins for the MakerDAO contracts, through a test-only
+                //  subclass ("nucleus", deployed under the name of the Nucleus) as the production Nucleus has no custom init;
+                //  "contracts" are deployed in order, with their args (and the init args) given as deployment names
+                mock: {
+                    nucleus: 'ChaiNucleusMock',
+                    method: 'initCustom',
+                    contracts: [
+                        { name: 'MockVat', args: [] },
+                        { name: 'MockPot', args: ['MockVat'] },
+                        { name: 'MockDaiJoin', args: ['MockVat', 'Dai'] },
+                    ],
+                    args: ['MockVat', 'MockPot', 'MockDaiJoin', 'Dai'],
+                    connections: { vat: 'MockVat', pot: 'MockPot', daiJoin: 'MockDaiJoin' },
+                },
+            },
+        },
+    ],
 }
 
-const _getDeployedContract = async (bre, deployer, contractName, contractArgs = []) => {
+const isLocalChain = (chainId) => (chainId === 31337)
+
+// Deployment name of the Implementation of an upgradeable contract; the proxy is deployed under the contract name
+const implementationName = (contractName) => `${contractName}_Implementation`
+
+const _getDeployedContract = async (bre, deployer, contractName, contractArgs = [], deploymentName = contractName) => {
     const {deployments} = bre
     const {deployIfDifferent, log} = deployments;
     const overrides = txOverrides({from: deployer})
 
-    let contract = await deployments.getOrNull(contractName)
+    let contract = await deployments.getOrNull(deploymentName)
     if (!contract) {
-        log(`  Deploying ${contractName}...`)
-        const deployResult = await deployIfDifferent(['data'], contractName, overrides, contractName, ...contractArgs)
-        contract = await deployments.get(contractName)
+        log(`  Deploying ${deploymentName}...`)
+        const deployResult = await deployIfDifferent(['data'], deploymentName, overrides, contractName, ...contractArgs)
+        contract = await deployments.get(deploymentName)
         if (deployResult.newlyDeployed) {
             log(`  - deployed at ${contract.address} for ${deployResult.receipt.gasUsed} WEI`)
         }
@@ -54,6 +126,38 @@ const _getDeployedContract = async (bre, deployer, contractName, contractArgs =
     return contract
 }
 
+// Deploys the Implementation of an upgradeable contract and its proxy; the proxy deployment is saved under
+//  the contract name with the ABI of the Implementation, so it is used like any other deployment
+const _getDeployedProxy = async (bre, deployer, contractName) => {
+    const {deployments} = bre
+    const {deploy, log} = deployments
+    const {proxy, initializer} = presets.upgradeable
+
+    let contract = await deployments.getOrNull(contractName)
+    if (!contract) {
+        const proxyAdmin = await resolveProxyAdmin(bre)
+        const implementation = await _getDeployedContract(bre, deployer, contractName, [], implementationName(contractName))
+        const initData = new ethers.utils.Interface(implementation.abi).encodeFunctionData(initializer)
+
+        log(`  Deploying ${contractName} Proxy...`)
+        const deployResult = await deploy(contractName, {
+            ...txOverrides({from: deployer}),
+            contractName: proxy,
+            args: [implementation.address, proxyAdmin, initData],
+        })
+        await deployments.save(contractName, {
+            abi: implementation.abi,
+            address: deployResult.address,
+            receipt: deployResult.receipt,
+            args: deployResult.args,
+            linkedData: {proxy, implementation: implementation.address, proxyAdmin},
+        })
+        contract = await deployments.get(contractName)
+        log(`  - deployed at ${contract.address} for ${deployResult.receipt.gasUsed} WEI`)
+    }
+    return contract
+}
+
 // Used in deployment initialization scripts and unit-tests
 const contractManager = (bre) => async (contractName, contractArgs = []) => {
     const [ deployer ] = await bre.ethers.getSigners()
@@ -64,19 +168,70 @@ const contractManager = (bre) => async (contractName, contractArgs = []) => {
 }
 
 // Used in deployment scripts run by buidler-deploy
-const contractDeployer = (contractName, contractArgs = []) => async (bre) => {
+const contractDeployer = (contractName, contractArgs = [], deploymentName = contractName) => async (bre) => {
     const {getNamedAccounts} = bre
     const namedAccounts = await getNamedAccounts()
-    return await _getDeployedContract(bre, namedAccounts.deployer, contractName, contractArgs)
+    return await _getDeployedContract(bre, namedAccounts.deployer, contractName, contractArgs, deploymentName)
+}
+
+// Used in deployment scripts run by buidler-deploy, for upgradeable contracts
+const proxyDeployer = (contractName) => async (bre) => {
+    const {getNamedAccounts} = bre
+    const namedAccounts = await getNamedAccounts()
+    return await _getDeployedProxy(bre, namedAccounts.deployer, contractName)
+}
+
+// Returns the Asset Token of an Asset Pair on the current chain; local chains use the deployed mock
+const resolveAssetToken = async (bre, assetPair) => {
+    const { chainId } = await bre.ethers.provider.getNetwork()
+    const { mock, addresses } = assetPair.assetToken
+    if (addresses[chainId]) { return addresses[chainId] }
+
+    if (!isLocalChain(chainId) || !mock) {
+        throw new Error(`No Asset Token configured for Asset Pair "${assetPair.id}" on ${chainName(chainId)}`)
+    }
+    return (await bre.deployments.get(mock)).address
 }
 
+// Returns the Trusted Forwarder for meta-transactions on the current chain; local chains use the deployed mock
+const resolveTrustedForwarder = async (bre) => {
+    const { chainId } = await bre.ethers.provider.getNetwork()
+    const { trustedForwarder } = await bre.getNamedAccounts()
+    if (trustedForwarder) { return trustedForwarder }
+
+    const { mock } = presets.ChargedParticles.trustedForwarder
+    if (!isLocalChain(chainId) || !mock) {
+        throw new Error(`No Trusted Forwarder configured on ${chainName(chainId)}`)
+    }
+    return (await bre.deployments.get(mock)).address
+}
+
+// Returns the Proxy Admin of the upgradeable contracts on the current chain
+const resolveProxyAdmin = async (bre) => {
+    const { chainId } = await bre.ethers.provider.getNetwork()
+    const { deployer, proxyAdmin } = await bre.getNamedAccounts()
+    if (!proxyAdmin) {
+        throw new Error(`No Proxy Admin configured on ${chainName(chainId)}`)
+    }
+    // Calls from the Proxy Admin are not forwarded; the Deployer initializes and configures the contracts
+    if (proxyAdmin.toLowerCase() === deployer.toLowerCase()) {
+        throw new Error(`The Proxy Admin must not be the Deployer (${deployer})`)
+    }
+    return proxyAdmin
+}
 
 module.exports = {
   txOverrides,
   chainName,
   contractDeployer,
   contractManager,
+  proxyDeployer,
+  implementationName,
   presets,
+  isLocalChain,
+  resolveAssetToken,
+  resolveTrustedForwarder,
+  resolveProxyAdmin,
   toWei,
   toEth,
   toStr,
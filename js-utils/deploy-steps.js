@@ -0,0 +1,82 @@
+// Declarative, state-checked deployment steps
+//
+// A step describes the on-chain state it expects and the transaction that applies it:
+//   {
+//     name:     'ChaiEscrow: set Escrow Manager',
+//     read:     async () => <current on-chain value>,
+//     expected: <desired value>,
+//     execute:  async () => <ethers transaction>,
+//   }
+// Steps already matching the chain are skipped, so a failed or interrupted run can simply be run again.
+
+// Addresses are compared case-insensitively
+const _normalize = (value) => JSON.stringify(value, (key, val) => (typeof val === 'string' ? val.toLowerCase() : val))
+
+const _isApplied = (current, expected) => _normalize(current) === _normalize(expected)
+
+const _format = (value) => JSON.stringify(value)
+
+/**
+ * Reads the current state of each step and lists the ones still to be applied
+ *
+ * @param steps   The list of steps
+ * @return  The plan as [{name, current, expected, applied}]
+ */
+const planSteps = async (steps) => {
+    const plan = []
+    for (let i = 0; i < steps.length; i++) {
+        const { name, read, expected } = steps[i]
+        const current = await read()
+        plan.push({ name, current, expected, applied: _isApplied(current, expected) })
+    }
+    return plan
+}
+
+/**
+ * Applies the steps not yet reflected on-chain, in order
+ *
+ * @param steps          The list of steps
+ * @param dryRun         Only print the plan; no transactions are sent
+ * @param confirmations  Number of confirmations to wait for on each transaction
+ * @param log            Logging function
+ * @return  The plan as [{name, current, expected, applied}] and the names of the steps executed
+ */
+const runSteps = async (steps, { dryRun = false, confirmations = 1, log = console.log } = {}) => {
+    const plan = await planSteps(steps)
+    const pending = plan.filter(step => !step.applied)
+
+    plan.forEach(({ name, current, expected, applied }) => {
+        if (applied) {
+            log(`  ✓ ${name}`)
+        } else {
+            log(`  ${dryRun ? '~' : '→'} ${name}: ${_format(current)} => ${_format(expected)}`)
+        }
+    })
+    log(`\n  ${pending.length} of ${plan.length} steps pending${dryRun ? ' (dry-run, no transactions sent)' : ''}`)
+
+    const executed = []
+    if (dryRun) { return { plan, executed } }
+
+    for (let i = 0; i < steps.length; i++) {
+        const step = steps[i]
+
+        // Re-read, as an earlier step may have changed the state of this one
+        if (_isApplied(await step.read(), step.expected)) { continue }
+
+        log(`  Executing: ${step.name}...`)
+        const tx = await step.execute()
+        await tx.wait(confirmations)
+
+        const current = await step.read()
+        if (!_isApplied(current, step.expected)) {
+            throw new Error(`Step "${step.name}" did not apply: ${_format(current)} => ${_format(step.expected)}`)
+        }
+        executed.push(step.name)
+    }
+    return { plan, executed }
+}
+
+module.exports = {
+    planSteps,
+    runSteps,
+}
@@ -0,0 +1,252 @@
+const fs = require('fs')
+const path = require('path')
+const { ethers } = require('ethers')
+
+const { toStr, implementationName } = require('./deploy-helpers')
+const { getProxyImplementation, getProxyAdmin } = require('./upgrades')
+const { version: packageVersion } = require('../package.json')
+
+const MANIFEST_VERSION = 1
+
+const escrowAbi = [
+    'function isPaused() view returns (bool)',
+]
+
+const manifestPath = (rootPath, networkName) => path.join(rootPath, 'manifests', `${networkName}.json`)
+
+const loadManifest = (filePath) => {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Deployment Manifest not found at ${filePath}; run "buidler export-manifest" first`)
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+}
+
+const saveManifest = (filePath, manifest) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, JSON.stringify(manifest, null, 2) + '\n')
+}
+
+// Contract Versions are stored as "bytes16" in the Charged Particles contracts
+const _readVersion = async (contract, overrides) => {
+    if (!contract.interface.fragments.some(f => f.type === 'function' && f.name === 'version')) { return '' }
+    const version = await contract.version(overrides)
+    return ethers.utils.isHexString(version) ? toStr(version) : version
+}
+
+const _readRegisteredContracts = async (escrowManager, fromBlock, overrides) => {
+    const logs = await escrowManager.provider.getLogs({
+        ...escrowManager.filters.RegisterParticleContract(),
+        fromBlock,
+        toBlock: overrides.blockTag,
+    })
+    const candidates = [...new Set(logs.map(log => escrowManager.interface.parseLog(log).args[0]))]
+
+    const registered = []
+    for (let i = 0; i < candidates.length; i++) {
+        if (await escrowManager.isContractRegistered(candidates[i], overrides)) {
+            registered.push(candidates[i])
+        }
+    }
+    return registered.sort()
+}
+
+/**
+ * Reads the Initialization Settings applied to the Charged Particles contracts
+ *
+ * @param contracts   Map of Ethers Contracts by name
+ * @param fromBlock   First block to search for registration events
+ * @param blockTag    The block to read the settings at
+ */
+const readDeploymentSettings = async ({ contracts, fromBlock = 0, blockTag = 'latest' }) => {
+    const overrides = { blockTag }
+    const settings = {}
+    const {
+        ChargedParticles,
+        ChargedParticlesEscrowManager,
+        ChargedParticlesTokenManager,
+    } = contracts
+
+    if (ChargedParticles) {
+        const { _eth, _ion } = await ChargedParticles.getCreationPrice(false, overrides)
+        settings.ChargedParticles = {
+            owner: await ChargedParticles.owner(overrides),
+            isPaused: await ChargedParticles.isPaused(overrides),
+            trustedForwarder: await ChargedParticles.getTrustedForwarder(overrides),
+            tokenManager: await ChargedParticles.tokenMgr(overrides),
+            escrowManager: await ChargedParticles.escrowMgr(overrides),
+            creationFees: { eth: _eth.toString(), ion: _ion.toString() },
+        }
+    }
+
+    if (ChargedParticlesEscrowManager) {
+        const escrowManager = ChargedParticlesEscrowManager
+        const assetPairs = {}
+        const assetPairsCount = (await escrowManager.getAssetPairsCount(overrides)).toNumber()
+        for (let i = 0; i < assetPairsCount; i++) {
+            const assetPairId = await escrowManager.getAssetPairByIndex(i, overrides)
+            if (!await escrowManager.isAssetPairEnabled(assetPairId, overrides)) {
+                assetPairs[assetPairId] = { enabled: false }
+                continue
+            }
+            const escrow = await escrowManager.getAssetTokenEscrow(assetPairId, overrides)
+            assetPairs[assetPairId] = {
+                enabled: true,
+                escrow,
+                escrowPaused: await new ethers.Contract(escrow, escrowAbi, escrowManager.provider).isPaused(overrides),
+                assetToken: await escrowManager.getAssetTokenAddress(assetPairId, overrides),
+                interestToken: await escrowManager.getInterestTokenAddress(assetPairId, overrides),
+            }
+        }
+
+        settings.ChargedParticlesEscrowManager = {
+            depositFee: (await escrowManager.depositFee(overrides)).toString(),
+            assetPairs,
+            registeredContracts: await _readRegisteredContracts(escrowManager, fromBlock, overrides),
+        }
+    }
+
+    if (ChargedParticlesTokenManager) {
+        // Fused-Particle contracts are not enumerable; check every known contract
+        const fusedParticles = []
+        const addresses = Object.values(contracts).map(contract => contract.address)
+        for (let i = 0; i < addresses.length; i++) {
+            if (await ChargedParticlesTokenManager.isFusedParticle(addresses[i], overrides)) {
+                fusedParticles.push(addresses[i])
+            }
+        }
+        settings.ChargedParticlesTokenManager = {
+            owner: await ChargedParticlesTokenManager.owner(overrides),
+            fusedParticles: fusedParticles.sort(),
+        }
+    }
+
+    return settings
+}
+
+/**
+ * Builds the Deployment Manifest of a network
+ *
+ * @param provider     An Ethers Provider connected to the network
+ * @param network      The network name (ex: "kovan")
+ * @param deployer     The address of the deployer
+ * @param deployments  The buidler-deploy deployments ({name: {address, abi, receipt}})
+ */
+const buildManifest = async ({ provider, network, deployer, deployments }) => {
+    const { chainId } = await provider.getNetwork()
+    const { number: blockNumber } = await provider.getBlock('latest')
+    const overrides = { blockTag: blockNumber }
+
+    // Upgradeable contracts are recorded with the Implementation and Admin of their proxy
+    const isProxy = (name) => Boolean(deployments[name].linkedData && deployments[name].linkedData.implementation)
+    const implementations = Object.keys(deployments).filter(isProxy).map(implementationName)
+
+    const contracts = {}
+    const instances = {}
+    const contractNames = Object.keys(deployments).filter(name => !implementations.includes(name)).sort()
+    for (let i = 0; i < contractNames.length; i++) {
+        const name = contractNames[i]
+        const { address, abi, receipt, transactionHash } = deployments[name]
+        instances[name] = new ethers.Contract(address, abi, provider)
+        contracts[name] = {
+            address,
+            version: await _readVersion(instances[name], overrides),
+            transactionHash: (receipt && receipt.transactionHash) || transactionHash || null,
+            blockNumber: (receipt && receipt.blockNumber) || null,
+        }
+        if (isProxy(name)) {
+            contracts[name].implementation = await getProxyImplementation(provider, address, blockNumber)
+            contracts[name].proxyAdmin = await getProxyAdmin(provider, address, blockNumber)
+        }
+    }
+
+    const deployBlocks = Object.values(contracts).map(c => c.blockNumber).filter(n => n !== null)
+    const fromBlock = deployBlocks.length ? Math.min(...deployBlocks) : 0
+
+    return {
+        manifestVersion: MANIFEST_VERSION,
+        version: packageVersion,
+        network,
+        chainId,
+        deployer,
+        blockNumber,
+        generatedAt: new Date().toISOString(),
+        contracts,
+        settings: await readDeploymentSettings({ contracts: instances, fromBlock, blockTag: blockNumber }),
+    }
+}
+
+// Lists the differences between two objects as {path, expected, actual}
+const diffObjects = (expected, actual, prefix = '') => {
+    const isObject = (value) => value !== null && typeof value === 'object'
+    if (!isObject(expected) || !isObject(actual)) {
+        return (JSON.stringify(expected) === JSON.stringify(actual)) ? [] : [{ path: prefix, expected, actual }]
+    }
+
+    const keys = [...new Set(Object.keys(expected).concat(Object.keys(actual)))].sort()
+    return keys.reduce((differences, key) => differences.concat(
+        diffObjects(expected[key], actual[key], prefix ? `${prefix}.${key}` : key)
+    ), [])
+}
+
+/**
+ * Compares the live chain state against a Deployment Manifest
+ *
+ * @param provider  An Ethers Provider connected to the network
+ * @param manifest  The Deployment Manifest
+ * @param getAbi    Async function returning the ABI of a contract by name
+ * @return  The list of differences as {path, expected, actual}; empty when the deployment matches
+ */
+const verifyManifest = async ({ provider, manifest, getAbi }) => {
+    const { chainId } = await provider.getNetwork()
+    if (chainId !== manifest.chainId) {
+        return [{ path: 'chainId', expected: manifest.chainId, actual: chainId }]
+    }
+
+    const contracts = {}
+    const instances = {}
+    const contractNames = Object.keys(manifest.contracts)
+    for (let i = 0; i < contractNames.length; i++) {
+        const name = contractNames[i]
+        const { address } = manifest.contracts[name]
+        if ((await provider.getCode(address)) === '0x') {
+            contracts[name] = { address, version: null }
+            continue
+        }
+        instances[name] = new ethers.Contract(address, await getAbi(name), provider)
+        contracts[name] = { address, version: await _readVersion(instances[name], {}) }
+        if (manifest.contracts[name].implementation) {
+            contracts[name].implementation = await getProxyImplementation(provider, address)
+            contracts[name].proxyAdmin = await getProxyAdmin(provider, address)
+        }
+    }
+
+    const expected = {
+        contracts: {},
+        settings: manifest.settings,
+    }
+    contractNames.forEach((name) => {
+        const { address, version, implementation, proxyAdmin } = manifest.contracts[name]
+        expected.contracts[name] = implementation ? { address, version, implementation, proxyAdmin } : { address, version }
+    })
+
+    const deployBlocks = Object.values(manifest.contracts).map(c => c.blockNumber).filter(n => n !== null)
+    const actual = {
+        contracts,
+        settings: await readDeploymentSettings({
+            contracts: instances,
+            fromBlock: deployBlocks.length ? Math.min(...deployBlocks) : 0,
+        }),
+    }
+    return diffObjects(expected, actual)
+}
+
+module.exports = {
+    MANIFEST_VERSION,
+    manifestPath,
+    loadManifest,
+    saveManifest,
+    readDeploymentSettings,
+    buildManifest,
+    diffObjects,
+    verifyManifest,
+}
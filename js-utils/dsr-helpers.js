@@ -0,0 +1,71 @@
+// Helpers for the local Dai Savings Rate stand-ins (contracts/test/MockDsr.sol) on BuidlerEVM
+
+const { ethers } = require('ethers')
+
+const RAY = ethers.BigNumber.from(10).pow(27)
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60
+
+// Converts a growth rate (ex: 0.05 for +5%) into a ray multiplier (1.05 * 10^27)
+const toRay = (rate) => ethers.utils.parseUnits((1 + rate).toFixed(18), 27)
+
+/**
+ * Converts an annual rate into the per-second Dai Savings Rate used by the Pot
+ *
+ * @param annualRate  The yearly rate (ex: 0.05 for 5%)
+ * @return  The per-second rate as a ray
+ */
+const annualRateToDsr = (annualRate) => {
+    const perSecond = Math.pow(1 + annualRate, 1 / SECONDS_PER_YEAR) - 1
+    return toRay(perSecond)
+}
+
+/**
+ * Moves the BuidlerEVM clock forward and mines a block
+ *
+ * @param provider  An Ethers Provider connected to BuidlerEVM
+ * @param seconds   Number of seconds to advance
+ */
+const advanceTime = async (provider, seconds) => {
+    await provider.send('evm_increaseTime', [seconds])
+    await provider.send('evm_mine', [])
+}
+
+/**
+ * Accrues interest on the mock Pot by applying a yearly rate over a period of time
+ *
+ * @param provider    An Ethers Provider connected to BuidlerEVM
+ * @param pot         The MockPot contract (with a Signer)
+ * @param annualRate  The yearly rate (ex: 0.05 for 5%)
+ * @param seconds     Number of seconds of interest to accrue
+ * @return  The new Rate Accumulator ("chi") of the Pot
+ */
+const advanceInterest = async ({ provider, pot, annualRate, seconds }) => {
+    await (await pot.file(ethers.utils.formatBytes32String('dsr'), annualRateToDsr(annualRate))).wait()
+
+    await advanceTime(provider, seconds)
+    await (await pot.drip()).wait()
+    return pot.chi()
+}
+
+/**
+ * Multiplies the Rate Accumulator of the mock Pot, accruing interest immediately
+ *
+ * @param pot   The MockPot contract (with a Signer)
+ * @param rate  The growth to apply (ex: 0.1 for +10%)
+ * @return  The new Rate Accumulator ("chi") of the Pot
+ */
+const accrueInterest = async ({ pot, rate }) => {
+    const chi = await pot.chi()
+    await (await pot.setChi(chi.mul(toRay(rate)).div(RAY))).wait()
+    return pot.chi()
+}
+
+module.exports = {
+    RAY,
+    SECONDS_PER_YEAR,
+    toRay,
+    annualRateToDsr,
+    advanceTime,
+    advanceInterest,
+    accrueInterest,
+}
@@ -0,0 +1,214 @@
+const fs = require('fs')
+const path = require('path')
+const { ethers } = require('ethers')
+
+const CATALOG_PATH = path.join(__dirname, 'error-catalog.json')
+
+// Mock/Test contracts are not part of the Protocol
+const IGNORED_SOURCE_DIRS = ['test']
+
+// Error(string) selector used by "require" & "revert"
+const ERROR_STRING_SELECTOR = '0x08c379a0'
+
+class ChargedParticlesError extends Error {
+    constructor({ code, contract, message, fix, method, cause }) {
+        super(message)
+        this.name = 'ChargedParticlesError'
+        this.code = code
+        this.contract = contract
+        this.fix = fix
+        this.method = method
+        this.cause = cause
+    }
+}
+
+const loadCatalog = (catalogPath = CATALOG_PATH) => JSON.parse(fs.readFileSync(catalogPath, 'utf8'))
+
+const _stripComments = (source) => source
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\/\/[^\n]*/g, '')
+
+const _findSourceFiles = (dir) => {
+    let files = []
+    fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+        const entryPath = path.join(dir, entry.name)
+        if (entry.isDirectory()) {
+            if (IGNORED_SOURCE_DIRS.includes(entry.name)) { return }
+            files = files.concat(_findSourceFiles(entryPath))
+        } else if (entry.name.endsWith('.sol')) {
+            files.push(entryPath)
+        }
+    })
+    return files.sort()
+}
+
+// Finds every "require(...)" & "revert(...)" reason in the Solidity sources;
+//  returns {reason: contractName}
+const extractErrorCodes = (sourcesDir) => {
+    const codes = {}
+    const reasonRegex = /\b(?:require|revert)\s*\([^;]*?"([^"]+)"\s*\)\s*;/g
+
+    _findSourceFiles(sourcesDir).forEach((sourceFile) => {
+        const contractName = path.basename(sourceFile, '.sol')
+        const source = _stripComments(fs.readFileSync(sourceFile, 'utf8'))
+        let match
+        while ((match = reasonRegex.exec(source)) !== null) {
+            codes[match[1]] = codes[match[1]] || contractName
+        }
+    })
+    return codes
+}
+
+// Merges the codes found in the sources into the catalog, keeping existing explanations;
+//  codes removed from the sources are dropped unless flagged as "external" (ex: OpenZeppelin)
+const buildCatalog = (codes, existingCatalog = {}) => {
+    const catalog = {}
+    const allCodes = Object.keys(codes).concat(
+        Object.keys(existingCatalog).filter(code => existingCatalog[code].external)
+    )
+    allCodes.sort().forEach((code) => {
+        const existing = existingCatalog[code] || {}
+        catalog[code] = {
+            contract: codes[code] || existing.contract,
+            message: existing.message || '',
+            fix: existing.fix || '',
+            ...(existing.external ? {external: true} : {}),
+        }
+    })
+    return catalog
+}
+
+const findUndocumentedCodes = (catalog) => Object.keys(catalog).filter(code => !catalog[code].message || !catalog[code].fix)
+
+const _decodeRevertData = (data) => {
+    if (typeof data !== 'string' || !data.startsWith(ERROR_STRING_SELECTOR)) { return }
+    try {
+        return ethers.utils.defaultAbiCoder.decode(['string'], ethers.utils.hexDataSlice(data, 4))[0]
+    } catch (err) {
+        // not an Error(string)
+    }
+}
+
+// Collects the messages and revert-data found on Ethers/JSON-RPC errors (nested at various depths)
+const _collectErrorDetails = (error, details = {messages: [], data: []}, depth = 0) => {
+    if (!error || typeof error !== 'object' || depth > 4) { return details }
+    ['reason', 'message'].forEach((key) => {
+        if (typeof error[key] === 'string') { details.messages.push(error[key]) }
+    })
+    if (typeof error.data === 'string') { details.data.push(error.data) }
+    if (typeof error.body === 'string') {
+        try { _collectErrorDetails(JSON.parse(error.body), details, depth + 1) } catch (err) {}
+    }
+    ['error', 'data'].forEach((key) => _collectErrorDetails(error[key], details, depth + 1))
+    return details
+}
+
+/**
+ * Finds the Revert Reason of a failed Call or Transaction
+ * @return  The Revert Reason, or undefined
+ */
+const getRevertReason = (error, catalog = loadCatalog()) => {
+    const { messages, data } = _collectErrorDetails(error)
+
+    for (let i = 0; i < data.length; i++) {
+        const reason = _decodeRevertData(data[i])
+        if (reason) { return reason }
+    }
+
+    // Known codes, longest first ("CP: INVALID_TYPE" vs "CPEM: ...")
+    const knownCodes = Object.keys(catalog).sort((a, b) => b.length - a.length)
+    for (let i = 0; i < messages.length; i++) {
+        const code = knownCodes.find(c => messages[i].includes(c))
+        if (code) { return code }
+    }
+
+    // Unknown codes
+    const reasonRegex = /(?:reverted with reason string '([^']*)'|execution reverted: (.*)$|revert (.*)$)/
+    for (let i = 0; i < messages.length; i++) {
+        const match = messages[i].match(reasonRegex)
+        if (match) { return (match[1] || match[2] || match[3]).trim() }
+    }
+}
+
+/**
+ * Converts a failed Call or Transaction into a ChargedParticlesError
+ *   Errors without a Revert Reason (network errors, etc.) are returned as-is
+ */
+const toChargedParticlesError = (error, { method } = {}, catalog = loadCatalog()) => {
+    if (error instanceof ChargedParticlesError) { return error }
+
+    const code = getRevertReason(error, catalog)
+    if (!code) { return error }
+
+    const entry = catalog[code] || {}
+    return new ChargedParticlesError({
+        code,
+        contract: entry.contract || 'Unknown',
+        message: entry.message || code,
+        fix: entry.fix,
+        method,
+        cause: error,
+    })
+}
+
+/**
+ * Wraps an Ethers Contract so that failed Calls and Transactions (including "tx.wait()")
+ *   throw a ChargedParticlesError
+ */
+const wrapContract = (contract, catalog = loadCatalog()) => {
+    const _wrapTx = (tx, method) => {
+        if (!tx || typeof tx.wait !== 'function') { return tx }
+        const wait = tx.wait.bind(tx)
+        tx.wait = async (...args) => {
+            try {
+                return await wait(...args)
+            } catch (err) {
+                throw toChargedParticlesError(err, { method }, catalog)
+            }
+        }
+        return tx
+    }
+
+    // Ethers defines the contract methods as read-only properties, so the wrapped methods are
+    //  defined on an object inheriting from the contract (or from its "callStatic"/"estimateGas")
+    const _wrapMethods = (target) => {
+        const wrapped = Object.create(target)
+        Object.keys(target).forEach((prop) => {
+            if (typeof target[prop] !== 'function' || !_isContractMethod(prop)) { return }
+            Object.defineProperty(wrapped, prop, {
+                enumerable: true,
+                value: async (...args) => {
+                    try {
+                        return _wrapTx(await target[prop](...args), prop)
+                    } catch (err) {
+                        throw toChargedParticlesError(err, { method: prop }, catalog)
+                    }
+                },
+            })
+        })
+        return wrapped
+    }
+
+    // Contract methods are accessible by name ("mintParticle") or signature ("mintParticle(address,...)")
+    const _isContractMethod = (prop) => (
+        Boolean(contract.interface.functions[prop]) ||
+        contract.interface.fragments.some(f => f.type === 'function' && f.name === prop)
+    )
+
+    const wrapped = _wrapMethods(contract)
+    Object.defineProperty(wrapped, 'callStatic', { enumerable: true, value: _wrapMethods(contract.callStatic) })
+    Object.defineProperty(wrapped, 'estimateGas', { enumerable: true, value: _wrapMethods(contract.estimateGas) })
+    return wrapped
+}
+
+module.exports = {
+    CATALOG_PATH,
+    ChargedParticlesError,
+    loadCatalog,
+    extractErrorCodes,
+    buildCatalog,
+    findUndocumentedCodes,
+    getRevertReason,
+    toChargedParticlesError,
+    wrapContract,
+}
@@ -0,0 +1,175 @@
+// Offline Fee & Particle-Mass calculator
+//
+// Reproduces the math of the contracts with BigNumbers, so that a deposit can be quoted before it is sent:
+//   - Deposit Fees:     ChargedParticlesEscrowManager._getFeesForDeposit  (basis points, DEPOSIT_FEE_MODIFIER = 1e4)
+//   - Particle Mass:    EscrowBase._getMassByDeposit                      (Interest-Token after fees)
+//   - Chai conversions: ChaiNucleus.depositAsset / toInterest / toAsset   (rdiv / rdivup / rmul by "chi")
+//   - ETH Prices:       ChargedParticles.getCreationPrice & the Mint Fee of a Type
+//
+// "chi" is the Rate Accumulator of the MakerDAO Pot at the time of the transaction; when the Pot has not been
+//  dripped in the current block use the result of "pot.callStatic.drip()" rather than "pot.chi()".
+
+const { ethers } = require('ethers')
+
+const { toChargedParticlesError } = require('./errors')
+
+const { BigNumber } = ethers
+
+// lib/Common.sol
+const DEPOSIT_FEE_MODIFIER = BigNumber.from(1e4)   // 10000  (100%)
+const MAX_CUSTOM_DEPOSIT_FEE = BigNumber.from(5e3) // 5000   (50%)
+const MIN_DEPOSIT_FEE = BigNumber.from(1e6)        // Minimum Asset balance of a Particle (wei)
+
+// ChaiNucleus
+const RAY = BigNumber.from(10).pow(27)
+
+const rmul = (x, y) => BigNumber.from(x).mul(y).div(RAY)
+const rdiv = (x, y) => BigNumber.from(x).mul(RAY).div(y)
+const rdivup = (x, y) => BigNumber.from(x).mul(RAY).add(BigNumber.from(y).sub(1)).div(y)
+
+/**
+ * Amount of Interest-Token received for a deposit of Asset-Token (ChaiNucleus.depositAsset)
+ */
+const depositToInterest = (assetAmount, chi) => rdiv(assetAmount, chi)
+
+/**
+ * Amount of Interest-Token worth an amount of Asset-Token, rounded up (ChaiNucleus.toInterest)
+ */
+const toInterest = (assetAmount, chi) => rdivup(assetAmount, chi)
+
+/**
+ * Amount of Asset-Token an amount of Interest-Token is worth (ChaiNucleus.toAsset)
+ */
+const toAsset = (interestAmount, chi) => rmul(chi, interestAmount)
+
+/**
+ * Calculates the Fees taken from a deposit (ChargedParticlesEscrowManager.getFeesForDeposit)
+ *
+ * @param interestAmount  The amount of Interest-Token deposited
+ * @param depositFee      The Deposit Fee of the Escrow Manager, in basis points
+ * @param customFee       The custom Deposit Fee of the Token Contract, in basis points
+ * @return  The Deposit Fee and the Custom Fee, in Interest-Token
+ */
+const getFeesForDeposit = (interestAmount, { depositFee = 0, customFee = 0 } = {}) => ({
+    depositFee: BigNumber.from(interestAmount).mul(depositFee).div(DEPOSIT_FEE_MODIFIER),
+    customFee: BigNumber.from(interestAmount).mul(customFee).div(DEPOSIT_FEE_MODIFIER),
+})
+
+/**
+ * Calculates the Mass (in Interest-Token) added by a deposit, after fees (EscrowBase._getMassByDeposit)
+ *
+ * @param interestAmount  The amount of Interest-Token deposited
+ * @param fees            The Deposit Fee and custom Deposit Fee, in basis points
+ */
+const getMassByDeposit = (interestAmount, fees) => {
+    const { depositFee, customFee } = getFeesForDeposit(interestAmount, fees)
+    return BigNumber.from(interestAmount).sub(depositFee).sub(customFee)
+}
+
+/**
+ * Calculates the Charge of a Particle; the value of its Interest-Token above its Asset balance (ChaiEscrow.currentParticleCharge)
+ *
+ * @param interestBalance  The Interest-Token balance of the Particle
+ * @param assetBalance     The Asset-Token balance (base mass) of the Particle
+ * @param chi              The Rate Accumulator of the Pot
+ */
+const getParticleCharge = ({ interestBalance, assetBalance, chi }) => {
+    const currentValue = toAsset(interestBalance, chi)
+    return currentValue.gt(assetBalance) ? currentValue.sub(assetBalance) : BigNumber.from(0)
+}
+
+/**
+ * Calculates the result of energizing a Particle (ChargedParticlesEscrowManager.energizeParticle with the Chai Escrow)
+ *
+ * @param assetAmount      The amount of Asset-Token deposited
+ * @param chi              The Rate Accumulator of the Pot
+ * @param depositFee       The Deposit Fee of the Escrow Manager, in basis points
+ * @param customFee        The custom Deposit Fee of the Token Contract, in basis points
+ * @param interestBalance  The Interest-Token balance of the Particle before the deposit
+ * @param assetBalance     The Asset-Token balance of the Particle before the deposit
+ * @return  The Interest-Token deposited, the fees, the Mass added and the new balances, Value and Charge of the Particle
+ */
+const calculateEnergize = ({ assetAmount, chi, depositFee = 0, customFee = 0, interestBalance = 0, assetBalance = 0 }) => {
+    const newAssetBalance = BigNumber.from(assetBalance).add(assetAmount)
+    if (newAssetBalance.lt(MIN_DEPOSIT_FEE)) {
+        throw toChargedParticlesError(new Error('CHE: INSUFF_DEPOSIT'), { method: 'energizeParticle' })
+    }
+
+    const interestAmount = depositToInterest(assetAmount, chi)
+    const fees = getFeesForDeposit(interestAmount, { depositFee, customFee })
+    const interestMass = interestAmount.sub(fees.depositFee).sub(fees.customFee)
+    const newInterestBalance = BigNumber.from(interestBalance).add(interestMass)
+
+    return {
+        interestAmount,
+        depositFee: fees.depositFee,
+        customFee: fees.customFee,
+        totalFee: fees.depositFee.add(fees.customFee),
+        interestMass,
+        interestBalance: newInterestBalance,
+        assetBalance: newAssetBalance,
+        value: toAsset(newInterestBalance, chi),
+        charge: getParticleCharge({ interestBalance: newInterestBalance, assetBalance: newAssetBalance, chi }),
+    }
+}
+
+/**
+ * Calculates the Creation Price of a Type (ChargedParticles.getCreationPrice); Particle Types cost double
+ *
+ * @param createFeeEth  The Creation Fee in ETH (ChargedParticles.setupFees)
+ * @param createFeeIon  The Creation Fee in IONs
+ * @param isNF          True for Particle Types, false for Plasma Types
+ */
+const getCreationPrice = ({ createFeeEth, createFeeIon, isNF }) => {
+    const multiplier = isNF ? 2 : 1
+    return {
+        eth: BigNumber.from(createFeeEth).mul(multiplier),
+        ion: BigNumber.from(createFeeIon).mul(multiplier),
+    }
+}
+
+/**
+ * Calculates the ETH to send to mint tokens of a Type; the Type Creator mints for free
+ *
+ * @param mintFee    The Mint Fee of the Type, per token (ChargedParticles.getMintingFee)
+ * @param amount     The number of tokens (Plasma); 1 for Particles
+ * @param isCreator  True if the minter is the creator of the Type
+ */
+const getMintPrice = ({ mintFee, amount = 1, isCreator = false }) => (
+    isCreator ? BigNumber.from(0) : BigNumber.from(mintFee).mul(amount)
+)
+
+/**
+ * Quotes the minting of a Particle: the ETH to send, plus the result of energizing it
+ *
+ * @param assetAmount  The amount of Asset-Token deposited
+ * @param chi          The Rate Accumulator of the Pot
+ * @param depositFee   The Deposit Fee of the Escrow Manager, in basis points
+ * @param customFee    The custom Deposit Fee of the Token Contract, in basis points
+ * @param mintFee      The Mint Fee of the Type
+ * @param isCreator    True if the minter is the creator of the Type
+ */
+const quoteMintParticle = ({ assetAmount, chi, depositFee, customFee, mintFee, isCreator }) => ({
+    eth: getMintPrice({ mintFee, isCreator }),
+    ...calculateEnergize({ assetAmount, chi, depositFee, customFee }),
+})
+
+module.exports = {
+    DEPOSIT_FEE_MODIFIER,
+    MAX_CUSTOM_DEPOSIT_FEE,
+    MIN_DEPOSIT_FEE,
+    RAY,
+    rmul,
+    rdiv,
+    rdivup,
+    depositToInterest,
+    toInterest,
+    toAsset,
+    getFeesForDeposit,
+    getMassByDeposit,
+    getParticleCharge,
+    calculateEnergize,
+    getCreationPrice,
+    getMintPrice,
+    quoteMintParticle,
+}
@@ -0,0 +1,265 @@
+const fs = require('fs')
+const path = require('path')
+const { ethers } = require('ethers')
+
+const { erc20Abi } = require('./client')
+const { readDeploymentSettings } = require('./deployment-manifest')
+const { buildState } = require('./indexer')
+const { getUUID } = require('./token-ids')
+const { readStorageMapping } = require('./upgrades')
+
+// ChargedParticles collects the ETH fees of the Protocol under this ID; the 21-byte literal of the contract
+//  ("0xC1DA0da0...DA00") is truncated to its lower 20 bytes
+const CONTRACT_ID = ethers.utils.getAddress('0xda0da0da0da0da0da0da0da0da0da0da0da0da00')
+
+// Recipients of the fees, by kind
+const FEE_RECIPIENTS = {
+    protocol: 'Protocol (Creation Fees & ION Minting Fees, withdrawn by the Owner of ChargedParticles)',
+    creator: 'Type Creator (Minting Fees)',
+    depositFees: 'Protocol (Deposit Fees, held by the Escrow; no withdrawal)',
+    contract: 'External Contract (Custom Deposit Fees, withdrawn by its Contract Owner)',
+}
+
+const nucleusAbi = [
+    'function interestBalance(address _account) returns (uint256)',
+    'function toAsset(uint256 _interestAmount) returns (uint256)',
+]
+
+const CSV_COLUMNS = [
+    'holder', 'assetPairId', 'kind', 'recipient', 'unit', 'outstanding', 'withdrawn', 'total', 'withdrawals',
+    'valueUnit', 'outstandingValue', 'withdrawnValue', 'totalValue',
+]
+
+const _sum = (amounts) => amounts.reduce((total, amount) => total.add(amount), ethers.constants.Zero)
+
+const _sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase()
+
+const _uniqueAddresses = (addresses) => [...new Set(addresses.map(address => ethers.utils.getAddress(address)))].sort()
+
+const _reconcile = (name, expected, actual) => ({ name, expected, actual, difference: actual.sub(expected), balanced: actual.eq(expected) })
+
+// The Asset Tokens paid to the receiver of a withdrawal, from the Transfer logs of its transaction
+const _readPaidAssets = async (provider, assetToken, { transactionHash, receiver }) => {
+    const receipt = await provider.getTransactionReceipt(transactionHash)
+    const transfers = receipt.logs
+        .filter(log => _sameAddress(log.address, assetToken.address))
+        .map((log) => {
+            try {
+                return assetToken.interface.parseLog(log)
+            } catch (err) {
+                return undefined
+            }
+        })
+        .filter(parsed => parsed && parsed.name === 'Transfer' && _sameAddress(parsed.args.to, receiver))
+    return _sum(transfers.map(({ args }) => args.value))
+}
+
+/**
+ * Builds the Fee Report of the Charged Particles contracts: the outstanding and withdrawn fees of each recipient, and their
+ *   reconciliation with the balances held by the contracts.  ETH fees are valued in ETH; Interest-token fees are valued in
+ *   the Asset Token, at the current rate of the Nucleus ("toAsset") when outstanding, and as paid out when withdrawn.
+ *
+ * @param provider     An Ethers Provider
+ * @param deployment   Map of deployed contracts ({name: {address, abi}})
+ * @param events       The indexed events (see particleIndexer.getEvents); the withdrawals, Types and deposits are read from them
+ * @param layouts      Storage layouts of the fee balances, which have no getters (see readStorageLayout):
+ *                     {ChargedParticles, escrows: {assetPairId: layout}}
+ * @param fromBlock    First block of the indexed events
+ * @param blockNumber  The block to report at (default: latest)
+ * @return  {blockNumber, rows, reconciliation}; amounts as BigNumbers
+ */
+const buildFeeReport = async ({ provider, deployment, events, layouts, fromBlock = 0, blockNumber }) => {
+    if (blockNumber === undefined) {
+        blockNumber = (await provider.getBlock('latest')).number
+    }
+    const overrides = { blockTag: blockNumber }
+    const _contract = (name) => new ethers.Contract(deployment[name].address, deployment[name].abi, provider)
+    const chargedParticles = _contract('ChargedParticles')
+    const escrowManager = _contract('ChargedParticlesEscrowManager')
+    const _readMapping = (address, layout, label, key) => readStorageMapping({ provider, address, layout, label, key, blockTag: blockNumber })
+
+    const state = buildState(events.filter(event => event.blockNumber <= blockNumber))
+    const rows = []
+    const reconciliation = []
+
+    // ETH fees held by ChargedParticles
+    const typeIds = Object.values(state.types).map(({ typeId }) => typeId)
+    const typeCreators = []
+    for (let i = 0; i < typeIds.length; i++) {
+        typeCreators.push(await chargedParticles.getTypeCreator(typeIds[i], overrides))
+    }
+    const creators = _uniqueAddresses(typeCreators.concat(Object.keys(state.creatorFees)))
+        .filter(creator => creator !== ethers.constants.AddressZero && creator !== CONTRACT_ID)
+    const ethRecipients = [{ kind: 'protocol', recipient: CONTRACT_ID, withdrawals: state.contractFees }]
+        .concat(creators.map(creator => ({ kind: 'creator', recipient: creator, withdrawals: (state.creatorFees[creator] || { withdrawals: [] }).withdrawals })))
+
+    for (let i = 0; i < ethRecipients.length; i++) {
+        const { kind, recipient, withdrawals } = ethRecipients[i]
+        const outstanding = await _readMapping(chargedParticles.address, layouts.ChargedParticles, 'collectedFees', recipient)
+        const withdrawn = _sum(withdrawals.map(({ amount }) => amount))
+        rows.push({
+            holder: chargedParticles.address,
+            assetPairId: '',
+            kind,
+            recipient,
+            unit: 'ETH',
+            decimals: 18,
+            outstanding,
+            withdrawn,
+            withdrawals: withdrawals.filter(({ amount }) => !amount.isZero()).length,
+            valueUnit: 'ETH',
+            valueDecimals: 18,
+            outstandingValue: outstanding,
+            withdrawnValue: withdrawn,
+        })
+    }
+    reconciliation.push(_reconcile(
+        'ETH held by ChargedParticles = outstanding Protocol & Creator fees',
+        _sum(rows.map(({ outstanding }) => outstanding)),
+        await provider.getBalance(chargedParticles.address, blockNumber),
+    ))
+
+    // Interest-token fees held by the Escrow of each Asset Pair
+    const { assetPairs, registeredContracts } = (await readDeploymentSettings({
+        contracts: { ChargedParticlesEscrowManager: escrowManager },
+        fromBlock,
+        blockTag: blockNumber,
+    })).ChargedParticlesEscrowManager
+
+    const assetPairIds = Object.keys(assetPairs).filter(assetPairId => assetPairs[assetPairId].enabled)
+    for (let i = 0; i < assetPairIds.length; i++) {
+        const assetPairId = assetPairIds[i]
+        const { escrow, assetToken: assetTokenAddress, interestToken } = assetPairs[assetPairId]
+        const layout = layouts.escrows[assetPairId]
+        if (!layout) {
+            throw new Error(`No storage layout for the Escrow of Asset Pair "${assetPairId}"`)
+        }
+        const nucleus = new ethers.Contract(interestToken, nucleusAbi.concat(erc20Abi), provider)
+        const assetToken = new ethers.Contract(assetTokenAddress, erc20Abi, provider)
+        const units = {
+            unit: await nucleus.symbol(overrides),
+            decimals: await nucleus.decimals(overrides),
+            valueUnit: await assetToken.symbol(overrides),
+            valueDecimals: await assetToken.decimals(overrides),
+        }
+        const _toAsset = async (amount) => (amount.isZero() ? amount : nucleus.callStatic.toAsset(amount, overrides))
+
+        const withdrawalsOf = (contractAddress) => state.escrowFees
+            .filter(withdrawal => withdrawal.assetPairId === assetPairId && _sameAddress(withdrawal.contractAddress, contractAddress))
+        const recipients = [{ kind: 'depositFees', recipient: escrowManager.address }]
+            .concat(_uniqueAddresses(registeredContracts.concat(state.escrowFees.map(({ contractAddress }) => contractAddress)))
+                .map(recipient => ({ kind: 'contract', recipient })))
+
+        const escrowRows = []
+        for (let j = 0; j < recipients.length; j++) {
+            const { kind, recipient } = recipients[j]
+            const outstanding = await _readMapping(escrow, layout, 'collectedFees', recipient)
+            const withdrawals = withdrawalsOf(recipient)
+            const paid = []
+            for (let k = 0; k < withdrawals.length; k++) {
+                paid.push(await _readPaidAssets(provider, assetToken, withdrawals[k]))
+            }
+            escrowRows.push({
+                holder: escrow,
+                assetPairId,
+                kind,
+                recipient,
+                ...units,
+                outstanding,
+                withdrawn: _sum(withdrawals.map(({ amount }) => amount)),
+                withdrawals: withdrawals.filter(({ amount }) => !amount.isZero()).length,
+                outstandingValue: await _toAsset(outstanding),
+                withdrawnValue: _sum(paid),
+            })
+        }
+        rows.push(...escrowRows)
+
+        // The rest of the Interest Token held by the Escrow belongs to the deposited Particles
+        const deposits = Object.keys(state.deposits)
+        const particles = []
+        for (let j = 0; j < deposits.length; j++) {
+            const [contractAddress, tokenId] = deposits[j].split(':')
+            particles.push(await _readMapping(escrow, layout, 'interestTokenBalance', getUUID(contractAddress, tokenId)))
+        }
+        reconciliation.push(_reconcile(
+            `${units.unit} held by the Escrow of "${assetPairId}" = outstanding fees + the Interest Token of ${deposits.length} Particles`,
+            _sum(escrowRows.map(({ outstanding }) => outstanding).concat(particles)),
+            await nucleus.callStatic.interestBalance(escrow, overrides),
+        ))
+    }
+
+    return { blockNumber, rows, reconciliation }
+}
+
+/**
+ * Serializes a Fee Report as JSON; amounts in the smallest unit (wei)
+ */
+const feeReportToJson = ({ blockNumber, rows, reconciliation }) => {
+    const _serialize = (value) => (ethers.BigNumber.isBigNumber(value) ? value.toString() : value)
+    const _serializeAll = (object) => Object.keys(object).reduce((result, key) => ({ ...result, [key]: _serialize(object[key]) }), {})
+    return {
+        blockNumber,
+        rows: rows.map(row => _serializeAll({ ...row, total: row.outstanding.add(row.withdrawn), totalValue: row.outstandingValue.add(row.withdrawnValue) })),
+        reconciliation: reconciliation.map(_serializeAll),
+    }
+}
+
+/**
+ * Serializes the rows of a Fee Report as CSV; amounts in decimal units (ex: "1.5" ETH)
+ */
+const feeReportToCsv = ({ rows }) => {
+    const lines = rows.map((row) => {
+        const format = (amount, decimals) => ethers.utils.formatUnits(amount, decimals)
+        const values = {
+            ...row,
+            outstanding: format(row.outstanding, row.decimals),
+            withdrawn: format(row.withdrawn, row.decimals),
+            total: format(row.outstanding.add(row.withdrawn), row.decimals),
+            outstandingValue: format(row.outstandingValue, row.valueDecimals),
+            withdrawnValue: format(row.withdrawnValue, row.valueDecimals),
+            totalValue: format(row.outstandingValue.add(row.withdrawnValue), row.valueDecimals),
+        }
+        return CSV_COLUMNS.map(column => values[column]).join(',')
+    })
+    return [CSV_COLUMNS.join(',')].concat(lines).join('\n') + '\n'
+}
+
+/**
+ * Writes a Fee Report as JSON or CSV (default: by the extension of the file)
+ */
+const saveFeeReport = (filePath, report, format = path.extname(filePath).toLowerCase() === '.csv' ? 'csv' : 'json') => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, format === 'csv' ? feeReportToCsv(report) : JSON.stringify(feeReportToJson(report), null, 2) + '\n')
+}
+
+/**
+ * Formats a Fee Report as readable lines
+ */
+const formatFeeReport = ({ blockNumber, rows, reconciliation }) => {
+    const format = (amount, decimals, unit) => `${ethers.utils.formatUnits(amount, decimals)} ${unit}`
+    const lines = [`Fees at block ${blockNumber}`]
+    rows.forEach((row) => {
+        const valued = row.unit === row.valueUnit ? '' : ` (${format(row.outstandingValue, row.valueDecimals, row.valueUnit)})`
+        lines.push(
+            `  ${row.recipient} - ${FEE_RECIPIENTS[row.kind]}${row.assetPairId ? ` in "${row.assetPairId}"` : ''}`,
+            `    Outstanding:  ${format(row.outstanding, row.decimals, row.unit)}${valued}`,
+            `    Withdrawn:    ${format(row.withdrawn, row.decimals, row.unit)} in ${row.withdrawals} withdrawals`
+                + (row.unit === row.valueUnit ? '' : ` (${format(row.withdrawnValue, row.valueDecimals, row.valueUnit)} paid)`),
+        )
+    })
+    lines.push('Reconciliation')
+    reconciliation.forEach(({ name, expected, actual, difference, balanced }) => {
+        lines.push(`  ${balanced ? 'OK' : 'MISMATCH'}  ${name}: expected ${expected}, held ${actual}${balanced ? '' : ` (difference ${difference})`}`)
+    })
+    return lines
+}
+
+module.exports = {
+    CONTRACT_ID,
+    FEE_RECIPIENTS,
+    buildFeeReport,
+    feeReportToJson,
+    feeReportToCsv,
+    saveFeeReport,
+    formatFeeReport,
+}
@@ -0,0 +1,245 @@
+const fs = require('fs')
+const path = require('path')
+const { ethers } = require('ethers')
+
+const {
+    contractManager,
+    presets,
+    toWei,
+} = require('./deploy-helpers')
+const { withGasMargin } = require('./client')
+const { accrueInterest } = require('./dsr-helpers')
+
+const SNAPSHOT_PATH = path.join(__dirname, 'gas-snapshot.json')
+
+// Regressions above this percentage fail the check
+const DEFAULT_THRESHOLD = 1
+
+const NO_GAS = { gasPrice: 0 }
+const EMPTY_STR = ethers.utils.formatBytes32String('')
+
+const PARTICLE = ['gas-particle', 'https://example.com/particle', 'GAS', 1, 'chai', 0, toWei('0.01')]
+const PLASMA = ['gas-plasma', 'https://example.com/plasma', 'GASP', false, 1000, 0, 100]
+
+const _findEventArgs = (receipt, eventName) => receipt.events.find(e => e.event === eventName).args
+
+// Transactions moving the Asset Token, with a padded gas estimate (see "withGasMargin" in client.js)
+const _sendPadded = async (contract, method, args, overrides = NO_GAS) => (
+    contract[method](...args, await withGasMargin(contract, method, args, overrides))
+)
+
+const _mint = async (ctx, signer) => {
+    const { chargedParticles } = ctx.contracts
+    const owner = await signer.getAddress()
+    const value = await chargedParticles.getMintingFee(ctx.particleTypeId)
+    const tx = await _sendPadded(chargedParticles.connect(signer), 'mintParticle', [owner, ctx.particleTypeId, toWei('100'), '', EMPTY_STR], { value, ...NO_GAS })
+    return tx.wait()
+}
+
+/**
+ * The Protocol Operations of the Gas Snapshot, measured in order on a fresh deployment;
+ *   "setup" prepares the state of an operation, and "run" sends the (single) measured transaction
+ */
+const gasOperations = [
+    {
+        name: 'createParticle',
+        description: 'Create a Particle Type (NFT), paying the creation price in ETH',
+        run: async ({ contracts, signers }) => {
+            const { _eth: eth } = await contracts.chargedParticles.getCreationPrice(true)
+            return contracts.chargedParticles.connect(signers.creator).createParticle(...PARTICLE, false, { value: eth, ...NO_GAS })
+        },
+        after: (ctx, receipt) => { ctx.particleTypeId = _findEventArgs(receipt, 'ParticleTypeUpdated')[0] },
+    },
+    {
+        name: 'createParticleWithIons',
+        description: 'Create a Particle Type (NFT), paying the creation price in IONs',
+        run: ({ contracts, signers }) => contracts.chargedParticles.connect(signers.creator).createParticle(...PARTICLE, true, NO_GAS),
+    },
+    {
+        name: 'createPlasma',
+        description: 'Create a Plasma Type (Fungible) with an initial mint, paying the creation price in ETH',
+        run: async ({ contracts, signers }) => {
+            const { _eth: eth } = await contracts.chargedParticles.getCreationPrice(false)
+            return contracts.chargedParticles.connect(signers.creator).createPlasma(...PLASMA, false, { value: eth, ...NO_GAS })
+        },
+    },
+    {
+        name: 'mintParticle',
+        description: 'Mint a Particle energized with 100 Dai, paying the minting fee',
+        run: async ({ contracts, signers, particleTypeId }) => {
+            const value = await contracts.chargedParticles.getMintingFee(particleTypeId)
+            const collector = await signers.collector.getAddress()
+            return _sendPadded(contracts.chargedParticles.connect(signers.collector), 'mintParticle', [collector, particleTypeId, toWei('100'), '', EMPTY_STR], { value, ...NO_GAS })
+        },
+        after: (ctx, receipt) => { ctx.tokenId = _findEventArgs(receipt, 'ParticleMinted')[2] },
+    },
+    {
+        name: 'dischargeParticle',
+        description: 'Discharge the full charge of a Particle',
+        setup: ({ contracts }) => accrueInterest({ pot: contracts.pot, rate: 0.1 }),
+        run: async ({ contracts, signers, tokenId }) => (
+            _sendPadded(contracts.chargedParticles.connect(signers.collector), 'dischargeParticle', [await signers.receiver.getAddress(), tokenId])
+        ),
+    },
+    {
+        name: 'dischargeParticleAmount',
+        description: 'Discharge 1 Dai of the charge of a Particle',
+        setup: ({ contracts }) => accrueInterest({ pot: contracts.pot, rate: 0.1 }),
+        run: async ({ contracts, signers, tokenId }) => (
+            _sendPadded(contracts.chargedParticles.connect(signers.collector), 'dischargeParticleAmount', [await signers.receiver.getAddress(), tokenId, toWei('1')])
+        ),
+    },
+    {
+        name: 'releaseParticle',
+        description: 'Release the mass and charge of a Particle',
+        run: async ({ contracts, signers, tokenId }) => {
+            const collector = await signers.collector.getAddress()
+            return _sendPadded(contracts.escrowManager.connect(signers.collector), 'releaseParticle', [collector, contracts.chargedParticles.address, tokenId, 'chai'])
+        },
+    },
+    {
+        name: 'releaseWithBurn',
+        description: 'Burn a Particle, releasing its mass and charge',
+        setup: async (ctx) => {
+            const receipt = await _mint(ctx, ctx.signers.collector)
+            ctx.burnTokenId = _findEventArgs(receipt, 'ParticleMinted')[2]
+            await accrueInterest({ pot: ctx.contracts.pot, rate: 0.1 })
+        },
+        run: ({ contracts, signers, burnTokenId }) => _sendPadded(contracts.chargedParticles.connect(signers.collector), 'burnParticle', [burnTokenId]),
+    },
+    {
+        name: 'withdrawFees',
+        description: 'Withdraw the creation fees collected by ChargedParticles (owner)',
+        run: async ({ contracts, signers }) => contracts.chargedParticles.withdrawFees(await signers.receiver.getAddress(), NO_GAS),
+    },
+    {
+        name: 'withdrawCreatorFees',
+        description: 'Withdraw the minting fees of a Type Creator',
+        run: async ({ contracts, signers }) => (
+            contracts.chargedParticles.connect(signers.creator).withdrawCreatorFees(await signers.creator.getAddress(), NO_GAS)
+        ),
+    },
+    {
+        name: 'withdrawContractFees',
+        description: 'Withdraw the custom deposit fees of a contract (contract owner)',
+        setup: async (ctx) => {
+            const { chargedParticles, escrowManager } = ctx.contracts
+            await (await escrowManager.registerContractSettingDepositFee(chargedParticles.address, 100)).wait()
+            await _mint(ctx, ctx.signers.collector)
+        },
+        run: async ({ contracts, signers }) => (
+            contracts.escrowManager.withdrawContractFees(contracts.chargedParticles.address, await signers.receiver.getAddress(), 'chai', NO_GAS)
+        ),
+    },
+]
+
+// Fresh deployment with funded Creator & Collector; the Creator holds IONs
+const _setup = async (bre) => {
+    const { deployments, ethers: bEthers } = bre
+    await deployments.fixture()
+    const getContract = contractManager(bre)
+
+    const [deployer, creator, collector, , receiver] = await bEthers.getSigners()
+    const contracts = {
+        chargedParticles: await getContract('ChargedParticles'),
+        tokenManager: await getContract('ChargedParticlesTokenManager'),
+        escrowManager: await getContract('ChargedParticlesEscrowManager'),
+        dai: await getContract('Dai'),
+        pot: await getContract('MockPot'),
+    }
+    const { chargedParticles, tokenManager, dai } = contracts
+
+    const signers = [creator, collector]
+    for (let i = 0; i < signers.length; i++) {
+        await (await dai.mint(await signers[i].getAddress(), toWei('1000'))).wait()
+        await (await dai.connect(signers[i]).approve(chargedParticles.address, ethers.constants.MaxUint256)).wait()
+    }
+
+    const ion = presets.ChargedParticles.ionToken
+    const receipt = await (await chargedParticles.mintIons(ion.URI, ion.maxSupply, ion.mintFee)).wait()
+    const ionTokenId = _findEventArgs(receipt, 'PlasmaTypeUpdated')[0]
+    await (await tokenManager.transferFrom(await deployer.getAddress(), await creator.getAddress(), ionTokenId, toWei('10'))).wait()
+
+    return { contracts, signers: { deployer, creator, collector, receiver } }
+}
+
+/**
+ * Measures the gas used by each of the Protocol Operations (see gasOperations) on a fresh deployment
+ *
+ * @param bre  The Buidler Runtime Environment, on BuidlerEVM
+ * @return  The Gas Snapshot: {compiler, operations: {name: {description, gasUsed}}}
+ */
+const measureGas = async (bre) => {
+    const ctx = await _setup(bre)
+    const operations = {}
+    for (let i = 0; i < gasOperations.length; i++) {
+        const { name, description, setup, run, after } = gasOperations[i]
+        if (setup) { await setup(ctx) }
+
+        // Every operation accrues the Pot ("drip"), whether or not a second passed since the previous block
+        await bre.ethers.provider.send('evm_increaseTime', [60])
+        const receipt = await (await run(ctx)).wait()
+        if (after) { after(ctx, receipt) }
+
+        operations[name] = { description, gasUsed: receipt.gasUsed.toNumber() }
+    }
+
+    const { version, optimizer } = bre.config.solc
+    return { compiler: { version, optimizer }, operations }
+}
+
+const loadGasSnapshot = (snapshotPath = SNAPSHOT_PATH) => JSON.parse(fs.readFileSync(snapshotPath, 'utf8'))
+
+/**
+ * Compares two Gas Snapshots
+ *
+ * @param previous   The recorded Gas Snapshot
+ * @param current    The measured Gas Snapshot
+ * @param threshold  The percentage of extra gas allowed before an operation regresses
+ * @return  {changes: [{name, previous, current, change}], regressions, added, removed};
+ *          "change" is in percent, "regressions", "added" and "removed" are operation names
+ */
+const compareGasSnapshots = (previous, current, threshold = DEFAULT_THRESHOLD) => {
+    const previousOps = previous.operations || {}
+    const currentOps = current.operations || {}
+
+    const changes = Object.keys(currentOps)
+        .filter(name => previousOps[name])
+        .map((name) => {
+            const before = previousOps[name].gasUsed
+            const after = currentOps[name].gasUsed
+            return { name, previous: before, current: after, change: (after - before) * 100 / before }
+        })
+
+    return {
+        changes,
+        regressions: changes.filter(({ change }) => change > threshold).map(({ name }) => name),
+        added: Object.keys(currentOps).filter(name => !previousOps[name]),
+        removed: Object.keys(previousOps).filter(name => !currentOps[name]),
+    }
+}
+
+/**
+ * Estimates the cost of an operation from the Gas Snapshot (ex: to display it before sending a transaction)
+ *
+ * @param operation  The name of the operation (ex: "mintParticle")
+ * @param gasPrice   The gas price, in wei
+ * @param snapshot   The Gas Snapshot (defaults to the recorded one)
+ * @return  The cost in wei
+ */
+const estimateCost = (operation, gasPrice, snapshot = loadGasSnapshot()) => {
+    if (!snapshot.operations[operation]) {
+        throw new Error(`Unknown operation "${operation}"`)
+    }
+    return ethers.BigNumber.from(snapshot.operations[operation].gasUsed).mul(gasPrice)
+}
+
+module.exports = {
+    SNAPSHOT_PATH,
+    DEFAULT_THRESHOLD,
+    gasOperations,
+    measureGas,
+    loadGasSnapshot,
+    compareGasSnapshots,
+    estimateCost,
+}
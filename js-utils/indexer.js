@@ -0,0 +1,409 @@
+const fs = require('fs')
+const path = require('path')
+const { ethers } = require('ethers')
+
+const { loadDeployment } = require('./client')
+const { getNonFungibleBaseType } = require('./token-ids')
+
+const INDEX_VERSION = 1
+
+// Contract => Indexed Events
+const indexedEvents = {
+    ChargedParticles: [
+        'ParticleTypeUpdated',
+        'PlasmaTypeUpdated',
+        'ParticleMinted',
+        'ParticleBurned',
+        'PlasmaMinted',
+        'PlasmaBurned',
+        'CreatorFeesWithdrawn',
+        'ContractFeesWithdrawn',
+    ],
+    ChargedParticlesEscrowManager: [
+        'EnergizedParticle',
+        'DischargedParticle',
+        'ReleasedParticle',
+        'DischargeApproval',
+        'FeesWithdrawn',
+    ],
+}
+
+//
+// Stores
+//
+
+const memoryStore = (initialData) => {
+    let data = initialData
+    return {
+        load: () => data && JSON.parse(JSON.stringify(data)),
+        save: (newData) => { data = JSON.parse(JSON.stringify(newData)) },
+    }
+}
+
+const jsonFileStore = (filePath) => ({
+    load: () => fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : undefined,
+    save: (data) => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true })
+        // Write then rename, so an interrupted sync never leaves a partial index
+        fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(data, null, 2))
+        fs.renameSync(`${filePath}.tmp`, filePath)
+    },
+})
+
+//
+// Events
+//
+
+const _serializeArg = (value) => {
+    if (ethers.BigNumber.isBigNumber(value)) { return value.toString() }
+    if (value && value._isIndexed) { return value.hash } // Indexed strings are only available as their hash
+    return value
+}
+
+const _serializeLog = (contractName, contract, log) => {
+    const parsed = contract.interface.parseLog(log)
+    const args = {}
+    parsed.eventFragment.inputs.forEach((input, index) => {
+        args[input.name.replace(/^_/, '')] = _serializeArg(parsed.args[index])
+    })
+    return {
+        name: parsed.name,
+        contract: contractName,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        args,
+    }
+}
+
+const _compareEvents = (a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex)
+
+//
+// State
+//
+
+const _bn = (value) => ethers.BigNumber.from(value)
+const _key = (value) => _bn(value).toString()
+const _depositKey = (contractAddress, tokenId) => `${contractAddress.toLowerCase()}:${_key(tokenId)}`
+
+// Rebuilds the Particle State by replaying the indexed events
+const buildState = (events) => {
+    const state = {
+        types: {},
+        particles: {},
+        deposits: {},
+        approvals: {},
+        creatorFees: {},
+        contractFees: [],
+        escrowFees: [],
+    }
+    const mass = {}
+
+    events.forEach((event) => {
+        const { args } = event
+        const origin = { blockNumber: event.blockNumber, transactionHash: event.transactionHash }
+
+        switch (event.name) {
+            case 'ParticleTypeUpdated':
+                state.types[_key(args.particleTypeId)] = {
+                    typeId: _bn(args.particleTypeId),
+                    isNF: true,
+                    symbolHash: args.symbol,
+                    isPrivate: args.isPrivate,
+                    isSeries: args.isSeries,
+                    assetPairId: args.assetPairId,
+                    uri: args.uri,
+                    ...origin,
+                }
+                break
+
+            case 'PlasmaTypeUpdated':
+                state.types[_key(args.plasmaTypeId)] = {
+                    typeId: _bn(args.plasmaTypeId),
+                    isNF: false,
+                    symbolHash: args.symbol,
+                    isPrivate: args.isPrivate,
+                    initialMint: _bn(args.initialMint),
+                    totalMinted: _bn(args.initialMint),
+                    totalBurned: ethers.constants.Zero,
+                    uri: args.uri,
+                    ...origin,
+                }
+                break
+
+            case 'ParticleMinted':
+                state.particles[_key(args.tokenId)] = {
+                    tokenId: _bn(args.tokenId),
+                    typeId: getNonFungibleBaseType(args.tokenId),
+                    minter: args.sender,
+                    receiver: args.receiver,
+                    uri: args.uri,
+                    burned: false,
+                    ...origin,
+                }
+                break
+
+            case 'ParticleBurned': {
+                const particle = state.particles[_key(args.tokenId)]
+                if (particle) { particle.burned = true }
+                break
+            }
+
+            case 'PlasmaMinted':
+            case 'PlasmaBurned': {
+                const type = state.types[_key(args.typeId)]
+                if (!type) { break }
+                if (event.name === 'PlasmaMinted') {
+                    type.totalMinted = type.totalMinted.add(args.amount)
+                } else {
+                    type.totalBurned = type.totalBurned.add(args.amount)
+                }
+                break
+            }
+
+            case 'CreatorFeesWithdrawn': {
+                const totals = state.creatorFees[args.sender] || { withdrawn: ethers.constants.Zero, withdrawals: [] }
+                totals.withdrawn = totals.withdrawn.add(args.amount)
+                totals.withdrawals.push({ receiver: args.receiver, amount: _bn(args.amount), ...origin })
+                state.creatorFees[args.sender] = totals
+                break
+            }
+
+            case 'ContractFeesWithdrawn':
+                state.contractFees.push({ sender: args.sender, receiver: args.receiver, amount: _bn(args.amount), ...origin })
+                break
+
+            case 'FeesWithdrawn':
+                state.escrowFees.push({
+                    contractAddress: args.contractAddress,
+                    receiver: args.receiver,
+                    assetPairId: args.assetPairId,
+                    amount: _bn(args.interestAmoount),
+                    ...origin,
+                })
+                break
+
+            case 'DischargeApproval':
+                state.approvals[_depositKey(args.contractAddress, args.tokenId)] = { owner: args.owner, operator: args.operator, ...origin }
+                break
+
+            case 'EnergizedParticle':
+            case 'DischargedParticle':
+            case 'ReleasedParticle': {
+                const key = _depositKey(args.contractAddress, args.tokenId)
+                const massKey = `${key}:${args.assetPairId}`
+                const history = state.deposits[key] = state.deposits[key] || []
+                const previousMass = mass[massKey] || ethers.constants.Zero
+
+                if (event.name === 'EnergizedParticle') {
+                    // The event reports the new Mass of the Particle
+                    mass[massKey] = _bn(args.assetBalance)
+                    history.push({ action: 'energize', assetPairId: args.assetPairId, amount: mass[massKey].sub(previousMass), balance: mass[massKey], ...origin })
+                } else if (event.name === 'DischargedParticle') {
+                    history.push({ action: 'discharge', assetPairId: args.assetPairId, receiver: args.receiver, amount: _bn(args.receivedAmount), interestBalance: _bn(args.interestBalance), balance: previousMass, ...origin })
+                } else {
+                    mass[massKey] = ethers.constants.Zero
+                    history.push({ action: 'release', assetPairId: args.assetPairId, receiver: args.receiver, amount: _bn(args.receivedAmount), balance: ethers.constants.Zero, ...origin })
+                }
+                break
+            }
+        }
+    })
+    return state
+}
+
+/**
+ * Creates an Indexer of the Charged Particles events
+ *
+ * @param provider       An Ethers Provider
+ * @param deployment     Optional map of deployed contracts ({name: {address, abi}});
+ *                       defaults to the deployment export of the connected chain
+ * @param store          Where the index is kept (see "jsonFileStore" & "memoryStore")
+ * @param startBlock     The first block to index (usually the deployment block)
+ * @param confirmations  Number of blocks to wait before indexing a block
+ * @param batchSize      Max number of blocks per "getLogs" request
+ * @param reorgDepth     Number of recent blocks checked for reorgs on each sync
+ */
+const particleIndexer = ({ provider, deployment, store = memoryStore(), startBlock = 0, confirmations = 0, batchSize = 2000, reorgDepth = 50 }) => {
+    let _index
+    let _state
+    let _contracts
+
+    const _getContracts = async () => {
+        if (_contracts) { return _contracts }
+        const contracts = deployment || loadDeployment((await provider.getNetwork()).chainId)
+        _contracts = Object.keys(indexedEvents).map((contractName) => {
+            if (!contracts[contractName]) {
+                throw new Error(`Contract "${contractName}" is missing from the deployment`)
+            }
+            const { address, abi } = contracts[contractName]
+            return { contractName, contract: new ethers.Contract(address, abi, provider) }
+        })
+        return _contracts
+    }
+
+    const _loadIndex = async () => {
+        if (!_index) {
+            const { chainId } = await provider.getNetwork()
+            _index = store.load() || { version: INDEX_VERSION, chainId, lastBlock: startBlock - 1, blockHashes: {}, events: [] }
+            if (_index.version !== INDEX_VERSION || _index.chainId !== chainId) {
+                throw new Error(`Index was built for chain ${_index.chainId} (version ${_index.version}); expected chain ${chainId} (version ${INDEX_VERSION})`)
+            }
+        }
+        return _index
+    }
+
+    const _saveIndex = () => {
+        // Only the recent block-hashes are needed for detecting reorgs
+        Object.keys(_index.blockHashes).forEach((blockNumber) => {
+            if (Number(blockNumber) <= _index.lastBlock - reorgDepth) { delete _index.blockHashes[blockNumber] }
+        })
+        store.save(_index)
+        _state = undefined
+    }
+
+    // Rolls back the index to the last block that is still part of the chain
+    const _handleReorg = async () => {
+        const blockNumbers = Object.keys(_index.blockHashes).map(Number).sort((a, b) => b - a)
+        if (!blockNumbers.length) { return 0 }
+
+        let commonAncestor
+        for (let i = 0; i < blockNumbers.length; i++) {
+            const block = await provider.getBlock(blockNumbers[i])
+            if (block && block.hash === _index.blockHashes[blockNumbers[i]]) {
+                commonAncestor = blockNumbers[i]
+                break
+            }
+        }
+        if (commonAncestor === _index.lastBlock) { return 0 }
+        if (commonAncestor === undefined) {
+            throw new Error(`Reorg deeper than ${reorgDepth} blocks detected; the index must be rebuilt`)
+        }
+
+        const removedBlocks = _index.lastBlock - commonAncestor
+        _index.events = _index.events.filter(event => event.blockNumber <= commonAncestor)
+        Object.keys(_index.blockHashes).forEach((blockNumber) => {
+            if (Number(blockNumber) > commonAncestor) { delete _index.blockHashes[blockNumber] }
+        })
+        _index.lastBlock = commonAncestor
+        _saveIndex()
+        return removedBlocks
+    }
+
+    /**
+     * Indexes all new events up to the latest confirmed block, resuming from the last indexed block
+     * @return  {fromBlock, toBlock, newEvents, reorgedBlocks}
+     */
+    const sync = async ({ toBlock } = {}) => {
+        await _loadIndex()
+        const contracts = await _getContracts()
+        const reorgedBlocks = await _handleReorg()
+
+        // "getBlockNumber" never decreases in Ethers, even when the chain is replaced by a shorter one
+        const latestBlock = (await provider.getBlock('latest')).number - confirmations
+        const targetBlock = (toBlock === undefined) ? latestBlock : Math.min(toBlock, latestBlock)
+        const fromBlock = _index.lastBlock + 1
+        let newEvents = 0
+
+        for (let batchStart = fromBlock; batchStart <= targetBlock; batchStart += batchSize) {
+            const batchEnd = Math.min(batchStart + batchSize - 1, targetBlock)
+            let events = []
+
+            for (let i = 0; i < contracts.length; i++) {
+                const { contractName, contract } = contracts[i]
+                const logs = await provider.getLogs({ address: contract.address, fromBlock: batchStart, toBlock: batchEnd })
+                logs.forEach((log) => {
+                    let event
+                    try {
+                        event = _serializeLog(contractName, contract, log)
+                    } catch (err) {
+                        return // Unknown event
+                    }
+                    if (indexedEvents[contractName].includes(event.name)) { events.push(event) }
+                })
+            }
+
+            events = events.sort(_compareEvents)
+            events.forEach((event) => { _index.blockHashes[event.blockNumber] = event.blockHash })
+            _index.blockHashes[batchEnd] = (await provider.getBlock(batchEnd)).hash
+            _index.events = _index.events.concat(events)
+            _index.lastBlock = batchEnd
+            newEvents += events.length
+
+            // Saved per batch, so an interrupted sync resumes from the last batch
+            _saveIndex()
+        }
+
+        return { fromBlock, toBlock: _index.lastBlock, newEvents, reorgedBlocks }
+    }
+
+    const _getState = () => {
+        if (!_index) { throw new Error('Indexer has not been synced') }
+        if (!_state) { _state = buildState(_index.events) }
+        return _state
+    }
+
+    const _chargedParticlesAddress = () => _contracts && _contracts[0].contract.address
+
+    //
+    // Queries
+    //
+
+    const getLastBlock = () => _index ? _index.lastBlock : startBlock - 1
+
+    const getEvents = ({ name, contract } = {}) => (_index ? _index.events : [])
+        .filter(event => (!name || event.name === name) && (!contract || event.contract === contract))
+
+    const getParticleTypes = () => Object.values(_getState().types)
+
+    const getParticleType = (typeId) => _getState().types[_key(typeId)]
+
+    const getParticlesOfType = (typeId) => {
+        typeId = _bn(typeId)
+        return Object.values(_getState().particles).filter(particle => particle.typeId.eq(typeId))
+    }
+
+    const getParticle = (tokenId) => _getState().particles[_key(tokenId)]
+
+    // Particles minted by ChargedParticles by default; external NFTs require their contract address
+    const getDepositHistory = (tokenId, contractAddress = _chargedParticlesAddress()) => {
+        if (!contractAddress) { return [] }
+        return _getState().deposits[_depositKey(contractAddress, tokenId)] || []
+    }
+
+    const getDischargeApproval = (tokenId, contractAddress = _chargedParticlesAddress()) => {
+        if (!contractAddress) { return }
+        return _getState().approvals[_depositKey(contractAddress, tokenId)]
+    }
+
+    // Creator => {withdrawn, withdrawals}
+    const getCreatorFeeTotals = () => _getState().creatorFees
+
+    const getContractFeeWithdrawals = () => _getState().contractFees
+
+    const getEscrowFeeWithdrawals = () => _getState().escrowFees
+
+    return {
+        sync,
+        getLastBlock,
+        getEvents,
+        getParticleTypes,
+        getParticleType,
+        getParticlesOfType,
+        getParticle,
+        getDepositHistory,
+        getDischargeApproval,
+        getCreatorFeeTotals,
+        getContractFeeWithdrawals,
+        getEscrowFeeWithdrawals,
+    }
+}
+
+module.exports = {
+    indexedEvents,
+    memoryStore,
+    jsonFileStore,
+    buildState,
+    particleIndexer,
+}
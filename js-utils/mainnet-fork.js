@@ -0,0 +1,269 @@
+// Helpers for testing on a local fork of Mainnet, against the real MakerDAO contracts (Dai, Vat, Pot and DaiJoin)
+//
+// The fork is served by ganache-core; all the state it reads from Mainnet goes through a JSON cache on disk,
+//  so once recorded (with an archive node, see MAINNET_FORK_URL in buidler.config.js) the fork runs offline.
+
+const fs = require('fs')
+const path = require('path')
+const { ethers } = require('ethers')
+
+const { erc20Abi } = require('./client')
+const { RAY, advanceTime } = require('./dsr-helpers')
+
+// The MakerDAO contracts used by ChaiNucleus.initMainnet
+const MAKER_MAINNET = {
+    vat: '0x35D1b3F3D7966A1DFe207aa4514C12a259A0492B',     // MCD_VAT
+    pot: '0x197E90f9FAD81970bA7976f33CbD77088E5D7cf7',     // MCD_POT
+    daiJoin: '0x9759A6Ac90977b93B58547b4A71c78317f391A28', // MCD_JOIN_DAI
+    dai: '0x6B175474E89094C44Da98b954EedeAC495271d0F',     // MCD_DAI
+}
+
+const potAbi = [
+    'function chi() view returns (uint256)',
+    'function rho() view returns (uint256)',
+    'function dsr() view returns (uint256)',
+    'function drip() returns (uint256)',
+]
+
+// The accounts of the fork are always the same, so that their Mainnet nonces are read from the cache
+const DEFAULT_MNEMONIC = 'test test test test test test test test test test test junk'
+
+const _cacheKey = (method, params) => JSON.stringify([method, params || []])
+
+/**
+ * Creates a Provider for ganache-core's "fork" option that records the responses of Mainnet into a JSON file;
+ *   the recorded responses are replayed without a connection, as the state of a fork block never changes
+ *
+ * @param cachePath  Path to the JSON file of recorded responses
+ * @param url        Optional URL of a Mainnet (archive) node, for the responses not recorded yet
+ * @param provider   Optional Ethers Provider used instead of the URL
+ */
+const forkCache = ({ cachePath, url, provider }) => {
+    const _responses = fs.existsSync(cachePath) ? JSON.parse(fs.readFileSync(cachePath, 'utf8')) : {}
+    const _remote = provider || (url && new ethers.providers.JsonRpcProvider(url))
+    let _recorded = 0
+
+    const read = async (method, params) => {
+        const key = _cacheKey(method, params)
+        if (Object.prototype.hasOwnProperty.call(_responses, key)) {
+            return _responses[key]
+        }
+        if (!_remote) {
+            throw new Error(`"${method}" is not in the fork cache (${cachePath}); set MAINNET_FORK_URL to record it`)
+        }
+        const result = await _remote.send(method, params)
+        _responses[key] = (result === undefined) ? null : result
+        _recorded++
+        return _responses[key]
+    }
+
+    // Web3-style Provider interface, used by ganache-core
+    const sendAsync = (payload, callback) => {
+        if (Array.isArray(payload)) {
+            Promise.all(payload.map(p => new Promise((resolve) => sendAsync(p, (err, response) => resolve(response)))))
+                .then(responses => callback(null, responses))
+            return
+        }
+        const { id, jsonrpc, method, params } = payload
+        read(method, params)
+            .then(result => callback(null, { id, jsonrpc, result }))
+            .catch(err => callback(null, { id, jsonrpc, error: { code: -32603, message: err.message } }))
+    }
+
+    // Writes the new responses to the cache file; returns the number of responses recorded
+    const save = () => {
+        const recorded = _recorded
+        if (recorded > 0) {
+            fs.mkdirSync(path.dirname(cachePath), { recursive: true })
+            fs.writeFileSync(cachePath, JSON.stringify(_responses))
+            _recorded = 0
+        }
+        return recorded
+    }
+
+    return {
+        read,
+        send: sendAsync,
+        sendAsync,
+        save,
+        isOffline: !_remote,
+    }
+}
+
+/**
+ * Starts a local fork of Mainnet at a block, served over HTTP
+ *
+ * @param blockNumber  The Mainnet block to fork from (required, so that the cached state can be replayed)
+ * @param cachePath    Path to the JSON file of recorded responses (see forkCache)
+ * @param url          Optional URL of a Mainnet archive node, to record the missing responses
+ * @param provider     Optional Ethers Provider used instead of the URL
+ * @param port         The port to serve the fork on
+ * @param accounts     Number of funded accounts (derived from the mnemonic)
+ * @param mnemonic     The mnemonic of the accounts
+ * @return  {url, provider, cache, close}; "close" stops the server and saves the cache
+ */
+const startFork = async ({ blockNumber, cachePath, url, provider, port = 8546, accounts = 10, mnemonic = DEFAULT_MNEMONIC }) => {
+    if (!blockNumber) {
+        throw new Error('A fork block number is required')
+    }
+    // Loaded on demand; ganache-core is only needed to serve a fork
+    const ganache = require('ganache-core')
+
+    const cache = forkCache({ cachePath, url, provider })
+    const server = ganache.server({
+        fork: cache,
+        fork_block_number: blockNumber,
+        _chainId: 1,
+        _chainIdRpc: 1,
+        mnemonic,
+        total_accounts: accounts,
+        default_balance_ether: 10000,
+        gasLimit: 200000000,
+        allowUnlimitedContractSize: true,
+        hardfork: 'muirGlacier',
+        logger: { log: () => {} },
+    })
+    await new Promise((resolve, reject) => server.listen(port, err => (err ? reject(err) : resolve())))
+
+    const close = async () => {
+        await new Promise(resolve => server.close(() => resolve()))
+        return cache.save()
+    }
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        provider: new ethers.providers.Web3Provider(server.provider),
+        cache,
+        close,
+    }
+}
+
+/**
+ * Finds an account holding Dai at a block of Mainnet: the largest holder among the recent receivers of Dai
+ *   that are not contracts
+ *
+ * @param provider     An Ethers Provider of Mainnet (ex: on the fork cache, to record the lookup)
+ * @param blockNumber  The block to look at
+ * @param minBalance   The minimum balance of Dai required
+ * @param blocks       Number of blocks of Transfers to look at
+ * @param daiAddress   The Dai contract (defaults to Mainnet Dai)
+ */
+const findDaiHolder = async ({ provider, blockNumber, minBalance = 0, blocks = 20, daiAddress = MAKER_MAINNET.dai }) => {
+    const dai = new ethers.Contract(daiAddress, erc20Abi, provider)
+    const logs = await provider.getLogs({
+        ...dai.filters.Transfer(),
+        fromBlock: Math.max(blockNumber - blocks, 0),
+        toBlock: blockNumber,
+    })
+    const receivers = [...new Set(logs.map(log => dai.interface.parseLog(log).args.to))]
+
+    let holder
+    let holderBalance = ethers.BigNumber.from(minBalance)
+    for (let i = 0; i < receivers.length; i++) {
+        if ((await provider.getCode(receivers[i], blockNumber)) !== '0x') { continue }
+        const balance = await dai.balanceOf(receivers[i], { blockTag: blockNumber })
+        if (balance.gt(holderBalance)) {
+            holder = receivers[i]
+            holderBalance = balance
+        }
+    }
+    if (!holder) {
+        throw new Error(`No Dai holder found at block ${blockNumber}; set MAINNET_FORK_DAI_HOLDER`)
+    }
+    return holder
+}
+
+/**
+ * Sends transactions from any account of the fork (no private key required)
+ *
+ * @param provider  An Ethers Provider of the fork
+ * @param account   The account to impersonate
+ * @return  A Signer for the account
+ */
+const impersonate = async (provider, account) => {
+    await provider.send('evm_unlockUnknownAccount', [account])
+    return provider.getSigner(account)
+}
+
+/**
+ * Funds a list of wallets with the real Dai of a holder
+ *
+ * @param provider  An Ethers Provider of the fork
+ * @param holder    An account holding enough Dai (see findDaiHolder)
+ * @param wallets   The addresses to fund
+ * @param amount    The amount of Dai for each wallet
+ * @param daiAddress  The Dai contract (defaults to Mainnet Dai)
+ */
+const fundWithDai = async ({ provider, holder, wallets, amount, daiAddress = MAKER_MAINNET.dai }) => {
+    const balance = await new ethers.Contract(daiAddress, erc20Abi, provider).balanceOf(holder)
+    if (balance.lt(amount.mul(wallets.length))) {
+        throw new Error(`The Dai holder (${holder}) only has ${ethers.utils.formatEther(balance)} Dai`)
+    }
+
+    const dai = new ethers.Contract(daiAddress, erc20Abi, await impersonate(provider, holder))
+    for (let i = 0; i < wallets.length; i++) {
+        // The holder may not have ETH for gas
+        await (await dai.transfer(wallets[i], amount, { gasPrice: 0 })).wait()
+    }
+    await provider.send('evm_lockUnknownAccount', [holder])
+}
+
+// x^n in ray, rounded like "rpow" of the Pot
+const rpow = (x, n) => {
+    const half = RAY.div(2)
+    let z = (n % 2) ? x : RAY
+    for (n = Math.floor(n / 2); n > 0; n = Math.floor(n / 2)) {
+        x = x.mul(x).add(half).div(RAY)
+        if (n % 2) {
+            z = z.mul(x).add(half).div(RAY)
+        }
+    }
+    return z
+}
+
+/**
+ * The Rate Accumulator of the Pot after a "drip", like the Pot computes it
+ *
+ * @param chi      The Rate Accumulator before
+ * @param dsr      The per-second Dai Savings Rate (ray)
+ * @param seconds  Seconds since the last "drip"
+ */
+const expectedChi = ({ chi, dsr, seconds }) => rpow(dsr, seconds).mul(chi).div(RAY)
+
+/**
+ * Moves the clock of the fork forward and accrues the real Dai Savings Rate with a "drip" of the Pot
+ *
+ * @param provider  An Ethers Provider of the fork
+ * @param pot       The Pot contract, with a Signer (see potAbi)
+ * @param seconds   Number of seconds to advance
+ * @return  {chi, previousChi, dsr, seconds}; "seconds" is the accrual period since the previous "drip"
+ */
+const accrueDsr = async ({ provider, pot, seconds }) => {
+    const previousChi = await pot.chi()
+    const rho = await pot.rho()
+    const dsr = await pot.dsr()
+
+    await advanceTime(provider, seconds)
+    await (await pot.drip()).wait()
+
+    return {
+        chi: await pot.chi(),
+        previousChi,
+        dsr,
+        seconds: (await pot.rho()).sub(rho).toNumber(),
+    }
+}
+
+module.exports = {
+    MAKER_MAINNET,
+    DEFAULT_MNEMONIC,
+    potAbi,
+    forkCache,
+    startFork,
+    findDaiHolder,
+    impersonate,
+    fundWithDai,
+    rpow,
+    expectedChi,
+    accrueDsr,
+}
@@ -0,0 +1,203 @@
+// Meta-transactions (GSN v0.9 Relay Requests) for the Trusted Forwarder of ChargedParticles
+//
+// The Sender signs a Relay Request (EIP712) for a call to ChargedParticles; any account (the Relayer) submits it
+// to the Trusted Forwarder and pays for the gas.  The Forwarder verifies the signature and appends the Sender
+// to the calldata, which ChargedParticles reads back as "_msgSender()".
+// ETH can not be sent along with a relayed call; fees must be paid in IONs (or be zero).
+
+const { ethers } = require('ethers')
+
+const { toChargedParticlesError } = require('./errors')
+
+const forwarderAbi = [
+    'function getNonce(address from) view returns (uint256)',
+    'function verify(tuple(address target, bytes encodedFunction, tuple(uint256 gasLimit, uint256 gasPrice, uint256 pctRelayFee, uint256 baseRelayFee) gasData, tuple(address senderAddress, uint256 senderNonce, address relayWorker, address paymaster) relayData) req, bytes sig) view',
+    'function verifyAndCall(tuple(address target, bytes encodedFunction, tuple(uint256 gasLimit, uint256 gasPrice, uint256 pctRelayFee, uint256 baseRelayFee) gasData, tuple(address senderAddress, uint256 senderNonce, address relayWorker, address paymaster) relayData) req, bytes sig) returns (bool success, bytes ret)',
+]
+
+const DEFAULT_GAS_LIMIT = 2000000
+
+// Gas used by the Forwarder itself (calldata, signature verification and the nonce update)
+const RELAY_GAS_OVERHEAD = 150000
+
+const RELAY_REQUEST_TYPES = {
+    EIP712Domain: [
+        { name: 'name', type: 'string' },
+        { name: 'version', type: 'string' },
+        { name: 'verifyingContract', type: 'address' },
+    ],
+    RelayRequest: [
+        { name: 'target', type: 'address' },
+        { name: 'encodedFunction', type: 'bytes' },
+        { name: 'gasData', type: 'GasData' },
+        { name: 'relayData', type: 'RelayData' },
+    ],
+    GasData: [
+        { name: 'gasLimit', type: 'uint256' },
+        { name: 'gasPrice', type: 'uint256' },
+        { name: 'pctRelayFee', type: 'uint256' },
+        { name: 'baseRelayFee', type: 'uint256' },
+    ],
+    RelayData: [
+        { name: 'senderAddress', type: 'address' },
+        { name: 'senderNonce', type: 'uint256' },
+        { name: 'relayWorker', type: 'address' },
+        { name: 'paymaster', type: 'address' },
+    ],
+}
+
+const { keccak256, toUtf8Bytes, defaultAbiCoder, solidityPack } = ethers.utils
+
+const _typeHash = (typeString) => keccak256(toUtf8Bytes(typeString))
+
+const EIP712DOMAIN_TYPEHASH = _typeHash('EIP712Domain(string name,string version,address verifyingContract)')
+const GASDATA_TYPE = 'GasData(uint256 gasLimit,uint256 gasPrice,uint256 pctRelayFee,uint256 baseRelayFee)'
+const RELAYDATA_TYPE = 'RelayData(address senderAddress,uint256 senderNonce,address relayWorker,address paymaster)'
+const RELAY_REQUEST_TYPEHASH = _typeHash(`RelayRequest(address target,bytes encodedFunction,GasData gasData,RelayData relayData)${GASDATA_TYPE}${RELAYDATA_TYPE}`)
+
+// The GSN v0.9 domain has no chainId
+const relayRequestDomain = (forwarderAddress) => ({
+    name: 'GSN Relayed Transaction',
+    version: '1',
+    verifyingContract: forwarderAddress,
+})
+
+/**
+ * Builds a Relay Request for a call to a Relay Recipient (no Paymaster and no Relay fees)
+ *
+ * @param from             The address of the Sender (the signer of the request)
+ * @param target           The address of the Relay Recipient
+ * @param encodedFunction  The calldata of the call
+ * @param nonce            The nonce of the Sender on the Forwarder
+ * @param gasLimit         The gas forwarded to the call
+ * @return  The Relay Request, matching GSNTypes.RelayRequest
+ */
+const buildRelayRequest = ({ from, target, encodedFunction, nonce, gasLimit = DEFAULT_GAS_LIMIT }) => ({
+    target,
+    encodedFunction,
+    gasData: {
+        gasLimit: String(gasLimit),
+        gasPrice: '0',
+        pctRelayFee: '0',
+        baseRelayFee: '0',
+    },
+    relayData: {
+        senderAddress: from,
+        senderNonce: String(nonce),
+        relayWorker: ethers.constants.AddressZero,
+        paymaster: ethers.constants.AddressZero,
+    },
+})
+
+/**
+ * Calculates the EIP712 digest of a Relay Request, as verified by the Forwarder
+ *
+ * @param forwarderAddress  The address of the Trusted Forwarder
+ * @param request           The Relay Request
+ */
+const getRelayRequestDigest = (forwarderAddress, request) => {
+    const domain = relayRequestDomain(forwarderAddress)
+    const domainSeparator = keccak256(defaultAbiCoder.encode(
+        ['bytes32', 'bytes32', 'bytes32', 'address'],
+        [EIP712DOMAIN_TYPEHASH, keccak256(toUtf8Bytes(domain.name)), keccak256(toUtf8Bytes(domain.version)), domain.verifyingContract]
+    ))
+
+    const { gasData, relayData } = request
+    const gasDataHash = keccak256(defaultAbiCoder.encode(
+        ['bytes32', 'uint256', 'uint256', 'uint256', 'uint256'],
+        [_typeHash(GASDATA_TYPE), gasData.gasLimit, gasData.gasPrice, gasData.pctRelayFee, gasData.baseRelayFee]
+    ))
+    const relayDataHash = keccak256(defaultAbiCoder.encode(
+        ['bytes32', 'address', 'uint256', 'address', 'address'],
+        [_typeHash(RELAYDATA_TYPE), relayData.senderAddress, relayData.senderNonce, relayData.relayWorker, relayData.paymaster]
+    ))
+    const requestHash = keccak256(defaultAbiCoder.encode(
+        ['bytes32', 'address', 'bytes32', 'bytes32', 'bytes32'],
+        [RELAY_REQUEST_TYPEHASH, request.target, keccak256(request.encodedFunction), gasDataHash, relayDataHash]
+    ))
+    return keccak256(solidityPack(['string', 'bytes32', 'bytes32'], ['\x19\x01', domainSeparator, requestHash]))
+}
+
+/**
+ * Signs a Relay Request as its Sender
+ *   Wallets sign the digest directly; other Signers are asked over JSON-RPC ("eth_signTypedData",
+ *   as supported by BuidlerEVM & Ganache; pass "eth_signTypedData_v4" for MetaMask)
+ *
+ * @param signer            The Signer of the Sender
+ * @param forwarderAddress  The address of the Trusted Forwarder
+ * @param request           The Relay Request
+ * @param signMethod        The JSON-RPC method used to sign typed data
+ * @return  The signature
+ */
+const signRelayRequest = async (signer, forwarderAddress, request, { signMethod = 'eth_signTypedData' } = {}) => {
+    const from = request.relayData.senderAddress
+    const digest = getRelayRequestDigest(forwarderAddress, request)
+
+    let signature
+    if (typeof signer._signingKey === 'function') {
+        signature = ethers.utils.joinSignature(signer._signingKey().signDigest(digest))
+    } else {
+        const typedData = {
+            types: RELAY_REQUEST_TYPES,
+            domain: relayRequestDomain(forwarderAddress),
+            primaryType: 'RelayRequest',
+            message: request,
+        }
+        signature = await signer.provider.send(signMethod, [from.toLowerCase(), typedData])
+    }
+
+    if (ethers.utils.recoverAddress(digest, signature).toLowerCase() !== from.toLowerCase()) {
+        throw new Error(`Relay Request signature does not match the Sender ${from}`)
+    }
+    return signature
+}
+
+/**
+ * Signs a call to a Relay Recipient as the Signer, and submits it to the Trusted Forwarder as the Relayer
+ *   The call is simulated first; a reverting call throws a ChargedParticlesError without sending the transaction
+ *
+ * @param signer            The Signer of the Sender
+ * @param relayer           The Signer paying for the gas of the relayed transaction
+ * @param forwarderAddress  The address of the Trusted Forwarder
+ * @param contract          The Relay Recipient (an Ethers Contract)
+ * @param method            The method to call
+ * @param args              The arguments of the call
+ * @param gasLimit          The gas forwarded to the call
+ * @return  The Relay Request, its signature and the receipt of the relayed transaction
+ */
+const relayCall = async ({ signer, relayer, forwarderAddress, contract, method, args = [], gasLimit = DEFAULT_GAS_LIMIT, signMethod }) => {
+    const forwarder = new ethers.Contract(forwarderAddress, forwarderAbi, relayer)
+    const from = await signer.getAddress()
+
+    const request = buildRelayRequest({
+        from,
+        target: contract.address,
+        encodedFunction: contract.interface.encodeFunctionData(method, args),
+        nonce: await forwarder.getNonce(from),
+        gasLimit,
+    })
+    const signature = await signRelayRequest(signer, forwarderAddress, request, { signMethod })
+
+    // The Forwarder does not revert when the relayed call fails
+    const { success, ret } = await forwarder.callStatic.verifyAndCall(request, signature)
+    if (!success) {
+        const error = new Error(`Relayed call "${method}" reverted`)
+        error.data = ret
+        throw toChargedParticlesError(error, { method })
+    }
+
+    // Gas estimation only ensures the Forwarder succeeds, not the relayed call; the call receives at most
+    //  63/64 of the remaining gas, so the transaction carries enough for the full gas limit of the request
+    const txGasLimit = ethers.BigNumber.from(gasLimit).mul(64).div(63).add(RELAY_GAS_OVERHEAD)
+    const tx = await forwarder.verifyAndCall(request, signature, { gasLimit: txGasLimit })
+    return { request, signature, receipt: await tx.wait() }
+}
+
+module.exports = {
+    RELAY_REQUEST_TYPES,
+    relayRequestDomain,
+    buildRelayRequest,
+    getRelayRequestDigest,
+    signRelayRequest,
+    relayCall,
+}
@@ -0,0 +1,193 @@
+const fs = require('fs')
+const path = require('path')
+const http = require('http')
+const { ethers } = require('ethers')
+
+const { typeReads, portfolioReader } = require('./portfolio')
+const {
+    decodeTokenId,
+    formatTokenId,
+    toUriId,
+    parseUriId,
+    substituteUriId,
+} = require('./token-ids')
+
+// The reads of each Type for its metadata: field => [contract, method, args]
+const metadataTypeReads = {
+    ...typeReads,
+    assetPair: ['ChargedParticles', 'getTypeAssetPairId', (typeId) => [typeId]],
+    maxSupply: ['ChargedParticles', 'getMaxSupply', (typeId) => [typeId]],
+    totalMinted: ['ChargedParticles', 'getTotalMinted', (typeId) => [typeId]],
+}
+
+// Attribute values are numbers (rounded for large values); the exact values are in the properties
+const _toNumber = (value) => Number(value.toString())
+const _toAmount = (wei) => Number(ethers.utils.formatEther(wei))
+
+// Substitutes "{id}" in every string of the static metadata
+const _substitute = (value, id) => {
+    if (typeof value === 'string') { return substituteUriId(value, id) }
+    if (Array.isArray(value)) { return value.map(item => _substitute(item, id)) }
+    if (value && typeof value === 'object') {
+        return Object.keys(value).reduce((obj, key) => ({ ...obj, [key]: _substitute(value[key], id) }), {})
+    }
+    return value
+}
+
+/**
+ * Loads the static metadata supplied by the Creators from a directory; the metadata of a Type or Token
+ *   is in "<id>.json", with the ID formatted like the "{id}" of ERC1155 URIs (64 hex characters)
+ *
+ * @param dir  The directory of the static metadata
+ * @return  A function returning the static metadata of an ID (undefined if none)
+ */
+const metadataDirectory = (dir) => (id) => {
+    const file = path.join(dir, `${toUriId(id)}.json`)
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : undefined
+}
+
+/**
+ * Creates the Metadata Service of the Particles and Plasma; it merges the static metadata of the Creators
+ *   with the live on-chain values, read through a Portfolio Reader (cached per block)
+ *
+ * @param provider        An Ethers Provider
+ * @param deployment      Optional map of deployed contracts ({name: {address, abi}})
+ * @param staticMetadata  Function returning the static metadata of an ID (see metadataDirectory); the metadata of a
+ *                        Token extends the metadata of its Type ({name, description, image, attributes, properties})
+ * @param batchSize       See portfolioReader
+ * @param cacheBlocks     See portfolioReader
+ */
+const metadataService = ({ provider, deployment, staticMetadata = () => undefined, batchSize, cacheBlocks }) => {
+    const reader = portfolioReader({ provider, deployment, batchSize, cacheBlocks, reads: metadataTypeReads })
+
+    const _static = (id) => staticMetadata(id) || {}
+
+    // On-chain values override the static attributes of the same "trait_type"
+    const _attributes = (staticAttributes = [], liveAttributes) => {
+        const traits = liveAttributes.map(({ trait_type: trait }) => trait)
+        return staticAttributes.filter(({ trait_type: trait }) => !traits.includes(trait)).concat(liveAttributes)
+    }
+
+    const _typeAttributes = (type, isNF) => [
+        ...(isNF ? [{ trait_type: 'Asset Pair', value: type.assetPair }] : []),
+        { trait_type: 'Max Supply', value: _toNumber(type.maxSupply), display_type: 'number' },
+        { trait_type: 'Total Minted', value: _toNumber(type.totalMinted), display_type: 'number' },
+        { trait_type: 'Creator', value: type.creator },
+    ]
+
+    const _typeProperties = (type, isNF) => ({
+        kind: isNF ? 'particle' : 'plasma',
+        typeId: type.typeId.toString(),
+        creator: type.creator,
+        ...(isNF ? { assetPair: type.assetPair } : {}),
+        maxSupply: type.maxSupply.toString(),
+        totalMinted: type.totalMinted.toString(),
+        blockNumber: type.blockNumber,
+    })
+
+    const _particleAttributes = (particle) => [
+        { trait_type: 'Base Mass', value: _toAmount(particle.mass), display_type: 'number' },
+        ...(particle.charge ? [{ trait_type: 'Current Charge', value: _toAmount(particle.charge), display_type: 'number' }] : []),
+        { trait_type: 'Series Number', value: _toNumber(particle.series), display_type: 'number' },
+    ]
+
+    const _particleProperties = (particle) => ({
+        tokenId: particle.tokenId.toString(),
+        owner: particle.owner,
+        series: particle.series.toString(),
+        mass: particle.mass.toString(),
+        ...(particle.charge ? { charge: particle.charge.toString() } : {}),
+    })
+
+    /**
+     * Builds the ERC1155/ERC721 Metadata JSON of a Particle Type, a Plasma Type or a Particle
+     *
+     * @param id        The Type or Token ID
+     * @param blockTag  The block to read the on-chain values at
+     * @return  {name, description, image, attributes, properties}, or null for an unknown Type or Token
+     */
+    const getMetadata = async (id, { blockTag = 'latest' } = {}) => {
+        const { typeId, isNF, isType } = decodeTokenId(id)
+        const [type] = await reader.getTypes([typeId], { blockTag })
+        if (!type.creator || type.creator === ethers.constants.AddressZero) { return null }
+
+        let particle
+        if (!isType) {
+            particle = await reader.getParticle(id, { blockTag: type.blockNumber })
+            if (!particle.owner || particle.owner === ethers.constants.AddressZero) { return null }
+        }
+
+        const metadata = isType ? _static(typeId) : { ..._static(typeId), ..._static(id) }
+        const { name, description, attributes, properties, ...rest } = _substitute(metadata, id)
+        const liveAttributes = _typeAttributes(type, isNF).concat(particle ? _particleAttributes(particle) : [])
+
+        return {
+            name: name || formatTokenId(id).replace(/ \(.*\)$/, ''),
+            description: description || '',
+            ...rest,
+            attributes: _attributes(attributes, liveAttributes),
+            properties: {
+                ...properties,
+                ..._typeProperties(type, isNF),
+                ...(particle ? _particleProperties(particle) : {}),
+            },
+        }
+    }
+
+    return {
+        getMetadata,
+        clearCache: reader.clearCache,
+    }
+}
+
+const _send = (res, status, body) => {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+    })
+    res.end(JSON.stringify(body))
+}
+
+/**
+ * Creates an HTTP Server of the metadata: "GET <basePath>/<id>.json", with the ID formatted like the "{id}" of
+ *   ERC1155 URIs (a "0x" hex or a decimal ID is accepted too); Types and Tokens URIs can be set to
+ *   "https://<host><basePath>/{id}.json"
+ *
+ * @param service   The Metadata Service (see metadataService)
+ * @param basePath  The path of the metadata
+ * @return  An (unstarted) http.Server
+ */
+const metadataServer = ({ service, basePath = '/metadata' }) => {
+    const route = new RegExp(`^${basePath}/([^/]+?)(?:\\.json)?$`)
+
+    return http.createServer(async (req, res) => {
+        if (req.method !== 'GET') {
+            return _send(res, 405, { error: 'Method Not Allowed' })
+        }
+        const match = route.exec(new URL(req.url, 'http://localhost').pathname)
+        if (!match) {
+            return _send(res, 404, { error: 'Not Found' })
+        }
+        const id = parseUriId(match[1])
+        if (!id) {
+            return _send(res, 400, { error: `Invalid Token ID: ${match[1]}` })
+        }
+
+        try {
+            const metadata = await service.getMetadata(id)
+            if (!metadata) {
+                return _send(res, 404, { error: `Unknown Type or Token: ${toUriId(id)}` })
+            }
+            _send(res, 200, metadata)
+        } catch (err) {
+            _send(res, 500, { error: err.message })
+        }
+    })
+}
+
+module.exports = {
+    metadataTypeReads,
+    metadataDirectory,
+    metadataService,
+    metadataServer,
+}
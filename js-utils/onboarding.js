@@ -0,0 +1,316 @@
+// Onboarding of external token contracts (ERC721/ERC1155) with the Escrow Manager, used by the "cp:contract:*"
+// admin tasks (tasks/admin.js)
+//
+// The tokens of a contract implementing IParticleManager (contractOwner, ownerOf, isApprovedForAll) can be Charged
+// once the contract is registered by the DAO; the Owner of the contract then sets its Custom Settings.
+
+const fs = require('fs')
+const { ethers } = require('ethers')
+
+const { parseEtherAmount, parseBasisPoints, sendAdminTx } = require('./admin')
+const { DEPOSIT_FEE_MODIFIER, MAX_CUSTOM_DEPOSIT_FEE, MIN_DEPOSIT_FEE } = require('./fee-calculator')
+
+// interfaces/IParticleManager.sol, and ERC165 to detect the token standard
+const particleManagerAbi = [
+    'function contractOwner() external view returns (address)',
+    'function ownerOf(uint256 _tokenId) external view returns (address)',
+    'function isApprovedForAll(address _owner, address _operator) external view returns (bool)',
+    'function supportsInterface(bytes4 _interfaceId) external view returns (bool)',
+]
+
+const INTERFACE_IDS = {
+    ERC721: '0x80ac58cd',
+    ERC1155: '0xd9b67a26',
+}
+
+const ESCROW_MANAGER = 'ChargedParticlesEscrowManager'
+
+// The Custom Settings of a contract (keys of the settings file) and their functions on the Escrow Manager
+const CONTRACT_SETTINGS = {
+    assetPair: 'registerContractSettingAssetPair',
+    releaseRequiresBurn: 'registerContractSettingReleaseBurn',
+    depositFee: 'registerContractSettingDepositFee',
+    minDeposit: 'registerContractSettingMinDeposit',
+    maxDeposit: 'registerContractSettingMaxDeposit',
+}
+
+const { AddressZero } = ethers.constants
+
+// Calls a view function; undefined when it reverts or is missing
+const _tryCall = async (contract, method, args = []) => {
+    try {
+        return await contract[method](...args)
+    } catch (err) {
+        return undefined
+    }
+}
+
+// The function dispatcher of solc pushes each selector (PUSH4) onto the stack
+const _hasSelector = (code, signature) => code.includes(`63${ethers.utils.id(signature).slice(2, 10)}`)
+
+/**
+ * Checks that a contract implements the interface required by the Escrow Manager (IParticleManager), and is
+ *   an ERC721 or ERC1155 token (ERC165)
+ *
+ * @param provider  An Ethers Provider
+ * @param address   The address of the token contract
+ * @return  {address, standards, contractOwner, checks: [{name, passed, detail}], isCompliant}
+ */
+const checkParticleInterface = async ({ provider, address }) => {
+    const code = await provider.getCode(address)
+    const isContract = code !== '0x'
+    const token = new ethers.Contract(address, particleManagerAbi, provider)
+
+    const standards = []
+    let contractOwner
+    let isApprovedForAll
+    if (isContract) {
+        const names = Object.keys(INTERFACE_IDS)
+        for (let i = 0; i < names.length; i++) {
+            if (await _tryCall(token, 'supportsInterface', [INTERFACE_IDS[names[i]]])) { standards.push(names[i]) }
+        }
+        contractOwner = await _tryCall(token, 'contractOwner')
+        isApprovedForAll = await _tryCall(token, 'isApprovedForAll', [AddressZero, AddressZero])
+    }
+
+    // "ownerOf" reverts for unknown tokens, so it is found from the ERC721 interface or in the bytecode
+    const ownerOfDetail = standards.includes('ERC721') ? 'ERC721' : 'found in the bytecode'
+    const hasOwnerOf = standards.includes('ERC721') || _hasSelector(code, 'ownerOf(uint256)')
+
+    let contractOwnerDetail = contractOwner
+    if (contractOwner === undefined) {
+        contractOwnerDetail = 'reverted or missing'
+    } else if (contractOwner === AddressZero) {
+        contractOwnerDetail = 'the zero-address; the Custom Settings can not be set'
+    }
+
+    const checks = [
+        { name: 'Contract', passed: isContract, detail: isContract ? `${(code.length - 2) / 2} bytes of code` : 'no code at the address' },
+        { name: 'ERC721 or ERC1155 (ERC165)', passed: standards.length > 0, detail: standards.join(', ') || 'neither interface is supported' },
+        { name: 'contractOwner()', passed: !!contractOwner && contractOwner !== AddressZero, detail: contractOwnerDetail },
+        { name: 'ownerOf(uint256)', passed: hasOwnerOf, detail: hasOwnerOf ? ownerOfDetail : 'missing' },
+        { name: 'isApprovedForAll(address,address)', passed: isApprovedForAll !== undefined, detail: isApprovedForAll !== undefined ? 'ok' : 'reverted or missing' },
+    ]
+
+    return {
+        address,
+        standards,
+        contractOwner,
+        checks,
+        isCompliant: checks.every(({ passed }) => passed),
+    }
+}
+
+/**
+ * Formats the result of "checkParticleInterface" as readable lines
+ */
+const formatInterfaceCheck = ({ address, checks, isCompliant }) => [
+    `Contract ${address} ${isCompliant ? 'implements' : 'does NOT implement'} IParticleManager:`,
+    ...checks.map(({ name, passed, detail }) => `  ${passed ? 'ok  ' : 'FAIL'}  ${name}: ${detail}`),
+]
+
+/**
+ * Parses the Custom Settings of a contract; omitted settings are left unchanged on-chain
+ *
+ * @param settings  {assetPair, releaseRequiresBurn, depositFee, minDeposit, maxDeposit}
+ *                    assetPair            - The only Asset Pair allowed (ex: "chai"), or "" for any
+ *                    releaseRequiresBurn  - True if the Tokens must be burned before their Release (requires an Asset Pair)
+ *                    depositFee           - Fee of the Contract Owner in basis points ("50") or as a percentage ("0.5%")
+ *                    minDeposit           - Minimum Mass of a Token in Asset Token ("0" for none)
+ *                    maxDeposit           - Maximum Mass of a Token in Asset Token ("0" for none)
+ * @return  The settings with the fee in basis points and the deposits in wei
+ */
+const parseContractSettings = (settings) => {
+    const unknown = Object.keys(settings).filter(key => !CONTRACT_SETTINGS[key])
+    if (unknown.length) {
+        throw new Error(`Unknown contract settings: ${unknown.join(', ')} (expected ${Object.keys(CONTRACT_SETTINGS).join(', ')})`)
+    }
+
+    const { assetPair, releaseRequiresBurn, depositFee, minDeposit, maxDeposit } = settings
+    const parsed = {}
+    if (assetPair !== undefined) {
+        if (typeof assetPair !== 'string') {
+            throw new Error(`Invalid "assetPair": ${JSON.stringify(assetPair)} (expected an Asset Pair ID, or "" for any)`)
+        }
+        parsed.assetPair = assetPair
+    }
+    if (releaseRequiresBurn !== undefined) {
+        if (typeof releaseRequiresBurn !== 'boolean') {
+            throw new Error(`Invalid "releaseRequiresBurn": ${JSON.stringify(releaseRequiresBurn)} (expected true or false)`)
+        }
+        if (releaseRequiresBurn && parsed.assetPair === '') {
+            throw new Error('"releaseRequiresBurn" requires a single "assetPair"')
+        }
+        parsed.releaseRequiresBurn = releaseRequiresBurn
+    }
+    if (depositFee !== undefined) {
+        parsed.depositFee = parseBasisPoints(depositFee, 'depositFee')
+        if (MAX_CUSTOM_DEPOSIT_FEE.lt(parsed.depositFee)) {
+            throw new Error(`Invalid "depositFee": ${depositFee} (at most ${MAX_CUSTOM_DEPOSIT_FEE} basis points)`)
+        }
+    }
+    if (minDeposit !== undefined) {
+        parsed.minDeposit = parseEtherAmount(minDeposit, 'minDeposit')
+        if (!parsed.minDeposit.isZero() && parsed.minDeposit.lte(MIN_DEPOSIT_FEE)) {
+            throw new Error(`Invalid "minDeposit": ${minDeposit} (must be 0 or above ${MIN_DEPOSIT_FEE} wei)`)
+        }
+    }
+    if (maxDeposit !== undefined) {
+        parsed.maxDeposit = parseEtherAmount(maxDeposit, 'maxDeposit')
+    }
+    if (parsed.minDeposit && parsed.maxDeposit && !parsed.maxDeposit.isZero() && parsed.minDeposit.gt(parsed.maxDeposit)) {
+        throw new Error(`Invalid "minDeposit": ${minDeposit} is above the "maxDeposit" of ${maxDeposit}`)
+    }
+    return parsed
+}
+
+/**
+ * Loads and parses the Custom Settings of a contract from a JSON file (see parseContractSettings)
+ */
+const loadContractSettings = (settingsPath) => {
+    let settings
+    try {
+        settings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'))
+    } catch (err) {
+        throw new Error(`Invalid settings file ${settingsPath}: ${err.message}`)
+    }
+    return parseContractSettings(settings)
+}
+
+/**
+ * Builds the transactions applying the Custom Settings of a contract (sent by its Contract Owner)
+ *   The Release-Burn setting requires an Asset Pair, and an Asset Pair can only be cleared without it,
+ *   so the order of the two depends on the new Release-Burn setting.
+ *
+ * @param address   The address of the token contract
+ * @param settings  The parsed settings (see parseContractSettings)
+ * @return  A list of admin transactions ({contractName, method, args, role, target}, see sendAdminTx)
+ */
+const buildContractSettings = ({ address, settings }) => {
+    const { releaseRequiresBurn } = settings
+    const names = Object.keys(CONTRACT_SETTINGS).filter(name => settings[name] !== undefined)
+    if (releaseRequiresBurn === false) {
+        names.sort((a, b) => (b === 'releaseRequiresBurn') - (a === 'releaseRequiresBurn'))
+    }
+
+    return names.map(name => ({
+        contractName: ESCROW_MANAGER,
+        method: CONTRACT_SETTINGS[name],
+        args: [address, settings[name]],
+        role: 'contractOwner',
+        target: address,
+    }))
+}
+
+/**
+ * Reads the effective Custom Settings of a contract from the Escrow Manager
+ *
+ * @param escrowManager  The Escrow Manager (Ethers Contract)
+ * @param address        The address of the token contract
+ * @param amount         Optional amount of Interest Token to quote the Deposit Fees of
+ * @param blockTag       The block to read the settings at
+ * @return  {address, registered, contractOwner, minDeposit, maxDeposit, depositFee, customDepositFee, fees}
+ *            with the fees in basis points, and the fees on the amount as {amount, depositFee, customFee}
+ */
+const readContractSettings = async ({ escrowManager, address, amount, blockTag = 'latest' }) => {
+    const overrides = { blockTag }
+    const token = new ethers.Contract(address, particleManagerAbi, escrowManager.provider)
+
+    // The fees on DEPOSIT_FEE_MODIFIER are the fees in basis points
+    const [depositFee, customDepositFee] = await escrowManager.getFeesForDeposit(address, DEPOSIT_FEE_MODIFIER, overrides)
+    const settings = {
+        address,
+        registered: await escrowManager.isContractRegistered(address, overrides),
+        contractOwner: await _tryCall(token, 'contractOwner', [overrides]),
+        minDeposit: (await escrowManager.getAssetMinDeposit(address, overrides)).toString(),
+        maxDeposit: (await escrowManager.getAssetMaxDeposit(address, overrides)).toString(),
+        depositFee: depositFee.toString(),
+        customDepositFee: customDepositFee.toString(),
+    }
+    if (amount !== undefined) {
+        const fees = await escrowManager.getFeesForDeposit(address, amount, overrides)
+        settings.fees = { amount: amount.toString(), depositFee: fees[0].toString(), customFee: fees[1].toString() }
+    }
+    return settings
+}
+
+/**
+ * Formats the result of "readContractSettings" as readable lines
+ */
+const formatContractSettings = ({ address, registered, contractOwner, minDeposit, maxDeposit, depositFee, customDepositFee, fees }) => {
+    const toEth = (wei) => ethers.utils.formatEther(wei)
+    const toLimit = (wei) => (wei === '0' ? 'none' : `${toEth(wei)} Asset Token`)
+    const totalFee = Number(depositFee) + Number(customDepositFee)
+
+    const lines = [
+        `Contract ${address}`,
+        `  Registered:            ${registered ? 'yes' : 'no'}`,
+        `  Contract Owner:        ${contractOwner || 'unknown (contractOwner() reverted)'}`,
+        `  Deposit Fees:          ${depositFee} bps + ${customDepositFee} bps to the Contract Owner (${totalFee / 100}%)`,
+        `  Min Deposit:           ${toLimit(minDeposit)}`,
+        `  Max Deposit:           ${toLimit(maxDeposit)}`,
+    ]
+    if (fees) {
+        lines.push(`  Fees of a Deposit:     ${toEth(fees.depositFee)} + ${toEth(fees.customFee)} of ${toEth(fees.amount)} Interest Token`)
+    }
+    return lines
+}
+
+/**
+ * Onboards an external token contract: checks its interface, registers it with the Escrow Manager (DAO) unless
+ *   already registered, then applies its Custom Settings (Contract Owner); the Signer of the Escrow Manager needs
+ *   the role of each step, so the DAO and the Contract Owner can each run the flow in turn
+ *
+ * @param escrowManager  The Escrow Manager (Ethers Contract, with the Signer)
+ * @param address        The address of the token contract
+ * @param settings       The parsed Custom Settings (see parseContractSettings)
+ * @param dryRun         Only check and simulate the transactions (see sendAdminTx)
+ * @param confirmations  Number of confirmations to wait for
+ * @param log            Logging function
+ * @return  {check, results, settings} with the effective settings of the contract
+ */
+const onboardContract = async ({ escrowManager, address, settings = {}, dryRun = false, confirmations = 1, log = console.log }) => {
+    const check = await checkParticleInterface({ provider: escrowManager.provider, address })
+    formatInterfaceCheck(check).forEach(line => log(line))
+    if (!check.isCompliant) {
+        const failed = check.checks.filter(({ passed }) => !passed).map(({ name }) => name)
+        throw new Error(`${address} can not be onboarded; failed checks: ${failed.join(', ')}`)
+    }
+
+    const txs = []
+    const isRegistered = await escrowManager.isContractRegistered(address)
+    if (!isRegistered) {
+        txs.push({ contractName: ESCROW_MANAGER, method: 'registerContractType', args: [address], role: 'dao' })
+    }
+    if (dryRun && !isRegistered && Object.keys(settings).length) {
+        log('  The Custom Settings can only be simulated once the contract is registered')
+    } else {
+        txs.push(...buildContractSettings({ address, settings }))
+    }
+
+    log(`${dryRun ? 'Simulating' : 'Sending'} ${txs.length} transaction(s) from ${await escrowManager.signer.getAddress()}:`)
+    const results = []
+    for (let i = 0; i < txs.length; i++) {
+        results.push(await sendAdminTx({ ...txs[i], contract: escrowManager, dryRun, confirmations, log }))
+    }
+
+    return {
+        check,
+        results,
+        settings: await readContractSettings({ escrowManager, address }),
+    }
+}
+
+module.exports = {
+    particleManagerAbi,
+    INTERFACE_IDS,
+    CONTRACT_SETTINGS,
+    checkParticleInterface,
+    formatInterfaceCheck,
+    parseContractSettings,
+    loadContractSettings,
+    buildContractSettings,
+    readContractSettings,
+    formatContractSettings,
+    onboardContract,
+}
@@ -0,0 +1,213 @@
+const { ethers } = require('ethers')
+
+const { loadDeployment } = require('./client')
+const { getRevertReason } = require('./errors')
+const { getNonFungibleBaseType } = require('./token-ids')
+
+// The reads of each Particle: field => [contract, method, args]
+const particleReads = {
+    owner: ['ChargedParticles', 'ownerOf', (tokenId) => [tokenId]],
+    series: ['ChargedParticles', 'getSeriesNumber', (tokenId) => [tokenId]],
+    uri: ['ChargedParticles', 'uri', (tokenId) => [tokenId]],
+    mass: ['ChargedParticles', 'baseParticleMass', (tokenId) => [tokenId]],
+    charge: ['ChargedParticles', 'currentParticleCharge', (tokenId) => [tokenId]], // non-view; called statically
+    dischargeApproval: ['ChargedParticlesEscrowManager', 'getDischargeApproval', (tokenId, chargedParticles) => [chargedParticles, tokenId]],
+}
+
+// The reads of each Particle Type
+const typeReads = {
+    creator: ['ChargedParticles', 'getTypeCreator', (typeId) => [typeId]],
+}
+
+const readContracts = ['Multicall', 'ChargedParticles', 'ChargedParticlesEscrowManager']
+
+const _key = (value) => ethers.BigNumber.from(value).toString()
+
+/**
+ * Creates a Reader of Particle Portfolios; all reads of a block are aggregated into a few calls
+ *   to the Multicall contract, and the decoded Particles are cached per block number
+ *
+ * @param provider     An Ethers Provider
+ * @param deployment   Optional map of deployed contracts ({name: {address, abi}});
+ *                     defaults to the deployment export of the connected chain
+ * @param batchSize    Max number of reads per call to the Multicall contract
+ * @param cacheBlocks  Number of blocks kept in the cache (the most recent ones)
+ * @param reads        Optional reads of each Particle Type, instead of "typeReads" (ex: see metadata.js)
+ */
+const portfolioReader = ({ provider, deployment, batchSize = 500, cacheBlocks = 2, reads = typeReads }) => {
+    const _cache = {}
+    let _contracts
+
+    const _getContracts = async () => {
+        if (_contracts) { return _contracts }
+        const contracts = deployment || loadDeployment((await provider.getNetwork()).chainId)
+        _contracts = {}
+        readContracts.forEach((contractName) => {
+            if (!contracts[contractName]) {
+                throw new Error(`Contract "${contractName}" is missing from the deployment`)
+            }
+            const { address, abi } = contracts[contractName]
+            _contracts[contractName] = new ethers.Contract(address, abi, provider)
+        })
+        return _contracts
+    }
+
+    // Returns the cache of a block, dropping the oldest blocks
+    const _getBlockCache = (blockNumber) => {
+        if (!_cache[blockNumber]) {
+            _cache[blockNumber] = { particles: {}, types: {} }
+            const blockNumbers = Object.keys(_cache).map(Number).sort((a, b) => b - a)
+            blockNumbers.slice(cacheBlocks).forEach((oldBlock) => { delete _cache[oldBlock] })
+        }
+        return _cache[blockNumber]
+    }
+
+    const _buildCalls = (contracts, reads, id, target) => Object.keys(reads).map((field) => {
+        const [contractName, method, args] = reads[field]
+        const contract = contracts[contractName]
+        return {
+            target,
+            field,
+            contract,
+            method,
+            callData: contract.interface.encodeFunctionData(method, args(id, contracts.ChargedParticles.address)),
+        }
+    })
+
+    // Makes the calls in batches, all at the same block
+    const _aggregate = async (calls, blockNumber) => {
+        const { Multicall } = await _getContracts()
+        let results = []
+        for (let i = 0; i < calls.length; i += batchSize) {
+            const batch = calls.slice(i, i + batchSize).map(({ contract, callData }) => ({ target: contract.address, callData }))
+            const [, batchResults] = await Multicall.callStatic.aggregate(batch, { blockTag: blockNumber })
+            results = results.concat(batchResults)
+        }
+        return results
+    }
+
+    // Failed reads are left undefined; their Revert Reason is kept in "errors"
+    const _decodeResults = (calls, results, objects) => {
+        calls.forEach(({ target, field, contract, method }, index) => {
+            const { success, returnData } = results[index]
+            if (success) {
+                objects[target][field] = contract.interface.decodeFunctionResult(method, returnData)[0]
+            } else {
+                objects[target][field] = undefined
+                objects[target].errors[field] = getRevertReason({ data: returnData }) || 'reverted'
+            }
+        })
+    }
+
+    const _resolveBlockNumber = async (blockTag) => {
+        if (typeof blockTag === 'number') { return blockTag }
+        return (await provider.getBlock(blockTag)).number
+    }
+
+    /**
+     * Reads a list of Particles
+     *
+     * @param tokenIds  The Token IDs of the Particles (ex: from the Indexer, see indexer.js)
+     * @param blockTag  The block to read the Particles at
+     * @return  [{tokenId, typeId, owner, creator, series, uri, mass, charge, dischargeApproval, blockNumber, errors}]
+     */
+    const getParticles = async (tokenIds, { blockTag = 'latest' } = {}) => {
+        const contracts = await _getContracts()
+        const blockNumber = await _resolveBlockNumber(blockTag)
+        const blockCache = _getBlockCache(blockNumber)
+
+        const particles = {}
+        const types = {}
+        let calls = []
+        tokenIds.map(_key).forEach((tokenKey) => {
+            if (blockCache.particles[tokenKey] || particles[tokenKey]) { return }
+            const typeId = getNonFungibleBaseType(tokenKey)
+            particles[tokenKey] = { tokenId: ethers.BigNumber.from(tokenKey), typeId, errors: {} }
+            calls = calls.concat(_buildCalls(contracts, particleReads, tokenKey, tokenKey))
+
+            const typeKey = _key(typeId)
+            if (blockCache.types[typeKey] || types[typeKey]) { return }
+            types[typeKey] = { errors: {} }
+            calls = calls.concat(_buildCalls(contracts, reads, typeKey, typeKey))
+        })
+
+        if (calls.length) {
+            const results = await _aggregate(calls, blockNumber)
+            _decodeResults(calls, results, { ...particles, ...types })
+            Object.assign(blockCache.types, types)
+            Object.keys(particles).forEach((tokenKey) => {
+                const particle = particles[tokenKey]
+                const { errors, ...type } = blockCache.types[_key(particle.typeId)]
+                blockCache.particles[tokenKey] = { ...particle, ...type, blockNumber, errors: { ...errors, ...particle.errors } }
+            })
+        }
+
+        return tokenIds.map((tokenId) => {
+            const particle = blockCache.particles[_key(tokenId)]
+            return { ...particle, errors: { ...particle.errors } }
+        })
+    }
+
+    const getParticle = async (tokenId, options) => (await getParticles([tokenId], options))[0]
+
+    /**
+     * Reads a list of Particle or Plasma Types
+     *
+     * @param typeIds   The Type IDs
+     * @param blockTag  The block to read the Types at
+     * @return  [{typeId, creator, blockNumber, errors}]
+     */
+    const getTypes = async (typeIds, { blockTag = 'latest' } = {}) => {
+        const contracts = await _getContracts()
+        const blockNumber = await _resolveBlockNumber(blockTag)
+        const blockCache = _getBlockCache(blockNumber)
+
+        const types = {}
+        let calls = []
+        typeIds.map(_key).forEach((typeKey) => {
+            if (blockCache.types[typeKey] || types[typeKey]) { return }
+            types[typeKey] = { errors: {} }
+            calls = calls.concat(_buildCalls(contracts, reads, typeKey, typeKey))
+        })
+
+        if (calls.length) {
+            _decodeResults(calls, await _aggregate(calls, blockNumber), types)
+            Object.assign(blockCache.types, types)
+        }
+
+        return typeIds.map((typeId) => {
+            const { errors, ...type } = blockCache.types[_key(typeId)]
+            return { typeId: ethers.BigNumber.from(_key(typeId)), ...type, blockNumber, errors: { ...errors } }
+        })
+    }
+
+    /**
+     * Reads the Particles owned by an account
+     *
+     * @param account   The Owner of the Particles
+     * @param tokenIds  The Token IDs to check (ex: all Particles minted, from the Indexer)
+     * @param blockTag  The block to read the Particles at
+     */
+    const getPortfolio = async (account, tokenIds, options) => {
+        const owner = account.toLowerCase()
+        return (await getParticles(tokenIds, options)).filter(particle => particle.owner && particle.owner.toLowerCase() === owner)
+    }
+
+    const clearCache = () => {
+        Object.keys(_cache).forEach((blockNumber) => { delete _cache[blockNumber] })
+    }
+
+    return {
+        getParticles,
+        getParticle,
+        getTypes,
+        getPortfolio,
+        clearCache,
+    }
+}
+
+module.exports = {
+    particleReads,
+    typeReads,
+    portfolioReader,
+}
@@ -0,0 +1,242 @@
+// Access-control audit of the Charged Particles contracts (who can call which admin function), and safe
+// grants, revocations and transfers of the roles, used by the "cp:roles*" admin tasks (tasks/admin.js)
+//
+// Role members of the Escrow Manager are rebuilt from its RoleGranted/RoleRevoked events, then checked against
+// the contract; Owners and Proxy Admins are read from the contracts.
+
+const { ethers } = require('ethers')
+
+const { ROLES, parseAddress } = require('./admin')
+const { getProxyAdmin } = require('./upgrades')
+
+// AccessControl roles of the Escrow Manager (lib/Common.sol); the DAO is the admin of both
+const ROLE_IDS = {
+    dao: ethers.utils.id('ROLE_DAO_GOV'),
+    maintainer: ethers.utils.id('ROLE_MAINTAINER'),
+}
+
+// The admin functions of each contract and the role they require ("onlyOwner", "onlyDao", "onlyMaintainer");
+//  "Escrow" applies to every Escrow (lib/EscrowBase.sol), "Proxy" to every upgradeable contract
+const PERMISSIONS = {
+    ChargedParticles: {
+        owner: ['setupFees', 'setPausedState', 'registerTokenManager', 'registerEscrowManager', 'setTrustedForwarder', 'mintIons', 'withdrawFees', 'transferOwnership', 'renounceOwnership'],
+    },
+    ChargedParticlesEscrowManager: {
+        dao: ['registerContractType', 'setDepositFee', 'enableDao', 'grantRole', 'revokeRole'],
+        maintainer: ['registerAssetPair', 'disableAssetPair'],
+    },
+    ChargedParticlesTokenManager: {
+        owner: ['registerContractType', 'transferOwnership', 'renounceOwnership'],
+    },
+    Escrow: {
+        owner: ['setPausedState', 'setEscrowManager', 'registerAssetPair', 'transferOwnership', 'renounceOwnership'],
+    },
+    Proxy: {
+        proxyAdmin: ['upgradeTo', 'upgradeToAndCall', 'changeAdmin'],
+    },
+}
+
+const ESCROW_MANAGER = 'ChargedParticlesEscrowManager'
+
+const _sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase()
+
+// Replays the RoleGranted/RoleRevoked events of a contract into the members of each role
+const _readRoleMembers = async (contract, { fromBlock, blockTag }) => {
+    const filters = [contract.filters.RoleGranted(), contract.filters.RoleRevoked()]
+    let logs = []
+    for (let i = 0; i < filters.length; i++) {
+        logs = logs.concat(await contract.provider.getLogs({ ...filters[i], fromBlock, toBlock: blockTag }))
+    }
+    logs.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex))
+
+    const members = {}
+    logs.forEach((log) => {
+        const { name, args } = contract.interface.parseLog(log)
+        const [role, account] = args
+        members[role] = members[role] || new Set()
+        if (name === 'RoleGranted') {
+            members[role].add(account)
+        } else {
+            members[role].delete(account)
+        }
+    })
+    return members
+}
+
+/**
+ * Audits the roles of the Charged Particles contracts
+ *
+ * @param contracts  Map of Ethers Contracts by name (ChargedParticles, ChargedParticlesEscrowManager, ChargedParticlesTokenManager & Escrows)
+ * @param escrows    The names of the Escrows in "contracts" (ex: ["ChaiEscrow"])
+ * @param fromBlock  First block to search for role events (the deployment block of the Escrow Manager)
+ * @param blockTag   The block to audit
+ * @return  {holders: {contract: {role: [accounts]}}, matrix: [{contract, function, role, holders}], warnings}
+ */
+const auditRoles = async ({ contracts, escrows = [], fromBlock = 0, blockTag = 'latest' }) => {
+    const overrides = { blockTag }
+    const holders = {}
+    const matrix = []
+    const warnings = []
+
+    const contractNames = Object.keys(contracts)
+    for (let i = 0; i < contractNames.length; i++) {
+        const contractName = contractNames[i]
+        const contract = contracts[contractName]
+        const permissions = { ...(escrows.includes(contractName) ? PERMISSIONS.Escrow : PERMISSIONS[contractName]) }
+        if (!Object.keys(permissions).length) { continue }
+
+        const contractHolders = {}
+        if (permissions.owner) {
+            contractHolders.owner = [await contract.owner(overrides)].filter(owner => owner !== ethers.constants.AddressZero)
+        }
+        if (contractName === ESCROW_MANAGER) {
+            const members = await _readRoleMembers(contract, { fromBlock, blockTag })
+            const roles = Object.keys(ROLE_IDS)
+            for (let j = 0; j < roles.length; j++) {
+                const roleId = ROLE_IDS[roles[j]]
+                const accounts = []
+                const candidates = [...(members[roleId] || [])]
+                for (let k = 0; k < candidates.length; k++) {
+                    if (await contract.hasRole(roleId, candidates[k], overrides)) { accounts.push(candidates[k]) }
+                }
+                const memberCount = (await contract.getRoleMemberCount(roleId, overrides)).toNumber()
+                if (memberCount !== accounts.length) {
+                    warnings.push(`${contractName}: the role events from block ${fromBlock} show ${accounts.length} of the ${memberCount} ${ROLES[roles[j]]} members; audit from an earlier block`)
+                }
+                contractHolders[roles[j]] = accounts.sort()
+            }
+        }
+        const proxyAdmin = await getProxyAdmin(contract.provider, contract.address, blockTag)
+        if (proxyAdmin !== ethers.constants.AddressZero) {
+            Object.assign(permissions, PERMISSIONS.Proxy)
+            contractHolders.proxyAdmin = [proxyAdmin]
+        }
+        holders[contractName] = contractHolders
+
+        Object.keys(permissions).forEach((role) => {
+            permissions[role].forEach((method) => {
+                if (role !== 'proxyAdmin' && !contract.interface.fragments.some(f => f.type === 'function' && f.name === method)) {
+                    warnings.push(`${contractName}.${method} not found in the ABI`)
+                    return
+                }
+                matrix.push({ contract: contractName, function: method, role, holders: contractHolders[role] || [] })
+            })
+        })
+    }
+
+    Object.keys(holders).forEach((contractName) => {
+        Object.keys(holders[contractName]).forEach((role) => {
+            if (!holders[contractName][role].length) {
+                warnings.push(`${contractName} has no ${ROLES[role]}; its ${ROLES[role]} functions can not be called`)
+            }
+        })
+    })
+
+    return { holders, matrix, warnings }
+}
+
+/**
+ * Formats the result of "auditRoles" as readable lines (function => required role => current holders)
+ */
+const formatRoles = ({ matrix, warnings }) => {
+    const width = Math.max(...matrix.map(p => `${p.contract}.${p.function}`.length))
+    const roleWidth = Math.max(...matrix.map(p => ROLES[p.role].length))
+    const lines = matrix.map(p => (
+        `${`${p.contract}.${p.function}`.padEnd(width)}  ${ROLES[p.role].padEnd(roleWidth)}  ${p.holders.join(', ') || 'none'}`
+    ))
+    return lines.concat(warnings.map(warning => `WARNING: ${warning}`))
+}
+
+// An account can not hold a role on a contract it is the Proxy Admin of, as its calls would not be forwarded
+const _checkNotProxyAdmin = (audit, contractName, account) => {
+    const { proxyAdmin } = audit.holders[contractName] || {}
+    if (proxyAdmin && proxyAdmin.some(admin => _sameAddress(admin, account))) {
+        throw new Error(`${account} is the ${ROLES.proxyAdmin} of ${contractName}; its calls are not forwarded to the contract`)
+    }
+}
+
+const _getRoleHolders = (audit, contractName, role) => {
+    const contractHolders = audit.holders[contractName]
+    if (!contractHolders || !contractHolders[role] || role === 'proxyAdmin') {
+        throw new Error(`${contractName} has no ${ROLES[role] || `"${role}"`} role to change`)
+    }
+    return contractHolders[role]
+}
+
+/**
+ * Builds the transaction granting a role of the Escrow Manager (sent by a DAO member, see "sendAdminTx")
+ *
+ * @param audit    The result of "auditRoles"
+ * @param role     "dao" or "maintainer"
+ * @param account  The account receiving the role
+ */
+const buildGrantRole = ({ audit, role, account }) => {
+    const holders = _getRoleHolders(audit, ESCROW_MANAGER, role)
+    const address = parseAddress(account, 'account')
+    if (holders.some(holder => _sameAddress(holder, address))) {
+        throw new Error(`${address} is already a ${ROLES[role]} of ${ESCROW_MANAGER}`)
+    }
+    _checkNotProxyAdmin(audit, ESCROW_MANAGER, address)
+    return [{ contractName: ESCROW_MANAGER, method: 'grantRole', args: [ROLE_IDS[role], address], role: 'dao' }]
+}
+
+/**
+ * Builds the transaction revoking a role of the Escrow Manager; the last DAO member can not be revoked,
+ *   as nobody could grant the roles again
+ *
+ * @param audit    The result of "auditRoles"
+ * @param role     "dao" or "maintainer"
+ * @param account  The account losing the role
+ */
+const buildRevokeRole = ({ audit, role, account }) => {
+    const holders = _getRoleHolders(audit, ESCROW_MANAGER, role)
+    const address = parseAddress(account, 'account')
+    if (!holders.some(holder => _sameAddress(holder, address))) {
+        throw new Error(`${address} is not a ${ROLES[role]} of ${ESCROW_MANAGER}`)
+    }
+    if (role === 'dao' && holders.length === 1) {
+        throw new Error(`Refusing to leave the ${ROLES.dao} role of ${ESCROW_MANAGER} empty; grant it to another account first`)
+    }
+    return [{ contractName: ESCROW_MANAGER, method: 'revokeRole', args: [ROLE_IDS[role], address], role: 'dao' }]
+}
+
+/**
+ * Builds the transactions moving a role from one account to another: the Ownership of a contract
+ *   ("transferOwnership"), or a role of the Escrow Manager (granted to the new account before it is revoked)
+ *
+ * @param audit         The result of "auditRoles"
+ * @param contractName  The contract (Owner only; roles are on the Escrow Manager)
+ * @param role          "owner", "dao" or "maintainer"
+ * @param from          The current holder
+ * @param to            The new holder
+ */
+const buildTransferRole = ({ audit, contractName = ESCROW_MANAGER, role, from, to }) => {
+    const holders = _getRoleHolders(audit, contractName, role)
+    const fromAddress = parseAddress(from, 'from')
+    const toAddress = parseAddress(to, 'to')
+    if (_sameAddress(fromAddress, toAddress)) {
+        throw new Error(`${toAddress} is already the ${ROLES[role]} of ${contractName}`)
+    }
+    if (!holders.some(holder => _sameAddress(holder, fromAddress))) {
+        throw new Error(`${fromAddress} is not the ${ROLES[role]} of ${contractName}`)
+    }
+    _checkNotProxyAdmin(audit, contractName, toAddress)
+
+    if (role === 'owner') {
+        return [{ contractName, method: 'transferOwnership', args: [toAddress], role: 'owner' }]
+    }
+    // The new holder is granted the role first, so the role is never left empty
+    return buildGrantRole({ audit, role, account: toAddress }).concat(
+        { contractName, method: 'revokeRole', args: [ROLE_IDS[role], fromAddress], role: 'dao' }
+    )
+}
+
+module.exports = {
+    ROLE_IDS,
+    PERMISSIONS,
+    auditRoles,
+    formatRoles,
+    buildGrantRole,
+    buildRevokeRole,
+    buildTransferRole,
+}
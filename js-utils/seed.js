@@ -0,0 +1,271 @@
+// Seeding of a local development chain with sample Types & Tokens (see tasks/seed.js)
+
+const fs = require('fs')
+const path = require('path')
+const { ethers } = require('ethers')
+
+const { presets } = require('./deploy-helpers')
+const { parseEtherAmount } = require('./admin')
+const { chargedParticlesClient, EMPTY_DATA } = require('./client')
+const { accrueInterest } = require('./dsr-helpers')
+const { getRevertReason } = require('./errors')
+const { ACCESS_TYPE } = require('./token-ids')
+
+// Served by "npx buidler cp:metadata"
+const LOCAL_METADATA_URI = 'http://localhost:8080/metadata/{id}.json'
+
+/**
+ * The sample environment seeded by default; accounts are referenced by their names in "namedAccounts" (buidler.config.js),
+ *   Types by their key.  Amounts of IONs, Dai & ETH are in decimal units (ex: "100"), amounts of Plasma in tokens.
+ *
+ *   accounts:       The accounts receiving IONs & Dai
+ *   ions / dai:     The amount of IONs / Dai for each account
+ *   particleTypes:  Particle Types {key, creator, name, symbol, uri, access ("public", "private"), series, assetPair, maxSupply, mintFee, payWithIons}
+ *   plasmaTypes:    Plasma Types {key, creator, name, symbol, uri, isPrivate, maxSupply, mintFee, initialMint, payWithIons}
+ *   particles:      Particles {key, type, owner, assetAmount, energize}; "energize" adds Asset Tokens after minting
+ *   plasma:         Plasma {type, owner, amount}
+ *   interest:       The growth of the Dai Savings Rate accrued at the end (ex: 0.05 for +5%)
+ */
+const DEFAULT_SEED = {
+    accounts: ['creator', 'collector', 'operator', 'receiver', 'relayer'],
+    ions: '1000',
+    dai: '10000',
+    particleTypes: [
+        { key: 'publicParticle', creator: 'creator', name: 'Sample Particle', symbol: 'SPART', access: 'public', assetPair: 'chai', maxSupply: 0, mintFee: '0.01', payWithIons: false },
+        { key: 'privateParticle', creator: 'creator', name: 'Private Particle', symbol: 'PPART', access: 'private', assetPair: 'chai', maxSupply: 100, mintFee: '0', payWithIons: true },
+        { key: 'seriesParticle', creator: 'operator', name: 'Series Particle', symbol: 'SERIE', access: 'public', series: true, assetPair: 'chai', maxSupply: 10, mintFee: '0.05', payWithIons: false },
+    ],
+    plasmaTypes: [
+        { key: 'publicPlasma', creator: 'creator', name: 'Sample Plasma', symbol: 'SPLSM', isPrivate: false, maxSupply: 1000000, mintFee: '0.0001', initialMint: 10000, payWithIons: false },
+        { key: 'privatePlasma', creator: 'operator', name: 'Private Plasma', symbol: 'PPLSM', isPrivate: true, maxSupply: 0, mintFee: '0', initialMint: 5000, payWithIons: true },
+    ],
+    particles: [
+        { key: 'collectorParticle', type: 'publicParticle', owner: 'collector', assetAmount: '100', energize: '50' },
+        { key: 'creatorParticle', type: 'privateParticle', owner: 'creator', assetAmount: '250' },
+        { key: 'receiverParticle', type: 'seriesParticle', owner: 'receiver', assetAmount: '20' },
+    ],
+    plasma: [
+        { type: 'publicPlasma', owner: 'collector', amount: 500 },
+        { type: 'publicPlasma', owner: 'receiver', amount: 100 },
+    ],
+    interest: 0.05,
+}
+
+const _accessType = ({ access, series }) => {
+    const accessType = { public: ACCESS_TYPE.PUBLIC, private: ACCESS_TYPE.PRIVATE }[access]
+    if (!accessType) {
+        throw new Error(`Invalid "access": ${access} (expected "public" or "private")`)
+    }
+    return series ? (accessType | ACCESS_TYPE.SERIES) : accessType
+}
+
+const _findEventArgs = (contract, receipt, eventName) => receipt.logs
+    .filter(log => log.address.toLowerCase() === contract.address.toLowerCase())
+    .map(log => contract.interface.parseLog(log))
+    .find(event => event.name === eventName)
+    .args
+
+// The ION Type is minted once by the Owner; its ID has no getter, so it is read from the transaction that minted it
+const _findIonTokenId = async (chargedParticles) => {
+    const filter = chargedParticles.filters.PlasmaTypeUpdated(null, presets.ChargedParticles.ionToken.symbol)
+    const logs = await chargedParticles.provider.getLogs({ ...filter, fromBlock: 0 })
+    const mintIons = chargedParticles.interface.getSighash('mintIons')
+    for (let i = 0; i < logs.length; i++) {
+        const tx = await chargedParticles.provider.getTransaction(logs[i].transactionHash)
+        if (tx.data.startsWith(mintIons)) {
+            return chargedParticles.interface.parseLog(logs[i]).args[0]
+        }
+    }
+    throw new Error('The IONs are minted, but the transaction that minted them was not found')
+}
+
+/**
+ * Seeds a local chain: mints the IONs (once), distributes IONs & Dai to the accounts, creates the sample Types,
+ *   mints & energizes the sample Tokens and accrues interest on the mock Pot.  Types & Tokens are added on every run.
+ *
+ * @param signers     The Signers by account name; "deployer" is the Owner of the contracts
+ * @param deployment  Map of deployed contracts ({name: {address, abi}}), including the mocks of BuidlerEVM ("Dai", "MockPot")
+ * @param seed        The sample environment (see DEFAULT_SEED)
+ * @param log         Function logging the progress
+ * @return  The summary of the environment: the addresses of the contracts & accounts and the IDs of the Types & Tokens
+ */
+const seedEnvironment = async ({ signers, deployment, seed = DEFAULT_SEED, log = () => {} }) => {
+    const _signer = (name) => {
+        if (!signers[name]) { throw new Error(`Unknown account "${name}"; expected one of: ${Object.keys(signers).join(', ')}`) }
+        return signers[name]
+    }
+    const _contract = (name, signer) => {
+        if (!deployment[name]) { throw new Error(`Missing deployment of ${name}; deploy the contracts first`) }
+        return new ethers.Contract(deployment[name].address, deployment[name].abi, signer)
+    }
+    const _wait = async (promise) => (await promise).wait()
+
+    const deployer = _signer('deployer')
+    const chargedParticles = _contract('ChargedParticles', deployer)
+    const tokenManager = _contract('ChargedParticlesTokenManager', deployer)
+    const dai = _contract('Dai', deployer)
+    const pot = _contract('MockPot', deployer)
+
+    const accounts = {}
+    const names = Object.keys(signers)
+    for (let i = 0; i < names.length; i++) {
+        accounts[names[i]] = await signers[names[i]].getAddress()
+    }
+    const clients = {}
+    const _client = async (name) => {
+        clients[name] = clients[name] || await chargedParticlesClient({ signer: _signer(name), deployment })
+        return clients[name]
+    }
+
+    // IONs
+    let ionTokenId
+    const ion = presets.ChargedParticles.ionToken
+    try {
+        await chargedParticles.callStatic.mintIons(ion.URI, ion.maxSupply, ion.mintFee)
+        log(`  → Minting ${ethers.utils.formatEther(ion.maxSupply)} IONs`)
+        const receipt = await _wait(chargedParticles.mintIons(ion.URI, ion.maxSupply, ion.mintFee))
+        ionTokenId = _findEventArgs(chargedParticles, receipt, 'PlasmaTypeUpdated')[0]
+    } catch (err) {
+        if (getRevertReason(err) !== 'CP: ALREADY_INIT') { throw err }
+        ionTokenId = await _findIonTokenId(chargedParticles)
+        log(`  ✓ IONs already minted`)
+    }
+
+    // IONs & Dai for each account
+    const ionAmount = parseEtherAmount(seed.ions, 'ions')
+    const daiAmount = parseEtherAmount(seed.dai, 'dai')
+    log(`  → Sending ${seed.ions} IONs and ${seed.dai} Dai to: ${seed.accounts.join(', ')}`)
+    for (let i = 0; i < seed.accounts.length; i++) {
+        const account = await _signer(seed.accounts[i]).getAddress()
+        if (!ionAmount.isZero()) {
+            await _wait(tokenManager.transferFrom(accounts.deployer, account, ionTokenId, ionAmount))
+        }
+        if (!daiAmount.isZero()) {
+            await _wait(dai.mint(account, daiAmount))
+        }
+    }
+
+    // Types
+    const particleTypes = {}
+    for (let i = 0; i < seed.particleTypes.length; i++) {
+        const type = seed.particleTypes[i]
+        const client = await _client(type.creator)
+        const { particleTypeId } = await client.createParticle({
+            name: type.name,
+            uri: type.uri || LOCAL_METADATA_URI,
+            symbol: type.symbol,
+            accessType: _accessType(type),
+            assetPair: type.assetPair,
+            maxSupply: type.maxSupply,
+            mintFee: parseEtherAmount(type.mintFee, 'mintFee'),
+            payWithIons: type.payWithIons,
+        })
+        particleTypes[type.key] = { ...type, typeId: particleTypeId.toString(), creator: accounts[type.creator] }
+        log(`  → Particle Type "${type.key}": ${particleTypeId}`)
+    }
+
+    const plasmaTypes = {}
+    for (let i = 0; i < seed.plasmaTypes.length; i++) {
+        const type = seed.plasmaTypes[i]
+        const creator = chargedParticles.connect(_signer(type.creator))
+        const { _eth: eth } = await creator.getCreationPrice(false)
+        const receipt = await _wait(creator.createPlasma(
+            type.name,
+            type.uri || LOCAL_METADATA_URI,
+            type.symbol,
+            type.isPrivate,
+            type.maxSupply,
+            parseEtherAmount(type.mintFee, 'mintFee'),
+            type.initialMint,
+            type.payWithIons,
+            { value: type.payWithIons ? 0 : eth },
+        ))
+        const typeId = _findEventArgs(chargedParticles, receipt, 'PlasmaTypeUpdated')[0]
+        plasmaTypes[type.key] = { ...type, typeId: typeId.toString(), creator: accounts[type.creator] }
+        log(`  → Plasma Type "${type.key}": ${typeId}`)
+    }
+
+    const _typeId = (types, key) => {
+        if (!types[key]) { throw new Error(`Unknown Type "${key}"; expected one of: ${Object.keys(types).join(', ')}`) }
+        return types[key].typeId
+    }
+
+    // Tokens
+    const particles = {}
+    for (let i = 0; i < seed.particles.length; i++) {
+        const particle = seed.particles[i]
+        const client = await _client(particle.owner)
+        const typeId = _typeId(particleTypes, particle.type)
+        const { tokenId } = await client.mintParticle({ typeId, assetAmount: parseEtherAmount(particle.assetAmount, 'assetAmount') })
+        if (particle.energize) {
+            await client.energizeParticle({ tokenId, assetAmount: parseEtherAmount(particle.energize, 'energize') })
+        }
+        particles[particle.key] = { ...particle, typeId, tokenId: tokenId.toString(), owner: accounts[particle.owner] }
+        log(`  → Particle "${particle.key}": ${tokenId}`)
+    }
+
+    const plasma = []
+    for (let i = 0; i < seed.plasma.length; i++) {
+        const { type, owner, amount } = seed.plasma[i]
+        const minter = chargedParticles.connect(_signer(owner))
+        const typeId = _typeId(plasmaTypes, type)
+        const mintFee = (plasmaTypes[type].creator === accounts[owner]) ? ethers.constants.Zero : await minter.getMintingFee(typeId)
+        await _wait(minter.mintPlasma(accounts[owner], typeId, amount, EMPTY_DATA, { value: mintFee.mul(amount) }))
+        plasma.push({ type, typeId, owner: accounts[owner], amount })
+        log(`  → ${amount} Plasma "${type}" to ${owner}`)
+    }
+
+    // Interest, so the Particles hold some Charge
+    if (seed.interest) {
+        log(`  → Accruing ${seed.interest * 100}% of interest on the Pot`)
+        await accrueInterest({ pot, rate: seed.interest })
+    }
+    const keys = Object.keys(particles)
+    for (let i = 0; i < keys.length; i++) {
+        const { tokenId } = particles[keys[i]]
+        particles[keys[i]].mass = (await chargedParticles.baseParticleMass(tokenId)).toString()
+        particles[keys[i]].charge = (await chargedParticles.callStatic.currentParticleCharge(tokenId)).toString()
+    }
+
+    const { chainId } = await deployer.provider.getNetwork()
+    return {
+        chainId,
+        blockNumber: (await deployer.provider.getBlock('latest')).number,
+        contracts: Object.keys(deployment).reduce((contracts, name) => ({ ...contracts, [name]: deployment[name].address }), {}),
+        accounts,
+        ionTokenId: ionTokenId.toString(),
+        particleTypes,
+        plasmaTypes,
+        particles,
+        plasma,
+    }
+}
+
+/**
+ * Loads a sample environment from a JSON file; missing entries are taken from DEFAULT_SEED
+ */
+const loadSeed = (filePath) => {
+    let seed
+    try {
+        seed = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    } catch (err) {
+        throw new Error(`Invalid seed file ${filePath}: ${err.message}`)
+    }
+    return { ...DEFAULT_SEED, ...seed }
+}
+
+/**
+ * Writes the summary of a seeded environment as JSON
+ */
+const saveSeedSummary = (filePath, summary) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, JSON.stringify(summary, null, 2) + '\n')
+}
+
+module.exports = {
+    LOCAL_METADATA_URI,
+    DEFAULT_SEED,
+    seedEnvironment,
+    loadSeed,
+    saveSeedSummary,
+}
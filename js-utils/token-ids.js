@@ -0,0 +1,191 @@
+// Token IDs of the split ERC1155 id space (lib/ERC1155.sol, lib/Common.sol), and the Escrow UUIDs of Tokens
+//
+//   bit 255        TYPE_NF_BIT; set for Particles (NFT), clear for Plasma (FT)
+//   bits 128-254   The Type nonce; Types are numbered in creation order, Particle and Plasma Types alike
+//   bits 0-127     The index of a Particle within its Type (its Series Number); 0 for the Type itself
+//
+// The Escrow Manager keeps the balances of a Token by its UUID: keccak256(abi.encodePacked(contract, tokenId))
+
+const { ethers } = require('ethers')
+
+const { BigNumber } = ethers
+
+const TYPE_NF_BIT = BigNumber.from(1).shl(255)
+const TYPE_MASK = ethers.constants.MaxUint256.shr(128).shl(128)
+const NF_INDEX_MASK = ethers.constants.MaxUint256.shr(128)
+const TYPE_NONCE_MASK = TYPE_MASK.xor(TYPE_NF_BIT)
+
+// ChargedParticles.typeSpecialBits; marks Types paid for with IONs (not part of the Token ID)
+const ION_SPECIAL_BIT = 1073741824 // 31st BIT
+
+// ChargedParticles.registeredTypes; the Access Type of Particle Types
+const ACCESS_TYPE = {
+    PUBLIC: 1,
+    PRIVATE: 2,
+    SERIES: 4,
+}
+
+const _bn = (id) => BigNumber.from(id)
+
+const isNonFungible = (id) => _bn(id).and(TYPE_NF_BIT).eq(TYPE_NF_BIT)
+const isFungible = (id) => _bn(id).and(TYPE_NF_BIT).isZero()
+const getNonFungibleIndex = (id) => _bn(id).and(NF_INDEX_MASK)
+const getNonFungibleBaseType = (id) => _bn(id).and(TYPE_MASK)
+const isNonFungibleBaseType = (id) => isNonFungible(id) && getNonFungibleIndex(id).isZero()
+const isNonFungibleItem = (id) => isNonFungible(id) && !getNonFungibleIndex(id).isZero()
+
+/**
+ * Gets the Type ID of a Token; Particles resolve to their Type, Plasma IDs are Type IDs
+ *   (as in ERC1155 & ChargedParticlesEscrowManager.energizeParticle)
+ */
+const getTypeId = (id) => (isNonFungible(id) ? getNonFungibleBaseType(id) : _bn(id))
+
+/**
+ * Gets the nonce of the Type of a Token (1 for the first Type created)
+ */
+const getTypeNonce = (id) => _bn(id).and(TYPE_NONCE_MASK).shr(128)
+
+/**
+ * Encodes a Type ID (ERC1155._createType)
+ *
+ * @param nonce  The nonce of the Type
+ * @param isNF   True for Particle Types, false for Plasma Types
+ */
+const encodeTypeId = ({ nonce, isNF }) => {
+    const typeNonce = _bn(nonce)
+    if (typeNonce.lte(0) || typeNonce.gt(TYPE_NONCE_MASK.shr(128))) {
+        throw new Error(`Invalid Type nonce: ${typeNonce.toString()}`)
+    }
+    const typeId = typeNonce.shl(128)
+    return isNF ? typeId.or(TYPE_NF_BIT) : typeId
+}
+
+/**
+ * Encodes the Token ID of a Particle (ERC1155._mint)
+ *
+ * @param typeId  The Type ID of the Particle
+ * @param index   The index of the Particle within its Type (starting at 1)
+ */
+const encodeTokenId = (typeId, index) => {
+    if (!isNonFungibleBaseType(typeId)) {
+        throw new Error(`Not a Particle Type: ${_bn(typeId).toHexString()}`)
+    }
+    const tokenIndex = _bn(index)
+    if (tokenIndex.lte(0) || tokenIndex.gt(NF_INDEX_MASK)) {
+        throw new Error(`Invalid Particle index: ${tokenIndex.toString()}`)
+    }
+    return _bn(typeId).or(tokenIndex)
+}
+
+/**
+ * Decodes a Token ID
+ *
+ * @param id  The Token or Type ID
+ * @return  {id, typeId, typeNonce, isNF, isType, index}; "index" is the Series Number of a Particle
+ */
+const decodeTokenId = (id) => {
+    const isNF = isNonFungible(id)
+    return {
+        id: _bn(id),
+        typeId: getTypeId(id),
+        typeNonce: getTypeNonce(id),
+        isNF,
+        isType: isNF ? isNonFungibleBaseType(id) : true,
+        index: isNF ? getNonFungibleIndex(id) : BigNumber.from(0),
+    }
+}
+
+/**
+ * Formats a Token ID for the "{id}" of ERC1155 metadata URIs: 64 lowercase hex characters, without "0x"
+ */
+const toUriId = (id) => ethers.utils.hexZeroPad(_bn(id).toHexString(), 32).slice(2)
+
+/**
+ * Parses a Token ID given as the "{id}" of an ERC1155 URI (64 hex characters), a "0x" hex or a decimal string;
+ *   returns undefined when invalid
+ */
+const parseUriId = (value) => {
+    const id = /^[0-9a-fA-F]{64}$/.test(value) ? `0x${value}` : value
+    if (!/^(0x[0-9a-fA-F]{1,64}|[0-9]{1,78})$/.test(id)) { return undefined }
+    const bn = _bn(id)
+    return bn.gt(ethers.constants.MaxUint256) ? undefined : bn
+}
+
+/**
+ * Substitutes "{id}" in a URI (or any string) with the ID of a Token, per the ERC1155 Metadata spec
+ */
+const substituteUriId = (uri, id) => uri.replace(/\{id\}/g, toUriId(id))
+
+/**
+ * Calculates the UUID of a Token in the Escrows (ChargedParticlesEscrowManager.getUUID)
+ *
+ * @param contractAddress  The address of the Token contract
+ * @param id               The Token ID
+ */
+const getUUID = (contractAddress, id) => (
+    _bn(ethers.utils.keccak256(ethers.utils.solidityPack(['address', 'uint256'], [contractAddress, id])))
+)
+
+/**
+ * Checks the Special Bits of a Type for the ION_SPECIAL_BIT
+ */
+const isPaidWithIons = (specialBits) => (Number(specialBits) & ION_SPECIAL_BIT) === ION_SPECIAL_BIT
+
+/**
+ * Decodes the Access Type of a Particle Type
+ */
+const decodeAccessType = (accessType) => ({
+    isPublic: (accessType & ACCESS_TYPE.PUBLIC) === ACCESS_TYPE.PUBLIC,
+    isPrivate: (accessType & ACCESS_TYPE.PRIVATE) === ACCESS_TYPE.PRIVATE,
+    isSeries: (accessType & ACCESS_TYPE.SERIES) === ACCESS_TYPE.SERIES,
+})
+
+/**
+ * Formats a Token ID for logs (ex: "Particle #12 of Type #3 (0x8000...0003:...000c)")
+ *
+ * @param id               The Token or Type ID
+ * @param contractAddress  When set, the Escrow UUID of the Token is included
+ */
+const formatTokenId = (id, { contractAddress } = {}) => {
+    const { typeNonce, isNF, isType, index } = decodeTokenId(id)
+    const hex = ethers.utils.hexZeroPad(_bn(id).toHexString(), 32)
+    const shortHex = `${hex.slice(0, 6)}...${hex.slice(30, 34)}:...${hex.slice(-4)}`
+
+    let label
+    if (!isNF) {
+        label = `Plasma Type #${typeNonce.toString()}`
+    } else if (isType) {
+        label = `Particle Type #${typeNonce.toString()}`
+    } else {
+        label = `Particle #${index.toString()} of Type #${typeNonce.toString()}`
+    }
+
+    const uuid = contractAddress ? ` uuid ${getUUID(contractAddress, id).toHexString()}` : ''
+    return `${label} (${shortHex})${uuid}`
+}
+
+module.exports = {
+    TYPE_NF_BIT,
+    TYPE_MASK,
+    NF_INDEX_MASK,
+    ION_SPECIAL_BIT,
+    ACCESS_TYPE,
+    isNonFungible,
+    isFungible,
+    getNonFungibleIndex,
+    getNonFungibleBaseType,
+    isNonFungibleBaseType,
+    isNonFungibleItem,
+    getTypeId,
+    getTypeNonce,
+    encodeTypeId,
+    encodeTokenId,
+    decodeTokenId,
+    toUriId,
+    parseUriId,
+    substituteUriId,
+    getUUID,
+    isPaidWithIons,
+    decodeAccessType,
+    formatTokenId,
+}
@@ -0,0 +1,161 @@
+// Upgrades of the contracts deployed behind an AdminUpgradeabilityProxy (contracts/lib/AdminUpgradeabilityProxy.sol)
+//
+// An upgrade keeps the storage of the proxy, so the new Implementation must keep the storage layout of the
+// current one: existing variables keep their slot, offset and type, and new variables are only appended.
+// Layouts are the "storageLayout" output of solc, recorded by buidler-deploy with each Implementation deployment.
+
+const fs = require('fs')
+const path = require('path')
+const { ethers } = require('ethers')
+
+// EIP-1967 storage slots of the proxy
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc'
+const ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103'
+
+const proxyAbi = [
+    'function upgradeTo(address newImplementation)',
+    'function changeAdmin(address newAdmin)',
+    'event Upgraded(address indexed implementation)',
+]
+
+const _readAddressSlot = async (provider, address, slot, blockTag = 'latest') => {
+    const value = await provider.getStorageAt(address, slot, blockTag)
+    return ethers.utils.getAddress(ethers.utils.hexDataSlice(ethers.utils.hexZeroPad(value, 32), 12))
+}
+
+/**
+ * Reads the Implementation of a proxy from its storage (readable by any account, unlike "implementation()")
+ */
+const getProxyImplementation = (provider, proxyAddress, blockTag) => _readAddressSlot(provider, proxyAddress, IMPLEMENTATION_SLOT, blockTag)
+
+/**
+ * Reads the Admin of a proxy from its storage (readable by any account, unlike "admin()")
+ */
+const getProxyAdmin = (provider, proxyAddress, blockTag) => _readAddressSlot(provider, proxyAddress, ADMIN_SLOT, blockTag)
+
+/**
+ * Reads the storage layout of a compiled contract from the last solc output of buidler
+ *
+ * @param cachePath     The buidler cache path (bre.config.paths.cache)
+ * @param contractName  The name of the contract
+ */
+const readStorageLayout = (cachePath, contractName) => {
+    const solcOutputPath = path.join(cachePath, 'solc-output.json')
+    if (!fs.existsSync(solcOutputPath)) {
+        throw new Error(`No compiler output found at ${solcOutputPath}; compile the contracts first`)
+    }
+    const { contracts } = JSON.parse(fs.readFileSync(solcOutputPath, 'utf8'))
+
+    const layouts = Object.values(contracts)
+        .filter(fileContracts => fileContracts[contractName])
+        .map(fileContracts => fileContracts[contractName].storageLayout)
+    if (layouts.length !== 1 || !layouts[0]) {
+        throw new Error(`No storage layout found for contract "${contractName}" (${layouts.length} matching contracts)`)
+    }
+    return layouts[0]
+}
+
+// Describes a type by its labels rather than its solc type-id, as type-ids include AST ids that
+//  change between compilations (ex: "t_contract(IEscrow)5812")
+const describeType = (types, typeId) => {
+    const type = types[typeId]
+    if (!type) { return typeId }
+
+    if (type.members) {
+        const members = type.members.map(m => `${describeType(types, m.type)} ${m.label}`)
+        return `${type.label} {${members.join('; ')}}`
+    }
+    if (type.key && type.value) {
+        return `mapping(${describeType(types, type.key)} => ${describeType(types, type.value)})`
+    }
+    if (type.base) {
+        return type.label.replace(types[type.base].label, describeType(types, type.base))
+    }
+    return type.label
+}
+
+const _variables = (layout) => layout.storage.map(v => ({
+    label: v.label,
+    slot: v.slot,
+    offset: v.offset,
+    type: describeType(layout.types, v.type),
+}))
+
+const _describeVariable = ({ label, type, slot, offset }) => `${label} (${type}, slot ${slot}, offset ${offset})`
+
+/**
+ * Compares the storage layout of a new Implementation against the current one
+ *
+ * @param current  The storage layout of the current Implementation (solc "storageLayout")
+ * @param next     The storage layout of the new Implementation
+ * @return  {errors, warnings, added}; the upgrade is safe when "errors" is empty
+ */
+const compareStorageLayouts = (current, next) => {
+    const currentVars = _variables(current)
+    const nextVars = _variables(next)
+    // Labels are not unique (ex: "__gap" of each base contract), so variables are compared by position
+    const currentLabels = new Set(currentVars.map(v => v.label))
+    const errors = []
+    const warnings = []
+
+    currentVars.forEach((variable, i) => {
+        const replacement = nextVars[i]
+        if (!replacement) {
+            errors.push(`Removed ${_describeVariable(variable)}`)
+        } else if (replacement.slot !== variable.slot || replacement.offset !== variable.offset) {
+            errors.push(`Moved ${_describeVariable(variable)} to slot ${replacement.slot}, offset ${replacement.offset}`)
+        } else if (replacement.type !== variable.type) {
+            errors.push(`Changed the type of ${_describeVariable(variable)} to ${replacement.type}`)
+        } else if (replacement.label !== variable.label) {
+            if (currentLabels.has(replacement.label)) {
+                errors.push(`Replaced ${_describeVariable(variable)} by ${replacement.label}`)
+            } else {
+                warnings.push(`Renamed ${_describeVariable(variable)} to ${replacement.label}`)
+            }
+        }
+    })
+
+    // Appended variables must be new; an existing variable here was moved by an inserted one
+    const added = nextVars.slice(currentVars.length)
+    added.filter(v => currentLabels.has(v.label)).forEach((variable) => {
+        errors.push(`Moved ${variable.label} to slot ${variable.slot}, offset ${variable.offset}`)
+    })
+    return { errors, warnings, added: added.map(_describeVariable) }
+}
+
+/**
+ * Reads the value of a mapping for a key from the storage of a contract, without a getter
+ *   (ex: the internal balances of an Escrow, read through its proxy)
+ *
+ * @param provider  An Ethers Provider
+ * @param address   The address of the contract (or of its proxy)
+ * @param layout    The storage layout of the contract (see readStorageLayout)
+ * @param label     The name of the mapping (ex: "collectedFees")
+ * @param key       The key of the value (a number or an address)
+ * @param blockTag  The block to read the storage at
+ * @return  The value as a BigNumber (mappings of value types only)
+ */
+const readStorageMapping = async ({ provider, address, layout, label, key, blockTag = 'latest' }) => {
+    const variable = layout.storage.find(v => v.label === label)
+    const type = variable && layout.types[variable.type]
+    if (!type || !type.key) {
+        throw new Error(`No mapping "${label}" in the storage layout`)
+    }
+    const keyType = layout.types[type.key].label
+    const slot = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode([keyType, 'uint256'], [key, variable.slot]))
+    // Raw call: the BuidlerEVM returns empty slots as "0x0", which getStorageAt rejects, and takes the slot as a quantity
+    const tag = typeof blockTag === 'number' ? ethers.utils.hexValue(blockTag) : blockTag
+    return ethers.BigNumber.from(await provider.send('eth_getStorageAt', [address, ethers.utils.hexValue(slot), tag]))
+}
+
+module.exports = {
+    IMPLEMENTATION_SLOT,
+    ADMIN_SLOT,
+    proxyAbi,
+    getProxyImplementation,
+    getProxyAdmin,
+    readStorageLayout,
+    describeType,
+    compareStorageLayouts,
+    readStorageMapping,
+}
@@ -0,0 +1,279 @@
+const path = require('path')
+const { task, types } = require('@nomiclabs/buidler/config')
+
+const { presets } = require('../js-utils/deploy-helpers')
+const { wrapContract } = require('../js-utils/errors')
+const {
+    parseEtherAmount,
+    parseBasisPoints,
+    parseAddress,
+    sendAdminTx,
+    readStatus,
+    formatStatus,
+} = require('../js-utils/admin')
+const {
+    auditRoles,
+    formatRoles,
+    buildGrantRole,
+    buildRevokeRole,
+    buildTransferRole,
+} = require('../js-utils/roles')
+const {
+    checkParticleInterface,
+    formatInterfaceCheck,
+    loadContractSettings,
+    readContractSettings,
+    formatContractSettings,
+    onboardContract,
+} = require('../js-utils/onboarding')
+
+const CONTRACT_NAMES = ['ChargedParticles', 'ChargedParticlesEscrowManager', 'ChargedParticlesTokenManager']
+const ESCROW_NAMES = presets.assetPairs.map(({ escrow }) => escrow)
+
+// The deployed contracts (and Escrows), connected to the first account of the network (the Owner/DAO/Maintainer)
+const _loadContracts = async (bre) => {
+    const [signer] = await bre.ethers.getSigners()
+    const contracts = {}
+    const contractNames = CONTRACT_NAMES.concat(ESCROW_NAMES)
+    for (let i = 0; i < contractNames.length; i++) {
+        const name = contractNames[i]
+        const { address, abi } = await bre.deployments.get(name)
+        contracts[name] = wrapContract(new bre.ethers.Contract(address, abi, signer))
+    }
+    return { signer, contracts }
+}
+
+// Accepts an address or the name of a deployed contract (ex: "ChaiEscrow")
+const _resolveAddress = async (bre, value, name) => {
+    const deployment = await bre.deployments.getOrNull(value)
+    return deployment ? deployment.address : parseAddress(value, name)
+}
+
+const _printStatus = async (bre, contracts, signer) => {
+    const status = await readStatus({ contracts, account: await signer.getAddress() })
+    console.log(`\nCharged Particles on ${bre.network.name}:`)
+    formatStatus(status).forEach(line => console.log(`  ${line}`))
+    return status
+}
+
+// Role events are searched from the deployment of the Escrow Manager, unless "fromBlock" is given
+const _auditRoles = async (bre, contracts, fromBlock) => {
+    if (fromBlock === undefined) {
+        const { receipt } = await bre.deployments.get('ChargedParticlesEscrowManager')
+        fromBlock = (receipt && receipt.blockNumber) || 0
+    }
+    return auditRoles({ contracts, escrows: ESCROW_NAMES, fromBlock })
+}
+
+const _printRoles = async (bre, contracts, fromBlock) => {
+    const audit = await _auditRoles(bre, contracts, fromBlock)
+    console.log(`\nPermissions of Charged Particles on ${bre.network.name} (function, required role, holders):`)
+    formatRoles(audit).forEach(line => console.log(`  ${line}`))
+    return audit
+}
+
+const _printRolesAfterTxs = (bre, contracts) => _printRoles(bre, contracts)
+
+/**
+ * Runs the admin transactions built by "buildTxs" from the deployed contracts, then prints the resulting state
+ *   (the status of the contracts, or the result of "printState")
+ */
+const _runAdminTxs = async (bre, { dryRun, confirmations }, buildTxs, printState = _printStatus) => {
+    const { signer, contracts } = await _loadContracts(bre)
+    const txs = await buildTxs(contracts)
+
+    console.log(`${dryRun ? 'Simulating' : 'Sending'} ${txs.length} transaction(s) from ${await signer.getAddress()} on ${bre.network.name}:`)
+    const results = []
+    for (let i = 0; i < txs.length; i++) {
+        const { contractName } = txs[i]
+        results.push(await sendAdminTx({ ...txs[i], contract: contracts[contractName], dryRun, confirmations }))
+    }
+
+    const status = await printState(bre, contracts, signer)
+    return { results, status }
+}
+
+const adminTask = (name, description) => task(name, description)
+    .addFlag('dryRun', 'Check the role of the Signer and simulate the transactions, without sending them')
+    .addOptionalParam('confirmations', 'Number of confirmations to wait for', 1, types.int)
+
+task('cp:status', 'Prints the admin state of the Charged Particles contracts and the roles of the Signer')
+    .setAction(async (args, bre) => {
+        const { signer, contracts } = await _loadContracts(bre)
+        return _printStatus(bre, contracts, signer)
+    })
+
+adminTask('cp:fees:set', 'Sets the Type creation fees (ChargedParticles) and/or the Deposit Fee (Escrow Manager)')
+    .addOptionalParam('eth', 'Creation fee in ETH for Plasma Types (ex: "0.001"; doubled for Particle Types)')
+    .addOptionalParam('ion', 'Creation fee in IONs for Plasma Types (ex: "1"; doubled for Particle Types)')
+    .addOptionalParam('deposit', 'Deposit Fee in basis points or as a percentage (ex: "50" or "0.5%")')
+    .setAction(async ({ eth, ion, deposit, ...options }, bre) => {
+        if (eth === undefined && ion === undefined && deposit === undefined) {
+            throw new Error('Nothing to set; pass --eth, --ion and/or --deposit')
+        }
+        return _runAdminTxs(bre, options, async (contracts) => {
+            const txs = []
+            if (eth !== undefined || ion !== undefined) {
+                // Omitted fees keep their current value
+                const { _eth, _ion } = await contracts.ChargedParticles.getCreationPrice(false)
+                const args = [
+                    eth === undefined ? _eth : parseEtherAmount(eth, 'eth'),
+                    ion === undefined ? _ion : parseEtherAmount(ion, 'ion'),
+                ]
+                txs.push({ contractName: 'ChargedParticles', method: 'setupFees', args, role: 'owner' })
+            }
+            if (deposit !== undefined) {
+                const args = [parseBasisPoints(deposit, 'deposit')]
+                txs.push({ contractName: 'ChargedParticlesEscrowManager', method: 'setDepositFee', args, role: 'dao' })
+            }
+            return txs
+        })
+    })
+
+adminTask('cp:pause', 'Pauses ChargedParticles (no new Types, Particles or Energizing)')
+    .setAction(async (options, bre) => _runAdminTxs(bre, options, async () => [
+        { contractName: 'ChargedParticles', method: 'setPausedState', args: [true], role: 'owner' },
+    ]))
+
+adminTask('cp:unpause', 'Unpauses ChargedParticles')
+    .setAction(async (options, bre) => _runAdminTxs(bre, options, async () => [
+        { contractName: 'ChargedParticles', method: 'setPausedState', args: [false], role: 'owner' },
+    ]))
+
+adminTask('cp:fees:withdraw', 'Withdraws the fees collected by ChargedParticles (Type creation & ION sales)')
+    .addParam('receiver', 'The address receiving the fees')
+    .setAction(async ({ receiver, ...options }, bre) => _runAdminTxs(bre, options, async () => [
+        { contractName: 'ChargedParticles', method: 'withdrawFees', args: [parseAddress(receiver, 'receiver')], role: 'owner' },
+    ]))
+
+adminTask('cp:ions:mint', 'Creates the ION Token and mints its full supply to the Signer (once only)')
+    .addParam('uri', 'The Metadata URI of the ION Token')
+    .addParam('maxSupply', 'The max supply of IONs (ex: "2000000")')
+    .addParam('mintFee', 'The price of one ION in ETH (ex: "0.0001")')
+    .setAction(async ({ uri, maxSupply, mintFee, ...options }, bre) => _runAdminTxs(bre, options, async () => [{
+        contractName: 'ChargedParticles',
+        method: 'mintIons',
+        args: [uri, parseEtherAmount(maxSupply, 'maxSupply'), parseEtherAmount(mintFee, 'mintFee')],
+        role: 'owner',
+    }]))
+
+adminTask('cp:asset-pair:add', 'Registers an Asset Pair with its Escrow (or replaces the Escrow of a known Pair)')
+    .addParam('id', 'The Asset Pair ID (ex: "chai")')
+    .addParam('escrow', 'The address, or deployment name, of the Escrow (ex: "ChaiEscrow")')
+    .setAction(async ({ id, escrow, ...options }, bre) => _runAdminTxs(bre, options, async () => [{
+        contractName: 'ChargedParticlesEscrowManager',
+        method: 'registerAssetPair',
+        args: [id, await _resolveAddress(bre, escrow, 'escrow')],
+        role: 'maintainer',
+    }]))
+
+adminTask('cp:asset-pair:disable', 'Disables an Asset Pair; existing Particles keep their Escrow')
+    .addParam('id', 'The Asset Pair ID (ex: "chai")')
+    .setAction(async ({ id, ...options }, bre) => _runAdminTxs(bre, options, async () => [
+        { contractName: 'ChargedParticlesEscrowManager', method: 'disableAssetPair', args: [id], role: 'maintainer' },
+    ]))
+
+adminTask('cp:contract:register', 'Registers an external token contract with the Escrow Manager')
+    .addParam('address', 'The address of the token contract')
+    .setAction(async ({ address, ...options }, bre) => _runAdminTxs(bre, options, async () => [{
+        contractName: 'ChargedParticlesEscrowManager',
+        method: 'registerContractType',
+        args: [parseAddress(address, 'address')],
+        role: 'dao',
+    }]))
+
+task('cp:contract:check', 'Checks that an external token contract implements the interface required by the Escrow Manager')
+    .addParam('address', 'The address of the token contract')
+    .setAction(async ({ address }, bre) => {
+        const check = await checkParticleInterface({ provider: bre.ethers.provider, address: parseAddress(address, 'address') })
+        formatInterfaceCheck(check).forEach(line => console.log(line))
+        return check
+    })
+
+adminTask('cp:contract:onboard', 'Checks an external token contract, registers it (DAO) and applies its Custom Settings (Contract Owner)')
+    .addParam('address', 'The address of the token contract')
+    .addOptionalParam('settings', 'JSON file of the Custom Settings: {assetPair, releaseRequiresBurn, depositFee, minDeposit, maxDeposit}')
+    .setAction(async ({ address, settings, ...options }, bre) => {
+        const { contracts } = await _loadContracts(bre)
+        const result = await onboardContract({
+            ...options,
+            escrowManager: contracts.ChargedParticlesEscrowManager,
+            address: parseAddress(address, 'address'),
+            settings: settings ? loadContractSettings(path.resolve(bre.config.paths.root, settings)) : {},
+        })
+        console.log(`\nCustom Settings on ${bre.network.name}:`)
+        formatContractSettings(result.settings).forEach(line => console.log(`  ${line}`))
+        return result
+    })
+
+task('cp:contract:settings', 'Prints the effective Custom Settings of an external token contract')
+    .addParam('address', 'The address of the token contract')
+    .addOptionalParam('amount', 'An amount of Interest Token to quote the Deposit Fees of (ex: "100")')
+    .setAction(async ({ address, amount }, bre) => {
+        const { contracts } = await _loadContracts(bre)
+        const settings = await readContractSettings({
+            escrowManager: contracts.ChargedParticlesEscrowManager,
+            address: parseAddress(address, 'address'),
+            amount: amount === undefined ? undefined : parseEtherAmount(amount, 'amount'),
+        })
+        console.log(`Custom Settings on ${bre.network.name}:`)
+        formatContractSettings(settings).forEach(line => console.log(`  ${line}`))
+        return settings
+    })
+
+adminTask('cp:forwarder:set', 'Sets the Trusted Forwarder of ChargedParticles (meta-transactions)')
+    .addParam('forwarder', 'The address, or deployment name, of the Trusted Forwarder')
+    .setAction(async ({ forwarder, ...options }, bre) => _runAdminTxs(bre, options, async () => [{
+        contractName: 'ChargedParticles',
+        method: 'setTrustedForwarder',
+        args: [await _resolveAddress(bre, forwarder, 'forwarder')],
+        role: 'owner',
+    }]))
+
+adminTask('cp:dao:enable', 'Hands the DAO role of the Escrow Manager to a DAO; the Signer renounces its DAO & Maintainer roles')
+    .addParam('dao', 'The address of the DAO')
+    .setAction(async ({ dao, ...options }, bre) => {
+        console.log('WARNING: the Signer loses the DAO and Maintainer roles of the Escrow Manager; this can not be undone by the Signer')
+        return _runAdminTxs(bre, options, async () => [
+            { contractName: 'ChargedParticlesEscrowManager', method: 'enableDao', args: [parseAddress(dao, 'dao')], role: 'dao' },
+        ])
+    })
+
+task('cp:roles', 'Prints the permission matrix of the Charged Particles contracts: admin functions, required roles and their holders')
+    .addOptionalParam('fromBlock', 'First block to search for role events (default: the deployment of the Escrow Manager)', undefined, types.int)
+    .setAction(async ({ fromBlock }, bre) => {
+        const { contracts } = await _loadContracts(bre)
+        return _printRoles(bre, contracts, fromBlock)
+    })
+
+const roleTask = (name, description) => adminTask(name, description)
+    .addParam('role', 'The role: "dao" or "maintainer" (roles of the Escrow Manager)')
+
+roleTask('cp:roles:grant', 'Grants a role of the Escrow Manager to an account')
+    .addParam('account', 'The account receiving the role')
+    .setAction(async ({ role, account, ...options }, bre) => _runAdminTxs(bre, options, async (contracts) => (
+        buildGrantRole({ audit: await _auditRoles(bre, contracts), role, account })
+    ), _printRolesAfterTxs))
+
+roleTask('cp:roles:revoke', 'Revokes a role of the Escrow Manager from an account; the last DAO can not be revoked')
+    .addParam('account', 'The account losing the role')
+    .setAction(async ({ role, account, ...options }, bre) => _runAdminTxs(bre, options, async (contracts) => (
+        buildRevokeRole({ audit: await _auditRoles(bre, contracts), role, account })
+    ), _printRolesAfterTxs))
+
+adminTask('cp:roles:transfer', 'Transfers a role held by the Signer: the Ownership of a contract, or a role of the Escrow Manager')
+    .addParam('role', 'The role: "owner", "dao" or "maintainer"')
+    .addParam('to', 'The account receiving the role')
+    .addOptionalParam('contract', 'The contract to transfer the Ownership of (ex: "ChargedParticles"; Owner only)')
+    .setAction(async ({ role, to, contract, ...options }, bre) => {
+        if (role === 'owner' && !contract) {
+            throw new Error('Pass the --contract to transfer the Ownership of')
+        }
+        return _runAdminTxs(bre, options, async (contracts) => buildTransferRole({
+            audit: await _auditRoles(bre, contracts),
+            contractName: role === 'owner' ? contract : undefined,
+            role,
+            from: await contracts.ChargedParticles.signer.getAddress(),
+            to,
+        }), _printRolesAfterTxs)
+    })
@@ -0,0 +1,49 @@
+const path = require('path')
+const { task, types } = require('@nomiclabs/buidler/config')
+
+const { loadManifest, bulkMint, saveResults } = require('../js-utils/bulk-mint')
+
+// "drop.csv" => "drop.<suffix>"
+const _besideManifest = (manifest, suffix) => path.join(path.dirname(manifest), `${path.basename(manifest, path.extname(manifest))}.${suffix}`)
+
+task('cp:bulk-mint', 'Mints Particles & Plasma and energizes Particles from a CSV/JSON manifest; interrupted runs resume from the progress file')
+    .addParam('manifest', 'Path to the manifest (columns: recipient, typeId, tokenId, amount, assetAmount, uri, data)')
+    .addOptionalParam('progress', 'Path to the progress file (default: <manifest>.progress.json)')
+    .addOptionalParam('results', 'Path to the results, as CSV or JSON by extension (default: <manifest>.results.csv)')
+    .addOptionalParam('batchSize', 'Number of transactions sent before waiting for their receipts', 10, types.int)
+    .addOptionalParam('retries', 'Number of retries of a transaction on network errors', 3, types.int)
+    .addOptionalParam('gasMargin', 'Percentage of gas added to the estimates', 20, types.int)
+    .addOptionalParam('confirmations', 'Number of confirmations to wait for', 1, types.int)
+    .addFlag('dryRun', 'Checks the manifest against the chain without sending any transaction')
+    .setAction(async ({ manifest, progress, results, batchSize, retries, gasMargin, confirmations, dryRun }, bre) => {
+        const rows = loadManifest(manifest)
+        const [signer] = await bre.ethers.getSigners()
+        const progressPath = progress || _besideManifest(manifest, 'progress.json')
+        const resultsPath = results || _besideManifest(manifest, 'results.csv')
+
+        console.log(`${dryRun ? 'Checking' : 'Sending'} ${rows.length} rows of ${manifest} from ${await signer.getAddress()}`)
+        const report = await bulkMint({
+            signer,
+            deployment: await bre.deployments.all(),
+            rows,
+            progressPath,
+            batchSize,
+            retries,
+            gasMargin,
+            confirmations,
+            dryRun,
+            log: console.log,
+        })
+        if (dryRun) {
+            console.log('Dry-run: the manifest can be sent')
+            return report
+        }
+
+        saveResults(resultsPath, report.results)
+        const count = (status) => report.results.filter(result => result.status === status).length
+        console.log(`Done: ${count('done')}, failed: ${count('failed')}; results written to ${resultsPath}`)
+        if (count('failed')) {
+            console.log(`Run again to retry the failed rows (progress in ${progressPath})`)
+        }
+        return report
+    })
@@ -0,0 +1,48 @@
+const { task } = require('@nomiclabs/buidler/config')
+
+const {
+    manifestPath,
+    loadManifest,
+    saveManifest,
+    buildManifest,
+    verifyManifest,
+} = require('../js-utils/deployment-manifest')
+
+task('export-manifest', 'Writes the Deployment Manifest of the network (addresses, versions and initialization settings)')
+    .addOptionalParam('output', 'Path to the Manifest (default: ./manifests/<network>.json)')
+    .setAction(async ({ output }, bre) => {
+        const { deployer } = await bre.getNamedAccounts()
+        const filePath = output || manifestPath(bre.config.paths.root, bre.network.name)
+
+        const manifest = await buildManifest({
+            provider: bre.ethers.provider,
+            network: bre.network.name,
+            deployer,
+            deployments: await bre.deployments.all(),
+        })
+        saveManifest(filePath, manifest)
+
+        console.log(`Deployment Manifest for ${bre.network.name} (block ${manifest.blockNumber}) written to ${filePath}`)
+        return manifest
+    })
+
+task('verify-deployment', 'Compares the live chain state against the Deployment Manifest of the network')
+    .addOptionalParam('manifest', 'Path to the Manifest (default: ./manifests/<network>.json)')
+    .setAction(async ({ manifest }, bre) => {
+        const filePath = manifest || manifestPath(bre.config.paths.root, bre.network.name)
+
+        const differences = await verifyManifest({
+            provider: bre.ethers.provider,
+            manifest: loadManifest(filePath),
+            getAbi: async (contractName) => (await bre.deployments.getArtifact(contractName)).abi,
+        })
+
+        if (differences.length) {
+            console.log(`Deployment on ${bre.network.name} differs from ${filePath}:`)
+            differences.forEach(({ path, expected, actual }) => {
+                console.log(`  ${path}\n    expected: ${JSON.stringify(expected)}\n    actual:   ${JSON.stringify(actual)}`)
+            })
+            throw new Error(`Deployment drift detected (${differences.length} differences)`)
+        }
+        console.log(`Deployment on ${bre.network.name} matches ${filePath}`)
+    })
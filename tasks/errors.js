@@ -0,0 +1,36 @@
+const fs = require('fs')
+const { task } = require('@nomiclabs/buidler/config')
+
+const {
+    CATALOG_PATH,
+    loadCatalog,
+    extractErrorCodes,
+    buildCatalog,
+    findUndocumentedCodes,
+} = require('../js-utils/errors')
+
+task('cp:errors', 'Regenerates the Error Catalog (js-utils/error-catalog.json) from the contract sources')
+    .addFlag('check', 'Fails if the catalog is out of date or has undocumented codes, without writing it')
+    .setAction(async ({ check }, bre) => {
+        const existingCatalog = fs.existsSync(CATALOG_PATH) ? loadCatalog() : {}
+        const catalog = buildCatalog(extractErrorCodes(bre.config.paths.sources), existingCatalog)
+
+        const added = Object.keys(catalog).filter(code => !existingCatalog[code])
+        const removed = Object.keys(existingCatalog).filter(code => !catalog[code])
+        const undocumented = findUndocumentedCodes(catalog)
+
+        added.forEach(code => console.log(`  + ${code} (${catalog[code].contract})`))
+        removed.forEach(code => console.log(`  - ${code}`))
+        undocumented.forEach(code => console.log(`  ! ${code} needs a "message" and a "fix"`))
+
+        if (check) {
+            if (added.length || removed.length || undocumented.length) {
+                throw new Error('Error Catalog is out of date; run "buidler cp:errors" and document the new codes')
+            }
+            console.log(`Error Catalog is up to date (${Object.keys(catalog).length} codes)`)
+            return
+        }
+
+        fs.writeFileSync(CATALOG_PATH, JSON.stringify(catalog, null, 2) + '\n')
+        console.log(`Error Catalog written to ${CATALOG_PATH} (${Object.keys(catalog).length} codes)`)
+    })
@@ -0,0 +1,59 @@
+const path = require('path')
+const { task, types } = require('@nomiclabs/buidler/config')
+
+const { presets, implementationName } = require('../js-utils/deploy-helpers')
+const { particleIndexer, jsonFileStore } = require('../js-utils/indexer')
+const { readStorageLayout } = require('../js-utils/upgrades')
+const { buildFeeReport, saveFeeReport, formatFeeReport } = require('../js-utils/fee-report')
+
+// The storage layout recorded with the deployed Implementation, or else the one of the compiled contracts
+const _readLayout = (bre, deployment, contractName) => {
+    const deployed = deployment[implementationName(contractName)] || deployment[contractName]
+    if (deployed && deployed.storageLayout) { return deployed.storageLayout }
+    return readStorageLayout(bre.config.paths.cache, contractName)
+}
+
+task('cp:fees', 'Reports the outstanding and withdrawn fees of each recipient, reconciled with the balances of the contracts')
+    .addOptionalParam('store', 'Path to the JSON store of the indexed events (default: ./indexer/<network>.json)')
+    .addOptionalParam('startBlock', 'The first block to index on a new store', 0, types.int)
+    .addOptionalParam('block', 'The block to report at (default: latest; past blocks need an archive node)', undefined, types.int)
+    .addOptionalParam('json', 'Path to export the report as JSON (amounts in wei)')
+    .addOptionalParam('csv', 'Path to export the report as CSV (amounts in decimal units)')
+    .addFlag('check', 'Fails if the fees do not reconcile with the balances held by the contracts')
+    .setAction(async ({ store, startBlock, block, json, csv, check }, bre) => {
+        const storePath = store || path.join(bre.config.paths.root, 'indexer', `${bre.network.name}.json`)
+        const deployment = await bre.deployments.all()
+        const provider = bre.ethers.provider
+
+        // The withdrawals are read from the indexed events, brought up to date first
+        const indexer = particleIndexer({ provider, deployment, store: jsonFileStore(storePath), startBlock })
+        await indexer.sync({ toBlock: block })
+
+        const layouts = { ChargedParticles: _readLayout(bre, deployment, 'ChargedParticles'), escrows: {} }
+        presets.assetPairs.forEach(({ id, escrow }) => { layouts.escrows[id] = _readLayout(bre, deployment, escrow) })
+
+        const report = await buildFeeReport({
+            provider,
+            deployment,
+            events: indexer.getEvents(),
+            layouts,
+            fromBlock: startBlock,
+            blockNumber: (block === undefined) ? indexer.getLastBlock() : block,
+        })
+        formatFeeReport(report).forEach(line => console.log(line))
+
+        if (json) {
+            saveFeeReport(json, report, 'json')
+            console.log(`Report written to ${json}`)
+        }
+        if (csv) {
+            saveFeeReport(csv, report, 'csv')
+            console.log(`Report written to ${csv}`)
+        }
+
+        const mismatches = report.reconciliation.filter(({ balanced }) => !balanced)
+        if (check && mismatches.length) {
+            throw new Error(`Fees do not reconcile: ${mismatches.map(({ name }) => name).join('; ')}`)
+        }
+        return report
+    })
@@ -0,0 +1,47 @@
+const path = require('path')
+const { ethers } = require('ethers')
+const { task, types } = require('@nomiclabs/buidler/config')
+
+const { toWei } = require('../js-utils/deploy-helpers')
+const { startFork, findDaiHolder } = require('../js-utils/mainnet-fork')
+
+task('fork:test', 'Runs the tests on a local fork of Mainnet; the Mainnet state is replayed from (or recorded into) the fork cache')
+    .addOptionalVariadicPositionalParam('testFiles', 'The tests to run (default: the Mainnet-Fork & Particle Lifecycle tests)', [
+        'test/MainnetFork.test.js',
+        'test/ParticleLifecycle.test.js',
+    ])
+    .addOptionalParam('block', 'The Mainnet block to fork from (default: "fork.blockNumber" of the network)', undefined, types.int)
+    .setAction(async ({ testFiles, block }, bre) => {
+        const { network, config } = bre
+        if (!network.config.fork) {
+            throw new Error(`"${network.name}" is not a fork network; run with --network mainnetFork`)
+        }
+        const blockNumber = block || network.config.fork.blockNumber
+        const cachePath = path.resolve(config.paths.root, network.config.fork.cacheDir, `mainnet-${blockNumber}.json`)
+        const { port } = new URL(network.config.url)
+
+        const fork = await startFork({
+            blockNumber,
+            cachePath,
+            url: network.config.fork.url,
+            port: parseInt(port, 10),
+        })
+        console.log(`  Forked Mainnet at block ${blockNumber} on ${fork.url} (${fork.cache.isOffline ? 'offline' : 'recording'})`)
+
+        try {
+            const mainnet = new ethers.providers.Web3Provider(fork.cache, 'homestead')
+            network.config.fork.blockNumber = blockNumber
+            network.config.fork.daiHolder = process.env.MAINNET_FORK_DAI_HOLDER ||
+                await findDaiHolder({ provider: mainnet, blockNumber, minBalance: toWei('10000') })
+            console.log(`  Using Dai Holder: ${network.config.fork.daiHolder}`)
+
+            // Mainnet state is read on demand, which is slow while recording
+            config.mocha.timeout = Math.max(config.mocha.timeout || 0, 300000)
+            await bre.run('test', { testFiles: testFiles.map(file => path.resolve(config.paths.root, file)) })
+        } finally {
+            const recorded = await fork.close()
+            if (recorded > 0) {
+                console.log(`  Recorded ${recorded} Mainnet responses into ${cachePath}`)
+            }
+        }
+    })
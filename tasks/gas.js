@@ -0,0 +1,49 @@
+const fs = require('fs')
+const { task, types } = require('@nomiclabs/buidler/config')
+
+const { isLocalChain } = require('../js-utils/deploy-helpers')
+const {
+    SNAPSHOT_PATH,
+    DEFAULT_THRESHOLD,
+    measureGas,
+    loadGasSnapshot,
+    compareGasSnapshots,
+} = require('../js-utils/gas-snapshot')
+
+const _formatChange = (change) => `${change > 0 ? '+' : ''}${change.toFixed(2)}%`
+
+task('cp:gas', 'Measures the gas of the Protocol Operations and records it into the Gas Snapshot (js-utils/gas-snapshot.json)')
+    .addFlag('check', 'Fails if an operation regresses beyond the threshold or the snapshot is out of date, without writing it')
+    .addOptionalParam('threshold', 'The percentage of extra gas allowed per operation', DEFAULT_THRESHOLD, types.float)
+    .addOptionalParam('snapshot', 'Path to the Gas Snapshot', SNAPSHOT_PATH)
+    .setAction(async ({ check, threshold, snapshot }, bre) => {
+        const { chainId } = await bre.ethers.provider.getNetwork()
+        if (!isLocalChain(chainId)) {
+            throw new Error('The Gas Snapshot is measured on BuidlerEVM; run without --network')
+        }
+
+        const previous = fs.existsSync(snapshot) ? loadGasSnapshot(snapshot) : {}
+        const current = await measureGas(bre)
+        const { changes, regressions, added, removed } = compareGasSnapshots(previous, current, threshold)
+
+        changes.forEach(({ name, previous: before, current: after, change }) => {
+            const flag = regressions.includes(name) ? '!' : ' '
+            console.log(`${flag} ${name}: ${before} => ${after} (${_formatChange(change)})`)
+        })
+        added.forEach(name => console.log(`  + ${name}: ${current.operations[name].gasUsed}`))
+        removed.forEach(name => console.log(`  - ${name}`))
+
+        if (check) {
+            if (regressions.length) {
+                throw new Error(`Gas regressed beyond ${threshold}% for: ${regressions.join(', ')}`)
+            }
+            if (added.length || removed.length) {
+                throw new Error('Gas Snapshot is out of date; run "buidler cp:gas"')
+            }
+            console.log(`Gas Snapshot is up to date (${changes.length} operations)`)
+            return
+        }
+
+        fs.writeFileSync(snapshot, JSON.stringify(current, null, 2) + '\n')
+        console.log(`Gas Snapshot written to ${snapshot} (${Object.keys(current.operations).length} operations)`)
+    })
@@ -0,0 +1,34 @@
+const path = require('path')
+const { task, types } = require('@nomiclabs/buidler/config')
+
+const { particleIndexer, jsonFileStore } = require('../js-utils/indexer')
+
+task('cp:index', 'Indexes the Charged Particles events into a local JSON store, resuming from the last indexed block')
+    .addOptionalParam('store', 'Path to the JSON store (default: ./indexer/<network>.json)')
+    .addOptionalParam('startBlock', 'The first block to index on a new store', 0, types.int)
+    .addOptionalParam('confirmations', 'Number of blocks to wait before indexing a block', 0, types.int)
+    .addOptionalParam('batchSize', 'Max number of blocks per "getLogs" request', 2000, types.int)
+    .setAction(async ({ store, startBlock, confirmations, batchSize }, bre) => {
+        const storePath = store || path.join(bre.config.paths.root, 'indexer', `${bre.network.name}.json`)
+        const deployment = await bre.deployments.all()
+
+        const indexer = particleIndexer({
+            provider: bre.ethers.provider,
+            deployment,
+            store: jsonFileStore(storePath),
+            startBlock,
+            confirmations,
+            batchSize,
+        })
+
+        const { fromBlock, toBlock, newEvents, reorgedBlocks } = await indexer.sync()
+        if (reorgedBlocks > 0) {
+            console.log(`  Reorg: rolled back ${reorgedBlocks} blocks`)
+        }
+        console.log(`  Indexed blocks ${fromBlock} to ${toBlock}: ${newEvents} new events`)
+
+        const particleTypes = indexer.getParticleTypes()
+        console.log(`  Particle Types: ${particleTypes.filter(t => t.isNF).length}, Plasma Types: ${particleTypes.filter(t => !t.isNF).length}`)
+        console.log(`  Creators with withdrawn fees: ${Object.keys(indexer.getCreatorFeeTotals()).length}`)
+        console.log(`Index written to ${storePath}`)
+    })
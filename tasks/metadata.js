@@ -0,0 +1,25 @@
+const path = require('path')
+const { task, types } = require('@nomiclabs/buidler/config')
+
+const { metadataDirectory, metadataService, metadataServer } = require('../js-utils/metadata')
+
+task('cp:metadata', 'Serves the ERC1155/ERC721 metadata of the Particles and Plasma, with their live on-chain values')
+    .addOptionalParam('port', 'The port to serve the metadata on', 8080, types.int)
+    .addOptionalParam('dir', 'Directory of the static metadata of the Creators (<id>.json)', './metadata')
+    .addOptionalParam('basePath', 'The path of the metadata', '/metadata')
+    .setAction(async ({ port, dir, basePath }, bre) => {
+        const staticDir = path.resolve(bre.config.paths.root, dir)
+        const service = metadataService({
+            provider: bre.ethers.provider,
+            deployment: await bre.deployments.all(),
+            staticMetadata: metadataDirectory(staticDir),
+        })
+
+        const server = metadataServer({ service, basePath })
+        await new Promise((resolve, reject) => server.once('error', reject).listen(port, resolve))
+        console.log(`  Static metadata from ${staticDir}`)
+        console.log(`Serving the metadata on http://localhost:${port}${basePath}/{id}.json`)
+
+        // Serves until stopped
+        await new Promise(resolve => server.on('close', resolve))
+    })
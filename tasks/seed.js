@@ -0,0 +1,43 @@
+const path = require('path')
+const { task } = require('@nomiclabs/buidler/config')
+
+const { chainName, isLocalChain } = require('../js-utils/deploy-helpers')
+const { DEFAULT_SEED, seedEnvironment, loadSeed, saveSeedSummary } = require('../js-utils/seed')
+
+// The Signers of the named accounts (see "namedAccounts" in buidler.config.js)
+const _namedSigners = async (bre) => {
+    const namedAccounts = await bre.getNamedAccounts()
+    const wallets = await bre.ethers.getSigners()
+    const addresses = await Promise.all(wallets.map(wallet => wallet.getAddress()))
+
+    const signers = {}
+    Object.keys(namedAccounts).forEach((name) => {
+        const index = addresses.findIndex(address => address.toLowerCase() === String(namedAccounts[name]).toLowerCase())
+        if (index >= 0) { signers[name] = wallets[index] }
+    })
+    return signers
+}
+
+task('cp:seed', 'Seeds a local chain with IONs, Dai and sample Types & Tokens, for a ready-to-use dev environment')
+    .addOptionalParam('seed', 'Path to a JSON file of the sample environment (default: js-utils/seed.js "DEFAULT_SEED")')
+    .addOptionalParam('output', 'Path to the summary of the seeded environment (default: ./seed/<network>.json)')
+    .setAction(async ({ seed: seedPath, output }, bre) => {
+        const { chainId } = await bre.ethers.provider.getNetwork()
+        if (!isLocalChain(chainId)) {
+            throw new Error(`Seeding is only available on local chains; not on ${chainName(chainId)}`)
+        }
+        const seed = seedPath ? loadSeed(seedPath) : DEFAULT_SEED
+        const outputPath = output || path.join(bre.config.paths.root, 'seed', `${bre.network.name}.json`)
+
+        console.log(`Seeding Charged Particles on ${bre.network.name}...`)
+        const summary = await seedEnvironment({
+            signers: await _namedSigners(bre),
+            deployment: await bre.deployments.all(),
+            seed,
+            log: console.log,
+        })
+
+        saveSeedSummary(outputPath, { network: bre.network.name, ...summary })
+        console.log(`Summary written to ${outputPath}`)
+        return summary
+    })
@@ -0,0 +1,99 @@
+const { task, types } = require('@nomiclabs/buidler/config')
+
+const {
+    implementationName,
+    txOverrides,
+} = require('../js-utils/deploy-helpers')
+const {
+    proxyAbi,
+    getProxyAdmin,
+    getProxyImplementation,
+    readStorageLayout,
+    compareStorageLayouts,
+} = require('../js-utils/upgrades')
+
+// The Proxy Admin is one of the network accounts on local chains, or the "<NETWORK>_PROXY_MNEMONIC" account
+const _getProxyAdminSigner = async (bre, proxyAddress) => {
+    const { ethers } = bre
+    const admin = await getProxyAdmin(ethers.provider, proxyAddress)
+
+    const signers = await ethers.getSigners()
+    for (let i = 0; i < signers.length; i++) {
+        if (await signers[i].getAddress() === admin) { return signers[i] }
+    }
+
+    const envName = `${bre.network.name.toUpperCase()}_PROXY_MNEMONIC`
+    if (process.env[envName]) {
+        const wallet = ethers.Wallet.fromMnemonic(process.env[envName].replace(/_/g, ' ')).connect(ethers.provider)
+        if (wallet.address === admin) { return wallet }
+    }
+    throw new Error(`No signer for the Proxy Admin (${admin}); set ${envName} to the mnemonic of the Proxy Admin`)
+}
+
+task('upgrade', 'Upgrades a proxied contract to a new Implementation, after checking that the storage layout is compatible')
+    .addParam('contract', 'The name of the upgradeable contract (ex: ChargedParticles)')
+    .addOptionalParam('implementation', 'The name of the new Implementation contract (default: the current source of --contract)')
+    .addFlag('dryRun', 'Check the storage layout and the Proxy Admin, without deploying or upgrading')
+    .addOptionalParam('confirmations', 'Number of confirmations to wait for', 1, types.int)
+    .setAction(async ({ contract, implementation, dryRun, confirmations }, bre) => {
+        const { deployments, ethers } = bre
+        const contractName = implementation || contract
+
+        const proxy = await deployments.getOrNull(contract)
+        if (!proxy || !proxy.linkedData || !proxy.linkedData.implementation) {
+            throw new Error(`"${contract}" is not an upgradeable contract on ${bre.network.name}`)
+        }
+        const current = await deployments.get(implementationName(contract))
+        if (!current.storageLayout) {
+            throw new Error(`No storage layout recorded for the Implementation of "${contract}" (${current.address})`)
+        }
+
+        await bre.run('compile')
+        const artifact = await deployments.getArtifact(contractName)
+        const previousImplementation = await getProxyImplementation(ethers.provider, proxy.address)
+        const result = { contract, previousImplementation, implementation: previousImplementation, upgraded: false }
+
+        if (artifact.deployedBytecode === current.deployedBytecode) {
+            console.log(`${contract} is up to date with ${contractName} (Implementation at ${previousImplementation})`)
+            return result
+        }
+
+        // Refuse any change to the existing storage; new variables may only be appended
+        const { errors, warnings, added } = compareStorageLayouts(current.storageLayout, readStorageLayout(bre.config.paths.cache, contractName))
+        Object.assign(result, { errors, warnings, added })
+
+        console.log(`Storage layout of ${contractName} against the Implementation of ${contract} (${current.address}):`)
+        errors.forEach(error => console.log(`  ERROR    ${error}`))
+        warnings.forEach(warning => console.log(`  WARNING  ${warning}`))
+        added.forEach(variable => console.log(`  Added    ${variable}`))
+        if (errors.length) {
+            throw new Error(`Incompatible storage layout; ${contract} can not be upgraded to ${contractName} (${errors.length} errors)`)
+        }
+        console.log(`  ${added.length ? '' : 'No changes; '}compatible`)
+
+        const admin = await _getProxyAdminSigner(bre, proxy.address)
+        if (dryRun) {
+            console.log(`Dry run; ${contract} would be upgraded by the Proxy Admin ${await admin.getAddress()}`)
+            return result
+        }
+
+        const { deployer } = await bre.getNamedAccounts()
+        const deployResult = await deployments.deploy(implementationName(contract), {
+            ...txOverrides({from: deployer}),
+            contractName,
+            fieldsToCompare: ['data'],
+        })
+        console.log(`Deployed ${contractName} at ${deployResult.address}`)
+
+        const tx = await new ethers.Contract(proxy.address, proxyAbi, admin).upgradeTo(deployResult.address)
+        await tx.wait(confirmations)
+
+        await deployments.save(contract, {
+            ...proxy,
+            abi: deployResult.abi,
+            linkedData: { ...proxy.linkedData, implementation: deployResult.address },
+        })
+        console.log(`Upgraded ${contract} (${proxy.address}) from ${previousImplementation} to ${deployResult.address}`)
+
+        return { ...result, implementation: deployResult.address, upgraded: true }
+    })
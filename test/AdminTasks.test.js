@@ -0,0 +1,167 @@
+const {
+    buidler,
+    ethers,
+    expect,
+    expectError,
+    scenario,
+    runTaskQuietly,
+    withFundedWallets,
+    withParticleType,
+} = require('./util/testEnv');
+
+const { toWei, presets } = require('../js-utils/deploy-helpers');
+
+const {
+    parseEtherAmount,
+    parseBasisPoints,
+    parseAddress,
+    sendAdminTx,
+} = require('../js-utils/admin');
+
+const debug = require('debug')('AdminTasks.test');
+
+const deployed = scenario();
+
+// Creating a Type pays the creation fee to ChargedParticles
+const withCollectedFees = scenario(
+    withFundedWallets(toWei('1000'), ['creator']),
+    withParticleType()
+);
+
+describe('Admin Tasks', function () {
+    let env;
+    let chargedParticles, escrowManager, chaiEscrow;
+
+    const _load = async (fixture) => {
+        env = await fixture();
+        ({ chargedParticles, escrowManager, chaiEscrow } = env.contracts);
+    };
+
+    describe('argument parsing', () => {
+        it('parses ether amounts', async () => {
+            expect(parseEtherAmount('0.001')).to.equal(toWei('0.001'));
+            expect(parseEtherAmount('2000000')).to.equal(toWei('2000000'));
+            expect(() => parseEtherAmount('abc', 'eth')).to.throw('Invalid ether amount for "eth": abc');
+            expect(() => parseEtherAmount('-1', 'eth')).to.throw('must not be negative');
+        });
+
+        it('parses basis points and percentages', async () => {
+            expect(parseBasisPoints('50')).to.equal(50);
+            expect(parseBasisPoints('0.5%')).to.equal(50);
+            expect(parseBasisPoints('100%')).to.equal(10000);
+            expect(parseBasisPoints('0')).to.equal(0);
+            ['10001', '-1', '12.5', '0.555%', '', 'abc'].forEach((value) => {
+                expect(() => parseBasisPoints(value, 'deposit')).to.throw(`Invalid basis points for "deposit": ${value}`);
+            });
+        });
+
+        it('parses addresses', async () => {
+            const address = ethers.Wallet.createRandom().address;
+            expect(parseAddress(address.toLowerCase())).to.equal(address);
+            expect(() => parseAddress('0x1234', 'receiver')).to.throw('Invalid address for "receiver": 0x1234');
+            expect(() => parseAddress(ethers.constants.AddressZero)).to.throw('the zero-address is not allowed');
+        });
+    });
+
+    describe('role checks', () => {
+        beforeEach(async () => _load(deployed));
+
+        it('refuses to send from an account without the role', async () => {
+            const blockNumber = await buidler.ethers.provider.getBlockNumber();
+            const contract = chargedParticles.connect(env.signers.collector);
+
+            await expectError(
+                sendAdminTx({ contract, contractName: 'ChargedParticles', method: 'setPausedState', args: [true], role: 'owner', log: debug }),
+                new RegExp(`${env.accounts.collector} is not the Owner of ChargedParticles`)
+            );
+            await expectError(
+                sendAdminTx({ contract: escrowManager.connect(env.signers.collector), contractName: 'ChargedParticlesEscrowManager', method: 'setDepositFee', args: [10], role: 'dao', log: debug }),
+                /is not the DAO \(ROLE_DAO_GOV\) of ChargedParticlesEscrowManager/
+            );
+            expect(await buidler.ethers.provider.getBlockNumber()).to.equal(blockNumber);
+        });
+
+        it('simulates before sending', async () => {
+            const blockNumber = await buidler.ethers.provider.getBlockNumber();
+            await expectError(sendAdminTx({
+                contract: escrowManager,
+                contractName: 'ChargedParticlesEscrowManager',
+                method: 'disableAssetPair',
+                args: ['unknown'],
+                role: 'maintainer',
+                log: debug,
+            }));
+            expect(await buidler.ethers.provider.getBlockNumber()).to.equal(blockNumber);
+        });
+    });
+
+    describe('tasks', () => {
+        it('sets the fees, keeping the omitted ones', async () => {
+            await _load(deployed);
+            const { fees } = presets.ChargedParticles;
+
+            // Dry-run
+            const { results } = await runTaskQuietly('cp:fees:set', { eth: '0.002', deposit: '1%', dryRun: true });
+            expect(results.map(r => r.call)).to.deep.equal([
+                `ChargedParticles.setupFees(${toWei('0.002')}, ${fees.ion})`,
+                'ChargedParticlesEscrowManager.setDepositFee(100)',
+            ]);
+            expect(results.every(r => !r.receipt)).to.equal(true);
+            expect((await chargedParticles.getCreationPrice(false))._eth).to.equal(fees.eth);
+
+            // Sent
+            const { status } = await runTaskQuietly('cp:fees:set', { eth: '0.002', deposit: '1%' });
+            expect(status.settings.ChargedParticles.creationFees).to.deep.equal({ eth: toWei('0.002').toString(), ion: fees.ion.toString() });
+            expect(status.settings.ChargedParticlesEscrowManager.depositFee).to.equal('100');
+
+            await expectError(runTaskQuietly('cp:fees:set', { deposit: '101%' }), /Invalid basis points/);
+            await expectError(runTaskQuietly('cp:fees:set', {}), /Nothing to set/);
+        });
+
+        it('pauses and unpauses', async () => {
+            await _load(deployed);
+            await runTaskQuietly('cp:pause', { dryRun: true });
+            expect(await chargedParticles.isPaused()).to.equal(false);
+
+            const { status } = await runTaskQuietly('cp:pause');
+            expect(status.settings.ChargedParticles.isPaused).to.equal(true);
+
+            await runTaskQuietly('cp:unpause');
+            expect(await chargedParticles.isPaused()).to.equal(false);
+        });
+
+        it('disables and re-adds an Asset Pair by deployment name', async () => {
+            await _load(deployed);
+            let { status } = await runTaskQuietly('cp:asset-pair:disable', { id: 'chai' });
+            expect(status.settings.ChargedParticlesEscrowManager.assetPairs.chai).to.deep.equal({ enabled: false });
+
+            ({ status } = await runTaskQuietly('cp:asset-pair:add', { id: 'chai', escrow: 'ChaiEscrow' }));
+            expect(status.settings.ChargedParticlesEscrowManager.assetPairs.chai.escrow).to.equal(chaiEscrow.address);
+            expect(await escrowManager.isAssetPairEnabled('chai')).to.equal(true);
+        });
+
+        it('withdraws the collected fees', async () => {
+            await _load(withCollectedFees);
+            const receiver = env.accounts.receiver;
+            const balance = await buidler.ethers.provider.getBalance(receiver);
+            const { _eth: creationFee } = await chargedParticles.getCreationPrice(true);
+
+            await runTaskQuietly('cp:fees:withdraw', { receiver, dryRun: true });
+            expect(await buidler.ethers.provider.getBalance(receiver)).to.equal(balance);
+
+            await runTaskQuietly('cp:fees:withdraw', { receiver });
+            expect(await buidler.ethers.provider.getBalance(receiver)).to.equal(balance.add(creationFee));
+        });
+
+        it('prints the status with the roles of the signer', async () => {
+            await _load(deployed);
+            const { roles, settings } = await runTaskQuietly('cp:status');
+            expect(roles).to.deep.equal({
+                ChargedParticles: { owner: true },
+                ChargedParticlesEscrowManager: { dao: true, maintainer: true },
+                ChargedParticlesTokenManager: { owner: true },
+            });
+            expect(settings.ChargedParticles.owner).to.equal(env.accounts.deployer);
+        });
+    });
+});
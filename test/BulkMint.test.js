@@ -0,0 +1,208 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    buidler,
+    ethers,
+    expect,
+    expectError,
+    scenario,
+    runTaskQuietly,
+    withFundedWallets,
+    withParticleType,
+    withPlasmaType,
+    withMintedParticle,
+} = require('./util/testEnv');
+
+const { toWei } = require('../js-utils/deploy-helpers');
+const { parseManifest, loadManifest, bulkMint } = require('../js-utils/bulk-mint');
+
+const debug = require('debug')('BulkMint.test');
+
+// The tasks send from the Deployer, which holds Dai without having approved ChargedParticles
+const withDeployerDai = (amount) => async (env) => {
+    await env.contracts.dai.mint(env.accounts.deployer, amount);
+};
+
+const dropTypes = scenario(
+    withFundedWallets(toWei('1000'), ['creator', 'collector']),
+    withDeployerDai(toWei('1000')),
+    withParticleType(),
+    withParticleType({ as: 'limitedTypeId', maxSupply: 2 }),
+    withParticleType({ as: 'privateTypeId', accessType: 0 }),
+    withPlasmaType({ mintFee: toWei('0.001') }),
+    withMintedParticle('collector', toWei('10')),
+);
+
+describe('Bulk Mint', function () {
+    let env;
+    let chargedParticles, tokenManager, dai;
+    let tmpDir;
+
+    const _writeManifest = (name, content) => {
+        const filePath = path.join(tmpDir, name);
+        fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+        return filePath;
+    };
+
+    const _csv = (lines) => ['recipient,typeId,tokenId,amount,assetAmount,uri'].concat(lines).join('\n') + '\n';
+
+    beforeEach(async () => {
+        env = await dropTypes();
+        ({ chargedParticles, tokenManager, dai } = env.contracts);
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-mint-'));
+    });
+
+    afterEach(() => {
+        fs.rmdirSync(tmpDir, { recursive: true });
+    });
+
+    it('mints and energizes the rows of a manifest', async () => {
+        const { collector, operator, receiver } = env.accounts;
+        const typeId = env.particleTypeId.toString();
+        const manifest = _writeManifest('drop.csv', _csv([
+            `${collector},${typeId},,,10,https://example.com/1`,
+            `${operator},${typeId},,,20.5,"https://example.com/2?a=1,b=2"`,
+            `${receiver},${env.limitedTypeId},,,5,`,
+            `${receiver},${env.plasmaTypeId},,7,,`,
+            `,,${env.tokenId},,3,`,
+        ]));
+        const massBefore = await chargedParticles.baseParticleMass(env.tokenId);
+
+        const { results } = await runTaskQuietly('cp:bulk-mint', { manifest });
+        expect(results.map(({ status }) => status)).to.deep.equal(['done', 'done', 'done', 'done', 'done']);
+        expect(results.map(({ action }) => action)).to.deep.equal(['mint', 'mint', 'mint', 'plasma', 'energize']);
+
+        // Rows are mapped to the minted tokens
+        const [first, second, third] = results;
+        expect(await chargedParticles.ownerOf(first.tokenId)).to.equal(collector);
+        expect(await chargedParticles.ownerOf(second.tokenId)).to.equal(operator);
+        expect(await chargedParticles.uri(second.tokenId)).to.equal('https://example.com/2?a=1,b=2');
+        expect(await chargedParticles.baseParticleMass(second.tokenId)).to.equal(toWei('20.5'));
+        expect(await chargedParticles.ownerOf(third.tokenId)).to.equal(receiver);
+        expect(await tokenManager.balanceOf(receiver, env.plasmaTypeId)).to.equal(7);
+        expect(await chargedParticles.baseParticleMass(env.tokenId)).to.equal(massBefore.add(toWei('3')));
+        expect(await dai.balanceOf(env.accounts.deployer)).to.equal(toWei('1000').sub(toWei('38.5')));
+
+        const csv = fs.readFileSync(path.join(tmpDir, 'drop.results.csv'), 'utf8').trim().split('\n');
+        expect(csv[0]).to.equal('row,action,recipient,typeId,tokenId,amount,assetAmount,status,transactionHash,error');
+        expect(csv[2]).to.include(`2,mint,${operator},${typeId},${second.tokenId},,${toWei('20.5')},done,0x`);
+
+        // Nothing is sent again
+        const nonce = await buidler.ethers.provider.getTransactionCount(env.accounts.deployer);
+        const rerun = await runTaskQuietly('cp:bulk-mint', { manifest });
+        expect(rerun.results).to.deep.equal(results);
+        expect(await buidler.ethers.provider.getTransactionCount(env.accounts.deployer)).to.equal(nonce);
+    });
+
+    it('checks the manifest up front', async () => {
+        const { collector } = env.accounts;
+        const nonce = await buidler.ethers.provider.getTransactionCount(env.accounts.deployer);
+
+        const tooMany = _writeManifest('too-many.json', [1, 2, 3].map(() => ({ recipient: collector, typeId: env.limitedTypeId.toString(), assetAmount: '1' })));
+        await expectError(runTaskQuietly('cp:bulk-mint', { manifest: tooMany }),
+            new RegExp(`row 1: Type ${env.limitedTypeId} has 2 of its Max-Supply of 2 left; the manifest mints 3`));
+
+        const unmintable = _writeManifest('unmintable.csv', _csv([
+            `${collector},${env.privateTypeId},,,1,`,
+            `${collector},${env.particleTypeId},,,2000,`,
+            `,,${env.tokenId.add(1)},,1,`,
+        ]));
+        await expectError(runTaskQuietly('cp:bulk-mint', { manifest: unmintable, dryRun: true }), new RegExp([
+            'can not be sent \\(3 problems\\):',
+            `  row 1: Type ${env.privateTypeId} is private; only its Creator \\(${env.accounts.creator}\\) can mint it`,
+            `  row 3: Particle ${env.tokenId.add(1)} does not exist`,
+            '  Insufficient Asset Token balance for "chai": 2000.0 required, 1000.0 held',
+        ].join('\n')));
+
+        // A dry-run sends nothing
+        const valid = _writeManifest('valid.csv', _csv([`${collector},${env.particleTypeId},,,1,`]));
+        await runTaskQuietly('cp:bulk-mint', { manifest: valid, dryRun: true });
+        expect(await buidler.ethers.provider.getTransactionCount(env.accounts.deployer)).to.equal(nonce);
+        expect(fs.existsSync(path.join(tmpDir, 'valid.progress.json'))).to.equal(false);
+    });
+
+    it('parses the manifest', async () => {
+        const { collector } = env.accounts;
+        const typeId = env.particleTypeId.toString();
+        const rows = parseManifest([
+            { recipient: collector.toLowerCase(), typeId, assetAmount: '1.5', uri: ' ipfs://a ' },
+            { recipient: collector, typeId: env.plasmaTypeId.toString(), amount: '10', data: '0x01' },
+            { tokenId: env.tokenId.toString(), assetAmount: '2' },
+        ]);
+        expect(rows.map(({ action }) => action)).to.deep.equal(['mint', 'plasma', 'energize']);
+        expect(rows[0]).to.deep.include({ row: 1, recipient: collector, uri: 'ipfs://a', assetAmount: toWei('1.5') });
+        expect(rows[1]).to.deep.include({ amount: ethers.BigNumber.from(10), data: '0x01' });
+
+        const errors = [
+            [{ recipient: collector, typeId }, 'row 1: Missing "assetAmount" to mint a Particle'],
+            [{ recipient: collector, typeId: env.plasmaTypeId.toString(), amount: '1', uri: 'x' }, 'row 1: Unexpected "uri" to mint Plasma'],
+            [{ tokenId: env.tokenId.toString(), assetAmount: '1', recipient: collector }, 'row 1: Unexpected "recipient" to energize a Particle'],
+            [{ tokenId: env.particleTypeId.toString(), assetAmount: '1' }, 'is not a Particle'],
+            [{ recipient: '0x1234', typeId, assetAmount: '1' }, 'Invalid address for "recipient": 0x1234'],
+            [{ recipient: collector, typeId, assetAmount: '0' }, 'Invalid "assetAmount": 0'],
+            [{ recipient: collector, typeId, assetAmount: '1', data: 'zz' }, 'Invalid "data": zz'],
+            [{ typeId, owner: collector }, 'Unknown columns: owner'],
+        ];
+        errors.forEach(([raw, message]) => expect(() => parseManifest([raw])).to.throw(message));
+        expect(() => parseManifest([])).to.throw('The manifest has no rows');
+
+        // CSV cells may be quoted
+        const manifest = _writeManifest('quoted.csv', `recipient,typeId,assetAmount,uri\r\n${collector},${typeId},1,"a ""b"", c"\r\n\r\n`);
+        expect(loadManifest(manifest)[0].uri).to.equal('a "b", c');
+    });
+
+    it('resumes an interrupted run without minting twice', async () => {
+        const { collector } = env.accounts;
+        const manifest = _writeManifest('drop.csv', _csv([1, 2, 3, 4, 5].map(i => `${collector},${env.particleTypeId},,,${i},`)));
+        const options = {
+            signer: env.signers.deployer,
+            deployment: env.deployment,
+            rows: loadManifest(manifest),
+            progressPath: path.join(tmpDir, 'drop.progress.json'),
+            batchSize: 2,
+        };
+
+        // Interrupted right after broadcasting the 3rd row, before recording its transaction
+        await expectError(bulkMint({
+            ...options,
+            log: (line) => {
+                debug(line);
+                if (line.startsWith('  → row 3')) { throw new Error('Interrupted'); }
+            },
+        }), /^Interrupted$/);
+        const interrupted = JSON.parse(fs.readFileSync(options.progressPath, 'utf8')).rows;
+        expect(Object.values(interrupted).map(({ status }) => status)).to.deep.equal(['done', 'done', 'sending']);
+        expect(await chargedParticles.getTotalMinted(env.particleTypeId)).to.equal(4);
+
+        const { results } = await bulkMint({ ...options, log: debug });
+        expect(results.map(({ status }) => status)).to.deep.equal(['done', 'done', 'done', 'done', 'done']);
+        expect(new Set(results.map(({ tokenId }) => tokenId)).size).to.equal(5);
+        expect(await chargedParticles.getTotalMinted(env.particleTypeId)).to.equal(6);
+        expect(await chargedParticles.baseParticleMass(results[2].tokenId)).to.equal(toWei('3'));
+
+        // The progress belongs to its manifest
+        await expectError(bulkMint({ ...options, rows: options.rows.slice(1) }), /records the progress of another manifest/);
+    });
+
+    it('fails the reverting rows and retries them on the next run', async () => {
+        const { collector } = env.accounts;
+        // Deposits below the minimum of the Escrow revert
+        const manifest = _writeManifest('drop.csv', _csv([
+            `${collector},${env.particleTypeId},,,1,`,
+            `${collector},${env.particleTypeId},,,0.000000000000000001,`,
+            `${collector},${env.particleTypeId},,,1,`,
+        ]));
+
+        const { results } = await runTaskQuietly('cp:bulk-mint', { manifest });
+        expect(results.map(({ status }) => status)).to.deep.equal(['done', 'failed', 'done']);
+        expect(results[1].error).to.equal('CHE: INSUFF_DEPOSIT');
+        expect(results[1].transactionHash).to.equal('');
+
+        const nonce = await buidler.ethers.provider.getTransactionCount(env.accounts.deployer);
+        const rerun = await runTaskQuietly('cp:bulk-mint', { manifest });
+        expect(rerun.results[1].status).to.equal('failed');
+        expect(await buidler.ethers.provider.getTransactionCount(env.accounts.deployer)).to.equal(nonce);
+    });
+});
@@ -153,14 +153,13 @@ describe('ChargedParticles Contract', function () {
                 .returns(ionTokenId);
 
             // Test Mint
-            chargedParticles.on('PlasmaTypeUpdated', (_plasmaTypeId, _symbol, _isPrivate, _initialMint, _uri, event) => {
-                expect(_symbol).to.equal(web3.utils.keccak256('ION'));
-                expect(_isPrivate).to.equal(false);
-                expect(_initialMint).to.equal(ion.maxSupply);
-                expect(_uri).to.equal(ion.uri);
-            });
-
-            await chargedParticles.mintIons(ion.URI, ion.maxSupply, ion.mintFee);
+            const receipt = await (await chargedParticles.mintIons(ion.URI, ion.maxSupply, ion.mintFee)).wait();
+            const [_plasmaTypeId, _symbol, _isPrivate, _initialMint, _uri] = receipt.events.find(e => e.event === 'PlasmaTypeUpdated').args;
+            expect(_plasmaTypeId).to.equal(ionTokenId);
+            expect(_symbol.hash).to.equal(ethers.utils.id('ION'));
+            expect(_isPrivate).to.equal(false);
+            expect(_initialMint).to.equal(ion.maxSupply);
+            expect(_uri).to.equal(ion.URI);
 
             await expect(chargedParticles.mintIons(ion.URI, ion.maxSupply, ion.mintFee))
                 .to.be.revertedWith("CP: ALREADY_INIT");
@@ -203,7 +202,7 @@ describe('ChargedParticles Contract', function () {
                     .to.be.revertedWith('CP: INSUFF_IONS');
             });
 
-            describe.only("after creating particle", () => {
+            describe("after creating particle", () => {
 
                 beforeEach(async () => {
                     particleCreationParams = [
@@ -301,6 +300,87 @@ describe('ChargedParticles Contract', function () {
                         .withArgs(secondaryWallet._address, secondaryWallet._address, particleTokenId, particle.uri);
                 });
 
+                it('reads the mass and charge of its particles from the escrow', async () => {
+                    // Mocks
+                    await chargedParticlesTokenManager.mock.isNonFungible.withArgs(particleTokenId).returns(true);
+                    await chargedParticlesTokenManager.mock.getNonFungibleBaseType.withArgs(particleTokenId).returns(particleTypeId);
+                    await chargedParticlesEscrowManager.mock.baseParticleMass
+                        .withArgs(chargedParticles.address, particleTokenId, 'chai')
+                        .returns(assetAmount);
+                    await chargedParticlesEscrowManager.mock.currentParticleCharge
+                        .withArgs(chargedParticles.address, particleTokenId, 'chai')
+                        .returns(toWei('1'));
+
+                    // Test
+                    expect(await chargedParticles.baseParticleMass(particleTokenId)).to.equal(assetAmount);
+                    expect(await chargedParticles.callStatic.currentParticleCharge(particleTokenId)).to.equal(toWei('1'));
+                });
+
+                it('only allows the owner, its operators and the discharge-operator to discharge', async () => {
+                    // Mocks
+                    await chargedParticlesTokenManager.mock.getNonFungibleBaseType.withArgs(particleTokenId).returns(particleTypeId);
+                    await chargedParticlesTokenManager.mock.ownerOf.withArgs(particleTokenId).returns(secondaryWallet._address);
+                    await chargedParticlesTokenManager.mock.isApprovedForAll.withArgs(secondaryWallet._address, primaryWallet._address).returns(false);
+                    await chargedParticlesEscrowManager.mock.isApprovedForDischarge
+                        .withArgs(chargedParticles.address, particleTokenId, primaryWallet._address)
+                        .returns(false);
+                    await chargedParticlesEscrowManager.mock.dischargeParticle.returns(toWei('1'), 0);
+                    await chargedParticlesEscrowManager.mock.dischargeParticleAmount.returns(toWei('1'), 0);
+
+                    // Test
+                    await expect(chargedParticlesPrimary.dischargeParticle(primaryWallet._address, particleTokenId))
+                        .to.be.revertedWith('CP: NOT_OPERATOR');
+                    await expect(chargedParticlesPrimary.dischargeParticleAmount(primaryWallet._address, particleTokenId, toWei('1')))
+                        .to.be.revertedWith('CP: NOT_OPERATOR');
+
+                    await chargedParticlesEscrowManager.mock.isApprovedForDischarge
+                        .withArgs(chargedParticles.address, particleTokenId, primaryWallet._address)
+                        .returns(true);
+
+                    const { 0: receivedAmount } = await chargedParticlesPrimary.callStatic.dischargeParticle(primaryWallet._address, particleTokenId);
+                    expect(receivedAmount).to.equal(toWei('1'));
+                    await chargedParticlesPrimary.dischargeParticleAmount(primaryWallet._address, particleTokenId, toWei('1'));
+                });
+
+                describe("burning particle", () => {
+
+                    beforeEach(async () => {
+                        // Mocks
+                        await chargedParticlesTokenManager.mock.isNonFungible.withArgs(particleTokenId).returns(true);
+                        await chargedParticlesTokenManager.mock.getNonFungibleBaseType.withArgs(particleTokenId).returns(particleTypeId);
+                        await chargedParticlesTokenManager.mock.ownerOf.withArgs(particleTokenId).returns(secondaryWallet._address);
+                        await chargedParticlesEscrowManager.mock.releaseParticle
+                            .withArgs(secondaryWallet._address, chargedParticles.address, particleTokenId, 'chai')
+                            .returns(0);
+                        await chargedParticlesEscrowManager.mock.finalizeRelease.reverts();
+                    });
+
+                    it('releases the particle when the release does not require the burn', async () => {
+                        // Mocks
+                        await chargedParticlesEscrowManager.mock.isReleaseBurnRequired.withArgs(chargedParticles.address).returns(false);
+
+                        // Test
+                        await expect(chargedParticlesSecondary.burnParticle(particleTokenId))
+                            .to.emit(chargedParticlesSecondary, 'ParticleBurned')
+                            .withArgs(secondaryWallet._address, particleTokenId);
+                    });
+
+                    it('finalizes the release after the burn when the release requires it', async () => {
+                        // Mocks
+                        await chargedParticlesEscrowManager.mock.isReleaseBurnRequired.withArgs(chargedParticles.address).returns(true);
+
+                        // Test
+                        await expect(chargedParticlesSecondary.burnParticle(particleTokenId)).to.be.reverted;
+
+                        await chargedParticlesEscrowManager.mock.finalizeRelease
+                            .withArgs(secondaryWallet._address, chargedParticles.address, particleTokenId, 'chai')
+                            .returns(assetAmount);
+                        await expect(chargedParticlesSecondary.burnParticle(particleTokenId))
+                            .to.emit(chargedParticlesSecondary, 'ParticleBurned')
+                            .withArgs(secondaryWallet._address, particleTokenId);
+                    });
+                });
+
                 // it('withdrawFees', async () => {
                 //     const balanceBefore1 = await web3.eth.getBalance(ionHodler);
                 //     const receipt1 = await contractInstance.methods.withdrawFees(ionHodler).send({ from: owner, gas: 5e6 });
@@ -0,0 +1,98 @@
+const {
+    buidler,
+    deployments,
+    expect,
+    expectError,
+} = require('./util/testEnv');
+
+const {
+    contractManager,
+    toWei,
+    presets,
+} = require('../js-utils/deploy-helpers');
+
+const { chargedParticlesClient } = require('../js-utils/client');
+const { encodeTypeId } = require('../js-utils/token-ids');
+
+const debug = require('debug')('ChargedParticlesClient.test');
+
+const particle = {
+    name: 'test-particle',
+    uri: 'https://example.com',
+    symbol: 'TEST',
+    accessType: 1,
+    assetPair: 'chai',
+    maxSupply: toWei('20000'),
+    mintFee: toWei('0.0001'),
+    payWithIons: false,
+};
+
+describe('ChargedParticles Client', function () {
+    let deployer, primaryWallet, secondaryWallet;
+    let client, primaryClient, secondaryClient;
+
+    beforeEach(async () => {
+        [deployer, primaryWallet, secondaryWallet] = await buidler.ethers.getSigners();
+
+        await deployments.fixture();
+        const deployment = await deployments.all();
+
+        client = await chargedParticlesClient({ signer: deployer, deployment });
+        primaryClient = await chargedParticlesClient({ signer: primaryWallet, deployment });
+        secondaryClient = await chargedParticlesClient({ signer: secondaryWallet, deployment });
+    });
+
+    it('resolves the deployed contracts', async () => {
+        const { chargedParticles, escrowManager, tokenManager } = client.contracts;
+        expect(chargedParticles.address).to.equal((await deployments.get('ChargedParticles')).address);
+        expect(escrowManager.address).to.equal((await deployments.get('ChargedParticlesEscrowManager')).address);
+        expect(tokenManager.address).to.equal((await deployments.get('ChargedParticlesTokenManager')).address);
+    });
+
+    it('reads the creation price', async () => {
+        const { eth, ion } = await client.getCreationPrice(true);
+        expect(eth).to.equal(presets.ChargedParticles.fees.eth.mul(2));
+        expect(ion).to.equal(presets.ChargedParticles.fees.ion.mul(2));
+    });
+
+    it('creates a particle paying the creation price in ETH', async () => {
+        const { eth } = await primaryClient.getCreationPrice(true);
+        const balanceBefore = await primaryWallet.getBalance();
+
+        const { particleTypeId, receipt } = await primaryClient.createParticle(particle, { gasPrice: 0 });
+        debug({particleTypeId: particleTypeId.toHexString(), gasUsed: receipt.gasUsed.toString()});
+
+        const balanceAfter = await primaryWallet.getBalance();
+        expect(balanceBefore.sub(balanceAfter)).to.equal(eth);
+
+        expect(await primaryClient.contracts.chargedParticles.getTypeCreator(particleTypeId)).to.equal(await primaryWallet.getAddress());
+        expect(await secondaryClient.getAssetPairId(particleTypeId)).to.equal(particle.assetPair);
+    });
+
+    it('fails to find the Asset-Pair of an unknown Type', async () => {
+        const unknownTypeId = encodeTypeId({ nonce: 1000, isNF: true });
+        await expectError(primaryClient.getAssetPairId(unknownTypeId), /^Unknown Particle Type: \d+$/);
+    });
+
+    it('checks minting access by the signer', async () => {
+        const { particleTypeId } = await primaryClient.createParticle({...particle, accessType: 2}); // Private
+
+        expect(await primaryClient.canMint(particleTypeId)).to.equal(true);
+        expect(await secondaryClient.canMint(particleTypeId)).to.equal(false);
+    });
+
+    it('pads the gas estimates of the transactions moving the asset token', async () => {
+        const dai = await contractManager(buidler)('Dai');
+        await dai.mint(await primaryWallet.getAddress(), toWei('100'));
+        const { particleTypeId } = await primaryClient.createParticle(particle);
+        const { provider } = buidler.ethers;
+        const _gasLimit = async (receipt) => (await provider.getTransaction(receipt.transactionHash)).gasLimit;
+
+        const { tokenId, receipt: mintReceipt } = await primaryClient.mintParticle({ typeId: particleTypeId, assetAmount: toWei('10') });
+        expect(await _gasLimit(mintReceipt)).to.be.gt(mintReceipt.gasUsed.mul(115).div(100));
+
+        // Unless a gas limit is provided
+        const { receipt } = await primaryClient.energizeParticle({ tokenId, assetAmount: toWei('10') }, { gasLimit: 1000000 });
+        expect(await _gasLimit(receipt)).to.equal(1000000);
+    });
+});
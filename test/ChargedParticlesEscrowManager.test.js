@@ -3,6 +3,11 @@ const {
     deployments,
     ethers,
     expect,
+    scenario,
+    withFundedWallets,
+    withParticleType,
+    withMintedParticle,
+    NO_GAS,
     EMPTY_STR,
     ZERO_ADDRESS,
 } = require('./util/testEnv');
@@ -14,8 +19,20 @@ const {
     toStr,
 } = require('../js-utils/deploy-helpers');
 
+const { accrueInterest } = require('../js-utils/dsr-helpers');
+const { withGasMargin } = require('../js-utils/client');
+
 const debug = require('debug')('ChargedParticlesEscrowManager.test');
 
+const assetAmount = toWei('100');
+
+// A Particle owned by the Collector
+const mintedParticle = scenario(
+    withFundedWallets(toWei('1000'), ['creator', 'collector']),
+    withParticleType(),
+    withMintedParticle('collector', assetAmount)
+);
+
 describe('ChargedParticlesEscrowManager Contract', function () {
     let deployer;
     let primaryWallet;
@@ -36,4 +53,98 @@ describe('ChargedParticlesEscrowManager Contract', function () {
         expect(toStr(await chargedParticlesEscrowManager.version())).to.equal('v0.4.2');
     });
 
+    describe('with a charged particle', () => {
+        let env;
+        let chargedParticles, dai;
+        let receiver;
+        let tokenId;
+
+        const _send = async (contract, method, ...args) => (
+            await contract[method](...args, await withGasMargin(contract, method, args, NO_GAS))
+        ).wait();
+
+        // Finds the events of the Escrow Manager in a receipt
+        const _findEvents = (receipt, eventName) => receipt.logs
+            .filter(log => log.address === chargedParticlesEscrowManager.address)
+            .map(log => chargedParticlesEscrowManager.interface.parseLog(log))
+            .filter(event => event.name === eventName)
+            .map(event => event.args);
+
+        beforeEach(async () => {
+            env = await mintedParticle();
+            ({ chargedParticles, dai } = env.contracts);
+            ({ receiver } = env.accounts);
+            ({ tokenId } = env);
+
+            await accrueInterest({ pot: env.contracts.pot, rate: 0.1 });
+        });
+
+        it('emits the amount received and the remaining charge of a discharge', async () => {
+            const charge = await chargedParticles.callStatic.currentParticleCharge(tokenId);
+            const receipt = await _send(chargedParticles.connect(env.signers.collector), 'dischargeParticleAmount', receiver, tokenId, toWei('1'));
+
+            const [discharged] = _findEvents(receipt, 'DischargedParticle');
+            expect(discharged._contractAddress).to.equal(chargedParticles.address);
+            expect(discharged._tokenId).to.equal(tokenId);
+            expect(discharged._receiver).to.equal(receiver);
+            expect(discharged._assetPairId).to.equal('chai');
+            expect(discharged._receivedAmount).to.equal(await dai.balanceOf(receiver));
+            expect(discharged._interestBalance).to.equal(charge.sub(discharged._receivedAmount));
+        });
+
+        it('emits the amount received of a release', async () => {
+            const receipt = await _send(
+                chargedParticlesEscrowManager.connect(env.signers.collector),
+                'releaseParticle', receiver, chargedParticles.address, tokenId, 'chai'
+            );
+
+            const [released] = _findEvents(receipt, 'ReleasedParticle');
+            expect(released._contractAddress).to.equal(chargedParticles.address);
+            expect(released._tokenId).to.equal(tokenId);
+            expect(released._receiver).to.equal(receiver);
+            expect(released._assetPairId).to.equal('chai');
+            expect(released._receivedAmount).to.equal(await dai.balanceOf(receiver));
+        });
+
+        it('only allows the owner, its operators and the discharge-operator to discharge directly', async () => {
+            const operatorEscrowManager = chargedParticlesEscrowManager.connect(env.signers.operator);
+            const { operator } = env.accounts;
+
+            await expect(operatorEscrowManager.dischargeParticle(operator, chargedParticles.address, tokenId, 'chai'))
+                .to.be.revertedWith('CPEM: NOT_OPERATOR');
+            await expect(operatorEscrowManager.dischargeParticleAmount(operator, chargedParticles.address, tokenId, 'chai', toWei('1')))
+                .to.be.revertedWith('CPEM: NOT_OPERATOR');
+
+            await _send(chargedParticlesEscrowManager.connect(env.signers.collector), 'setDischargeApproval', chargedParticles.address, tokenId, operator);
+
+            await _send(operatorEscrowManager, 'dischargeParticleAmount', operator, chargedParticles.address, tokenId, 'chai', toWei('1'));
+            expect((await dai.balanceOf(operator)).sub(toWei('1')).abs()).to.be.lte(1);
+        });
+
+        it('lets the token contract discharge and release on behalf of the owner', async () => {
+            const collectorChargedParticles = chargedParticles.connect(env.signers.collector);
+            const { collector } = env.accounts;
+
+            await _send(collectorChargedParticles, 'dischargeParticleAmount', receiver, tokenId, toWei('1'));
+            expect((await dai.balanceOf(receiver)).sub(toWei('1')).abs()).to.be.lte(1);
+
+            const collectorDai = await dai.balanceOf(collector);
+            const receipt = await _send(collectorChargedParticles, 'burnParticle', tokenId);
+
+            const [released] = _findEvents(receipt, 'ReleasedParticle');
+            expect(released._receiver).to.equal(collector);
+            expect(await dai.balanceOf(collector)).to.equal(collectorDai.add(released._receivedAmount));
+        });
+
+        it('leaves no mass in a released particle', async () => {
+            const collectorEscrowManager = chargedParticlesEscrowManager.connect(env.signers.collector);
+
+            await _send(collectorEscrowManager, 'releaseParticle', receiver, chargedParticles.address, tokenId, 'chai');
+            expect(await chargedParticlesEscrowManager.baseParticleMass(chargedParticles.address, tokenId, 'chai')).to.equal(0);
+
+            await expect(collectorEscrowManager.releaseParticle(receiver, chargedParticles.address, tokenId, 'chai'))
+                .to.be.revertedWith('CPEM: INSUFF_MASS');
+        });
+    });
+
 });
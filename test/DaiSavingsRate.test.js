@@ -0,0 +1,137 @@
+const {
+    buidler,
+    deployments,
+    expect,
+} = require('./util/testEnv');
+
+const {
+    contractManager,
+    presets,
+    toWei,
+} = require('../js-utils/deploy-helpers');
+
+const {
+    RAY,
+    SECONDS_PER_YEAR,
+    annualRateToDsr,
+    advanceInterest,
+    accrueInterest,
+} = require('../js-utils/dsr-helpers');
+
+const { chargedParticlesClient } = require('../js-utils/client');
+
+const debug = require('debug')('DaiSavingsRate.test');
+
+const particle = {
+    name: 'test-particle',
+    uri: 'https://example.com',
+    symbol: 'TEST',
+    accessType: 1,
+    assetPair: 'chai',
+};
+
+describe('Dai Savings Rate (local stand-ins)', function () {
+    let primaryWallet, secondaryWallet;
+    let dai, pot, chaiNucleus, chargedParticles, primaryClient;
+
+    // The Deposit Fee is taken from the Asset before it starts earning interest
+    const _expectedCharge = (mass, rate) => {
+        const deposited = mass.sub(mass.mul(presets.EscrowManager.fees.deposit).div(10000));
+        return deposited.mul(Math.round((1 + rate) * 1000)).div(1000).sub(mass);
+    };
+
+    beforeEach(async () => {
+        [, primaryWallet, secondaryWallet] = await buidler.ethers.getSigners();
+
+        await deployments.fixture();
+        const deployment = await deployments.all();
+
+        dai = await contractManager(buidler)('Dai');
+        pot = await contractManager(buidler)('MockPot');
+        chaiNucleus = await contractManager(buidler)('ChaiNucleus');
+        chargedParticles = await contractManager(buidler)('ChargedParticles');
+        primaryClient = await chargedParticlesClient({ signer: primaryWallet, deployment });
+
+        await dai.mint(await primaryWallet.getAddress(), toWei('1000'));
+    });
+
+    it('connects the ChaiNucleus to the stand-in contracts', async () => {
+        expect(await chaiNucleus.vat()).to.equal((await deployments.get('MockVat')).address);
+        expect(await chaiNucleus.pot()).to.equal(pot.address);
+        expect(await chaiNucleus.daiJoin()).to.equal((await deployments.get('MockDaiJoin')).address);
+        expect(await chaiNucleus.daiToken()).to.equal(dai.address);
+
+        await expect(chaiNucleus.initCustom(pot.address, pot.address, pot.address, pot.address))
+            .to.be.revertedWith('pchai/already-initialized');
+    });
+
+    it('converts an annual rate to the per-second savings rate', async () => {
+        const dsr = annualRateToDsr(0.05);
+        // 1.05 ^ (1 / seconds-per-year) ~= 1.0000000015471259
+        expect(dsr.sub(RAY).div(10 ** 9).toNumber()).to.be.closeTo(1547125958, 100);
+    });
+
+    it('accrues interest on energized particles', async () => {
+        const { particleTypeId } = await primaryClient.createParticle(particle);
+        const { tokenId } = await primaryClient.mintParticle({ typeId: particleTypeId, assetAmount: toWei('100') });
+
+        const mass = await chargedParticles.baseParticleMass(tokenId);
+        expect(await chargedParticles.callStatic.currentParticleCharge(tokenId)).to.equal(0);
+
+        const chi = await advanceInterest({ provider: buidler.ethers.provider, pot, annualRate: 0.05, seconds: SECONDS_PER_YEAR });
+        debug({chi: chi.toString()});
+
+        const charge = await chargedParticles.callStatic.currentParticleCharge(tokenId);
+        debug({mass: mass.toString(), charge: charge.toString()});
+        expect(charge.sub(_expectedCharge(mass, 0.05)).abs()).to.be.lt(toWei('0.001'));
+    });
+
+    it('discharges the accrued interest in Dai', async () => {
+        const receiver = await secondaryWallet.getAddress();
+        const { particleTypeId } = await primaryClient.createParticle(particle);
+        const { tokenId } = await primaryClient.mintParticle({ typeId: particleTypeId, assetAmount: toWei('100') });
+        const mass = await chargedParticles.baseParticleMass(tokenId);
+
+        await accrueInterest({ pot, rate: 0.1 });
+        const charge = await chargedParticles.callStatic.currentParticleCharge(tokenId);
+        expect(charge.sub(_expectedCharge(mass, 0.1)).abs()).to.be.lt(toWei('0.000000001'));
+
+        await primaryClient.dischargeParticle({ receiver, tokenId, assetAmount: charge.div(2) });
+        expect(await dai.balanceOf(receiver)).to.be.gte(charge.div(2));
+
+        await primaryClient.dischargeParticle({ receiver, tokenId });
+        expect((await dai.balanceOf(receiver)).sub(charge).abs()).to.be.lte(2);
+        expect(await chargedParticles.callStatic.currentParticleCharge(tokenId)).to.be.lte(1);
+    });
+
+    it('discharges any amount up to the charge of a particle', async () => {
+        const receiver = await secondaryWallet.getAddress();
+        const { particleTypeId } = await primaryClient.createParticle(particle);
+        const { tokenId } = await primaryClient.mintParticle({ typeId: particleTypeId, assetAmount: toWei('100') });
+
+        await accrueInterest({ pot, rate: 0.1 });
+        await primaryClient.dischargeParticle({ receiver, tokenId, assetAmount: toWei('1') });
+        expect((await dai.balanceOf(receiver)).sub(toWei('1')).abs()).to.be.lte(1);
+
+        const charge = await chargedParticles.callStatic.currentParticleCharge(tokenId);
+        await expect(chargedParticles.connect(primaryWallet).dischargeParticleAmount(receiver, tokenId, charge.add(toWei('1'))))
+            .to.be.revertedWith('CHE: INSUFF_BALANCE');
+    });
+
+    it('leaves no charge after discharging the full charge of a particle', async () => {
+        const receiver = await secondaryWallet.getAddress();
+        const { particleTypeId } = await primaryClient.createParticle(particle);
+        const { tokenId } = await primaryClient.mintParticle({ typeId: particleTypeId, assetAmount: toWei('100') });
+
+        await accrueInterest({ pot, rate: 0.1 });
+        const charge = await chargedParticles.callStatic.currentParticleCharge(tokenId);
+
+        // The Interest Token rounds in favour of the receiver, which may receive a few wei more than the charge
+        const [receivedAmount, remainingCharge] = await chargedParticles.connect(primaryWallet).callStatic.dischargeParticle(receiver, tokenId);
+        expect(receivedAmount.sub(charge).abs()).to.be.lte(2);
+        expect(remainingCharge).to.equal(0);
+
+        await primaryClient.dischargeParticle({ receiver, tokenId });
+        expect((await dai.balanceOf(receiver)).sub(charge).abs()).to.be.lte(2);
+    });
+});
@@ -0,0 +1,92 @@
+const {
+    buidler,
+    deployments,
+    expect,
+} = require('./util/testEnv');
+
+const {
+    contractManager,
+    presets,
+} = require('../js-utils/deploy-helpers');
+
+const {
+    buildManifest,
+    diffObjects,
+    verifyManifest,
+} = require('../js-utils/deployment-manifest');
+
+const debug = require('debug')('DeploymentManifest.test');
+
+describe('Deployment Manifest', function () {
+    let deployer, manifest;
+
+    const _getAbi = async (contractName) => (await deployments.getArtifact(contractName)).abi;
+
+    beforeEach(async () => {
+        await deployments.fixture();
+        ({ deployer } = await buidler.getNamedAccounts());
+
+        manifest = await buildManifest({
+            provider: buidler.ethers.provider,
+            network: buidler.network.name,
+            deployer,
+            deployments: await deployments.all(),
+        });
+    });
+
+    it('records the addresses, versions and initialization settings', async () => {
+        const chargedParticles = await deployments.get('ChargedParticles');
+        const escrowManager = await deployments.get('ChargedParticlesEscrowManager');
+        const tokenManager = await deployments.get('ChargedParticlesTokenManager');
+        const chaiEscrow = await deployments.get('ChaiEscrow');
+        debug(JSON.stringify(manifest.settings, null, 2));
+
+        expect(manifest.deployer).to.equal(deployer);
+        expect(manifest.contracts.ChargedParticles.address).to.equal(chargedParticles.address);
+        expect(manifest.contracts.ChargedParticles.version).to.equal('v0.4.2');
+        expect(manifest.contracts.ChargedParticles.blockNumber).to.be.a('number');
+
+        // Upgradeable contracts are recorded with their Implementation
+        expect(manifest.contracts.ChargedParticles.implementation).to.equal((await deployments.get('ChargedParticles_Implementation')).address);
+        expect(manifest.contracts.ChargedParticles.proxyAdmin).to.equal((await buidler.getNamedAccounts()).proxyAdmin);
+        expect(manifest.contracts).to.not.have.property('ChargedParticles_Implementation');
+
+        const { ChargedParticles, ChargedParticlesEscrowManager, ChargedParticlesTokenManager } = manifest.settings;
+        expect(ChargedParticles.tokenManager).to.equal(tokenManager.address);
+        expect(ChargedParticles.escrowManager).to.equal(escrowManager.address);
+        expect(ChargedParticles.trustedForwarder).to.equal((await deployments.get('MockTrustedForwarder')).address);
+        expect(ChargedParticles.creationFees.eth).to.equal(presets.ChargedParticles.fees.eth.toString());
+
+        expect(ChargedParticlesEscrowManager.depositFee).to.equal(String(presets.EscrowManager.fees.deposit));
+        expect(ChargedParticlesEscrowManager.assetPairs.chai.escrow).to.equal(chaiEscrow.address);
+        expect(ChargedParticlesEscrowManager.registeredContracts).to.deep.equal([chargedParticles.address]);
+        expect(ChargedParticlesTokenManager.fusedParticles).to.deep.equal([chargedParticles.address]);
+    });
+
+    it('verifies an unchanged deployment', async () => {
+        const differences = await verifyManifest({ provider: buidler.ethers.provider, manifest, getAbi: _getAbi });
+        expect(differences).to.deep.equal([]);
+    });
+
+    it('detects drift from the manifest', async () => {
+        const ChargedParticles = await contractManager(buidler)('ChargedParticles');
+        const ChargedParticlesEscrowManager = await contractManager(buidler)('ChargedParticlesEscrowManager');
+
+        await ChargedParticlesEscrowManager.setDepositFee(100);
+        await ChargedParticles.setPausedState(true);
+
+        const differences = await verifyManifest({ provider: buidler.ethers.provider, manifest, getAbi: _getAbi });
+        expect(differences).to.deep.equal([
+            {path: 'settings.ChargedParticles.isPaused', expected: false, actual: true},
+            {path: 'settings.ChargedParticlesEscrowManager.depositFee', expected: '50', actual: '100'},
+        ]);
+    });
+
+    it('lists nested differences', async () => {
+        const differences = diffObjects({a: {b: 1, c: [1, 2]}}, {a: {b: 2, c: [1, 2], d: 'x'}});
+        expect(differences).to.deep.equal([
+            {path: 'a.b', expected: 1, actual: 2},
+            {path: 'a.d', expected: undefined, actual: 'x'},
+        ]);
+    });
+});
@@ -0,0 +1,139 @@
+const {
+    buidler,
+    deployments,
+    ethers,
+    expect,
+    ZERO_ADDRESS,
+} = require('./util/testEnv');
+
+const {
+    toWei,
+} = require('../js-utils/deploy-helpers');
+
+const {
+    ChargedParticlesError,
+    loadCatalog,
+    extractErrorCodes,
+    buildCatalog,
+    findUndocumentedCodes,
+    getRevertReason,
+    wrapContract,
+} = require('../js-utils/errors');
+
+const { chargedParticlesClient } = require('../js-utils/client');
+
+const debug = require('debug')('ErrorCatalog.test');
+
+describe('Error Catalog', function () {
+
+    describe('catalog', () => {
+        it('documents every error code of the contracts', async () => {
+            const catalog = loadCatalog();
+            const codes = extractErrorCodes(buidler.config.paths.sources);
+
+            expect(Object.keys(codes)).to.include('CP: INSUFF_IONS');
+            expect(Object.keys(codes)).to.include('CPTM: ONLY_FUSED');
+            expect(buildCatalog(codes, catalog), 'run "buidler cp:errors"').to.deep.equal(catalog);
+            expect(findUndocumentedCodes(catalog)).to.deep.equal([]);
+        });
+
+        it('keeps existing explanations when regenerating', async () => {
+            const existing = {
+                'CP: PAUSED': {contract: 'ChargedParticles', message: 'paused', fix: 'wait'},
+                'CP: REMOVED': {contract: 'ChargedParticles', message: 'removed', fix: 'none'},
+                'Ownable: caller is not the owner': {contract: 'Ownable', message: 'owner', fix: 'owner', external: true},
+            };
+            const catalog = buildCatalog({'CP: PAUSED': 'ChargedParticles', 'CP: NEW': 'ChargedParticles'}, existing);
+
+            expect(Object.keys(catalog)).to.deep.equal(['CP: NEW', 'CP: PAUSED', 'Ownable: caller is not the owner']);
+            expect(catalog['CP: PAUSED'].message).to.equal('paused');
+            expect(findUndocumentedCodes(catalog)).to.deep.equal(['CP: NEW']);
+        });
+    });
+
+    describe('revert reasons', () => {
+        it('decodes the revert data of a failed call', async () => {
+            const reason = 'CPEM: NOT_RELEASE_OPERATOR';
+            const data = '0x08c379a0' + ethers.utils.defaultAbiCoder.encode(['string'], [reason]).slice(2);
+
+            expect(getRevertReason({error: {data}})).to.equal(reason);
+            expect(getRevertReason({body: JSON.stringify({error: {data}})})).to.equal(reason);
+        });
+
+        it('finds the revert reason in the error message', async () => {
+            expect(getRevertReason(new Error('VM Exception while processing transaction: revert CP: INSUFF_IONS'))).to.equal('CP: INSUFF_IONS');
+            expect(getRevertReason(new Error('execution reverted: UNKNOWN_CODE'))).to.equal('UNKNOWN_CODE');
+            expect(getRevertReason(new Error('network error'))).to.equal(undefined);
+        });
+    });
+
+    describe('wrapped contracts', () => {
+        let deployer, primaryWallet;
+
+        beforeEach(async () => {
+            [deployer, primaryWallet] = await buidler.ethers.getSigners();
+            await deployments.fixture();
+        });
+
+        it('throws structured errors for failed transactions', async () => {
+            const { address, abi } = await deployments.get('ChargedParticles');
+            const chargedParticles = wrapContract(new ethers.Contract(address, abi, primaryWallet));
+
+            let error;
+            try {
+                await chargedParticles.setupFees(toWei('1'), toWei('1'));
+            } catch (err) {
+                error = err;
+            }
+            debug({code: error.code, message: error.message});
+
+            expect(error).to.be.an.instanceof(ChargedParticlesError);
+            expect(error.code).to.equal('Ownable: caller is not the owner');
+            expect(error.contract).to.equal('Ownable');
+            expect(error.method).to.equal('setupFees');
+            expect(error.fix).to.be.a('string');
+        });
+
+        it('throws structured errors for failed calls', async () => {
+            const { address, abi } = await deployments.get('ChargedParticles');
+            const chargedParticles = wrapContract(new ethers.Contract(address, abi, deployer));
+
+            let error;
+            try {
+                await chargedParticles.callStatic.registerTokenManager(ZERO_ADDRESS);
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error).to.be.an.instanceof(ChargedParticlesError);
+            expect(error.code).to.equal('CP: INVALID_ADDRESS');
+            expect(error.contract).to.equal('ChargedParticles');
+            expect(error.method).to.equal('registerTokenManager');
+        });
+
+        it('throws structured errors from the client', async () => {
+            const deployment = await deployments.all();
+            const client = await chargedParticlesClient({ signer: deployer, deployment });
+            const primaryClient = await chargedParticlesClient({ signer: primaryWallet, deployment });
+
+            const { particleTypeId } = await client.createParticle({
+                name: 'private-particle',
+                uri: 'https://example.com',
+                symbol: 'PRIV',
+                accessType: 2, // Private
+                assetPair: 'chai',
+            });
+
+            let error;
+            try {
+                await primaryClient.mintParticle({typeId: particleTypeId, assetAmount: 0});
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error).to.be.an.instanceof(ChargedParticlesError);
+            expect(error.code).to.equal('CP: CANT_MINT');
+            expect(error.message).to.equal(loadCatalog()['CP: CANT_MINT'].message);
+        });
+    });
+});
@@ -0,0 +1,266 @@
+const {
+    buidler,
+    expect,
+    scenario,
+    withFundedWallets,
+    withParticleType,
+    withMintedParticle,
+    NO_GAS,
+} = require('./util/testEnv');
+
+const {
+    invariantError,
+    runSequence,
+    shrinkSequence,
+    loadSequences,
+    fuzz,
+} = require('./util/fuzz');
+
+const { withGasMargin } = require('../js-utils/client');
+const { toWei } = require('../js-utils/deploy-helpers');
+const { RAY, accrueInterest } = require('../js-utils/dsr-helpers');
+const { getRevertReason } = require('../js-utils/errors');
+const { getUUID } = require('../js-utils/token-ids');
+const { readStorageLayout, readStorageMapping } = require('../js-utils/upgrades');
+
+const debug = require('debug')('EscrowInvariants.test');
+
+const RUNS = Number(process.env.FUZZ_RUNS || 3);
+const STEPS = Number(process.env.FUZZ_STEPS || 20);
+
+const WALLETS = ['creator', 'collector', 'operator'];
+
+const fundedWallets = scenario(
+    withFundedWallets(toWei('1000000'), WALLETS)
+);
+
+// Operations of the sequences and their weights; each step also accrues interest first ("accrue", in ppm)
+const OPERATIONS = {
+    createParticle: 1,
+    mint: 4,
+    energize: 3,
+    discharge: 3,
+    dischargeAmount: 3,
+    overDischarge: 1,
+    release: 2,
+    burn: 1,
+    withdrawFees: 1,
+    setFees: 1,
+};
+
+describe('Escrow Invariants', function () {
+    // Long sequences of transactions, replayed many times when shrinking a failure
+    this.timeout(Math.max(60000, RUNS * STEPS * 5000));
+
+    const { provider } = buidler.ethers;
+    const layout = readStorageLayout(buidler.config.paths.cache, 'ChaiEscrow');
+
+    const _setup = async () => ({ env: await fundedWallets(), types: [], tokens: [] });
+
+    // Transactions moving the Asset Token, with a padded gas estimate
+    const _send = async (contract, method, ...args) => contract[method](...args, await withGasMargin(contract, method, args, NO_GAS));
+
+    const _liveTokens = (state) => state.tokens.map((token, index) => ({ ...token, index })).filter(token => !token.burned);
+
+    const _generate = (random, state) => {
+        const tokens = _liveTokens(state);
+        const available = Object.keys(OPERATIONS).filter((op) => {
+            if (op === 'createParticle') { return state.types.length < 3; }
+            if (op === 'mint') { return state.types.length > 0; }
+            if (['withdrawFees', 'setFees'].includes(op)) { return true; }
+            return tokens.length > 0;
+        });
+        const weighted = [].concat(...available.map(op => Array(OPERATIONS[op]).fill(op)));
+
+        const step = {
+            op: random.pick(weighted),
+            accrue: random.pick([0, 0, random.int(1, 1000), random.int(1000, 50000)]),
+        };
+        switch (step.op) {
+            case 'createParticle':
+                return { ...step, wallet: random.pick(WALLETS) };
+            case 'mint':
+                return { ...step, wallet: random.pick(WALLETS), type: random.int(0, state.types.length - 1), amount: random.magnitude(7, 22).toString() };
+            case 'energize':
+                return { ...step, token: random.pick(tokens).index, amount: random.magnitude(7, 22).toString() };
+            case 'dischargeAmount':
+                return { ...step, token: random.pick(tokens).index, ppm: random.pick([1, 1000000, random.int(1, 1000000)]) };
+            case 'overDischarge':
+                return { ...step, token: random.pick(tokens).index, extra: random.magnitude(1, 18).toString() };
+            case 'withdrawFees':
+                return step;
+            case 'setFees':
+                return { ...step, depositFee: random.pick([0, 1, random.int(0, 1000)]), customFee: random.pick([0, 1, random.int(0, 5000)]) };
+            default:
+                return { ...step, token: random.pick(tokens).index };
+        }
+    };
+
+    // Every operation has an expected outcome: success, or a revert with a known reason
+    const _expectOutcome = async (step, send, expectedRevert) => {
+        let reason;
+        try {
+            await (await send()).wait();
+        } catch (err) {
+            reason = getRevertReason(err) || err.message;
+        }
+        if (reason !== expectedRevert) {
+            const expected = expectedRevert ? `a revert with "${expectedRevert}"` : 'success';
+            throw invariantError(`outcome of ${step.op}`, `expected ${expected}, got ${reason ? `a revert with "${reason}"` : 'success'}`);
+        }
+    };
+
+    const _discharge = async (state, step, token, send) => {
+        const { dai, pot } = state.env.contracts;
+        const receiver = state.env.accounts.receiver;
+        const charge = await state.env.contracts.chargedParticles.callStatic.currentParticleCharge(token.tokenId);
+
+        let amount;
+        let expectedRevert;
+        if (charge.isZero()) {
+            expectedRevert = 'CHE: INSUFF_CHARGE';
+        } else if (step.op === 'overDischarge') {
+            amount = charge.add(step.extra);
+            expectedRevert = 'CHE: INSUFF_BALANCE';
+        } else if (step.op === 'dischargeAmount') {
+            amount = charge.mul(step.ppm).div(1000000);
+        }
+
+        const balance = await dai.balanceOf(receiver);
+        await _expectOutcome(step, () => send(receiver, amount), expectedRevert);
+        const received = (await dai.balanceOf(receiver)).sub(balance);
+
+        // The Interest Token rounds up in favour of the receiver, by less than "chi" in wei
+        const maxRounding = (await pot.chi()).div(RAY).add(1);
+        if (received.gt(charge.add(maxRounding))) {
+            throw invariantError('discharge within the charge', `discharged ${received} of a charge of ${charge} (token ${token.index})`);
+        }
+    };
+
+    const _apply = async (state, step) => {
+        const { env } = state;
+        const { chargedParticles, escrowManager, pot } = env.contracts;
+        const token = state.tokens[step.token];
+        if ((step.token !== undefined && (!token || token.burned)) || (step.type !== undefined && !state.types[step.type])) {
+            return; // Removed by the shrinking of a sequence
+        }
+        if (step.accrue) {
+            await accrueInterest({ pot, rate: step.accrue / 1000000 });
+        }
+
+        const owner = token && env.signers[token.owner];
+        const mass = token && await chargedParticles.baseParticleMass(token.tokenId);
+        switch (step.op) {
+            case 'createParticle':
+                await withParticleType({ creator: step.wallet, as: 'fuzzTypeId' })(env);
+                state.types.push(env.fuzzTypeId);
+                break;
+            case 'mint':
+                env.fuzzTypeId = state.types[step.type];
+                await withMintedParticle(step.wallet, step.amount, { type: 'fuzzTypeId', as: 'fuzzTokenId' })(env);
+                state.tokens.push({
+                    tokenId: env.fuzzTokenId,
+                    uuid: getUUID(chargedParticles.address, env.fuzzTokenId),
+                    owner: step.wallet,
+                    burned: false,
+                });
+                break;
+            case 'energize':
+                await _expectOutcome(step, () => _send(chargedParticles.connect(owner), 'energizeParticle', token.tokenId, step.amount));
+                break;
+            case 'discharge':
+                await _discharge(state, step, token, receiver => _send(chargedParticles.connect(owner), 'dischargeParticle', receiver, token.tokenId));
+                break;
+            case 'dischargeAmount':
+            case 'overDischarge':
+                await _discharge(state, step, token, (receiver, amount) => (
+                    _send(chargedParticles.connect(owner), 'dischargeParticleAmount', receiver, token.tokenId, amount || 1)
+                ));
+                break;
+            case 'release':
+                await _expectOutcome(step, () => (
+                    _send(escrowManager.connect(owner), 'releaseParticle', env.accounts[token.owner], chargedParticles.address, token.tokenId, 'chai')
+                ), mass.isZero() ? 'CPEM: INSUFF_MASS' : undefined);
+                break;
+            case 'burn':
+                await _expectOutcome(step, () => _send(chargedParticles.connect(owner), 'burnParticle', token.tokenId), mass.isZero() ? 'CPEM: INSUFF_MASS' : undefined);
+                token.burned = !mass.isZero();
+                break;
+            case 'withdrawFees':
+                await _expectOutcome(step, () => escrowManager.withdrawContractFees(chargedParticles.address, env.accounts.receiver, 'chai', NO_GAS));
+                break;
+            case 'setFees':
+                await (await escrowManager.setDepositFee(step.depositFee, NO_GAS)).wait();
+                await (await escrowManager.registerContractSettingDepositFee(chargedParticles.address, step.customFee, NO_GAS)).wait();
+                break;
+            default:
+                throw new Error(`Unknown operation "${step.op}"`);
+        }
+    };
+
+    const _check = async (state) => {
+        const { chaiEscrow, chaiNucleus, chargedParticles, escrowManager } = state.env.contracts;
+        const _read = (label, key) => readStorageMapping({ provider, address: chaiEscrow.address, layout, label, key });
+
+        let particles = buidler.ethers.constants.Zero;
+        for (let i = 0; i < state.tokens.length; i++) {
+            const { uuid, burned } = state.tokens[i];
+            const interest = await _read('interestTokenBalance', uuid);
+            particles = particles.add(interest);
+
+            const mass = await _read('assetTokenBalance', uuid);
+            if (burned && !(interest.isZero() && mass.isZero())) {
+                throw invariantError('burned tokens hold no mass', `token ${i} holds a mass of ${mass} and ${interest} Interest Token`);
+            }
+        }
+
+        const fees = (await _read('collectedFees', escrowManager.address)).add(await _read('collectedFees', chargedParticles.address));
+        const balance = await chaiNucleus.callStatic.interestBalance(chaiEscrow.address);
+        if (!particles.add(fees).eq(balance)) {
+            throw invariantError('escrow books balance', `particles ${particles} + fees ${fees} != ${balance} Interest Token held by the Escrow`);
+        }
+    };
+
+    const machine = { setup: _setup, apply: _apply, check: _check };
+
+    it('keeps the escrow books balanced over random sequences', async () => {
+        await fuzz({ name: 'escrow', runs: RUNS, length: STEPS, generate: _generate, ...machine });
+    });
+
+    it('replays the saved failing sequences', async () => {
+        const sequences = loadSequences('escrow');
+        for (let i = 0; i < sequences.length; i++) {
+            const { file, steps } = sequences[i];
+            debug(`Replaying ${file} (${steps.length} steps)`);
+            const { error, index } = await runSequence(machine, steps);
+            expect(error, `${file} fails at step ${index + 1}: ${error && error.message}`).to.equal(undefined);
+        }
+    });
+
+    it('detects unbalanced books and shrinks the failing sequence', async () => {
+        const steps = [
+            { op: 'createParticle', wallet: 'creator' },
+            { op: 'mint', wallet: 'collector', type: 0, amount: toWei('100').toString() },
+            { op: 'withdrawFees', accrue: 1000 },
+            { op: 'mint', wallet: 'operator', type: 0, amount: toWei('5').toString() },
+            { op: 'discharge', token: 0, accrue: 20000 },
+        ];
+
+        // A Particle of the operator missing from the books
+        const untracked = {
+            ...machine,
+            apply: async (state, step) => {
+                await machine.apply(state, step);
+                if (step.op === 'mint' && step.wallet === 'operator') { state.tokens.pop(); }
+            },
+        };
+
+        const { error, index } = await runSequence(untracked, steps);
+        expect(error.invariant).to.equal('escrow books balance');
+        expect(index).to.equal(3);
+
+        const shrunk = await shrinkSequence(untracked, steps, error);
+        expect(shrunk.steps.map(({ op }) => op)).to.deep.equal(['createParticle', 'mint']);
+        expect(shrunk.error.invariant).to.equal('escrow books balance');
+    });
+});
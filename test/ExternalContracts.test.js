@@ -0,0 +1,187 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    buidler,
+    ethers,
+    expect,
+    expectError,
+    scenario,
+    runTaskQuietly,
+    withFundedWallets,
+} = require('./util/testEnv');
+
+const { toWei } = require('../js-utils/deploy-helpers');
+const {
+    checkParticleInterface,
+    parseContractSettings,
+    loadContractSettings,
+    buildContractSettings,
+    readContractSettings,
+    onboardContract,
+} = require('../js-utils/onboarding');
+
+const debug = require('debug')('ExternalContracts.test');
+
+const fundedWallets = scenario(
+    withFundedWallets(toWei('1000'), ['creator', 'collector'])
+);
+
+describe('External Contracts', function () {
+    let env;
+    let escrowManager, dai;
+    let settingsPath;
+
+    // A sample ERC721 contract, owned by its deployer
+    const _deploySample = async (owner = 'deployer') => {
+        const factory = await buidler.ethers.getContractFactory('SampleERC721', env.signers[owner]);
+        const sample = await factory.deploy('Sample Tokens', 'SAMPLE');
+        await sample.deployed();
+        return sample;
+    };
+
+    const _writeSettings = (settings) => fs.writeFileSync(settingsPath, JSON.stringify(settings));
+
+    beforeEach(async () => {
+        env = await fundedWallets();
+        ({ escrowManager, dai } = env.contracts);
+        settingsPath = path.join(os.tmpdir(), `contract-settings-${process.pid}-${Date.now()}.json`);
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(settingsPath)) { fs.unlinkSync(settingsPath); }
+    });
+
+    it('checks the interface of external contracts', async () => {
+        const { provider } = buidler.ethers;
+        const sample = await _deploySample('creator');
+
+        const check = await checkParticleInterface({ provider, address: sample.address });
+        expect(check.isCompliant).to.equal(true);
+        expect(check.standards).to.deep.equal(['ERC721']);
+        expect(check.contractOwner).to.equal(env.accounts.creator);
+
+        // An ERC20 token
+        const erc20 = await checkParticleInterface({ provider, address: dai.address });
+        expect(erc20.isCompliant).to.equal(false);
+        expect(erc20.checks.filter(({ passed }) => !passed).map(({ name }) => name))
+            .to.deep.equal(['ERC721 or ERC1155 (ERC165)', 'contractOwner()', 'ownerOf(uint256)', 'isApprovedForAll(address,address)']);
+
+        const account = await checkParticleInterface({ provider, address: env.accounts.collector });
+        expect(account.isCompliant).to.equal(false);
+        expect(account.checks[0]).to.deep.include({ passed: false, detail: 'no code at the address' });
+
+        expect((await runTaskQuietly('cp:contract:check', { address: sample.address })).isCompliant).to.equal(true);
+    });
+
+    it('onboards a contract and charges its Tokens within the Custom Settings', async () => {
+        const sample = await _deploySample();
+        _writeSettings({ assetPair: 'chai', releaseRequiresBurn: true, depositFee: '1%', minDeposit: '10', maxDeposit: '500' });
+
+        // Nothing is registered in a dry-run
+        await runTaskQuietly('cp:contract:onboard', { address: sample.address, settings: settingsPath, dryRun: true });
+        expect(await escrowManager.isContractRegistered(sample.address)).to.equal(false);
+
+        const { results, settings } = await runTaskQuietly('cp:contract:onboard', { address: sample.address, settings: settingsPath });
+        expect(results.map(({ call }) => call.split('(')[0])).to.deep.equal([
+            'ChargedParticlesEscrowManager.registerContractType',
+            'ChargedParticlesEscrowManager.registerContractSettingAssetPair',
+            'ChargedParticlesEscrowManager.registerContractSettingReleaseBurn',
+            'ChargedParticlesEscrowManager.registerContractSettingDepositFee',
+            'ChargedParticlesEscrowManager.registerContractSettingMinDeposit',
+            'ChargedParticlesEscrowManager.registerContractSettingMaxDeposit',
+        ]);
+        expect(settings).to.deep.equal({
+            address: sample.address,
+            registered: true,
+            contractOwner: env.accounts.deployer,
+            minDeposit: toWei('10').toString(),
+            maxDeposit: toWei('500').toString(),
+            depositFee: (await escrowManager.depositFee()).toString(),
+            customDepositFee: '100',
+        });
+
+        const quote = await runTaskQuietly('cp:contract:settings', { address: sample.address, amount: '100' });
+        expect(quote.fees).to.deep.include({ amount: toWei('100').toString(), customFee: toWei('1').toString() });
+
+        // Registered once only
+        expect((await runTaskQuietly('cp:contract:onboard', { address: sample.address, settings: settingsPath })).results).to.have.lengthOf(5);
+
+        // Tokens of the contract are charged within its settings
+        const { collector } = env.signers;
+        await (await sample.mint(env.accounts.collector, 1)).wait();
+        await (await dai.connect(collector).approve(escrowManager.address, toWei('1000'))).wait();
+        const collectorEscrowManager = escrowManager.connect(collector);
+        await expect(collectorEscrowManager.energizeParticle(sample.address, 1, 'chai', toWei('5')))
+            .to.be.revertedWith('CPEM: INSUFF_DEPOSIT');
+        await expect(collectorEscrowManager.energizeParticle(sample.address, 1, 'chai', toWei('501')))
+            .to.be.revertedWith('CPEM: INSUFF_DEPOSIT');
+
+        await (await collectorEscrowManager.energizeParticle(sample.address, 1, 'chai', toWei('100'))).wait();
+        expect(await escrowManager.baseParticleMass(sample.address, 1, 'chai')).to.equal(toWei('100'));
+
+        // The Contract Owner earns 1% of the deposit
+        await (await escrowManager.withdrawContractFees(sample.address, env.accounts.receiver, 'chai')).wait();
+        const fees = await dai.balanceOf(env.accounts.receiver);
+        expect(fees).to.be.gt(toWei('0.99'));
+        expect(fees).to.be.lte(toWei('1'));
+    });
+
+    it('onboards with the DAO and the Contract Owner in turn', async () => {
+        const sample = await _deploySample('creator');
+        const creatorEscrowManager = escrowManager.connect(env.signers.creator);
+        const options = { address: sample.address, log: debug };
+        const settings = parseContractSettings({ assetPair: 'chai', releaseRequiresBurn: true, depositFee: 50 });
+
+        await expectError(onboardContract({ ...options, escrowManager: creatorEscrowManager, settings }),
+            new RegExp(`^${env.accounts.creator} is not the DAO \\(ROLE_DAO_GOV\\) of ChargedParticlesEscrowManager$`));
+
+        // The DAO registers the contract; only its Owner sets the Custom Settings
+        await expectError(onboardContract({ ...options, escrowManager, settings }),
+            new RegExp(`^${env.accounts.deployer} is not the Contract Owner of ${sample.address}$`));
+        expect(await escrowManager.isContractRegistered(sample.address)).to.equal(true);
+
+        const { settings: effective } = await onboardContract({ ...options, escrowManager: creatorEscrowManager, settings });
+        expect(effective).to.deep.include({ registered: true, contractOwner: env.accounts.creator, customDepositFee: '50' });
+
+        // The Asset Pair is cleared after the Release-Burn
+        const cleared = parseContractSettings({ assetPair: '', releaseRequiresBurn: false });
+        expect(buildContractSettings({ address: sample.address, settings: cleared }).map(({ method }) => method))
+            .to.deep.equal(['registerContractSettingReleaseBurn', 'registerContractSettingAssetPair']);
+        await onboardContract({ ...options, escrowManager: creatorEscrowManager, settings: cleared });
+
+        const reset = parseContractSettings({ depositFee: '0', minDeposit: '0', maxDeposit: '0' });
+        await onboardContract({ ...options, escrowManager: creatorEscrowManager, settings: reset });
+        expect(await readContractSettings({ escrowManager, address: sample.address }))
+            .to.deep.include({ minDeposit: '0', maxDeposit: '0', customDepositFee: '0' });
+    });
+
+    it('refuses contracts without the required interface', async () => {
+        await expectError(runTaskQuietly('cp:contract:onboard', { address: dai.address }),
+            /can not be onboarded; failed checks: ERC721 or ERC1155 \(ERC165\), contractOwner\(\)/);
+        expect(await escrowManager.isContractRegistered(dai.address)).to.equal(false);
+    });
+
+    it('parses the Custom Settings', async () => {
+        expect(parseContractSettings({})).to.deep.equal({});
+        expect(parseContractSettings({ assetPair: 'chai', depositFee: '0.5%', minDeposit: '1', maxDeposit: '2' })).to.deep.equal({
+            assetPair: 'chai',
+            depositFee: 50,
+            minDeposit: toWei('1'),
+            maxDeposit: toWei('2'),
+        });
+
+        expect(() => parseContractSettings({ fee: 1 })).to.throw('Unknown contract settings: fee');
+        expect(() => parseContractSettings({ assetPair: 1 })).to.throw('Invalid "assetPair": 1');
+        expect(() => parseContractSettings({ releaseRequiresBurn: 'yes' })).to.throw('Invalid "releaseRequiresBurn": "yes"');
+        expect(() => parseContractSettings({ assetPair: '', releaseRequiresBurn: true })).to.throw('"releaseRequiresBurn" requires a single "assetPair"');
+        expect(() => parseContractSettings({ depositFee: '51%' })).to.throw('Invalid "depositFee": 51% (at most 5000 basis points)');
+        expect(() => parseContractSettings({ minDeposit: '0.000000000001' })).to.throw('Invalid "minDeposit"');
+        expect(() => parseContractSettings({ minDeposit: '3', maxDeposit: '2' })).to.throw('is above the "maxDeposit" of 2');
+        expect(parseContractSettings({ minDeposit: '3', maxDeposit: '0' }).maxDeposit).to.equal(ethers.constants.Zero);
+
+        fs.writeFileSync(settingsPath, '{ "assetPair": ');
+        expect(() => loadContractSettings(settingsPath)).to.throw(`Invalid settings file ${settingsPath}`);
+    });
+});
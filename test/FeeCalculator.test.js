@@ -0,0 +1,152 @@
+const {
+    expect,
+    scenario,
+    withFundedWallets,
+    withParticleType,
+    NO_GAS,
+} = require('./util/testEnv');
+
+const { forAll } = require('./util/random');
+
+const { withGasMargin } = require('../js-utils/client');
+const { toWei } = require('../js-utils/deploy-helpers');
+const { ChargedParticlesError } = require('../js-utils/errors');
+
+const {
+    MAX_CUSTOM_DEPOSIT_FEE,
+    MIN_DEPOSIT_FEE,
+    RAY,
+    toInterest,
+    toAsset,
+    getFeesForDeposit,
+    getParticleCharge,
+    calculateEnergize,
+    getCreationPrice,
+    quoteMintParticle,
+} = require('../js-utils/fee-calculator');
+
+const debug = require('debug')('FeeCalculator.test');
+
+const RUNS = Number(process.env.PROPERTY_RUNS || 10);
+
+const fundedWallets = scenario(
+    withFundedWallets(toWei('100000000'), ['creator', 'collector'])
+);
+
+describe('Fee Calculator', function () {
+    // Each sample sends its own transactions on the reverted fixture
+    this.timeout(Math.max(20000, RUNS * 5000));
+
+    let env;
+    let chargedParticles, escrowManager, chaiEscrow, chaiNucleus, pot;
+
+    const _load = async () => {
+        env = await fundedWallets();
+        ({ chargedParticles, escrowManager, chaiEscrow, chaiNucleus, pot } = env.contracts);
+    };
+
+    const _setFees = async ({ depositFee, customFee }) => {
+        await (await escrowManager.setDepositFee(depositFee)).wait();
+        await (await escrowManager.registerContractSettingDepositFee(chargedParticles.address, customFee)).wait();
+    };
+
+    // Random Rate Accumulator between 1 and 3 (ray)
+    const _randomChi = (random) => random.bigNumber(RAY, RAY.mul(3));
+
+    // Random fees; the Deposit Fee and the Custom Fee together stay below 100%
+    const _randomFees = (random) => ({
+        depositFee: random.pick([0, 1, 50, random.int(0, 5000)]),
+        customFee: random.pick([0, 1, MAX_CUSTOM_DEPOSIT_FEE.toNumber(), random.int(0, MAX_CUSTOM_DEPOSIT_FEE.toNumber())]),
+    });
+
+    beforeEach(async () => _load());
+
+    it('matches the Deposit Fees of the Escrow Manager', async () => {
+        await forAll(RUNS * 2, random => ({ interestAmount: random.magnitude(1, 30), ..._randomFees(random) }), async (sample) => {
+            const { interestAmount, depositFee, customFee } = sample;
+            await _setFees({ depositFee, customFee });
+
+            const expected = getFeesForDeposit(interestAmount, { depositFee, customFee });
+            const [contractDepositFee, contractCustomFee] = await escrowManager.getFeesForDeposit(chargedParticles.address, interestAmount);
+            expect(contractDepositFee).to.equal(expected.depositFee);
+            expect(contractCustomFee).to.equal(expected.customFee);
+        });
+    });
+
+    it('matches the Chai conversions of the Nucleus', async () => {
+        await forAll(RUNS * 2, random => ({ chi: _randomChi(random), amount: random.magnitude(1, 30) }), async ({ chi, amount }) => {
+            await (await pot.setChi(chi)).wait();
+
+            expect(await chaiNucleus.callStatic.toInterest(amount)).to.equal(toInterest(amount, chi));
+            expect(await chaiNucleus.callStatic.toAsset(amount)).to.equal(toAsset(amount, chi));
+        });
+    });
+
+    it('matches the Creation Price of Types', async () => {
+        await forAll(RUNS, random => ({ createFeeEth: random.magnitude(1, 20), createFeeIon: random.magnitude(1, 24) }), async (sample) => {
+            await (await chargedParticles.setupFees(sample.createFeeEth, sample.createFeeIon)).wait();
+
+            const [particleTypeEth, particleTypeIon] = await chargedParticles.getCreationPrice(true);
+            const [plasmaTypeEth, plasmaTypeIon] = await chargedParticles.getCreationPrice(false);
+            expect(getCreationPrice({ ...sample, isNF: true })).to.deep.equal({ eth: particleTypeEth, ion: particleTypeIon });
+            expect(getCreationPrice({ ...sample, isNF: false })).to.deep.equal({ eth: plasmaTypeEth, ion: plasmaTypeIon });
+        });
+    });
+
+    it('predicts the price, mass and charge of minted Particles', async () => {
+        const sample = random => ({
+            ..._randomFees(random),
+            chi: _randomChi(random),
+            interestRate: random.bigNumber(0, RAY),
+            assetAmount: random.magnitude(7, 26),
+            mintFee: random.pick([0, random.magnitude(1, 18)]),
+            minter: random.pick(['creator', 'collector']),
+        });
+
+        await forAll(RUNS, sample, async ({ depositFee, customFee, chi, interestRate, assetAmount, mintFee, minter }) => {
+            await _load();
+            await _setFees({ depositFee, customFee });
+            await withParticleType({ mintFee })(env);
+            await (await pot.setChi(chi)).wait();
+
+            const quote = quoteMintParticle({ assetAmount, chi, depositFee, customFee, mintFee, isCreator: minter === 'creator' });
+            debug({ quote });
+
+            // Mint with the quoted ETH
+            const signer = env.signers[minter];
+            const params = [env.accounts[minter], env.particleTypeId, assetAmount, '', '0x'];
+            const ethBalance = await signer.getBalance();
+            const escrowInterest = await chaiNucleus.callStatic.interestBalance(chaiEscrow.address);
+            const overrides = await withGasMargin(chargedParticles.connect(signer), 'mintParticle', params, { value: quote.eth, ...NO_GAS });
+            const tokenId = await chargedParticles.connect(signer).callStatic.mintParticle(...params, overrides);
+            await (await chargedParticles.connect(signer).mintParticle(...params, overrides)).wait();
+
+            expect(await signer.getBalance()).to.equal(ethBalance.sub(quote.eth));
+            expect(await chaiNucleus.callStatic.interestBalance(chaiEscrow.address)).to.equal(escrowInterest.add(quote.interestAmount));
+            expect(await chargedParticles.baseParticleMass(tokenId)).to.equal(quote.assetBalance);
+            expect(await chargedParticles.callStatic.currentParticleCharge(tokenId)).to.equal(quote.charge);
+
+            // The Mass (Interest-Token after fees) decides the Charge once interest accrues
+            const newChi = chi.add(chi.mul(interestRate).div(RAY));
+            await (await pot.setChi(newChi)).wait();
+            expect(await chargedParticles.callStatic.currentParticleCharge(tokenId)).to.equal(
+                getParticleCharge({ interestBalance: quote.interestBalance, assetBalance: quote.assetBalance, chi: newChi })
+            );
+        });
+    });
+
+    it('rejects deposits below the minimum balance', async () => {
+        let error;
+        try {
+            calculateEnergize({ assetAmount: MIN_DEPOSIT_FEE.sub(1), chi: RAY });
+        } catch (err) {
+            error = err;
+        }
+        expect(error).to.be.an.instanceof(ChargedParticlesError);
+        expect(error.code).to.equal('CHE: INSUFF_DEPOSIT');
+
+        const { interestMass, assetBalance } = calculateEnergize({ assetAmount: 1, chi: RAY, assetBalance: MIN_DEPOSIT_FEE });
+        expect(interestMass).to.equal(1);
+        expect(assetBalance).to.equal(MIN_DEPOSIT_FEE.add(1));
+    });
+});
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    buidler,
+    expect,
+    scenario,
+    runTaskQuietly,
+    withFundedWallets,
+    withParticleType,
+    withMintedParticle,
+    NO_GAS,
+} = require('./util/testEnv');
+
+const { toWei } = require('../js-utils/deploy-helpers');
+const { accrueInterest } = require('../js-utils/dsr-helpers');
+const { CONTRACT_ID, feeReportToCsv } = require('../js-utils/fee-report');
+
+const mintedParticle = scenario(
+    withFundedWallets(toWei('1000'), ['creator', 'collector']),
+    withParticleType(),
+    withMintedParticle('collector', toWei('100')),
+);
+
+describe('Fee Report', function () {
+    let env;
+    let chargedParticles, escrowManager, dai;
+    let tmpDir;
+
+    // The Fee Report, indexing the events into the temporary directory
+    const _report = (args) => runTaskQuietly('cp:fees', { store: path.join(tmpDir, 'index.json'), ...args });
+
+    const _row = (report, kind, recipient) => report.rows.find(row => row.kind === kind && row.recipient === recipient);
+
+    const _wait = async (promise) => (await promise).wait();
+
+    beforeEach(async () => {
+        env = await mintedParticle();
+        ({ chargedParticles, escrowManager, dai } = env.contracts);
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fee-report-'));
+    });
+
+    afterEach(() => {
+        fs.rmdirSync(tmpDir, { recursive: true });
+    });
+
+    it('reports the outstanding fees of each recipient', async () => {
+        const { creator } = env.accounts;
+        const creationPrice = (await chargedParticles.getCreationPrice(true))._eth;
+        const mintingFee = await chargedParticles.getMintingFee(env.particleTypeId);
+
+        const report = await _report({ check: true });
+        expect(report.reconciliation.map(({ balanced }) => balanced)).to.deep.equal([true, true]);
+
+        const protocol = _row(report, 'protocol', CONTRACT_ID);
+        const creatorFees = _row(report, 'creator', creator);
+        expect(protocol.outstanding.add(creatorFees.outstanding)).to.equal(creationPrice.add(mintingFee));
+        expect(creatorFees.outstanding).to.be.gt(0);
+        expect(creatorFees.withdrawals).to.equal(0);
+
+        // The Deposit Fees of the Protocol are valued in Dai at the rate of the Nucleus
+        const depositFees = _row(report, 'depositFees', escrowManager.address);
+        expect(depositFees).to.include({ assetPairId: 'chai', unit: 'PCHAI' });
+        expect(depositFees.outstanding).to.be.gt(0);
+        expect(depositFees.outstandingValue).to.equal(await env.contracts.chaiNucleus.callStatic.toAsset(depositFees.outstanding));
+        expect(_row(report, 'contract', chargedParticles.address).outstanding).to.equal(0);
+    });
+
+    it('reports the withdrawn fees and exports them', async () => {
+        const { deployer, creator, receiver } = env.accounts;
+        const { pot } = env.contracts;
+
+        await _wait(escrowManager.registerContractSettingDepositFee(chargedParticles.address, 100, NO_GAS));
+        await withMintedParticle('collector', toWei('200'), { as: 'secondTokenId' })(env);
+        await accrueInterest({ pot, rate: 0.1 });
+
+        // Withdrawn by the Creator, the Owner of ChargedParticles and the Contract Owner
+        const ethBefore = await buidler.ethers.provider.getBalance(receiver);
+        await _wait(chargedParticles.connect(env.signers.creator).withdrawCreatorFees(receiver, NO_GAS));
+        await _wait(chargedParticles.withdrawFees(receiver, NO_GAS));
+        const ethReceived = (await buidler.ethers.provider.getBalance(receiver)).sub(ethBefore);
+        await _wait(escrowManager.withdrawContractFees(chargedParticles.address, receiver, 'chai', NO_GAS));
+        const daiReceived = await dai.balanceOf(receiver);
+
+        const jsonPath = path.join(tmpDir, 'fees.json');
+        const csvPath = path.join(tmpDir, 'fees.csv');
+        const report = await _report({ json: jsonPath, csv: csvPath, check: true });
+
+        const protocol = _row(report, 'protocol', CONTRACT_ID);
+        const creatorFees = _row(report, 'creator', creator);
+        expect(protocol).to.deep.include({ outstanding: buidler.ethers.constants.Zero, withdrawals: 1 });
+        expect(creatorFees).to.deep.include({ outstanding: buidler.ethers.constants.Zero, withdrawals: 1 });
+        expect(protocol.withdrawn.add(creatorFees.withdrawn)).to.equal(ethReceived);
+
+        // 1% of the second deposit, paid out in Dai with its 10% interest
+        const contractFees = _row(report, 'contract', chargedParticles.address);
+        expect(contractFees).to.deep.include({ outstanding: buidler.ethers.constants.Zero, withdrawals: 1 });
+        expect(contractFees.withdrawnValue).to.equal(daiReceived);
+        expect(daiReceived.sub(toWei('2.2')).abs()).to.be.lt(1000);
+        expect(report.rows.map(({ recipient }) => recipient)).to.not.include(deployer);
+
+        const exported = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+        expect(exported.blockNumber).to.equal(report.blockNumber);
+        expect(exported.rows.find(row => row.kind === 'contract')).to.deep.include({
+            withdrawn: contractFees.withdrawn.toString(),
+            totalValue: daiReceived.toString(),
+        });
+        expect(exported.reconciliation.every(({ balanced, difference }) => balanced && difference === '0')).to.equal(true);
+
+        const csv = fs.readFileSync(csvPath, 'utf8');
+        expect(csv).to.equal(feeReportToCsv(report));
+        const [header, ...lines] = csv.trim().split('\n');
+        expect(header).to.equal('holder,assetPairId,kind,recipient,unit,outstanding,withdrawn,total,withdrawals,valueUnit,outstandingValue,withdrawnValue,totalValue');
+        expect(lines).to.have.lengthOf(report.rows.length);
+        expect(lines[0]).to.match(new RegExp(`^${chargedParticles.address},,protocol,${CONTRACT_ID},ETH,0.0,`));
+    });
+
+    it('flags fees that do not reconcile', async () => {
+        // Types created before the first indexed block are missing from the report, and so are the fees of their Creators
+        const startBlock = (await buidler.ethers.provider.getBlock('latest')).number + 1;
+        const report = await _report({ startBlock });
+        const [eth, escrow] = report.reconciliation;
+        expect(eth.balanced).to.equal(false);
+        expect(eth.difference).to.equal(await chargedParticles.getMintingFee(env.particleTypeId));
+        expect(escrow.balanced).to.equal(false);
+
+        let error;
+        try {
+            await _report({ startBlock, check: true });
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.match(/^Fees do not reconcile: ETH held by ChargedParticles/);
+    });
+});
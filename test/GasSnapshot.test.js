@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    buidler,
+    expect,
+    expectError,
+    runTaskQuietly,
+} = require('./util/testEnv');
+
+const {
+    gasOperations,
+    loadGasSnapshot,
+    compareGasSnapshots,
+    estimateCost,
+} = require('../js-utils/gas-snapshot');
+
+describe('Gas Snapshot', function () {
+    this.timeout(120000);
+
+    const _snapshot = (gas) => ({
+        operations: Object.keys(gas).reduce((ops, name) => ({ ...ops, [name]: { description: name, gasUsed: gas[name] } }), {}),
+    });
+
+    it('records every Protocol Operation', async () => {
+        const snapshot = loadGasSnapshot();
+        expect(Object.keys(snapshot.operations)).to.deep.equal(gasOperations.map(({ name }) => name));
+        expect(snapshot.compiler.version).to.equal(buidler.config.solc.version);
+        Object.values(snapshot.operations).forEach(({ description, gasUsed }) => {
+            expect(description).to.be.a('string');
+            expect(gasUsed).to.be.gt(21000);
+        });
+    });
+
+    it('does not regress from the recorded snapshot', async () => {
+        await runTaskQuietly('cp:gas', { check: true });
+    });
+
+    it('fails on regressions beyond the threshold', async () => {
+        const snapshotPath = path.join(os.tmpdir(), `gas-snapshot-${process.pid}-${Date.now()}.json`);
+        const snapshot = loadGasSnapshot();
+        snapshot.operations.mintParticle.gasUsed = Math.floor(snapshot.operations.mintParticle.gasUsed * 0.95);
+        fs.writeFileSync(snapshotPath, JSON.stringify(snapshot));
+        try {
+            await expectError(runTaskQuietly('cp:gas', { check: true, snapshot: snapshotPath }), /Gas regressed beyond 1% for: mintParticle$/);
+            await runTaskQuietly('cp:gas', { check: true, snapshot: snapshotPath, threshold: 10 });
+
+            // Rewritten without --check
+            await runTaskQuietly('cp:gas', { snapshot: snapshotPath });
+            expect(loadGasSnapshot(snapshotPath).operations.mintParticle.gasUsed).to.be.gt(snapshot.operations.mintParticle.gasUsed);
+        } finally {
+            fs.unlinkSync(snapshotPath);
+        }
+    });
+
+    it('compares snapshots', () => {
+        const previous = _snapshot({ mintParticle: 1000, burnParticle: 2000, removed: 100 });
+        const current = _snapshot({ mintParticle: 1011, burnParticle: 1900, added: 300 });
+
+        const { changes, regressions, added, removed } = compareGasSnapshots(previous, current, 1);
+        expect(changes).to.deep.equal([
+            { name: 'mintParticle', previous: 1000, current: 1011, change: 1.1 },
+            { name: 'burnParticle', previous: 2000, current: 1900, change: -5 },
+        ]);
+        expect(regressions).to.deep.equal(['mintParticle']);
+        expect(added).to.deep.equal(['added']);
+        expect(removed).to.deep.equal(['removed']);
+
+        expect(compareGasSnapshots(previous, current, 2).regressions).to.deep.equal([]);
+        expect(compareGasSnapshots({}, current).added).to.deep.equal(['mintParticle', 'burnParticle', 'added']);
+    });
+
+    it('estimates the cost of an operation', () => {
+        const snapshot = _snapshot({ mintParticle: 500000 });
+        expect(estimateCost('mintParticle', 20e9, snapshot).toString()).to.equal('10000000000000000');
+        expect(() => estimateCost('unknown', 20e9, snapshot)).to.throw('Unknown operation "unknown"');
+
+        const { gasUsed } = loadGasSnapshot().operations.createParticle;
+        expect(estimateCost('createParticle', 1)).to.equal(gasUsed);
+    });
+});
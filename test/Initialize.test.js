@@ -0,0 +1,146 @@
+const {
+    buidler,
+    deployments,
+    expect,
+} = require('./util/testEnv');
+
+const {
+    contractManager,
+    presets,
+    resolveAssetToken,
+} = require('../js-utils/deploy-helpers');
+
+const { runSteps } = require('../js-utils/deploy-steps');
+
+const initialize = require('../deploy/initialize');
+
+const debug = require('debug')('Initialize.test');
+
+describe('Contract Initialization', function () {
+    let chargedParticles, escrowManager, chaiEscrow;
+
+    const _latestBlock = async () => (await buidler.ethers.provider.getBlock('latest')).number;
+
+    beforeEach(async () => {
+        await deployments.fixture();
+
+        chargedParticles = await contractManager(buidler)('ChargedParticles');
+        escrowManager = await contractManager(buidler)('ChargedParticlesEscrowManager');
+        chaiEscrow = await contractManager(buidler)('ChaiEscrow');
+    });
+
+    afterEach(() => {
+        delete process.env.DRY_RUN;
+    });
+
+    it('sends no transactions when re-run on an initialized deployment', async () => {
+        const blockNumber = await _latestBlock();
+
+        await initialize(buidler);
+
+        expect(await _latestBlock()).to.equal(blockNumber);
+        expect(await escrowManager.getAssetPairsCount()).to.equal(1);
+    });
+
+    it('only applies the steps that drifted', async () => {
+        await escrowManager.setDepositFee(100);
+        await chargedParticles.setPausedState(true);
+        const blockNumber = await _latestBlock();
+
+        await initialize(buidler);
+
+        expect(await _latestBlock()).to.equal(blockNumber + 2);
+        expect(await escrowManager.depositFee()).to.equal(presets.EscrowManager.fees.deposit);
+        expect(await chargedParticles.isPaused()).to.equal(false);
+    });
+
+    it('prints the plan without sending transactions in dry-run mode', async () => {
+        await escrowManager.setDepositFee(100);
+        const blockNumber = await _latestBlock();
+
+        process.env.DRY_RUN = 'true';
+        await initialize(buidler);
+
+        expect(await _latestBlock()).to.equal(blockNumber);
+        expect(await escrowManager.depositFee()).to.equal(100);
+    });
+
+    it('deploys and registers every asset pair in the presets', async () => {
+        expect(await escrowManager.getAssetPairsCount()).to.equal(presets.assetPairs.length);
+
+        for (let i = 0; i < presets.assetPairs.length; i++) {
+            const assetPair = presets.assetPairs[i];
+            const escrow = await deployments.get(assetPair.escrow);
+            const nucleus = await deployments.get(assetPair.nucleus);
+            const mockToken = await deployments.get(assetPair.assetToken.mock);
+
+            expect(await resolveAssetToken(buidler, assetPair)).to.equal(mockToken.address);
+            expect(await escrowManager.getAssetTokenEscrow(assetPair.id)).to.equal(escrow.address);
+            expect(await escrowManager.getAssetTokenAddress(assetPair.id)).to.equal(mockToken.address);
+            expect(await escrowManager.getInterestTokenAddress(assetPair.id)).to.equal(nucleus.address);
+        }
+    });
+
+    it('fails on a Nucleus connected to other MakerDAO contracts than expected', async () => {
+        const { deployer } = await buidler.getNamedAccounts();
+        const vat = await deployments.get('MockVat');
+        const daiJoin = await deployments.get('MockDaiJoin');
+        const dai = await deployments.get('Dai');
+
+        // A new Nucleus, connected to the wrong Pot
+        await deployments.deploy('WrongNucleus', { contractName: 'ChaiNucleusMock', from: deployer });
+        await deployments.save('ChaiNucleus', await deployments.get('WrongNucleus'));
+        const nucleus = await contractManager(buidler)('ChaiNucleus');
+        await nucleus.initCustom(vat.address, dai.address, daiJoin.address, dai.address);
+
+        let error;
+        try {
+            await initialize(buidler);
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.match(new RegExp(`^ChaiNucleus at ${nucleus.address} is connected to other contracts than expected on BuidlerEVM`));
+        expect(await nucleus.pot()).to.equal(dai.address);
+    });
+
+    it('requires an asset token address for asset pairs without a mock', async () => {
+        const assetPair = {id: 'test', assetToken: {addresses: {}}};
+
+        let error;
+        try {
+            await resolveAssetToken(buidler, assetPair);
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.equal('No Asset Token configured for Asset Pair "test" on BuidlerEVM');
+    });
+
+    it('does not duplicate a re-registered asset pair', async () => {
+        await escrowManager.registerAssetPair('chai', chaiEscrow.address);
+
+        expect(await escrowManager.getAssetPairsCount()).to.equal(1);
+        expect(await escrowManager.getAssetTokenEscrow('chai')).to.equal(chaiEscrow.address);
+    });
+
+    it('fails a step whose transaction does not apply the expected state', async () => {
+        const logs = [];
+        const steps = [{
+            name: 'ChaiEscrow: unpause',
+            read: () => chaiEscrow.isPaused(),
+            expected: true,
+            execute: () => chaiEscrow.setPausedState(false),
+        }];
+
+        const { plan } = await runSteps(steps, { dryRun: true, log: (msg) => logs.push(msg) });
+        debug(logs);
+        expect(plan).to.deep.equal([{name: 'ChaiEscrow: unpause', current: false, expected: true, applied: false}]);
+
+        let error;
+        try {
+            await runSteps(steps, { log: () => {} });
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.equal('Step "ChaiEscrow: unpause" did not apply: false => true');
+    });
+});
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    buidler,
+    ethers,
+    expect,
+    expectError,
+    scenario,
+    isFork,
+    withFundedWallets,
+    withParticleType,
+    withMintedParticle,
+    DEPOSIT_FEE_MODIFIER,
+} = require('./util/testEnv');
+
+const { presets, toWei } = require('../js-utils/deploy-helpers');
+const { RAY, SECONDS_PER_YEAR, annualRateToDsr } = require('../js-utils/dsr-helpers');
+const {
+    MAKER_MAINNET,
+    forkCache,
+    startFork,
+    findDaiHolder,
+    fundWithDai,
+    rpow,
+    expectedChi,
+    accrueDsr,
+} = require('../js-utils/mainnet-fork');
+
+const debug = require('debug')('MainnetFork.test');
+
+// The in-memory chain standing in for Mainnet, and the port of its fork
+const REMOTE_MNEMONIC = 'remote remote remote remote remote remote remote remote remote remote remote remote';
+const FORK_PORT = 8547;
+
+const assetAmount = toWei('100');
+
+describe('Mainnet Fork', function () {
+    describe('fork cache', function () {
+        // Forks are slow to start
+        this.timeout(120000);
+
+        let remote, dai, holder, blockNumber, cachePath;
+
+        before(async () => {
+            const ganache = require('ganache-core');
+            remote = new ethers.providers.Web3Provider(ganache.provider({ mnemonic: REMOTE_MNEMONIC, gasLimit: 20000000, logger: { log: () => {} } }));
+            holder = await remote.getSigner(1).getAddress();
+
+            // A Dai Holder, with a few blocks after the Transfer
+            dai = await (await buidler.ethers.getContractFactory('Dai', remote.getSigner(0))).deploy();
+            await (await dai.mint(holder, toWei('5000'))).wait();
+            await (await dai.mint(await remote.getSigner(2).getAddress(), toWei('10'))).wait();
+            await remote.send('evm_mine', []);
+
+            blockNumber = (await remote.getBlock('latest')).number;
+            cachePath = path.join(os.tmpdir(), `mainnet-fork-${process.pid}-${Date.now()}.json`);
+        });
+
+        after(() => {
+            if (fs.existsSync(cachePath)) { fs.unlinkSync(cachePath); }
+        });
+
+        // Funds the first account of the fork with the Dai of the Holder
+        const _fundFirstAccount = async (fork) => {
+            const mainnet = new ethers.providers.Web3Provider(fork.cache);
+            expect(await findDaiHolder({ provider: mainnet, blockNumber, daiAddress: dai.address })).to.equal(holder);
+
+            const [wallet] = await fork.provider.listAccounts();
+            await fundWithDai({ provider: fork.provider, holder, wallets: [wallet], amount: toWei('1000'), daiAddress: dai.address });
+
+            const forkedDai = dai.connect(fork.provider);
+            expect(await forkedDai.balanceOf(wallet)).to.equal(toWei('1000'));
+            expect(await forkedDai.balanceOf(holder)).to.equal(toWei('4000'));
+            return wallet;
+        };
+
+        it('records the Mainnet state and replays it offline', async () => {
+            let fork = await startFork({ blockNumber, cachePath, provider: remote, port: FORK_PORT });
+            let recorded;
+            try {
+                expect(fork.cache.isOffline).to.equal(false);
+                const wallet = await _fundFirstAccount(fork);
+
+                // Mainnet is unchanged
+                expect(await dai.balanceOf(wallet)).to.equal(0);
+            } finally {
+                recorded = await fork.close();
+            }
+            debug({ recorded });
+            expect(recorded).to.be.gt(0);
+            expect(fs.existsSync(cachePath)).to.equal(true);
+
+            fork = await startFork({ blockNumber, cachePath, port: FORK_PORT });
+            try {
+                expect(fork.cache.isOffline).to.equal(true);
+                await _fundFirstAccount(fork);
+                expect(await fork.provider.send('eth_chainId', [])).to.equal('0x1');
+            } finally {
+                recorded = await fork.close();
+            }
+            expect(recorded).to.equal(0);
+        });
+
+        it('fails on the Mainnet state not recorded', async () => {
+            const cache = forkCache({ cachePath });
+            await expectError(cache.read('eth_getBalance', [holder, '0x1']), /"eth_getBalance" is not in the fork cache .*; set MAINNET_FORK_URL to record it/);
+            await expectError(startFork({ cachePath, port: FORK_PORT }), /A fork block number is required/);
+
+            await expectError(findDaiHolder({ provider: remote, blockNumber, minBalance: toWei('5000'), daiAddress: dai.address }), /No Dai holder found/);
+            await expectError(
+                fundWithDai({ provider: remote, holder, wallets: [holder, holder], amount: toWei('3000'), daiAddress: dai.address }),
+                /only has 5000\.0 Dai/
+            );
+        });
+    });
+
+    describe('Dai Savings Rate math', () => {
+        it('computes "rpow" like the Pot', () => {
+            const dsr = annualRateToDsr(0.05);
+            expect(rpow(dsr, 0)).to.equal(RAY);
+            expect(rpow(dsr, 1)).to.equal(dsr);
+            expect(rpow(dsr, 2)).to.equal(dsr.mul(dsr).add(RAY.div(2)).div(RAY));
+            expect(rpow(RAY, SECONDS_PER_YEAR)).to.equal(RAY);
+
+            // A year of accrual at 5%
+            const chi = expectedChi({ chi: RAY, dsr, seconds: SECONDS_PER_YEAR });
+            expect(chi.sub(toWei('1.05').mul(1e9)).abs()).to.be.lt(RAY.div(1e9));
+        });
+    });
+
+    // Only on a fork of Mainnet: yarn test-fork (which also runs test/ParticleLifecycle.test.js on the fork)
+    (isFork() ? describe : describe.skip)('MakerDAO on Mainnet (integration)', () => {
+        const mintedParticle = scenario(
+            withFundedWallets(toWei('1000'), ['creator', 'collector']),
+            withParticleType(),
+            withMintedParticle('collector', assetAmount)
+        );
+
+        let env;
+        let tokenId;
+        let dai, pot, chargedParticles, chaiEscrow, chaiNucleus;
+
+        beforeEach(async () => {
+            env = await mintedParticle();
+            ({ tokenId } = env);
+            ({ dai, pot, chargedParticles, chaiEscrow, chaiNucleus } = env.contracts);
+        });
+
+        const _depositAfterFees = (amount) => amount.sub(amount.mul(presets.EscrowManager.fees.deposit).div(DEPOSIT_FEE_MODIFIER));
+
+        it('deploys on the real MakerDAO contracts', async () => {
+            expect(await chaiNucleus.vat()).to.equal(MAKER_MAINNET.vat);
+            expect(await chaiNucleus.pot()).to.equal(MAKER_MAINNET.pot);
+            expect(await chaiNucleus.daiJoin()).to.equal(MAKER_MAINNET.daiJoin);
+            expect(await chaiNucleus.daiToken()).to.equal(MAKER_MAINNET.dai);
+            expect(await chaiEscrow.getAssetTokenAddress()).to.equal(MAKER_MAINNET.dai);
+
+            expect(await dai.balanceOf(env.accounts.collector)).to.equal(toWei('900'));
+            expect(await chargedParticles.baseParticleMass(tokenId)).to.equal(assetAmount);
+            expect(await pot.dsr()).to.be.gt(RAY);
+        });
+
+        it('accrues the real Dai Savings Rate', async () => {
+            const { chi, previousChi, dsr, seconds } = await accrueDsr({ provider: buidler.ethers.provider, pot, seconds: SECONDS_PER_YEAR });
+            debug({ chi: chi.toString(), dsr: dsr.toString(), seconds });
+            expect(chi).to.equal(expectedChi({ chi: previousChi, dsr, seconds }));
+
+            // The Particle was energized at the previous Rate Accumulator
+            const charge = await chargedParticles.callStatic.currentParticleCharge(tokenId);
+            const expectedCharge = _depositAfterFees(assetAmount).mul(chi).div(previousChi).sub(assetAmount);
+            debug({ charge: charge.toString(), expectedCharge: expectedCharge.toString() });
+            expect(charge).to.be.gt(0);
+            expect(charge.sub(expectedCharge).abs()).to.be.lt(toWei('0.000000001'));
+        });
+    });
+});
@@ -0,0 +1,184 @@
+const {
+    ethers,
+    expect,
+    expectClientError,
+    scenario,
+    withFundedWallets,
+    withIons,
+    withParticleType,
+    withMintedParticle,
+    DEFAULT_PARTICLE: particle,
+} = require('./util/testEnv');
+
+const { toWei } = require('../js-utils/deploy-helpers');
+const { accrueInterest } = require('../js-utils/dsr-helpers');
+const { chargedParticlesClient } = require('../js-utils/client');
+
+const {
+    buildRelayRequest,
+    getRelayRequestDigest,
+    signRelayRequest,
+} = require('../js-utils/meta-tx');
+
+const debug = require('debug')('MetaTransactions.test');
+
+const assetAmount = toWei('100');
+
+const ionHolder = scenario(
+    withFundedWallets(toWei('1000'), ['creator', 'collector']),
+    withIons({ creator: toWei('10') })
+);
+
+// A Type that can be minted without ETH, and a Particle owned by the Collector
+const freeParticle = scenario(
+    withFundedWallets(toWei('1000'), ['creator', 'collector']),
+    withParticleType({ mintFee: 0 }),
+    withMintedParticle('collector', assetAmount)
+);
+
+describe('Meta-Transactions (Trusted Forwarder)', function () {
+    let env;
+    let chargedParticles, tokenManager, forwarder, dai, pot;
+
+    const _relayedClient = (signerName) => chargedParticlesClient({
+        signer: env.signers[signerName],
+        relayer: env.signers.relayer,
+        deployment: env.deployment,
+    });
+
+    const _load = async (fixture) => {
+        env = await fixture();
+        ({ chargedParticles, tokenManager, forwarder, dai, pot } = env.contracts);
+    };
+
+    it('uses the local forwarder as the Trusted Forwarder', async () => {
+        await _load(ionHolder);
+        expect(await chargedParticles.getTrustedForwarder()).to.equal(forwarder.address);
+    });
+
+    describe('signing', () => {
+        let request;
+
+        beforeEach(async () => {
+            await _load(ionHolder);
+            request = buildRelayRequest({
+                from: env.accounts.creator,
+                target: chargedParticles.address,
+                encodedFunction: chargedParticles.interface.encodeFunctionData('setPausedState', [true]),
+                nonce: 0,
+            });
+        });
+
+        it('matches the digest of the forwarder', async () => {
+            expect(getRelayRequestDigest(forwarder.address, request)).to.equal(await forwarder.getDigest(request));
+        });
+
+        it('signs with JSON-RPC signers and wallets', async () => {
+            // JSON-RPC (BuidlerEVM account)
+            const signature = await signRelayRequest(env.signers.creator, forwarder.address, request);
+            await forwarder.verify(request, signature);
+
+            // Wallet
+            const wallet = ethers.Wallet.createRandom();
+            const walletRequest = { ...request, relayData: { ...request.relayData, senderAddress: wallet.address } };
+            await forwarder.verify(walletRequest, await signRelayRequest(wallet, forwarder.address, walletRequest));
+
+            // Signed by someone else
+            await expect(forwarder.connect(env.signers.relayer).verifyAndCall(walletRequest, signature))
+                .to.be.revertedWith('signature mismatch');
+        });
+
+        it('rejects replayed requests', async () => {
+            const signature = await signRelayRequest(env.signers.creator, forwarder.address, request);
+            await forwarder.connect(env.signers.relayer).verifyAndCall(request, signature);
+            expect(await forwarder.getNonce(env.accounts.creator)).to.equal(1);
+
+            await expect(forwarder.connect(env.signers.relayer).verifyAndCall(request, signature))
+                .to.be.revertedWith('nonce mismatch');
+        });
+    });
+
+    describe('relayed calls', () => {
+        it('creates a Type owned by the signer, paid for in IONs', async () => {
+            await _load(ionHolder);
+            const { creator, relayer } = env.signers;
+            const creatorEth = await creator.getBalance();
+            const relayerEth = await relayer.getBalance();
+
+            const client = await _relayedClient('creator');
+            const { particleTypeId } = await client.createParticle({ ...particle, payWithIons: true });
+            debug({particleTypeId: particleTypeId.toHexString()});
+
+            expect(await chargedParticles.getTypeCreator(particleTypeId)).to.equal(env.accounts.creator);
+            expect(await tokenManager.balanceOf(env.accounts.creator, env.ionTokenId)).to.be.lt(toWei('10'));
+
+            // Gasless for the signer
+            expect(await creator.getBalance()).to.equal(creatorEth);
+            expect(await relayer.getBalance()).to.be.lt(relayerEth);
+
+            // ETH can not be relayed
+            let error;
+            try {
+                await client.createParticle({ ...particle, payWithIons: false });
+            } catch (err) {
+                error = err;
+            }
+            expect(error.message).to.match(/can not be sent with a relayed transaction/);
+        });
+
+        it('credits the creator fees of a relayed Type to the signer', async () => {
+            await _load(ionHolder);
+            const client = await _relayedClient('creator');
+            const { particleTypeId } = await client.createParticle({ ...particle, payWithIons: true });
+
+            const collectorClient = await chargedParticlesClient({ signer: env.signers.collector, deployment: env.deployment });
+            await collectorClient.mintParticle({ typeId: particleTypeId, assetAmount });
+
+            const creatorEth = await env.signers.creator.getBalance();
+            await chargedParticles.connect(env.signers.creator).withdrawCreatorFees(env.accounts.creator, { gasPrice: 0 });
+            expect(await env.signers.creator.getBalance()).to.equal(creatorEth.add(particle.mintFee));
+
+            await expect(chargedParticles.connect(env.signers.relayer).withdrawCreatorFees(env.accounts.relayer))
+                .to.be.revertedWith('CP: INSUFF_BALANCE');
+        });
+
+        it('mints and energizes a Particle owned by the signer', async () => {
+            await _load(freeParticle);
+            const collectorEth = await env.signers.collector.getBalance();
+            const collectorDai = await dai.balanceOf(env.accounts.collector);
+
+            const client = await _relayedClient('collector');
+            const { tokenId, receipt } = await client.mintParticle({ typeId: env.particleTypeId, assetAmount });
+
+            const minted = receipt.logs
+                .filter(log => log.address === chargedParticles.address)
+                .map(log => chargedParticles.interface.parseLog(log))
+                .find(log => log.name === 'ParticleMinted');
+            expect(minted.args[0]).to.equal(env.accounts.collector); // _sender
+
+            expect(await tokenManager.ownerOf(tokenId)).to.equal(env.accounts.collector);
+            expect(await chargedParticles.baseParticleMass(tokenId)).to.equal(assetAmount);
+
+            await client.energizeParticle({ tokenId, assetAmount });
+            expect(await chargedParticles.baseParticleMass(tokenId)).to.equal(assetAmount.mul(2));
+
+            expect(await dai.balanceOf(env.accounts.collector)).to.equal(collectorDai.sub(assetAmount.mul(2)));
+            expect(await env.signers.collector.getBalance()).to.equal(collectorEth);
+        });
+
+        it('discharges as the signer, not the relayer', async () => {
+            await _load(freeParticle);
+            await accrueInterest({ pot, rate: 0.1 });
+            const { tokenId } = env;
+
+            // The Relayer is not the Owner; the Owner signs
+            const charge = await chargedParticles.callStatic.currentParticleCharge(tokenId);
+            const collectorDai = await dai.balanceOf(env.accounts.collector);
+            await (await _relayedClient('collector')).dischargeParticle({ tokenId });
+            expect((await dai.balanceOf(env.accounts.collector)).sub(collectorDai).sub(charge).abs()).to.be.lte(2);
+
+            // The Relayer relaying for a stranger gains no access
+            await expectClientError((await _relayedClient('operator')).dischargeParticle({ tokenId }), 'CP: NOT_OPERATOR');
+        });
+    });
+});
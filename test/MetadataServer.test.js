@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const {
+    buidler,
+    expect,
+    scenario,
+    withFundedWallets,
+    withParticleType,
+    withPlasmaType,
+    withMintedParticle,
+    DEFAULT_PLASMA: plasma,
+} = require('./util/testEnv');
+
+const { toWei } = require('../js-utils/deploy-helpers');
+const { accrueInterest } = require('../js-utils/dsr-helpers');
+const { encodeTokenId, toUriId } = require('../js-utils/token-ids');
+const { metadataDirectory, metadataService, metadataServer } = require('../js-utils/metadata');
+
+const debug = require('debug')('MetadataServer.test');
+
+const particles = scenario(
+    withFundedWallets(toWei('1000'), ['creator', 'collector']),
+    withParticleType(),
+    withPlasmaType(),
+    withMintedParticle('collector', toWei('100'))
+);
+
+describe('Metadata Server', function () {
+    let env;
+    let staticDir, server;
+    const provider = buidler.ethers.provider;
+
+    // The Reader caches per block, so a new Service is used after reverting to the fixture
+    beforeEach(async () => {
+        env = await particles();
+        staticDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-'));
+        const service = metadataService({ provider, deployment: env.deployment, staticMetadata: metadataDirectory(staticDir) });
+        server = metadataServer({ service });
+        await new Promise(resolve => server.listen(0, resolve));
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmdirSync(staticDir, { recursive: true });
+    });
+
+    const _writeStatic = (id, metadata) => fs.writeFileSync(path.join(staticDir, `${toUriId(id)}.json`), JSON.stringify(metadata));
+
+    const _request = (urlPath, method = 'GET') => new Promise((resolve, reject) => {
+        const req = http.request({ port: server.address().port, path: urlPath, method }, (res) => {
+            let body = '';
+            res.on('data', (chunk) => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(body) }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+
+    const _attribute = (metadata, trait) => (metadata.attributes.find(({ trait_type: name }) => name === trait) || {}).value;
+
+    it('merges the static metadata of a Particle with its live values', async () => {
+        const { tokenId, particleTypeId } = env;
+        _writeStatic(particleTypeId, {
+            name: 'Blue Particles',
+            description: 'Particles of the Blue collection',
+            image: 'https://example.com/images/{id}.png',
+            attributes: [{ trait_type: 'Color', value: 'blue' }, { trait_type: 'Base Mass', value: 1 }],
+        });
+        _writeStatic(tokenId, { name: 'Blue #1' });
+
+        const { status, headers, body: metadata } = await _request(`/metadata/${toUriId(tokenId)}.json`);
+        debug(metadata);
+        expect(status).to.equal(200);
+        expect(headers['content-type']).to.equal('application/json');
+        expect(metadata.name).to.equal('Blue #1');
+        expect(metadata.description).to.equal('Particles of the Blue collection');
+        expect(metadata.image).to.equal(`https://example.com/images/${toUriId(tokenId)}.png`);
+
+        expect(metadata.attributes).to.deep.include({ trait_type: 'Color', value: 'blue' });
+        expect(metadata.attributes.filter(({ trait_type: name }) => name === 'Base Mass')).to.have.lengthOf(1);
+        expect(_attribute(metadata, 'Base Mass')).to.equal(100);
+        expect(_attribute(metadata, 'Current Charge')).to.equal(0);
+        expect(_attribute(metadata, 'Asset Pair')).to.equal('chai');
+        expect(_attribute(metadata, 'Series Number')).to.equal(1);
+        expect(_attribute(metadata, 'Total Minted')).to.equal(1);
+        expect(_attribute(metadata, 'Max Supply')).to.equal(0);
+        expect(_attribute(metadata, 'Creator')).to.equal(env.accounts.creator);
+
+        expect(metadata.properties).to.deep.include({
+            kind: 'particle',
+            tokenId: tokenId.toString(),
+            typeId: particleTypeId.toString(),
+            owner: env.accounts.collector,
+            series: '1',
+            mass: toWei('100').toString(),
+            charge: '0',
+        });
+
+        // The charge is live
+        await accrueInterest({ pot: env.contracts.pot, rate: 0.1 });
+        const { body: charged } = await _request(`/metadata/${toUriId(tokenId)}.json`);
+        expect(_attribute(charged, 'Current Charge')).to.be.gt(9);
+        expect(charged.properties.blockNumber).to.equal(metadata.properties.blockNumber + 1);
+    });
+
+    it('serves the metadata of Particle and Plasma Types', async () => {
+        const { body: particleType } = await _request(`/metadata/${env.particleTypeId.toString()}`);
+        expect(particleType.name).to.match(/^Particle Type #\d+$/);
+        expect(particleType.description).to.equal('');
+        expect(particleType.properties).to.deep.include({ kind: 'particle', assetPair: 'chai', totalMinted: '1', creator: env.accounts.creator });
+        expect(_attribute(particleType, 'Series Number')).to.equal(undefined);
+
+        const { body: plasmaType } = await _request(`/metadata/${env.plasmaTypeId.toHexString()}.json`);
+        expect(plasmaType.name).to.match(/^Plasma Type #\d+$/);
+        expect(plasmaType.properties).to.deep.include({ kind: 'plasma', maxSupply: String(plasma.maxSupply), totalMinted: String(plasma.initialMint) });
+        expect(plasmaType.properties.assetPair).to.equal(undefined);
+        expect(_attribute(plasmaType, 'Asset Pair')).to.equal(undefined);
+    });
+
+    it('caches the reads per block', async () => {
+        const call = provider.call;
+        let count = 0;
+        provider.call = (...args) => {
+            count++;
+            return call.apply(provider, args);
+        };
+        try {
+            const metadataPath = `/metadata/${toUriId(env.tokenId)}.json`;
+            await _request(metadataPath);
+            expect(count).to.equal(2); // The Type, then the Particle
+            await _request(metadataPath);
+            await _request(`/metadata/${toUriId(env.particleTypeId)}.json`);
+            expect(count).to.equal(2);
+
+            await (await env.contracts.escrowManager.connect(env.signers.collector)
+                .setDischargeApproval(env.contracts.chargedParticles.address, env.tokenId, env.accounts.operator)).wait();
+            await _request(metadataPath);
+            expect(count).to.equal(4);
+        } finally {
+            provider.call = call;
+        }
+    });
+
+    it('rejects unknown and invalid IDs', async () => {
+        const unmintedTokenId = encodeTokenId(env.particleTypeId, 2);
+        expect((await _request(`/metadata/${toUriId(unmintedTokenId)}.json`)).body)
+            .to.deep.equal({ error: `Unknown Type or Token: ${toUriId(unmintedTokenId)}` });
+        expect((await _request(`/metadata/${toUriId(unmintedTokenId)}.json`)).status).to.equal(404);
+        expect((await _request(`/metadata/${toUriId(env.particleTypeId.add(2))}.json`)).status).to.equal(404);
+
+        const invalid = await _request('/metadata/xyz.json');
+        expect(invalid.status).to.equal(400);
+        expect(invalid.body).to.deep.equal({ error: 'Invalid Token ID: xyz' });
+
+        expect((await _request('/other/1.json')).status).to.equal(404);
+        expect((await _request(`/metadata/${toUriId(env.tokenId)}.json`, 'POST')).status).to.equal(405);
+    });
+});
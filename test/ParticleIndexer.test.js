@@ -0,0 +1,173 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    buidler,
+    deployments,
+    ethers,
+    expect,
+    EMPTY_STR,
+} = require('./util/testEnv');
+
+const {
+    toWei,
+} = require('../js-utils/deploy-helpers');
+
+const {
+    memoryStore,
+    jsonFileStore,
+    buildState,
+    particleIndexer,
+} = require('../js-utils/indexer');
+
+const { chargedParticlesClient } = require('../js-utils/client');
+
+const debug = require('debug')('ParticleIndexer.test');
+
+const particle = {
+    name: 'test-particle',
+    uri: 'https://example.com/particle',
+    symbol: 'TEST',
+    accessType: 1,
+    assetPair: 'chai',
+};
+
+const plasma = {
+    name: 'test-plasma',
+    uri: 'https://example.com/plasma',
+    symbol: 'PLSM',
+    isPrivate: false,
+    maxSupply: 1000,
+    mintFee: 2, // wei per token
+    initialMint: 100,
+};
+
+describe('Particle Indexer', function () {
+    let deployer, primaryWallet, secondaryWallet;
+    let deployment, chargedParticles, primaryClient;
+
+    const _createPlasma = async (signer) => {
+        const { _eth: eth } = await chargedParticles.getCreationPrice(false);
+        const params = [plasma.name, plasma.uri, plasma.symbol, plasma.isPrivate, plasma.maxSupply, plasma.mintFee, plasma.initialMint, false];
+        const receipt = await (await chargedParticles.connect(signer).createPlasma(...params, {value: eth})).wait();
+        const event = receipt.events.find(e => e.event === 'PlasmaTypeUpdated');
+        return event.args[0];
+    };
+
+    beforeEach(async () => {
+        [deployer, primaryWallet, secondaryWallet] = await buidler.ethers.getSigners();
+
+        await deployments.fixture();
+        deployment = await deployments.all();
+
+        chargedParticles = new ethers.Contract(deployment.ChargedParticles.address, deployment.ChargedParticles.abi, deployer);
+        primaryClient = await chargedParticlesClient({ signer: primaryWallet, deployment });
+    });
+
+    it('indexes particle types, plasma and creator fees', async () => {
+        const provider = buidler.ethers.provider;
+        const startBlock = (await provider.getBlock('latest')).number;
+        const indexer = particleIndexer({ provider, deployment, startBlock });
+
+        const { particleTypeId } = await primaryClient.createParticle(particle);
+        const plasmaTypeId = await _createPlasma(primaryWallet);
+
+        // Minted by a non-creator; 10 tokens at 2 wei each
+        await chargedParticles.connect(secondaryWallet).mintPlasma(await secondaryWallet.getAddress(), plasmaTypeId, 10, EMPTY_STR, {value: 20});
+        await chargedParticles.connect(primaryWallet).withdrawCreatorFees(await primaryWallet.getAddress());
+
+        const { newEvents, reorgedBlocks } = await indexer.sync();
+        debug({newEvents, reorgedBlocks});
+        expect(newEvents).to.equal(4);
+        expect(reorgedBlocks).to.equal(0);
+
+        const particleType = indexer.getParticleType(particleTypeId);
+        expect(particleType.isNF).to.equal(true);
+        expect(particleType.assetPairId).to.equal(particle.assetPair);
+        expect(particleType.uri).to.equal(particle.uri);
+        expect(particleType.symbolHash).to.equal(ethers.utils.id(particle.symbol));
+
+        const plasmaType = indexer.getParticleType(plasmaTypeId);
+        expect(plasmaType.isNF).to.equal(false);
+        expect(plasmaType.totalMinted).to.equal(110);
+
+        expect(indexer.getParticlesOfType(particleTypeId)).to.deep.equal([]);
+
+        const feeTotals = indexer.getCreatorFeeTotals();
+        expect(Object.keys(feeTotals)).to.deep.equal([await primaryWallet.getAddress()]);
+        expect(feeTotals[await primaryWallet.getAddress()].withdrawn).to.equal(20);
+    });
+
+    it('resumes from the last indexed block', async () => {
+        const provider = buidler.ethers.provider;
+        const storePath = path.join(os.tmpdir(), `cp-indexer-${Date.now()}.json`);
+        const startBlock = (await provider.getBlock('latest')).number;
+
+        try {
+            await primaryClient.createParticle(particle);
+            let result = await particleIndexer({ provider, deployment, store: jsonFileStore(storePath), startBlock }).sync();
+            expect(result.newEvents).to.equal(1);
+
+            await primaryClient.createParticle({...particle, symbol: 'TEST2'});
+            const indexer = particleIndexer({ provider, deployment, store: jsonFileStore(storePath), startBlock });
+            result = await indexer.sync();
+
+            expect(result.fromBlock).to.equal(startBlock + 2);
+            expect(result.newEvents).to.equal(1);
+            expect(indexer.getParticleTypes().length).to.equal(2);
+        } finally {
+            if (fs.existsSync(storePath)) { fs.unlinkSync(storePath); }
+        }
+    });
+
+    it('rolls back events of reorged blocks', async () => {
+        const provider = buidler.ethers.provider;
+        const startBlock = (await provider.getBlock('latest')).number;
+        const indexer = particleIndexer({ provider, deployment, store: memoryStore(), startBlock });
+
+        await primaryClient.createParticle(particle);
+        const snapshotId = await provider.send('evm_snapshot', []);
+
+        await primaryClient.createParticle({...particle, symbol: 'ORPHAN'});
+        await indexer.sync();
+        expect(indexer.getParticleTypes().length).to.equal(2);
+
+        // Replace the last block with a different one
+        await provider.send('evm_revert', [snapshotId]);
+        const { particleTypeId } = await primaryClient.createParticle({...particle, symbol: 'CANON', accessType: 2});
+        await provider.send('evm_mine', []);
+
+        const { reorgedBlocks, newEvents } = await indexer.sync();
+        expect(reorgedBlocks).to.equal(1);
+        expect(newEvents).to.equal(1);
+
+        // Type IDs are sequential, so the new Type replaces the orphaned one
+        const symbols = indexer.getParticleTypes().map(t => t.symbolHash);
+        expect(symbols).to.deep.equal([ethers.utils.id('TEST'), ethers.utils.id('CANON')]);
+        expect(indexer.getParticleType(particleTypeId).isPrivate).to.equal(true);
+    });
+
+    it('builds the deposit history of a particle', async () => {
+        const contractAddress = deployment.ChargedParticles.address;
+        const tokenId = ethers.BigNumber.from(2).pow(255).add(1).toString();
+        const receiver = await primaryWallet.getAddress();
+        const _event = (name, blockNumber, args) => ({name, blockNumber, logIndex: 0, transactionHash: ethers.constants.HashZero, args: {contractAddress, tokenId, assetPairId: 'chai', ...args}});
+
+        const state = buildState([
+            _event('EnergizedParticle', 10, {assetBalance: toWei('100').toString()}),
+            _event('EnergizedParticle', 11, {assetBalance: toWei('150').toString()}),
+            _event('DischargedParticle', 12, {receiver, receivedAmount: toWei('1').toString(), interestBalance: '0'}),
+            _event('ReleasedParticle', 13, {receiver, receivedAmount: toWei('150').toString()}),
+        ]);
+
+        const history = state.deposits[`${contractAddress.toLowerCase()}:${tokenId}`];
+        expect(history.map(h => h.action)).to.deep.equal(['energize', 'energize', 'discharge', 'release']);
+        expect(history[0].amount).to.equal(toWei('100'));
+        expect(history[1].amount).to.equal(toWei('50'));
+        expect(history[1].balance).to.equal(toWei('150'));
+        expect(history[2].amount).to.equal(toWei('1'));
+        expect(history[3].amount).to.equal(toWei('150'));
+        expect(history[3].balance).to.equal(0);
+    });
+});
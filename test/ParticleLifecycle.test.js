@@ -0,0 +1,284 @@
+const {
+    buidler,
+    expect,
+    expectClientError,
+    scenario,
+    isFork,
+    withFundedWallets,
+    withIons,
+    withParticleType,
+    withMintedParticle,
+    DEFAULT_PARTICLE: particle,
+    DEFAULT_PLASMA: plasma,
+    NO_GAS: noGas,
+    DEPOSIT_FEE_MODIFIER,
+} = require('./util/testEnv');
+
+const {
+    presets,
+    toWei,
+} = require('../js-utils/deploy-helpers');
+
+const { SECONDS_PER_YEAR, accrueInterest } = require('../js-utils/dsr-helpers');
+const { chargedParticlesClient } = require('../js-utils/client');
+
+const debug = require('debug')('ParticleLifecycle.test');
+
+const assetAmount = toWei('100');
+
+// Only the Creator and the Collector hold Dai; the Operator and the Receiver start empty
+const fundCollectors = () => withFundedWallets(toWei('1000'), ['creator', 'collector']);
+
+const fundedWallets = scenario(fundCollectors());
+const ionHolder = scenario(fundCollectors(), withIons({ creator: toWei('10') }));
+const particleType = scenario(fundCollectors(), withParticleType());
+const mintedParticle = scenario(fundCollectors(), withParticleType(), withMintedParticle('collector', assetAmount));
+
+describe('Particle Lifecycle (integration)', function () {
+    let env;
+    let creator, collector, operator, receiver;
+    let dai, pot, chargedParticles, escrowManager, tokenManager;
+    let creatorClient, collectorClient, operatorClient;
+
+    const _address = (signer) => signer.getAddress();
+    const _daiBalance = async (signer) => dai.balanceOf(await _address(signer));
+    const _ethBalance = (signer) => signer.getBalance();
+
+    const _createPlasma = async (signer, payWithIons) => {
+        const { _eth: eth } = await chargedParticles.getCreationPrice(false);
+        const params = [plasma.name, plasma.uri, plasma.symbol, plasma.isPrivate, plasma.maxSupply, plasma.mintFee, plasma.initialMint, payWithIons];
+        const receipt = await (await chargedParticles.connect(signer).createPlasma(...params, {value: payWithIons ? 0 : eth, ...noGas})).wait();
+        return receipt.events.find(e => e.event === 'PlasmaTypeUpdated').args[0];
+    };
+
+    // The interest-bearing deposit after the Deposit Fees, in Asset Token (1 Chai == 1 Dai until interest accrues)
+    const _depositAfterFees = (amount, customFee = 0) => {
+        const depositFee = amount.mul(presets.EscrowManager.fees.deposit).div(DEPOSIT_FEE_MODIFIER);
+        return amount.sub(depositFee).sub(amount.mul(customFee).div(DEPOSIT_FEE_MODIFIER));
+    };
+
+    // Accrues interest: 10% on the local stand-ins, or a year of the real Dai Savings Rate on a fork of Mainnet
+    const _accrue = async () => {
+        if (isFork()) {
+            const { accrueDsr } = require('../js-utils/mainnet-fork');
+            return accrueDsr({ provider: buidler.ethers.provider, pot, seconds: SECONDS_PER_YEAR });
+        }
+        const previousChi = await pot.chi();
+        return { chi: await accrueInterest({ pot, rate: 0.1 }), previousChi };
+    };
+
+    const _load = async (fixture) => {
+        env = await fixture();
+        ({ creator, collector, operator, receiver } = env.signers);
+        ({ dai, pot, chargedParticles, escrowManager, tokenManager } = env.contracts);
+
+        creatorClient = await chargedParticlesClient({ signer: creator, deployment: env.deployment });
+        collectorClient = await chargedParticlesClient({ signer: collector, deployment: env.deployment });
+        operatorClient = await chargedParticlesClient({ signer: operator, deployment: env.deployment });
+    };
+
+    describe('creating types', () => {
+        beforeEach(async () => {
+            await _load(fundedWallets);
+        });
+
+        it('pays the creation price in ETH and withdraws it as contract fees', async () => {
+            const { _eth: plasmaPrice } = await chargedParticles.getCreationPrice(false);
+            const { _eth: particlePrice } = await chargedParticles.getCreationPrice(true);
+            const creatorBalance = await _ethBalance(creator);
+
+            await creatorClient.createParticle(particle, noGas);
+            expect(await _ethBalance(creator)).to.equal(creatorBalance.sub(particlePrice));
+
+            await _createPlasma(creator, false);
+            expect(await _ethBalance(creator)).to.equal(creatorBalance.sub(particlePrice).sub(plasmaPrice));
+            expect(await buidler.ethers.provider.getBalance(chargedParticles.address)).to.equal(particlePrice.add(plasmaPrice));
+
+            const receiverBalance = await _ethBalance(receiver);
+            await chargedParticles.withdrawFees(await _address(receiver));
+            expect(await _ethBalance(receiver)).to.equal(receiverBalance.add(particlePrice).add(plasmaPrice));
+            expect(await buidler.ethers.provider.getBalance(chargedParticles.address)).to.equal(0);
+        });
+
+        it('pays the creation price in IONs', async () => {
+            await _load(ionHolder);
+            const { ionTokenId } = env;
+
+            const { _ion: plasmaPrice } = await chargedParticles.getCreationPrice(false);
+            const { _ion: particlePrice } = await chargedParticles.getCreationPrice(true);
+            const ethBalance = await _ethBalance(creator);
+
+            await creatorClient.createParticle({...particle, payWithIons: true}, noGas);
+            expect(await tokenManager.balanceOf(await _address(creator), ionTokenId)).to.equal(toWei('10').sub(particlePrice));
+
+            const plasmaTypeId = await _createPlasma(creator, true);
+            expect(await tokenManager.balanceOf(await _address(creator), ionTokenId)).to.equal(toWei('10').sub(particlePrice).sub(plasmaPrice));
+            expect(await tokenManager.balanceOf(await _address(creator), plasmaTypeId)).to.equal(plasma.initialMint);
+
+            expect(await _ethBalance(creator)).to.equal(ethBalance);
+            expect(await buidler.ethers.provider.getBalance(chargedParticles.address)).to.equal(0);
+        });
+    });
+
+    describe('minting', () => {
+        beforeEach(async () => {
+            await _load(particleType);
+        });
+
+        it('charges the minting fee and the deposit fee', async () => {
+            const collectorEth = await _ethBalance(collector);
+            const collectorDai = await _daiBalance(collector);
+
+            const { tokenId } = await collectorClient.mintParticle({ typeId: env.particleTypeId, assetAmount }, noGas);
+            debug({tokenId: tokenId.toHexString()});
+
+            expect(await _ethBalance(collector)).to.equal(collectorEth.sub(particle.mintFee));
+            expect(await _daiBalance(collector)).to.equal(collectorDai.sub(assetAmount));
+            expect(await tokenManager.ownerOf(tokenId)).to.equal(await _address(collector));
+            expect(await chargedParticles.baseParticleMass(tokenId)).to.equal(assetAmount);
+            expect(await chargedParticles.callStatic.currentParticleCharge(tokenId)).to.equal(0);
+
+            // The Deposit Fee is held back from the interest-bearing deposit of the Particle
+            const depositFee = await escrowManager.getFeeForDeposit(chargedParticles.address, assetAmount);
+            expect(depositFee).to.equal(assetAmount.sub(_depositAfterFees(assetAmount)));
+
+            // The Creator collects the Minting Fee
+            const creatorEth = await _ethBalance(creator);
+            await chargedParticles.connect(creator).withdrawCreatorFees(await _address(creator), noGas);
+            expect(await _ethBalance(creator)).to.equal(creatorEth.add(particle.mintFee));
+        });
+
+        it('mints for free as the creator', async () => {
+            const creatorEth = await _ethBalance(creator);
+
+            await creatorClient.mintParticle({ typeId: env.particleTypeId, assetAmount: toWei('10') }, noGas);
+            expect(await _ethBalance(creator)).to.equal(creatorEth);
+            expect(await _daiBalance(creator)).to.equal(toWei('990'));
+            await expect(chargedParticles.connect(creator).withdrawCreatorFees(await _address(creator)))
+                .to.be.revertedWith('CP: INSUFF_BALANCE');
+        });
+
+        it('withdraws the custom deposit fees of the contract', async () => {
+            const customFee = 100; // 1%
+            await escrowManager.registerContractSettingDepositFee(chargedParticles.address, customFee);
+
+            const { tokenId } = await collectorClient.mintParticle({ typeId: env.particleTypeId, assetAmount }, noGas);
+            expect(await chargedParticles.baseParticleMass(tokenId)).to.equal(assetAmount);
+
+            await expect(escrowManager.connect(collector).withdrawContractFees(chargedParticles.address, await _address(receiver), 'chai'))
+                .to.be.revertedWith('CPEM: NOT_OWNER');
+
+            await escrowManager.withdrawContractFees(chargedParticles.address, await _address(receiver), 'chai');
+            expect(await _daiBalance(receiver)).to.equal(assetAmount.mul(customFee).div(DEPOSIT_FEE_MODIFIER));
+
+            // Fees are only paid once
+            await escrowManager.withdrawContractFees(chargedParticles.address, await _address(receiver), 'chai');
+            expect(await _daiBalance(receiver)).to.equal(assetAmount.mul(customFee).div(DEPOSIT_FEE_MODIFIER));
+        });
+    });
+
+    describe('energizing and discharging', () => {
+        let tokenId;
+
+        beforeEach(async () => {
+            await _load(mintedParticle);
+            ({ tokenId } = env);
+        });
+
+        it('adds mass when energized', async () => {
+            await collectorClient.energizeParticle({ tokenId, assetAmount: toWei('50') });
+
+            expect(await _daiBalance(collector)).to.equal(toWei('850'));
+            expect(await chargedParticles.baseParticleMass(tokenId)).to.equal(toWei('150'));
+        });
+
+        it('discharges a specific amount of the charge', async () => {
+            const { chi, previousChi } = await _accrue();
+
+            const charge = await chargedParticles.callStatic.currentParticleCharge(tokenId);
+            const expectedCharge = _depositAfterFees(assetAmount).mul(chi).div(previousChi).sub(assetAmount);
+            debug({charge: charge.toString(), expectedCharge: expectedCharge.toString()});
+            expect(charge.sub(expectedCharge).abs()).to.be.lt(toWei('0.000000001'));
+
+            await collectorClient.dischargeParticle({ receiver: await _address(receiver), tokenId, assetAmount: toWei('1') });
+            expect((await _daiBalance(receiver)).sub(toWei('1')).abs()).to.be.lte(1);
+
+            const remainingCharge = await chargedParticles.callStatic.currentParticleCharge(tokenId);
+            expect(charge.sub(toWei('1')).sub(remainingCharge).abs()).to.be.lte(2);
+            expect(await chargedParticles.baseParticleMass(tokenId)).to.equal(assetAmount);
+
+            await expectClientError(collectorClient.dischargeParticle({ tokenId, assetAmount: remainingCharge.add(toWei('1')) }), 'CHE: INSUFF_BALANCE');
+        });
+
+        it('only allows the owner, operators and the discharge-operator to discharge', async () => {
+            await _accrue();
+            const operatorAddress = await _address(operator);
+
+            await expectClientError(operatorClient.dischargeParticle({ tokenId }), 'CP: NOT_OPERATOR');
+            await expect(escrowManager.connect(operator).dischargeParticle(operatorAddress, chargedParticles.address, tokenId, 'chai'))
+                .to.be.revertedWith('CPEM: NOT_OPERATOR');
+
+            await collectorClient.setDischargeApproval({ tokenId, operator: operatorAddress });
+            expect(await escrowManager.isApprovedForDischarge(chargedParticles.address, tokenId, operatorAddress)).to.equal(true);
+
+            const charge = await chargedParticles.callStatic.currentParticleCharge(tokenId);
+            await operatorClient.dischargeParticle({ tokenId });
+            expect((await _daiBalance(operator)).sub(charge).abs()).to.be.lte(2);
+            expect(await chargedParticles.baseParticleMass(tokenId)).to.equal(assetAmount);
+
+            // Discharge-Operators can not release the Mass
+            await expectClientError(operatorClient.releaseParticle({ tokenId }), 'CPEM: NOT_OPERATOR');
+        });
+    });
+
+    describe('releasing', () => {
+        let tokenId;
+
+        beforeEach(async () => {
+            await _load(mintedParticle);
+            ({ tokenId } = env);
+            await _accrue();
+        });
+
+        it('releases the mass and charge to the receiver', async () => {
+            const charge = await chargedParticles.callStatic.currentParticleCharge(tokenId);
+            const collectorDai = await _daiBalance(collector);
+
+            const { releasedAmount, requiresBurn } = await collectorClient.releaseParticle({ tokenId });
+            expect(requiresBurn).to.equal(false);
+            expect(releasedAmount.sub(assetAmount.add(charge)).abs()).to.be.lte(2);
+            expect(await _daiBalance(collector)).to.equal(collectorDai.add(releasedAmount));
+
+            expect(await chargedParticles.baseParticleMass(tokenId)).to.equal(0);
+            await expectClientError(collectorClient.releaseParticle({ tokenId }), 'CPEM: INSUFF_MASS');
+        });
+
+        it('releases when burning the particle', async () => {
+            const charge = await chargedParticles.callStatic.currentParticleCharge(tokenId);
+            const collectorDai = await _daiBalance(collector);
+
+            await collectorClient.burnParticle({ tokenId });
+            expect((await _daiBalance(collector)).sub(collectorDai.add(assetAmount).add(charge)).abs()).to.be.lte(2);
+            expect(await tokenManager.ownerOf(tokenId)).to.equal(buidler.ethers.constants.AddressZero);
+        });
+
+        it('requires the burn before release when configured', async () => {
+            await escrowManager.registerContractSettingAssetPair(chargedParticles.address, 'chai');
+            await escrowManager.registerContractSettingReleaseBurn(chargedParticles.address, true);
+
+            const charge = await chargedParticles.callStatic.currentParticleCharge(tokenId);
+            const collectorDai = await _daiBalance(collector);
+
+            const { releasedAmount, requiresBurn } = await collectorClient.releaseParticle({ tokenId });
+            expect(requiresBurn).to.equal(true);
+            expect(releasedAmount).to.equal(0);
+            expect(await _daiBalance(collector)).to.equal(collectorDai);
+
+            await expectClientError(collectorClient.finalizeRelease({ tokenId }), 'CPEM: INVALID_BURN');
+
+            await collectorClient.burnParticle({ tokenId });
+            expect((await _daiBalance(collector)).sub(collectorDai.add(assetAmount).add(charge)).abs()).to.be.lte(2);
+            expect(await chargedParticles.baseParticleMass(tokenId)).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,146 @@
+const {
+    buidler,
+    expect,
+    scenario,
+    withFundedWallets,
+    withParticleType,
+    withMintedParticle,
+    ZERO_ADDRESS,
+} = require('./util/testEnv');
+
+const { toWei } = require('../js-utils/deploy-helpers');
+const { encodeTypeId, encodeTokenId } = require('../js-utils/token-ids');
+const { portfolioReader, particleReads, typeReads } = require('../js-utils/portfolio');
+
+const debug = require('debug')('Portfolio.test');
+
+const portfolio = scenario(
+    withFundedWallets(toWei('1000'), ['creator', 'collector']),
+    withParticleType(),
+    withMintedParticle('collector', toWei('10')),
+    withMintedParticle('collector', toWei('20'), { as: 'secondTokenId' }),
+    withMintedParticle('creator', toWei('30'), { as: 'creatorTokenId' })
+);
+
+describe('Particle Portfolio', function () {
+    let env;
+    let chargedParticles, escrowManager;
+    let tokenIds;
+    const provider = buidler.ethers.provider;
+
+    beforeEach(async () => {
+        env = await portfolio();
+        ({ chargedParticles, escrowManager } = env.contracts);
+        tokenIds = [env.tokenId, env.secondTokenId, env.creatorTokenId];
+    });
+
+    // Counts the "eth_call"s made by a function
+    const _countCalls = async (fn) => {
+        const call = provider.call;
+        let count = 0;
+        provider.call = (...args) => {
+            count++;
+            return call.apply(provider, args);
+        };
+        try {
+            const result = await fn();
+            return { result, count };
+        } finally {
+            provider.call = call;
+        }
+    };
+
+    // Reads a Particle with one call per value
+    const _readParticle = async (tokenId) => ({
+        owner: await chargedParticles.ownerOf(tokenId),
+        typeId: env.particleTypeId,
+        creator: await chargedParticles.getTypeCreator(env.particleTypeId),
+        series: await chargedParticles.getSeriesNumber(tokenId),
+        uri: await chargedParticles.uri(tokenId),
+        mass: await chargedParticles.baseParticleMass(tokenId),
+        charge: await chargedParticles.callStatic.currentParticleCharge(tokenId),
+        dischargeApproval: await escrowManager.getDischargeApproval(chargedParticles.address, tokenId),
+    });
+
+    it('reads the Particles like the individual calls', async () => {
+        const { collector, creator, operator } = env.accounts;
+        await (await escrowManager.connect(env.signers.collector).setDischargeApproval(chargedParticles.address, env.tokenId, operator)).wait();
+
+        const reader = portfolioReader({ provider, deployment: env.deployment });
+        const particles = await reader.getParticles(tokenIds);
+        const { number: blockNumber } = await provider.getBlock('latest');
+        debug(particles);
+
+        for (let i = 0; i < tokenIds.length; i++) {
+            expect(particles[i]).to.deep.equal({
+                tokenId: tokenIds[i],
+                blockNumber,
+                errors: {},
+                ...(await _readParticle(tokenIds[i])),
+            });
+        }
+        expect(particles.map(p => p.owner)).to.deep.equal([collector, collector, creator]);
+        expect(particles.map(p => p.creator)).to.deep.equal([creator, creator, creator]);
+        expect(particles[0].dischargeApproval).to.equal(operator);
+        expect(particles[1].dischargeApproval).to.equal(ZERO_ADDRESS);
+        expect(particles[1].mass).to.be.gt(particles[0].mass);
+
+        expect(await reader.getParticle(env.secondTokenId)).to.deep.equal(particles[1]);
+    });
+
+    it('aggregates the reads and caches them per block', async () => {
+        const reader = portfolioReader({ provider, deployment: env.deployment });
+        const readsPerParticle = Object.keys(particleReads).length;
+        const readsPerType = Object.keys(typeReads).length;
+
+        // One call for all reads, none for the same block
+        const { result: particles, count } = await _countCalls(() => reader.getParticles(tokenIds));
+        expect(count).to.equal(1);
+        expect((await _countCalls(() => reader.getParticles(tokenIds))).count).to.equal(0);
+        expect((await _countCalls(() => reader.getPortfolio(env.accounts.collector, tokenIds))).count).to.equal(0);
+
+        // A new block is read again
+        const { blockNumber } = particles[0];
+        await (await escrowManager.connect(env.signers.collector).setDischargeApproval(chargedParticles.address, env.tokenId, env.accounts.operator)).wait();
+        const { result: updated, count: updatedCount } = await _countCalls(() => reader.getParticles(tokenIds));
+        expect(updatedCount).to.equal(1);
+        expect(updated[0].dischargeApproval).to.equal(env.accounts.operator);
+        expect(updated[0].blockNumber).to.equal(blockNumber + 1);
+
+        // The previous block is still cached
+        const { result: previous, count: previousCount } = await _countCalls(() => reader.getParticles(tokenIds, { blockTag: blockNumber }));
+        expect(previousCount).to.equal(0);
+        expect(previous).to.deep.equal(particles);
+
+        // Batched
+        const batchSize = 4;
+        const batchedReader = portfolioReader({ provider, deployment: env.deployment, batchSize });
+        const { result: batched, count: batchedCount } = await _countCalls(() => batchedReader.getParticles(tokenIds));
+        expect(batchedCount).to.equal(Math.ceil((tokenIds.length * readsPerParticle + readsPerType) / batchSize));
+        expect(batched).to.deep.equal(updated);
+    });
+
+    it('reports the failed reads and filters the portfolios by owner', async () => {
+        const reader = portfolioReader({ provider, deployment: env.deployment });
+        const unknownTokenId = encodeTokenId(encodeTypeId({ nonce: 1000, isNF: true }), 1);
+
+        const [unknown] = await reader.getParticles([unknownTokenId]);
+        expect(unknown.owner).to.equal(ZERO_ADDRESS);
+        expect(unknown.charge).to.equal(undefined);
+        expect(unknown.errors).to.deep.include({ charge: 'CP: INVALID_TYPE' });
+
+        const collectorParticles = await reader.getPortfolio(env.accounts.collector, tokenIds.concat(unknownTokenId));
+        expect(collectorParticles.map(p => p.tokenId)).to.deep.equal([env.tokenId, env.secondTokenId]);
+
+        const creatorParticles = await reader.getPortfolio(env.accounts.creator.toLowerCase(), tokenIds);
+        expect(creatorParticles.map(p => p.tokenId)).to.deep.equal([env.creatorTokenId]);
+
+        let error;
+        try {
+            await portfolioReader({ provider, deployment: {} }).getParticles(tokenIds);
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.equal('Contract "Multicall" is missing from the deployment');
+    });
+});
@@ -0,0 +1,146 @@
+const {
+    buidler,
+    deployments,
+    expect,
+    expectError,
+    scenario,
+    runTaskQuietly,
+} = require('./util/testEnv');
+
+const {
+    PERMISSIONS,
+    auditRoles,
+    formatRoles,
+    buildGrantRole,
+    buildRevokeRole,
+    buildTransferRole,
+} = require('../js-utils/roles');
+
+const debug = require('debug')('Roles.test');
+
+const CONTRACT_NAMES = ['ChargedParticles', 'ChargedParticlesEscrowManager', 'ChargedParticlesTokenManager', 'ChaiEscrow'];
+
+const deployed = scenario();
+
+describe('Roles', function () {
+    let env;
+    let deployer, proxyAdmin;
+
+    beforeEach(async () => {
+        env = await deployed();
+        ({ deployer, proxyAdmin } = await buidler.getNamedAccounts());
+    });
+
+    const _audit = async (fromBlock = 0) => {
+        const contracts = {};
+        for (let i = 0; i < CONTRACT_NAMES.length; i++) {
+            const { address, abi } = await deployments.get(CONTRACT_NAMES[i]);
+            contracts[CONTRACT_NAMES[i]] = new buidler.ethers.Contract(address, abi, buidler.ethers.provider);
+        }
+        return auditRoles({ contracts, escrows: ['ChaiEscrow'], fromBlock });
+    };
+
+    const _holders = (audit, contractName, method) => audit.matrix.find(p => p.contract === contractName && p.function === method).holders;
+
+    it('audits the permissions after deployment', async () => {
+        const audit = await _audit();
+        debug(formatRoles(audit).join('\n'));
+
+        expect(audit.warnings).to.deep.equal([]);
+        expect(audit.holders).to.deep.equal({
+            ChargedParticles: { owner: [deployer], proxyAdmin: [proxyAdmin] },
+            ChargedParticlesEscrowManager: { dao: [deployer], maintainer: [deployer], proxyAdmin: [proxyAdmin] },
+            ChargedParticlesTokenManager: { owner: [deployer], proxyAdmin: [proxyAdmin] },
+            ChaiEscrow: { owner: [deployer], proxyAdmin: [proxyAdmin] },
+        });
+
+        // Every admin function is listed with its role
+        const expected = [];
+        CONTRACT_NAMES.forEach((contractName) => {
+            const permissions = { ...(PERMISSIONS[contractName] || PERMISSIONS.Escrow), ...PERMISSIONS.Proxy };
+            Object.keys(permissions).forEach((role) => {
+                permissions[role].forEach((method) => {
+                    expected.push({ contract: contractName, function: method, role, holders: audit.holders[contractName][role] });
+                });
+            });
+        });
+        expect(audit.matrix).to.deep.equal(expected);
+
+        expect(_holders(audit, 'ChargedParticles', 'setupFees')).to.deep.equal([deployer]);
+        expect(_holders(audit, 'ChargedParticlesEscrowManager', 'setDepositFee')).to.deep.equal([deployer]);
+        expect(_holders(audit, 'ChargedParticlesEscrowManager', 'registerAssetPair')).to.deep.equal([deployer]);
+        expect(_holders(audit, 'ChaiEscrow', 'upgradeTo')).to.deep.equal([proxyAdmin]);
+
+        // Same audit from the task
+        const { matrix, holders } = await runTaskQuietly('cp:roles');
+        expect({ matrix, holders }).to.deep.equal({ matrix: audit.matrix, holders: audit.holders });
+    });
+
+    it('warns when the role events do not cover all members', async () => {
+        const blockNumber = await buidler.ethers.provider.getBlockNumber();
+        const { holders, warnings } = await _audit(blockNumber + 1);
+
+        expect(holders.ChargedParticlesEscrowManager.dao).to.deep.equal([]);
+        expect(warnings).to.include('ChargedParticlesEscrowManager: the role events from block ' + (blockNumber + 1) +
+            ' show 0 of the 1 DAO (ROLE_DAO_GOV) members; audit from an earlier block');
+        expect(warnings).to.include('ChargedParticlesEscrowManager has no DAO (ROLE_DAO_GOV); its DAO (ROLE_DAO_GOV) functions can not be called');
+    });
+
+    it('grants and revokes roles of the Escrow Manager', async () => {
+        const { operator } = env.accounts;
+
+        const { status: granted } = await runTaskQuietly('cp:roles:grant', { role: 'maintainer', account: operator });
+        expect(granted.holders.ChargedParticlesEscrowManager.maintainer).to.have.members([deployer, operator]);
+        expect(await env.contracts.escrowManager.hasRole(await env.contracts.escrowManager.ROLE_MAINTAINER(), operator)).to.equal(true);
+
+        await expectError(runTaskQuietly('cp:roles:grant', { role: 'maintainer', account: operator }), /is already a Maintainer \(ROLE_MAINTAINER\) of ChargedParticlesEscrowManager$/);
+        await expectError(runTaskQuietly('cp:roles:grant', { role: 'owner', account: operator }), /^ChargedParticlesEscrowManager has no Owner role to change$/);
+
+        const { status: revoked } = await runTaskQuietly('cp:roles:revoke', { role: 'maintainer', account: operator });
+        expect(revoked.holders.ChargedParticlesEscrowManager.maintainer).to.deep.equal([deployer]);
+        await expectError(runTaskQuietly('cp:roles:revoke', { role: 'maintainer', account: operator }), /is not a Maintainer \(ROLE_MAINTAINER\) of ChargedParticlesEscrowManager$/);
+    });
+
+    it('refuses to leave the DAO role empty', async () => {
+        const blockNumber = await buidler.ethers.provider.getBlockNumber();
+        await expectError(
+            runTaskQuietly('cp:roles:revoke', { role: 'dao', account: deployer }),
+            /^Refusing to leave the DAO \(ROLE_DAO_GOV\) role of ChargedParticlesEscrowManager empty; grant it to another account first$/
+        );
+        expect(await buidler.ethers.provider.getBlockNumber()).to.equal(blockNumber);
+
+        // The Proxy Admin can not use the roles of a contract it administers
+        const audit = await _audit();
+        expect(() => buildGrantRole({ audit, role: 'dao', account: proxyAdmin })).to.throw(/is the Proxy Admin of ChargedParticlesEscrowManager/);
+        expect(() => buildTransferRole({ audit, contractName: 'ChargedParticles', role: 'owner', from: deployer, to: proxyAdmin }))
+            .to.throw(/is the Proxy Admin of ChargedParticles;/);
+
+        // A second DAO can be revoked
+        const { collector } = env.accounts;
+        const txs = buildGrantRole({ audit, role: 'dao', account: collector });
+        expect(txs).to.have.lengthOf(1);
+        expect(txs[0]).to.deep.include({ contractName: 'ChargedParticlesEscrowManager', method: 'grantRole', role: 'dao' });
+        await runTaskQuietly('cp:roles:grant', { role: 'dao', account: collector });
+        expect(buildRevokeRole({ audit: await _audit(), role: 'dao', account: deployer })[0].method).to.equal('revokeRole');
+    });
+
+    it('transfers the Ownership and the DAO role', async () => {
+        const { collector, operator } = env.accounts;
+
+        // Dry-run
+        const { results } = await runTaskQuietly('cp:roles:transfer', { role: 'owner', contract: 'ChaiEscrow', to: collector, dryRun: true });
+        expect(results.map(r => r.call)).to.deep.equal([`ChaiEscrow.transferOwnership("${collector}")`]);
+        expect(await env.contracts.chaiEscrow.owner()).to.equal(deployer);
+
+        const { status: ownerAudit } = await runTaskQuietly('cp:roles:transfer', { role: 'owner', contract: 'ChaiEscrow', to: collector });
+        expect(ownerAudit.holders.ChaiEscrow.owner).to.deep.equal([collector]);
+        await expectError(runTaskQuietly('cp:roles:transfer', { role: 'owner', to: collector }), /^Pass the --contract/);
+        await expectError(runTaskQuietly('cp:roles:transfer', { role: 'owner', contract: 'ChaiEscrow', to: operator }), /is not the Owner of ChaiEscrow$/);
+
+        // The new DAO is granted the role before the Signer's is revoked
+        const { results: daoResults, status: daoAudit } = await runTaskQuietly('cp:roles:transfer', { role: 'dao', to: operator });
+        expect(daoResults.map(r => r.call.split('(')[0])).to.deep.equal(['ChargedParticlesEscrowManager.grantRole', 'ChargedParticlesEscrowManager.revokeRole']);
+        expect(daoAudit.holders.ChargedParticlesEscrowManager.dao).to.deep.equal([operator]);
+        expect(daoAudit.holders.ChargedParticlesEscrowManager.maintainer).to.deep.equal([deployer]);
+    });
+});
@@ -0,0 +1,65 @@
+const {
+    expect,
+    scenario,
+    withFundedWallets,
+    withIons,
+    withParticleType,
+    withPlasmaType,
+    withMintedParticle,
+    DEFAULT_PLASMA,
+} = require('./util/testEnv');
+
+const { toWei } = require('../js-utils/deploy-helpers');
+
+const debug = require('debug')('Scenario.test');
+
+const assetAmount = toWei('100');
+
+const collectorsParticles = scenario(
+    withFundedWallets(toWei('500')),
+    withIons({ creator: toWei('10') }),
+    withPlasmaType({ payWithIons: true }),
+    withParticleType(),
+    withParticleType({ name: 'rare-particle', symbol: 'RARE', as: 'rareTypeId' }),
+    withMintedParticle('collector', assetAmount),
+    withMintedParticle('collector', assetAmount, { type: 'rareTypeId', as: 'rareTokenId' })
+);
+
+describe('Test Scenarios', function () {
+    let env;
+
+    beforeEach(async () => {
+        env = await collectorsParticles();
+    });
+
+    it('returns named handles to the contracts and ids', async () => {
+        const { chargedParticles, tokenManager, dai } = env.contracts;
+        const { creator, collector } = env.accounts;
+        debug({particleTypeId: env.particleTypeId.toHexString(), rareTypeId: env.rareTypeId.toHexString()});
+
+        expect(await chargedParticles.getTypeCreator(env.particleTypeId)).to.equal(creator);
+        expect(await chargedParticles.getTypeCreator(env.rareTypeId)).to.equal(creator);
+        expect(await tokenManager.balanceOf(creator, env.plasmaTypeId)).to.equal(DEFAULT_PLASMA.initialMint);
+        expect(await tokenManager.balanceOf(creator, env.ionTokenId)).to.be.lt(toWei('10'));
+
+        expect(await tokenManager.ownerOf(env.tokenId)).to.equal(collector);
+        expect(await tokenManager.ownerOf(env.rareTokenId)).to.equal(collector);
+        expect(await chargedParticles.baseParticleMass(env.rareTokenId)).to.equal(assetAmount);
+        expect(await dai.balanceOf(collector)).to.equal(toWei('300'));
+    });
+
+    it('reverts the chain to the scenario snapshot before each test (1/2)', async () => {
+        const { chargedParticles } = env.contracts;
+        const collector = env.signers.collector;
+
+        await chargedParticles.connect(collector).energizeParticle(env.tokenId, assetAmount);
+        expect(await chargedParticles.baseParticleMass(env.tokenId)).to.equal(assetAmount.mul(2));
+    });
+
+    it('reverts the chain to the scenario snapshot before each test (2/2)', async () => {
+        const { chargedParticles, dai } = env.contracts;
+
+        expect(await chargedParticles.baseParticleMass(env.tokenId)).to.equal(assetAmount);
+        expect(await dai.balanceOf(env.accounts.collector)).to.equal(toWei('300'));
+    });
+});
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    buidler,
+    expect,
+    scenario,
+    runTaskQuietly,
+} = require('./util/testEnv');
+
+const { toWei } = require('../js-utils/deploy-helpers');
+const { DEFAULT_SEED } = require('../js-utils/seed');
+
+const deployed = scenario();
+
+describe('Dev Seeding', function () {
+    this.timeout(120000);
+
+    let env;
+    let chargedParticles, tokenManager, dai;
+    let tmpDir;
+
+    beforeEach(async () => {
+        env = await deployed();
+        ({ chargedParticles, tokenManager, dai } = env.contracts);
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'seed-'));
+    });
+
+    afterEach(() => {
+        fs.rmdirSync(tmpDir, { recursive: true });
+    });
+
+    it('seeds the sample environment and writes its summary', async () => {
+        const { deployer, creator, collector, operator, receiver } = env.accounts;
+        const output = path.join(tmpDir, 'local.json');
+        const summary = await runTaskQuietly('cp:seed', { output });
+
+        const ionTokenId = summary.ionTokenId;
+        expect(summary.accounts).to.include({ deployer, creator, collector });
+        expect(summary.contracts.ChargedParticles).to.equal(chargedParticles.address);
+        expect(await tokenManager.balanceOf(collector, ionTokenId)).to.equal(toWei('1000'));
+        expect(await dai.balanceOf(receiver)).to.equal(toWei('10000').sub(toWei('20')));
+
+        // Types paid with IONs burn the IONs of their Creator
+        const { publicParticle, privateParticle, seriesParticle } = summary.particleTypes;
+        const { _ion: particleIons } = await chargedParticles.getCreationPrice(true);
+        const { _ion: plasmaIons } = await chargedParticles.getCreationPrice(false);
+        expect(await tokenManager.balanceOf(creator, ionTokenId)).to.equal(toWei('1000').sub(particleIons));
+        expect(await tokenManager.balanceOf(operator, ionTokenId)).to.equal(toWei('1000').sub(plasmaIons));
+        expect(publicParticle).to.include({ creator, access: 'public' });
+        expect(await chargedParticles.getTypeCreator(seriesParticle.typeId)).to.equal(operator);
+        expect(await chargedParticles.connect(env.signers.collector).canMint(privateParticle.typeId, 1)).to.equal(false);
+        expect(await chargedParticles.getMaxSupply(privateParticle.typeId)).to.equal(100);
+
+        // Tokens, with the Charge of the accrued interest
+        const { collectorParticle, creatorParticle } = summary.particles;
+        expect(await chargedParticles.ownerOf(collectorParticle.tokenId)).to.equal(collector);
+        expect(await chargedParticles.ownerOf(creatorParticle.tokenId)).to.equal(creator);
+        expect(collectorParticle.mass).to.equal(toWei('150').toString());
+        expect(buidler.ethers.BigNumber.from(collectorParticle.charge)).to.be.gt(0);
+        const { publicPlasma } = summary.plasmaTypes;
+        expect(await tokenManager.balanceOf(collector, publicPlasma.typeId)).to.equal(500);
+        expect(await tokenManager.balanceOf(creator, publicPlasma.typeId)).to.equal(10000);
+
+        const saved = JSON.parse(fs.readFileSync(output, 'utf8'));
+        expect(saved).to.deep.include({ network: buidler.network.name, ionTokenId });
+        expect(saved.particles.receiverParticle.tokenId).to.equal(summary.particles.receiverParticle.tokenId);
+    });
+
+    it('seeds a configured environment on top of a seeded one', async () => {
+        const { collector } = env.accounts;
+        const first = await runTaskQuietly('cp:seed', { output: path.join(tmpDir, 'first.json') });
+
+        // The IONs are minted once; the Types & Tokens are added
+        const seedPath = path.join(tmpDir, 'seed.json');
+        fs.writeFileSync(seedPath, JSON.stringify({
+            accounts: ['collector'],
+            dai: '50',
+            particleTypes: [{ key: 'ionParticle', creator: 'collector', name: 'ION Particle', symbol: 'IONP', access: 'public', assetPair: 'chai', maxSupply: 0, mintFee: '0', payWithIons: true }],
+            plasmaTypes: [],
+            particles: [{ key: 'particle', type: 'ionParticle', owner: 'collector', assetAmount: '40' }],
+            plasma: [],
+            interest: 0,
+        }));
+        const summary = await runTaskQuietly('cp:seed', { seed: seedPath, output: path.join(tmpDir, 'second.json') });
+        expect(summary.ionTokenId).to.equal(first.ionTokenId);
+        expect(await tokenManager.balanceOf(collector, summary.ionTokenId)).to.equal(toWei('2000').sub((await chargedParticles.getCreationPrice(true))._ion));
+        expect(summary.particles.particle).to.include({ mass: toWei('40').toString(), charge: '0' });
+        expect(Object.keys(summary.particleTypes)).to.deep.equal(['ionParticle']);
+
+        // Missing entries are taken from the defaults
+        fs.writeFileSync(seedPath, JSON.stringify({ particles: [{ key: 'particle', type: 'unknownType', owner: 'collector', assetAmount: '1' }] }));
+        let error;
+        try {
+            await runTaskQuietly('cp:seed', { seed: seedPath, output: path.join(tmpDir, 'third.json') });
+        } catch (err) {
+            error = err;
+        }
+        expect(error.message).to.equal(`Unknown Type "unknownType"; expected one of: ${DEFAULT_SEED.particleTypes.map(({ key }) => key).join(', ')}`);
+    });
+});
@@ -0,0 +1,228 @@
+const {
+    ethers,
+    expect,
+    expectError,
+    expectClientError,
+    scenario,
+    withFundedWallets,
+    withParticleType,
+    withPlasmaType,
+    withMintedParticle,
+    DEFAULT_PARTICLE,
+    DEFAULT_PLASMA,
+    EMPTY_STR,
+} = require('./util/testEnv');
+
+const { toWei } = require('../js-utils/deploy-helpers');
+const { encodeTypeId, getNonFungibleBaseType, isNonFungible } = require('../js-utils/token-ids');
+const { chargedParticlesClient } = require('../js-utils/client');
+
+const debug = require('debug')('TokenBridges.test');
+
+const INTERFACE_ID_ERC721 = '0x80ac58cd';
+
+const bridgedTypes = scenario(
+    withFundedWallets(toWei('1000'), ['creator', 'collector']),
+    withParticleType(),
+    withPlasmaType(),
+    withMintedParticle('collector', toWei('10')),
+    withMintedParticle('collector', toWei('10'), { as: 'secondTokenId' })
+);
+
+describe('Token Bridges', function () {
+    let env;
+    let tokenManager;
+    let clients;
+
+    beforeEach(async () => {
+        env = await bridgedTypes();
+        ({ tokenManager } = env.contracts);
+
+        clients = {};
+        const names = Object.keys(env.signers);
+        for (let i = 0; i < names.length; i++) {
+            clients[names[i]] = await chargedParticlesClient({ signer: env.signers[names[i]], deployment: env.deployment });
+        }
+    });
+
+    const _send = async (promise) => (await promise).wait();
+
+    // Finds the events of a contract in a receipt
+    const _findEvents = (contract, receipt, eventName) => receipt.logs
+        .filter(log => log.address === contract.address)
+        .map(log => contract.interface.parseLog(log))
+        .filter(event => event.name === eventName)
+        .map(event => event.args);
+
+    // Rebuilds the balances of a Type by replaying the "TransferSingle" events of the ERC1155 Token Manager
+    const _balancesFromEvents = async (typeId) => {
+        const logs = await tokenManager.provider.getLogs({ ...tokenManager.filters.TransferSingle(), fromBlock: 0 });
+        const balances = {};
+        logs.forEach((log) => {
+            const [, from, to, id, amount] = tokenManager.interface.parseLog(log).args;
+            const tokenTypeId = isNonFungible(id) ? getNonFungibleBaseType(id) : id;
+            if (!tokenTypeId.eq(typeId)) { return }
+            if (from !== ethers.constants.AddressZero) { balances[from] = (balances[from] || ethers.constants.Zero).sub(amount); }
+            if (to !== ethers.constants.AddressZero) { balances[to] = (balances[to] || ethers.constants.Zero).add(amount); }
+        });
+        return balances;
+    };
+
+    // Enumerates the Particles of an Owner through the Bridge
+    const _tokensOf = async (bridge, owner) => {
+        const tokenIds = [];
+        const balance = (await bridge.balanceOf(owner)).toNumber();
+        for (let i = 0; i < balance; i++) {
+            tokenIds.push((await bridge.tokenOfOwnerByIndex(owner, i)).toString());
+        }
+        return tokenIds;
+    };
+
+    // The Bridge, the ERC1155 and its events agree on the balances of every account
+    const _expectConsistentBalances = async (bridge, typeId) => {
+        const balances = await _balancesFromEvents(typeId);
+        debug({ typeId: typeId.toHexString(), balances });
+        const accounts = Object.values(env.accounts);
+        for (let i = 0; i < accounts.length; i++) {
+            const balance = await tokenManager.balanceOf(accounts[i], typeId);
+            expect(await bridge.balanceOf(accounts[i])).to.equal(balance);
+            expect(balances[accounts[i]] || ethers.constants.Zero).to.equal(balance);
+        }
+        expect(await bridge.totalSupply()).to.equal(await tokenManager.totalSupply(typeId));
+    };
+
+    it('resolves the Bridges of the Particle and Plasma Types', async () => {
+        const { chargedParticles } = env.contracts;
+        const { particleTypeId, plasmaTypeId, tokenId } = env;
+
+        const particleBridge = await clients.collector.getTokenBridge(particleTypeId);
+        expect(particleBridge.address).to.equal(await chargedParticles.getTypeTokenBridge(particleTypeId));
+        expect(particleBridge.address).to.not.equal(ethers.constants.AddressZero);
+        expect((await clients.collector.getTokenBridge(tokenId)).address).to.equal(particleBridge.address);
+        expect(await particleBridge.name()).to.equal(DEFAULT_PARTICLE.name);
+        expect(await particleBridge.symbol()).to.equal(DEFAULT_PARTICLE.symbol);
+        expect(await particleBridge.supportsInterface(INTERFACE_ID_ERC721)).to.equal(true);
+
+        const plasmaBridge = await clients.creator.getTokenBridge(plasmaTypeId);
+        expect(plasmaBridge.address).to.equal(await chargedParticles.getTypeTokenBridge(plasmaTypeId));
+        expect(await plasmaBridge.name()).to.equal(DEFAULT_PLASMA.name);
+        expect(await plasmaBridge.symbol()).to.equal(DEFAULT_PLASMA.symbol);
+        expect(await plasmaBridge.decimals()).to.equal(18);
+        expect(await plasmaBridge.totalSupply()).to.equal(DEFAULT_PLASMA.initialMint);
+
+        const unknownTypeId = encodeTypeId({ nonce: 1000, isNF: true });
+        await expectError(clients.collector.getTokenBridge(unknownTypeId), /^No Token Bridge for Type \d+$/);
+    });
+
+    it('transfers Particles through the ERC721 Bridge', async () => {
+        const { collector, receiver } = env.accounts;
+        const { particleTypeId, tokenId, secondTokenId } = env;
+        const bridge = await clients.collector.getTokenBridge(particleTypeId);
+
+        expect(await bridge.balanceOf(collector)).to.equal(2);
+        expect(await bridge.tokenOfOwnerByIndex(collector, 0)).to.equal(tokenId);
+        expect(await bridge.tokenOfOwnerByIndex(collector, 1)).to.equal(secondTokenId);
+        expect(await bridge.tokenByIndex(1)).to.equal(secondTokenId);
+        await _expectConsistentBalances(bridge, particleTypeId);
+
+        const uri = 'https://example.com/particle/3';
+        const { tokenId: uriTokenId } = await clients.collector.mintParticle({ typeId: particleTypeId, assetAmount: toWei('10'), uri });
+        expect(await bridge.tokenURI(uriTokenId)).to.equal(uri);
+        expect(await bridge.tokenURI(uriTokenId)).to.equal(await tokenManager.uri(uriTokenId));
+        expect(await bridge.tokenOfOwnerByIndex(collector, 2)).to.equal(uriTokenId);
+
+        // Through the Bridge
+        const receipt = await _send(bridge.transferFrom(collector, receiver, tokenId));
+        expect(_findEvents(bridge, receipt, 'Transfer')).to.deep.equal([[collector, receiver, tokenId]]);
+        const [transferSingle] = _findEvents(tokenManager, receipt, 'TransferSingle');
+        expect([...transferSingle]).to.deep.equal([bridge.address, collector, receiver, tokenId, ethers.BigNumber.from(1)]);
+
+        expect(await bridge.ownerOf(tokenId)).to.equal(receiver);
+        expect(await tokenManager.ownerOf(tokenId)).to.equal(receiver);
+        expect(await _tokensOf(bridge, receiver)).to.deep.equal([tokenId.toString()]);
+        expect(await _tokensOf(bridge, collector)).to.have.members([secondTokenId.toString(), uriTokenId.toString()]);
+        await expectClientError(bridge.tokenOfOwnerByIndex(collector, 2), 'E1155: INVALID_INDEX');
+        expect(await bridge.tokenURI(uriTokenId)).to.equal(uri);
+        await _expectConsistentBalances(bridge, particleTypeId);
+
+        // Through the ERC1155
+        await _send(tokenManager.connect(env.signers.receiver).safeTransferFrom(receiver, collector, tokenId, 1, EMPTY_STR));
+        expect(await bridge.ownerOf(tokenId)).to.equal(collector);
+        expect(await _tokensOf(bridge, collector)).to.have.members([tokenId.toString(), secondTokenId.toString(), uriTokenId.toString()]);
+        expect(await _tokensOf(bridge, receiver)).to.deep.equal([]);
+        await _expectConsistentBalances(bridge, particleTypeId);
+
+        // Safe-transfer to an account
+        await _send(bridge['safeTransferFrom(address,address,uint256)'](collector, receiver, secondTokenId));
+        expect(await tokenManager.ownerOf(secondTokenId)).to.equal(receiver);
+        await _expectConsistentBalances(bridge, particleTypeId);
+
+        await expectClientError(bridge.transferFrom(collector, receiver, secondTokenId), 'E1155: INVALID_OWNER');
+    });
+
+    it('shares the approvals of the ERC721 Bridge with the ERC1155', async () => {
+        const { collector, operator, receiver } = env.accounts;
+        const { particleTypeId, tokenId } = env;
+        const bridge = await clients.collector.getTokenBridge(particleTypeId);
+        const operatorBridge = await clients.operator.getTokenBridge(particleTypeId);
+
+        await _send(bridge.approve(operator, tokenId));
+        expect(await bridge.getApproved(tokenId)).to.equal(operator);
+        expect(await tokenManager.getApproved(tokenId)).to.equal(operator);
+        await expectClientError(operatorBridge.approve(receiver, tokenId), 'B1155: NOT_OPERATOR');
+
+        // Like the ERC1155, only Operators approved for all tokens of the Owner can transfer
+        await expectClientError(operatorBridge.transferFrom(collector, receiver, tokenId), 'B1155: ERC721_NOT_OPERATOR');
+
+        const receipt = await _send(bridge.setApprovalForAll(operator, true));
+        const [approvalForAll] = _findEvents(tokenManager, receipt, 'ApprovalForAll');
+        expect([...approvalForAll]).to.deep.equal([collector, operator, true]);
+        expect(await bridge.isApprovedForAll(collector, operator)).to.equal(true);
+        expect(await tokenManager.isApprovedForAll(collector, operator)).to.equal(true);
+
+        await _send(operatorBridge.transferFrom(collector, receiver, tokenId));
+        expect(await tokenManager.ownerOf(tokenId)).to.equal(receiver);
+        await _expectConsistentBalances(bridge, particleTypeId);
+
+        // Revoked through the ERC1155
+        await _send(tokenManager.connect(env.signers.collector).setApprovalForAll(operator, false));
+        expect(await bridge.isApprovedForAll(collector, operator)).to.equal(false);
+        await expectClientError(operatorBridge.transferFrom(collector, receiver, env.secondTokenId), 'B1155: ERC721_NOT_OPERATOR');
+    });
+
+    it('transfers Plasma through the ERC20 Bridge', async () => {
+        const { creator, collector, operator, receiver } = env.accounts;
+        const { plasmaTypeId } = env;
+        const bridge = await clients.creator.getTokenBridge(plasmaTypeId);
+        const operatorBridge = await clients.operator.getTokenBridge(plasmaTypeId);
+
+        expect(await bridge.balanceOf(creator)).to.equal(DEFAULT_PLASMA.initialMint);
+        await _expectConsistentBalances(bridge, plasmaTypeId);
+
+        // Through the Bridge
+        const receipt = await _send(bridge.transfer(collector, 30));
+        expect(_findEvents(bridge, receipt, 'Transfer')).to.deep.equal([[creator, collector, ethers.BigNumber.from(30)]]);
+        const [transferSingle] = _findEvents(tokenManager, receipt, 'TransferSingle');
+        expect([...transferSingle]).to.deep.equal([bridge.address, creator, collector, plasmaTypeId, ethers.BigNumber.from(30)]);
+        expect(await tokenManager.balanceOf(collector, plasmaTypeId)).to.equal(30);
+        await _expectConsistentBalances(bridge, plasmaTypeId);
+
+        // Allowances are kept by the Bridge
+        await _send(bridge.approve(operator, 20));
+        expect(await bridge.allowance(creator, operator)).to.equal(20);
+        await _send(operatorBridge.transferFrom(creator, receiver, 15));
+        expect(await bridge.allowance(creator, operator)).to.equal(5);
+        expect(await tokenManager.balanceOf(receiver, plasmaTypeId)).to.equal(15);
+        await expectClientError(operatorBridge.transferFrom(creator, receiver, 10), 'SafeMath: subtraction overflow');
+        await _expectConsistentBalances(bridge, plasmaTypeId);
+
+        // Through the ERC1155
+        await _send(tokenManager.connect(env.signers.collector).safeTransferFrom(collector, receiver, plasmaTypeId, 10, EMPTY_STR));
+        expect(await bridge.balanceOf(collector)).to.equal(20);
+        expect(await bridge.balanceOf(receiver)).to.equal(25);
+        await _expectConsistentBalances(bridge, plasmaTypeId);
+
+        await expectClientError(bridge.transfer(collector, 1000), 'SafeMath: subtraction overflow');
+        expect(await bridge.totalSupply()).to.equal(DEFAULT_PLASMA.initialMint);
+    });
+});
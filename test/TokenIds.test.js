@@ -0,0 +1,142 @@
+const {
+    ethers,
+    expect,
+    scenario,
+    withFundedWallets,
+    withIons,
+    withParticleType,
+    withPlasmaType,
+    withMintedParticle,
+} = require('./util/testEnv');
+
+const { forAll } = require('./util/random');
+
+const { toWei } = require('../js-utils/deploy-helpers');
+
+const {
+    TYPE_NF_BIT,
+    NF_INDEX_MASK,
+    ION_SPECIAL_BIT,
+    isNonFungible,
+    isFungible,
+    getNonFungibleIndex,
+    getNonFungibleBaseType,
+    isNonFungibleBaseType,
+    isNonFungibleItem,
+    encodeTypeId,
+    encodeTokenId,
+    decodeTokenId,
+    toUriId,
+    parseUriId,
+    substituteUriId,
+    getUUID,
+    isPaidWithIons,
+    decodeAccessType,
+    formatTokenId,
+} = require('../js-utils/token-ids');
+
+const debug = require('debug')('TokenIds.test');
+
+const RUNS = Number(process.env.PROPERTY_RUNS || 10);
+
+const mintedParticles = scenario(
+    withFundedWallets(toWei('1000'), ['creator', 'collector']),
+    withIons(),
+    withPlasmaType(),
+    withParticleType(),
+    withMintedParticle('collector', toWei('10')),
+    withMintedParticle('collector', toWei('10'), { as: 'secondTokenId' })
+);
+
+describe('Token IDs', function () {
+    let env;
+    let chargedParticles, tokenManager, escrowManager;
+
+    beforeEach(async () => {
+        env = await mintedParticles();
+        ({ chargedParticles, tokenManager, escrowManager } = env.contracts);
+    });
+
+    // Random ids; any 256-bit value, or a well-formed Type/Particle id
+    const _randomId = (random) => random.pick([
+        () => random.bigNumber(0, ethers.constants.MaxUint256),
+        () => encodeTypeId({ nonce: random.magnitude(1, 6), isNF: random.pick([true, false]) }),
+        () => encodeTokenId(encodeTypeId({ nonce: random.magnitude(1, 6), isNF: true }), random.magnitude(1, 12)),
+        () => TYPE_NF_BIT.or(random.bigNumber(0, NF_INDEX_MASK)),
+    ])();
+
+    it('decodes ids like the Token Manager', async () => {
+        await forAll(RUNS * 3, random => ({ id: _randomId(random) }), async ({ id }) => {
+            expect(isNonFungible(id)).to.equal(await tokenManager.isNonFungible(id));
+            expect(isFungible(id)).to.equal(await tokenManager.isFungible(id));
+            expect(getNonFungibleIndex(id)).to.equal(await tokenManager.getNonFungibleIndex(id));
+            expect(getNonFungibleBaseType(id)).to.equal(await tokenManager.getNonFungibleBaseType(id));
+            expect(isNonFungibleBaseType(id)).to.equal(await tokenManager.isNonFungibleBaseType(id));
+            expect(isNonFungibleItem(id)).to.equal(await tokenManager.isNonFungibleItem(id));
+        });
+    });
+
+    it('calculates the Escrow UUID like the Escrow Manager', async () => {
+        await forAll(RUNS * 3, random => ({ id: _randomId(random), contract: ethers.utils.hexlify(ethers.utils.randomBytes(20)) }), async ({ id, contract }) => {
+            expect(getUUID(contract, id)).to.equal(await escrowManager.getUUID(contract, id));
+        });
+    });
+
+    it('encodes and decodes Types and Particles', async () => {
+        await forAll(RUNS * 3, random => ({ nonce: random.magnitude(1, 38), index: random.magnitude(1, 38) }), async ({ nonce, index }) => {
+            const typeId = encodeTypeId({ nonce, isNF: true });
+            const tokenId = encodeTokenId(typeId, index);
+
+            expect(decodeTokenId(typeId)).to.deep.include({ typeId, typeNonce: nonce, isNF: true, isType: true });
+            expect(decodeTokenId(tokenId)).to.deep.include({ typeId, typeNonce: nonce, isNF: true, isType: false, index });
+            expect(decodeTokenId(encodeTypeId({ nonce, isNF: false }))).to.deep.include({ typeNonce: nonce, isNF: false, isType: true });
+        });
+
+        expect(() => encodeTypeId({ nonce: 0, isNF: true })).to.throw('Invalid Type nonce: 0');
+        expect(() => encodeTokenId(encodeTypeId({ nonce: 1, isNF: false }), 1)).to.throw('Not a Particle Type');
+        expect(() => encodeTokenId(encodeTypeId({ nonce: 1, isNF: true }), NF_INDEX_MASK.add(1))).to.throw('Invalid Particle index');
+    });
+
+    it('decodes the ids of minted Tokens', async () => {
+        const { ionTokenId, plasmaTypeId, particleTypeId, tokenId, secondTokenId } = env;
+
+        // IONs, then the Plasma Type, then the Particle Type
+        expect(decodeTokenId(ionTokenId)).to.deep.include({ typeNonce: ethers.BigNumber.from(1), isNF: false });
+        expect(decodeTokenId(plasmaTypeId)).to.deep.include({ typeNonce: ethers.BigNumber.from(2), isNF: false });
+        expect(particleTypeId).to.equal(encodeTypeId({ nonce: 3, isNF: true }));
+
+        expect(tokenId).to.equal(encodeTokenId(particleTypeId, 1));
+        expect(secondTokenId).to.equal(encodeTokenId(particleTypeId, 2));
+        expect(decodeTokenId(secondTokenId).index).to.equal(await chargedParticles.getSeriesNumber(secondTokenId));
+
+        debug(formatTokenId(secondTokenId, { contractAddress: chargedParticles.address }));
+        expect(formatTokenId(secondTokenId)).to.equal('Particle #2 of Type #3 (0x8000...0003:...0002)');
+        expect(formatTokenId(particleTypeId)).to.equal('Particle Type #3 (0x8000...0003:...0000)');
+        expect(formatTokenId(plasmaTypeId)).to.equal('Plasma Type #2 (0x0000...0002:...0000)');
+        expect(formatTokenId(tokenId, { contractAddress: chargedParticles.address }))
+            .to.match(new RegExp(`uuid ${getUUID(chargedParticles.address, tokenId).toHexString()}$`));
+    });
+
+    it('decodes Type settings', async () => {
+        expect(isPaidWithIons(ION_SPECIAL_BIT)).to.equal(true);
+        expect(isPaidWithIons(ION_SPECIAL_BIT | 1)).to.equal(true);
+        expect(isPaidWithIons(0)).to.equal(false);
+        expect(decodeAccessType(1)).to.deep.equal({ isPublic: true, isPrivate: false, isSeries: false });
+        expect(decodeAccessType(6)).to.deep.equal({ isPublic: false, isPrivate: true, isSeries: true });
+    });
+
+    it('formats and parses the "{id}" of ERC1155 URIs', async () => {
+        const tokenId = encodeTokenId(encodeTypeId({ nonce: 3, isNF: true }), 2);
+        const uriId = toUriId(tokenId);
+        expect(uriId).to.equal('8000000000000000000000000000000300000000000000000000000000000002');
+        expect(substituteUriId('https://example.com/{id}.json?v={id}', tokenId)).to.equal(`https://example.com/${uriId}.json?v=${uriId}`);
+
+        expect(parseUriId(uriId)).to.equal(tokenId);
+        expect(parseUriId(uriId.toUpperCase())).to.equal(tokenId);
+        expect(parseUriId(tokenId.toHexString())).to.equal(tokenId);
+        expect(parseUriId(tokenId.toString())).to.equal(tokenId);
+        ['', 'xyz', '0x', '-1', '1.5', `1${ethers.constants.MaxUint256.toString()}`].forEach((value) => {
+            expect(parseUriId(value), value).to.equal(undefined);
+        });
+    });
+});
@@ -0,0 +1,165 @@
+const {
+    buidler,
+    deployments,
+    ethers,
+    expect,
+    expectError,
+    scenario,
+    runTaskQuietly,
+    withFundedWallets,
+    withParticleType,
+    withMintedParticle,
+} = require('./util/testEnv');
+
+const { toWei, toStr, implementationName } = require('../js-utils/deploy-helpers');
+
+const {
+    getProxyImplementation,
+    getProxyAdmin,
+    compareStorageLayouts,
+} = require('../js-utils/upgrades');
+
+const UPGRADEABLE = ['ChargedParticles', 'ChargedParticlesEscrowManager', 'ChargedParticlesTokenManager', 'ChaiEscrow'];
+
+const mintedParticle = scenario(
+    withFundedWallets(toWei('1000'), ['creator', 'collector']),
+    withParticleType(),
+    withMintedParticle('collector', toWei('10'))
+);
+
+describe('Upgrades', function () {
+    let env;
+    let chargedParticles, escrowManager;
+    const provider = buidler.ethers.provider;
+
+    beforeEach(async () => {
+        env = await mintedParticle();
+        ({ chargedParticles, escrowManager } = env.contracts);
+    });
+
+    it('deploys the upgradeable contracts behind proxies of the Proxy Admin', async () => {
+        const { deployer, proxyAdmin } = await buidler.getNamedAccounts();
+        expect(proxyAdmin).to.not.equal(deployer);
+
+        for (let i = 0; i < UPGRADEABLE.length; i++) {
+            const proxy = await deployments.get(UPGRADEABLE[i]);
+            const implementation = await deployments.get(implementationName(UPGRADEABLE[i]));
+
+            expect(proxy.address).to.not.equal(implementation.address);
+            expect(proxy.abi).to.deep.equal(implementation.abi);
+            expect(proxy.linkedData.implementation).to.equal(implementation.address);
+            expect(await getProxyImplementation(provider, proxy.address)).to.equal(implementation.address);
+            expect(await getProxyAdmin(provider, proxy.address)).to.equal(proxyAdmin);
+            expect(implementation.storageLayout.storage).to.not.be.empty;
+        }
+
+        // Initialized by the proxy deployments
+        expect(await chargedParticles.owner()).to.equal(deployer);
+        expect(await env.contracts.chaiEscrow.owner()).to.equal(deployer);
+        expect(toStr(await escrowManager.version())).to.equal('v0.4.2');
+    });
+
+    it('does not forward calls from the Proxy Admin', async () => {
+        const { proxyAdmin } = await buidler.getNamedAccounts();
+        const adminSigner = buidler.ethers.provider.getSigner(proxyAdmin);
+
+        await expectError(escrowManager.connect(adminSigner).setDepositFee(0, { gasLimit: 200000 }), /revert|fail/i);
+        expect(await escrowManager.depositFee()).to.equal(50);
+    });
+
+    it('upgrades to a compatible Implementation and keeps the state', async () => {
+        const { tokenId } = env;
+        const proxy = await deployments.get('ChargedParticlesEscrowManager');
+        const charge = await chargedParticles.callStatic.currentParticleCharge(tokenId);
+
+        const result = await runTaskQuietly('upgrade', {
+            contract: 'ChargedParticlesEscrowManager',
+            implementation: 'ChargedParticlesEscrowManagerV2Mock',
+        });
+        expect(result.upgraded).to.equal(true);
+        expect(result.errors).to.deep.equal([]);
+        expect(result.added).to.have.lengthOf(1);
+        expect(result.added[0]).to.match(/^upgradeCounter \(uint256, slot \d+, offset 0\)$/);
+        expect(result.implementation).to.not.equal(result.previousImplementation);
+        expect(await getProxyImplementation(provider, proxy.address)).to.equal(result.implementation);
+        expect((await deployments.get(implementationName('ChargedParticlesEscrowManager'))).address).to.equal(result.implementation);
+
+        // Same address and state, new functions
+        const upgraded = await deployments.get('ChargedParticlesEscrowManager');
+        expect(upgraded.address).to.equal(proxy.address);
+        const escrowManagerV2 = new ethers.Contract(upgraded.address, upgraded.abi, env.signers.deployer);
+        await (await escrowManagerV2.incrementUpgradeCounter()).wait();
+        expect(await escrowManagerV2.upgradeCounter()).to.equal(1);
+
+        expect(await escrowManagerV2.depositFee()).to.equal(50);
+        expect(await escrowManagerV2.getAssetTokenEscrow('chai')).to.equal(env.contracts.chaiEscrow.address);
+        expect(await escrowManagerV2.isContractRegistered(chargedParticles.address)).to.equal(true);
+        expect(await chargedParticles.callStatic.currentParticleCharge(tokenId)).to.equal(charge);
+    });
+
+    it('refuses an Implementation with an incompatible storage layout', async () => {
+        const proxy = await deployments.get('ChargedParticlesEscrowManager');
+        const implementation = await getProxyImplementation(provider, proxy.address);
+
+        await expectError(runTaskQuietly('upgrade', {
+            contract: 'ChargedParticlesEscrowManager',
+            implementation: 'ChargedParticlesEscrowManagerShiftedMock',
+        }), /^Incompatible storage layout; ChargedParticlesEscrowManager can not be upgraded/);
+        expect(await getProxyImplementation(provider, proxy.address)).to.equal(implementation);
+    });
+
+    it('checks without upgrading in dry-run mode', async () => {
+        const proxy = await deployments.get('ChargedParticlesEscrowManager');
+        const implementation = await getProxyImplementation(provider, proxy.address);
+
+        const result = await runTaskQuietly('upgrade', {
+            contract: 'ChargedParticlesEscrowManager',
+            implementation: 'ChargedParticlesEscrowManagerV2Mock',
+            dryRun: true,
+        });
+        expect(result).to.deep.include({ upgraded: false, errors: [], warnings: [] });
+        expect(await getProxyImplementation(provider, proxy.address)).to.equal(implementation);
+
+        // Unchanged source
+        expect(await runTaskQuietly('upgrade', { contract: 'ChargedParticles' })).to.deep.include({ upgraded: false, implementation: (await deployments.get(implementationName('ChargedParticles'))).address });
+        await expectError(runTaskQuietly('upgrade', { contract: 'ChaiNucleus' }), /^"ChaiNucleus" is not an upgradeable contract/);
+    });
+
+    it('compares storage layouts', async () => {
+        const { storageLayout } = await deployments.get(implementationName('ChargedParticlesEscrowManager'));
+        const _clone = () => JSON.parse(JSON.stringify(storageLayout));
+        const last = storageLayout.storage[storageLayout.storage.length - 1];
+
+        expect(compareStorageLayouts(storageLayout, _clone())).to.deep.equal({ errors: [], warnings: [], added: [] });
+
+        // Removed
+        const removed = _clone();
+        removed.storage.pop();
+        const { errors } = compareStorageLayouts(storageLayout, removed);
+        expect(errors).to.have.lengthOf(1);
+        expect(errors[0]).to.match(new RegExp(`^Removed ${last.label} \\(`));
+
+        // Renamed
+        const renamed = _clone();
+        renamed.storage[renamed.storage.length - 1].label = 'renamedVariable';
+        expect(compareStorageLayouts(storageLayout, renamed).warnings[0]).to.match(/ to renamedVariable$/);
+
+        // Retyped; type ids differ between compilations, so types are compared by their labels
+        const retyped = _clone();
+        retyped.types[last.type].label = 'int8';
+        expect(compareStorageLayouts(storageLayout, retyped).errors[0]).to.match(/^Changed the type of .* to int8$/);
+
+        // Moved
+        const moved = _clone();
+        moved.storage[0].slot = '1000';
+        expect(compareStorageLayouts(storageLayout, moved).errors[0]).to.match(/^Moved .* to slot 1000, offset 0$/);
+
+        // Inserted before the last variable, with the same type
+        const inserted = _clone();
+        const shifted = inserted.storage.pop();
+        inserted.storage.push({ ...shifted, label: 'insertedVariable' }, { ...shifted, slot: String(Number(shifted.slot) + 1) });
+        expect(compareStorageLayouts(storageLayout, inserted)).to.deep.include({
+            errors: [`Moved ${last.label} to slot ${Number(last.slot) + 1}, offset 0`],
+        });
+    });
+});
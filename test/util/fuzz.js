@@ -0,0 +1,138 @@
+// Stateful fuzzing: random sequences of operations run against a fresh state, with invariants checked after each step
+//  A failing sequence is shrunk to the fewest steps that still fail the same way, and saved as JSON under
+//  test/fuzz-failures; saved sequences are replayed by the tests, and RANDOM_SEED=<seed> replays the same runs.
+
+const fs = require('fs');
+const path = require('path');
+
+const { randomGenerator } = require('./random');
+
+const FAILURES_DIR = path.join(__dirname, '..', 'fuzz-failures');
+
+/**
+ * An error of a broken invariant; failures of the same invariant are the same failure when shrinking
+ */
+const invariantError = (invariant, message) => Object.assign(new Error(`Invariant "${invariant}" broken: ${message}`), { invariant });
+
+const _failureKey = (err) => err.invariant || err.message;
+
+/**
+ * Runs a sequence of steps on a fresh state
+ *
+ * @param machine  {setup, apply, check}; see fuzz
+ * @param steps    The steps to run
+ * @return  {error, index} of the first failing step, or {} if none failed
+ */
+const runSequence = async ({ setup, apply, check }, steps) => {
+    const state = await setup();
+    for (let i = 0; i < steps.length; i++) {
+        try {
+            await apply(state, steps[i]);
+            await check(state, steps[i]);
+        } catch (error) {
+            return { error, index: i };
+        }
+    }
+    return {};
+};
+
+/**
+ * Removes steps from a failing sequence while it still fails the same way; chunks of steps are removed first,
+ *   then single steps, and the steps after the failing one are dropped
+ *
+ * @return  {steps, error} of the shrunk sequence
+ */
+const shrinkSequence = async (machine, steps, error) => {
+    const key = _failureKey(error);
+    let current = { steps, error };
+    for (let size = Math.ceil(steps.length / 2); size >= 1; size = Math.floor(size / 2)) {
+        let start = 0;
+        while (start < current.steps.length) {
+            const candidate = current.steps.slice(0, start).concat(current.steps.slice(start + size));
+            const result = await runSequence(machine, candidate);
+            if (result.error && _failureKey(result.error) === key) {
+                current = { steps: candidate.slice(0, result.index + 1), error: result.error };
+            } else {
+                start += size;
+            }
+        }
+    }
+    return current;
+};
+
+const _saveSequence = (failuresDir, failure) => {
+    fs.mkdirSync(failuresDir, { recursive: true });
+    const file = path.join(failuresDir, `${failure.name}-${failure.seed}-${failure.run}.json`);
+    fs.writeFileSync(file, JSON.stringify(failure, null, 2) + '\n');
+    return file;
+};
+
+/**
+ * Loads the saved failing sequences of a fuzzer
+ *
+ * @return  [{file, name, seed, run, error, steps}]
+ */
+const loadSequences = (name, failuresDir = FAILURES_DIR) => {
+    if (!fs.existsSync(failuresDir)) { return []; }
+    return fs.readdirSync(failuresDir)
+        .filter(file => file.startsWith(`${name}-`) && file.endsWith('.json'))
+        .map(file => ({ file: path.join(failuresDir, file), ...JSON.parse(fs.readFileSync(path.join(failuresDir, file), 'utf8')) }));
+};
+
+/**
+ * Runs random sequences of steps, generated from the state as they run; the first failing sequence is shrunk,
+ *   saved, and its error thrown with the seed, the steps and the file to replay
+ *
+ * @param name         The name of the fuzzer (prefix of the saved sequences)
+ * @param runs         Number of sequences
+ * @param length       Number of steps of each sequence
+ * @param setup        Async function returning a fresh state
+ * @param generate     Function returning the next step (plain JSON) from the random generator and the state
+ * @param apply        Async function running a step on the state; steps referring to missing entities are skipped
+ * @param check        Async function checking the invariants after a step (throws an invariantError)
+ * @param failuresDir  The directory of the saved sequences
+ */
+const fuzz = async ({ name, runs, length, setup, generate, apply, check, failuresDir = FAILURES_DIR }) => {
+    const random = randomGenerator();
+    const machine = { setup, apply, check };
+
+    for (let run = 1; run <= runs; run++) {
+        const state = await setup();
+        const steps = [];
+        let error;
+        for (let i = 0; i < length && !error; i++) {
+            const step = generate(random, state);
+            steps.push(step);
+            try {
+                await apply(state, step);
+                await check(state, step);
+            } catch (err) {
+                error = err;
+            }
+        }
+
+        if (error) {
+            const shrunk = await shrinkSequence(machine, steps, error);
+            const file = _saveSequence(failuresDir, {
+                name,
+                seed: random.seed,
+                run,
+                error: shrunk.error.message,
+                steps: shrunk.steps,
+            });
+            shrunk.error.message = `${shrunk.error.message}\n    RANDOM_SEED=${random.seed}, run ${run}/${runs}; `
+                + `shrunk from ${steps.length} to ${shrunk.steps.length} steps, saved to ${file}:\n`
+                + shrunk.steps.map((step, i) => `      ${i + 1}. ${JSON.stringify(step)}`).join('\n');
+            throw shrunk.error;
+        }
+    }
+};
+
+module.exports = {
+    FAILURES_DIR,
+    invariantError,
+    runSequence,
+    shrinkSequence,
+    loadSequences,
+    fuzz,
+};
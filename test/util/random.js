@@ -0,0 +1,71 @@
+// Seeded random values for property-based tests
+//  Failures report the seed; re-run with RANDOM_SEED=<seed> to replay the same samples.
+
+const { ethers } = require('ethers');
+
+const { BigNumber } = ethers;
+
+// mulberry32
+const _prng = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const randomGenerator = (seed = Number(process.env.RANDOM_SEED || Math.floor(Math.random() * 2 ** 32))) => {
+    const next = _prng(seed);
+
+    // Integer in [min, max]
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+
+    // BigNumber in [min, max]
+    const bigNumber = (min, max) => {
+        const range = BigNumber.from(max).sub(min).add(1);
+        let value = BigNumber.from(0);
+        for (let bits = 0; bits < range.toHexString().length * 4 + 32; bits += 32) {
+            value = value.shl(32).add(int(0, 0xFFFFFFFF));
+        }
+        return value.mod(range).add(min);
+    };
+
+    // BigNumber with a random number of digits in [minDigits, maxDigits]; covers small and large values alike
+    const magnitude = (minDigits, maxDigits) => {
+        const digits = int(minDigits, maxDigits);
+        return bigNumber(BigNumber.from(10).pow(digits - 1), BigNumber.from(10).pow(digits).sub(1));
+    };
+
+    const pick = (values) => values[int(0, values.length - 1)];
+
+    return { seed, int, bigNumber, magnitude, pick };
+};
+
+/**
+ * Runs a property over random samples; a failure reports the seed and the failing sample
+ *
+ * @param runs      Number of samples
+ * @param sample    Function building a sample from the random generator
+ * @param property  Async function checking the property for a sample
+ */
+const forAll = async (runs, sample, property) => {
+    const random = randomGenerator();
+    for (let i = 0; i < runs; i++) {
+        const values = sample(random);
+        try {
+            await property(values);
+        } catch (err) {
+            const printable = JSON.stringify(values, (key, value) => (value && value.type === 'BigNumber' ? BigNumber.from(value.hex).toString() : value));
+            err.message = `${err.message}\n    RANDOM_SEED=${random.seed}, run ${i + 1}/${runs}, sample: ${printable}`;
+            throw err;
+        }
+    }
+};
+
+module.exports = {
+    randomGenerator,
+    forAll,
+};
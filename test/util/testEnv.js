@@ -5,8 +5,277 @@ const { deployContract, deployMockContract } = require('ethereum-waffle');
 const { ethers } = require('ethers');
 const { expect } = require('chai');
 
+const {
+    contractManager,
+    presets,
+    toWei,
+} = require('../../js-utils/deploy-helpers');
+
+const { erc20Abi, withGasMargin } = require('../../js-utils/client');
+const { ChargedParticlesError } = require('../../js-utils/errors');
+
+const debugTasks = require('debug')('testEnv:tasks');
+
 // buidler.ethers.errors.setLogLevel('error');
 
+const EMPTY_STR = ethers.utils.formatBytes32String("");
+
+// Named Signers, in the order of the BuidlerEVM accounts
+const SIGNERS = ['deployer', 'creator', 'collector', 'operator', 'receiver', 'relayer'];
+
+// Transactions sent by the fixtures cost no gas, so ETH balances only reflect the fees paid
+const NO_GAS = { gasPrice: 0 };
+
+// Deposit Fees are in 1/10000ths (50 = 0.5%)
+const DEPOSIT_FEE_MODIFIER = 10000;
+
+const DEFAULT_PARTICLE = {
+    name: 'test-particle',
+    uri: 'https://example.com/particle',
+    symbol: 'TEST',
+    accessType: 1,
+    assetPair: 'chai',
+    maxSupply: 0,
+    mintFee: toWei('0.01'),
+    payWithIons: false,
+};
+
+const DEFAULT_PLASMA = {
+    name: 'test-plasma',
+    uri: 'https://example.com/plasma',
+    symbol: 'PLSM',
+    isPrivate: false,
+    maxSupply: 1000,
+    mintFee: 0,
+    initialMint: 100,
+    payWithIons: false,
+};
+
+const _findEventArgs = (receipt, eventName) => receipt.events.find(e => e.event === eventName).args;
+
+// On a fork of Mainnet (see tasks/fork.js) the contracts are deployed on the real MakerDAO contracts
+const isFork = () => !!buidler.network.config.fork;
+
+/**
+ * Runs a Buidler task without its console output; the output is logged with DEBUG=testEnv:tasks instead
+ *
+ * @param taskName  The name of the task
+ * @param args      The arguments of the task
+ * @return  The result of the task
+ */
+const runTaskQuietly = async (taskName, args = {}) => {
+    const log = console.log;
+    const output = [];
+    console.log = (...lines) => output.push(lines.join(' '));
+    try {
+        return await buidler.run(taskName, args);
+    } finally {
+        console.log = log;
+        debugTasks(output.join('\n'));
+    }
+};
+
+/**
+ * Expects a Promise (a Transaction, a Call or a Task) to be rejected
+ *
+ * @param promise  The Promise expected to be rejected
+ * @param message  A RegExp matching the message of the Error (optional)
+ */
+const expectError = async (promise, message) => {
+    let error;
+    try {
+        await promise;
+    } catch (err) {
+        error = err;
+    }
+    expect(error, 'expected an error').to.be.an.instanceof(Error);
+    if (message) {
+        expect(error.message).to.match(message);
+    }
+};
+
+/**
+ * Expects a call of the Client to be rejected; the Client throws a ChargedParticlesError with the revert reason as its code
+ *
+ * @param promise  The Promise expected to be rejected
+ * @param code     The code of the ChargedParticlesError
+ */
+const expectClientError = async (promise, code) => {
+    let error;
+    try {
+        await promise;
+    } catch (err) {
+        error = err;
+    }
+    expect(error).to.be.an.instanceof(ChargedParticlesError);
+    expect(error.code).to.equal(code);
+};
+
+const _signerOf = (env, nameOrSigner) => (typeof nameOrSigner === 'string' ? env.signers[nameOrSigner] : nameOrSigner);
+
+/**
+ * Loads the deployed contracts (Signed by the Deployer) and the named Signers
+ */
+const _baseEnv = async () => {
+    await deployments.fixture();
+    const getContract = contractManager(buidler);
+
+    const signers = {};
+    const accounts = {};
+    const wallets = await buidler.ethers.getSigners();
+    for (let i = 0; i < SIGNERS.length; i++) {
+        signers[SIGNERS[i]] = wallets[i];
+        accounts[SIGNERS[i]] = await wallets[i].getAddress();
+    }
+
+    const contracts = {
+        chargedParticles: await getContract('ChargedParticles'),
+        tokenManager: await getContract('ChargedParticlesTokenManager'),
+        escrowManager: await getContract('ChargedParticlesEscrowManager'),
+        chaiEscrow: await getContract('ChaiEscrow'),
+        chaiNucleus: await getContract('ChaiNucleus'),
+    };
+    if (isFork()) {
+        const { MAKER_MAINNET, potAbi } = require('../../js-utils/mainnet-fork');
+        contracts.dai = new ethers.Contract(MAKER_MAINNET.dai, erc20Abi, wallets[0]);
+        contracts.pot = new ethers.Contract(MAKER_MAINNET.pot, potAbi, wallets[0]);
+    } else {
+        contracts.dai = await getContract('Dai');
+        contracts.vat = await getContract('MockVat');
+        contracts.pot = await getContract('MockPot');
+        contracts.forwarder = await getContract('MockTrustedForwarder');
+    }
+
+    return {
+        deployment: await deployments.all(),
+        signers,
+        accounts,
+        contracts,
+    };
+};
+
+/**
+ * Mints Asset Tokens (Dai) to the named Signers and approves ChargedParticles to spend them;
+ *   on a fork of Mainnet the Dai is sent by the Dai Holder of the fork instead
+ *
+ * @param amount   The amount of Dai for each Signer
+ * @param signers  The names of the Signers to fund (defaults to all but the Deployer)
+ */
+const withFundedWallets = (amount = toWei('1000'), signers = SIGNERS.slice(1)) => async (env) => {
+    const { dai, chargedParticles } = env.contracts;
+    const wallets = signers.map(name => env.accounts[name]);
+    if (isFork()) {
+        const { fundWithDai } = require('../../js-utils/mainnet-fork');
+        await fundWithDai({ provider: buidler.ethers.provider, holder: buidler.network.config.fork.daiHolder, wallets, amount });
+    } else {
+        for (let i = 0; i < wallets.length; i++) {
+            await dai.mint(wallets[i], amount);
+        }
+    }
+    for (let i = 0; i < signers.length; i++) {
+        await dai.connect(env.signers[signers[i]]).approve(chargedParticles.address, ethers.constants.MaxUint256, NO_GAS);
+    }
+};
+
+/**
+ * Mints the IONs (as the Deployer) and transfers some to other Signers
+ *
+ * @param balances  The amount of IONs per Signer name (ex: { creator: toWei('10') })
+ * Sets: env.ionTokenId
+ */
+const withIons = (balances = {}) => async (env) => {
+    const { chargedParticles, tokenManager } = env.contracts;
+    const ion = presets.ChargedParticles.ionToken;
+
+    const receipt = await (await chargedParticles.mintIons(ion.URI, ion.maxSupply, ion.mintFee)).wait();
+    env.ionTokenId = _findEventArgs(receipt, 'PlasmaTypeUpdated')[0];
+
+    const names = Object.keys(balances);
+    for (let i = 0; i < names.length; i++) {
+        await tokenManager.transferFrom(env.accounts.deployer, env.accounts[names[i]], env.ionTokenId, balances[names[i]]);
+    }
+};
+
+/**
+ * Creates a Particle Type (Non-Fungible), paying the creation price in ETH unless "payWithIons" is set
+ *
+ * @param opts  Overrides for the Particle defaults, plus:
+ *                creator - The Signer (or name) creating the Type (default: "creator")
+ *                as      - The name of the handle to store the Type ID in (default: "particleTypeId")
+ * Sets: env[as]
+ */
+const withParticleType = ({ creator = 'creator', as = 'particleTypeId', ...opts } = {}) => async (env) => {
+    const p = { ...DEFAULT_PARTICLE, ...opts };
+    const chargedParticles = env.contracts.chargedParticles.connect(_signerOf(env, creator));
+    const { _eth: eth } = await chargedParticles.getCreationPrice(true);
+
+    const receipt = await (await chargedParticles.createParticle(
+        p.name, p.uri, p.symbol, p.accessType, p.assetPair, p.maxSupply, p.mintFee, p.payWithIons,
+        { value: p.payWithIons ? 0 : eth, ...NO_GAS }
+    )).wait();
+    env[as] = _findEventArgs(receipt, 'ParticleTypeUpdated')[0];
+};
+
+/**
+ * Creates a Plasma Type (Fungible), paying the creation price in ETH unless "payWithIons" is set
+ *
+ * @param opts  Overrides for the Plasma defaults, plus:
+ *                creator - The Signer (or name) creating the Type (default: "creator")
+ *                as      - The name of the handle to store the Type ID in (default: "plasmaTypeId")
+ * Sets: env[as]
+ */
+const withPlasmaType = ({ creator = 'creator', as = 'plasmaTypeId', ...opts } = {}) => async (env) => {
+    const p = { ...DEFAULT_PLASMA, ...opts };
+    const chargedParticles = env.contracts.chargedParticles.connect(_signerOf(env, creator));
+    const { _eth: eth } = await chargedParticles.getCreationPrice(false);
+
+    const receipt = await (await chargedParticles.createPlasma(
+        p.name, p.uri, p.symbol, p.isPrivate, p.maxSupply, p.mintFee, p.initialMint, p.payWithIons,
+        { value: p.payWithIons ? 0 : eth, ...NO_GAS }
+    )).wait();
+    env[as] = _findEventArgs(receipt, 'PlasmaTypeUpdated')[0];
+};
+
+/**
+ * Mints a Particle of a Type created by "withParticleType", paying the minting fee unless minted by its creator.
+ * The owner needs the Asset Tokens (see "withFundedWallets").
+ *
+ * @param owner        The Signer (or name) minting and owning the Particle (default: "collector")
+ * @param assetAmount  The amount of Asset Tokens to energize the Particle with
+ * @param opts         type - The handle of the Type ID (default: "particleTypeId")
+ *                     as   - The name of the handle to store the Token ID in (default: "tokenId")
+ * Sets: env[as]
+ */
+const withMintedParticle = (owner = 'collector', assetAmount = toWei('100'), { type = 'particleTypeId', as = 'tokenId' } = {}) => async (env) => {
+    const signer = _signerOf(env, owner);
+    const ownerAddress = await signer.getAddress();
+    const chargedParticles = env.contracts.chargedParticles.connect(signer);
+
+    const typeId = env[type];
+    const creator = await chargedParticles.getTypeCreator(typeId);
+    const value = (creator === ownerAddress) ? 0 : await chargedParticles.getMintingFee(typeId);
+
+    const args = [ownerAddress, typeId, assetAmount, '', EMPTY_STR];
+    const receipt = await (await chargedParticles.mintParticle(...args, await withGasMargin(chargedParticles, 'mintParticle', args, { value, ...NO_GAS }))).wait();
+    env[as] = _findEventArgs(receipt, 'ParticleMinted')[2];
+};
+
+/**
+ * Builds a snapshot-based fixture from a list of steps (ex: "withIons()", "withParticleType()").
+ * The steps run once on a fresh deployment; every later call reverts the chain to the resulting snapshot.
+ * Create the scenario once (outside of "beforeEach") so the snapshot is shared by the tests.
+ *
+ * @param steps  The fixture steps, each receiving (and extending) the env
+ * @return  An async function resolving to the env: { deployment, signers, accounts, contracts, ...handles }
+ */
+const scenario = (...steps) => deployments.createFixture(async () => {
+    const env = await _baseEnv();
+    for (let i = 0; i < steps.length; i++) {
+        await steps[i](env);
+    }
+    return env;
+});
+
 module.exports = {
     buidler,
     deployments,
@@ -16,6 +285,21 @@ module.exports = {
     deployContract,
     deployMockContract,
 
-    EMPTY_STR: ethers.utils.formatBytes32String(""),
+    scenario,
+    isFork,
+    runTaskQuietly,
+    expectError,
+    expectClientError,
+    withFundedWallets,
+    withIons,
+    withParticleType,
+    withPlasmaType,
+    withMintedParticle,
+
+    DEFAULT_PARTICLE,
+    DEFAULT_PLASMA,
+    NO_GAS,
+    DEPOSIT_FEE_MODIFIER,
+    EMPTY_STR,
     ZERO_ADDRESS: ethers.constants.AddressZero,
 };